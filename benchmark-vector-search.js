@@ -0,0 +1,148 @@
+/**
+ * Compares the ANN (HNSW) vector search path with the exact linear scan that
+ * VectorSearchService.nearest falls back to: recall@k and per-query latency, at several
+ * search widths (ef).
+ *
+ * Usage:
+ *   node benchmark-vector-search.js [--vectors 5000] [--dimension 384] [--queries 200] [--k 10] [--ef 16,32,64,128]
+ *   node benchmark-vector-search.js --stored   # use the vectors in the database (TURSO_DATABASE_URL)
+ *
+ * Synthetic vectors are drawn around random cluster centres, which is closer to real
+ * embeddings than uniform noise. Queries are perturbed copies of indexed vectors.
+ */
+const path = require('path');
+require('dotenv').config({ path: path.join(__dirname, '.env') });
+const HnswIndex = require('./server/services/HnswIndex');
+const VectorSearchService = require('./server/services/VectorSearchService');
+
+function parseArgs(argv) {
+  const options = { vectors: 5000, dimension: 384, queries: 200, k: 10, ef: [16, 32, 64, 128], stored: false, seed: 42 };
+  for (let i = 0; i < argv.length; i++) {
+    const name = argv[i].replace(/^--/, '');
+    if (name === 'stored') {
+      options.stored = true;
+    } else if (name === 'ef') {
+      options.ef = argv[++i].split(',').map(Number);
+    } else if (name in options) {
+      options[name] = Number(argv[++i]);
+    } else {
+      throw new Error(`Unknown option ${argv[i]}`);
+    }
+  }
+  return options;
+}
+
+// Seeded PRNG (mulberry32) so runs are comparable
+function createRandom(seed) {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+function gaussian(random) {
+  return Math.sqrt(-2 * Math.log(1 - random())) * Math.cos(2 * Math.PI * random());
+}
+
+function syntheticVectors(count, dimension, random) {
+  const centres = Array.from({ length: Math.max(1, Math.round(Math.sqrt(count) / 2)) }, () =>
+    Array.from({ length: dimension }, () => gaussian(random))
+  );
+  return Array.from({ length: count }, (_, i) => {
+    const centre = centres[Math.floor(random() * centres.length)];
+    return { id: `synthetic-${i}`, embedding: centre.map(value => value + gaussian(random) * 0.6) };
+  });
+}
+
+async function storedVectors() {
+  const DatabaseService = require('./server/services/DatabaseService');
+  const vectors = await DatabaseService.getVectors();
+  // Only one model's vectors are comparable; take the most common one
+  const counts = new Map();
+  for (const v of vectors) counts.set(v.model, (counts.get(v.model) || 0) + 1);
+  const [model] = [...counts].sort((a, b) => b[1] - a[1])[0] || [];
+  console.log(`Using ${counts.get(model) || 0} stored vectors from ${model || 'no model'}`);
+  return vectors.filter(v => v.model === model);
+}
+
+function time(fn) {
+  const start = process.hrtime.bigint();
+  const result = fn();
+  return { result, ms: Number(process.hrtime.bigint() - start) / 1e6 };
+}
+
+function percentile(values, p) {
+  const sorted = [...values].sort((a, b) => a - b);
+  return sorted[Math.min(sorted.length - 1, Math.floor(p * sorted.length))];
+}
+
+async function runBenchmark() {
+  const options = parseArgs(process.argv.slice(2));
+  // Let the service finish loading the stored vectors before its index is replaced below
+  await VectorSearchService._loadPromise;
+  const random = createRandom(options.seed);
+  const vectors = options.stored ? await storedVectors() : syntheticVectors(options.vectors, options.dimension, random);
+  if (vectors.length === 0) {
+    console.log('No vectors to benchmark');
+    return;
+  }
+
+  const index = new HnswIndex({ random });
+  const build = time(() => vectors.forEach(v => index.add(v.id, v.embedding, v)));
+  console.log(`Built HNSW index over ${index.size} vectors (dimension ${index.dimension}) in ${build.ms.toFixed(0)}ms`);
+  VectorSearchService.index = index;
+
+  const serialized = time(() => JSON.stringify(index.toJSON()));
+  const byId = new Map(vectors.map(v => [v.id, v]));
+  const restored = time(() => HnswIndex.fromJSON(JSON.parse(serialized.result), id => byId.has(id) && { vector: byId.get(id).embedding }));
+  console.log(`Serialized graph: ${(serialized.result.length / 1024).toFixed(0)} KB; restored in ${restored.ms.toFixed(0)}ms`);
+
+  const queries = Array.from({ length: options.queries }, () => {
+    const base = vectors[Math.floor(random() * vectors.length)].embedding;
+    const scale = Math.sqrt(base.reduce((sum, value) => sum + value * value, 0) / base.length) || 1;
+    return base.map(value => value + gaussian(random) * scale);
+  });
+
+  const exactTimes = [];
+  const truth = queries.map(query => {
+    const { result, ms } = time(() => VectorSearchService.nearest(query, options.k, { exact: true }));
+    exactTimes.push(ms);
+    return new Set(result.map(hit => hit.id));
+  });
+
+  const rows = [{
+    path: 'exact scan',
+    recall: '1.000',
+    meanMs: (exactTimes.reduce((a, b) => a + b, 0) / exactTimes.length).toFixed(3),
+    p95Ms: percentile(exactTimes, 0.95).toFixed(3),
+  }];
+  for (const ef of options.ef) {
+    const times = [];
+    let found = 0;
+    queries.forEach((query, i) => {
+      const { result, ms } = time(() => index.search(query, options.k, { ef }));
+      times.push(ms);
+      found += result.filter(hit => truth[i].has(hit.id)).length;
+    });
+    rows.push({
+      path: `hnsw ef=${ef}`,
+      recall: (found / (queries.length * Math.min(options.k, index.size))).toFixed(3),
+      meanMs: (times.reduce((a, b) => a + b, 0) / times.length).toFixed(3),
+      p95Ms: percentile(times, 0.95).toFixed(3),
+    });
+  }
+
+  console.log(`\nrecall@${options.k} over ${queries.length} queries:`);
+  console.table(rows);
+}
+
+runBenchmark()
+  .then(() => process.exit(0))
+  .catch(error => {
+    console.error('Benchmark failed:', error);
+    process.exit(1);
+  });
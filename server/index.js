@@ -17,9 +17,19 @@ const port = process.env.PORT || 3003;
 const VectorSearchService = require('./services/VectorSearchService');
 const PDFService = require('./services/PDFService');
 const SearchService = require('./services/SearchService');
+const HybridRetrievalService = require('./services/HybridRetrievalService');
+const RerankService = require('./services/RerankService');
+const QueryRewriteService = require('./services/QueryRewriteService');
+const GroundingService = require('./services/GroundingService');
+const LLMService = require('./services/LLMService');
 const ChatService = require('./services/ChatService');
 const DatabaseService = require('./services/DatabaseService');
+const ConversationService = require('./services/ConversationService');
+const PromptBudgetService = require('./services/PromptBudgetService');
 const TranscriptAnalysisService = require('./services/TranscriptAnalysisService');
+const CourseCatalogService = require('./services/CourseCatalogService');
+const PlannerService = require('./services/PlannerService');
+const GpaService = require('./services/GpaService');
 
 // Flags to track embedding generation status
 let embeddingsGenerationInProgress = false;
@@ -39,7 +49,7 @@ let courseStructure = {
 };
 
 // Function to process PDF and add to vector store
-async function processPDFForVectorDB(pdfBuffer, documentType = 'catalog', forceReprocess = false) {
+async function processPDFForVectorDB(pdfBuffer, documentType = 'catalog', forceReprocess = false, sourceFile = null) {
   try {
     // Don't reprocess if already complete (unless forced, e.g. during multi-document init)
     if (!forceReprocess && embeddingsGenerationComplete && !embeddingsGenerationError) {
@@ -58,7 +68,7 @@ async function processPDFForVectorDB(pdfBuffer, documentType = 'catalog', forceR
     // Extract text from PDF to get total chunks for progress calculation
     const pdfData = await pdfParse(Buffer.from(pdfBuffer));
     const text = pdfData.text;
-    const chunks = PDFService.splitTextIntoChunks(text);
+    const chunks = PDFService.chunkDocument(text);
     const totalChunks = chunks.length;
     
     console.log(`Starting embeddings generation for ${totalChunks} ${documentType} chunks...`);
@@ -68,8 +78,8 @@ async function processPDFForVectorDB(pdfBuffer, documentType = 'catalog', forceR
     const originalAddVectors = VectorSearchService.addVectors.bind(VectorSearchService);
     
     // Override addVectors to track progress
-    VectorSearchService.addVectors = async (vectors) => {
-      const result = await originalAddVectors(vectors);
+    VectorSearchService.addVectors = async (vectors, type) => {
+      const result = await originalAddVectors(vectors, type);
       processedChunks += vectors.length;
       embeddingsGenerationProgress = Math.min(Math.round((processedChunks / totalChunks) * 100), 100);
       console.log(`Embeddings generation progress: ${embeddingsGenerationProgress}% (${processedChunks}/${totalChunks} chunks)`);
@@ -78,7 +88,7 @@ async function processPDFForVectorDB(pdfBuffer, documentType = 'catalog', forceR
     
     try {
       // Use PDFService to process the PDF
-      const success = await PDFService.processPDFForVectorDB(pdfBuffer, documentType);
+      const success = await PDFService.processPDFForVectorDB(pdfBuffer, documentType, sourceFile);
       
       // Update flags based on result
       embeddingsGenerationComplete = true;
@@ -142,6 +152,14 @@ app.use(express.static(path.join(__dirname, '..', 'build')));
 const adminRoutes = require('./routes/admin');
 app.use('/api/admin', adminRoutes);
 
+// Structured course catalog routes
+const courseRoutes = require('./routes/courses');
+app.use('/api/courses', courseRoutes);
+
+// Four-year plan routes
+const planRoutes = require('./routes/plans');
+app.use('/api/plans', planRoutes);
+
 // === DOCUMENT UPLOAD ENDPOINT (PDF, images, any document) ===
 const multerUpload = require('multer');
 const Tesseract = require('tesseract.js');
@@ -208,34 +226,28 @@ function detectDocumentType(text) {
   return { type: 'document', label: 'Uploaded Document', confidence: 'low' };
 }
 
-// Helper: extract text from an image using Claude Vision API (much better than Tesseract for documents)
+// Helper: extract text from an image with a vision model (the LLM 'ocr' task; much better than Tesseract for documents)
 async function extractTextFromImage(imageBuffer, mimetype) {
-  const openRouterApiKey = process.env.REACT_APP_OPENROUTER_API_KEY;
-  
-  if (openRouterApiKey) {
+  if (LLMService.isConfigured()) {
     // Use Claude Vision for high-quality OCR
     console.log('Using Claude Vision API for document text extraction...');
     try {
       const base64Image = imageBuffer.toString('base64');
       const mediaType = mimetype || 'image/jpeg';
       
-      const response = await axios.post(
-        'https://openrouter.ai/api/v1/chat/completions',
+      const response = await LLMService.complete('ocr', [
         {
-          model: 'anthropic/claude-sonnet-4',
-          messages: [
+          role: 'user',
+          content: [
+            {
+              type: 'image_url',
+              image_url: {
+                url: `data:${mediaType};base64,${base64Image}`,
+              },
+            },
             {
-              role: 'user',
-              content: [
-                {
-                  type: 'image_url',
-                  image_url: {
-                    url: `data:${mediaType};base64,${base64Image}`,
-                  },
-                },
-                {
-                  type: 'text',
-                  text: `Please extract ALL text from this document image exactly as it appears. This is likely an academic document (transcript, report card, schedule, or similar). 
+              type: 'text',
+              text: `Please extract ALL text from this document image exactly as it appears. This is likely an academic document (transcript, report card, schedule, or similar). 
 
 IMPORTANT: 
 - Transcribe every piece of text you can see, including headers, labels, dates, grades, course names, credits, GPA, etc.
@@ -246,24 +258,12 @@ IMPORTANT:
 - If text is partially visible or unclear, include your best reading with [unclear] notation
 
 Output ONLY the extracted text, no commentary.`
-                },
-              ],
             },
           ],
-          max_tokens: 4000,
         },
-        {
-          headers: {
-            'Content-Type': 'application/json',
-            'Authorization': `Bearer ${openRouterApiKey}`,
-            'HTTP-Referer': 'https://del-norte-course-selector.vercel.app',
-            'X-Title': 'Del Norte Course Selector - Document OCR',
-          },
-          timeout: 60000,
-        }
-      );
+      ]);
 
-      const extractedText = response.data.choices?.[0]?.message?.content || '';
+      const extractedText = response.content;
       console.log(`Claude Vision extracted ${extractedText.length} characters`);
       
       if (extractedText.length > 20) {
@@ -293,6 +293,11 @@ app.post('/api/document/upload', documentUpload.single('document'), async (req,
       return res.status(400).json({ error: 'No file uploaded' });
     }
 
+    const sessionId = req.body.sessionId || null;
+    if (sessionId && !ConversationService.isValidSessionId(sessionId)) {
+      return res.status(400).json({ error: 'Invalid sessionId' });
+    }
+
     const { originalname, mimetype, size, buffer } = req.file;
     console.log(`Document uploaded: ${originalname} (${(size / 1024).toFixed(1)} KB, type: ${mimetype})`);
 
@@ -345,6 +350,12 @@ app.post('/api/document/upload', documentUpload.single('document'), async (req,
     console.log(`Document type detected: ${docType.label} (confidence: ${docType.confidence})`);
     console.log(`Text extracted via ${extractionMethod}: ${extractedText.length} characters`);
 
+    // Attach the document to the chat session, whose answers are then written with it
+    if (sessionId) {
+      await DatabaseService.setSessionDocument(sessionId, { filename: originalname, type: docType, text: extractedText });
+      console.log(`Attached ${originalname} to session ${sessionId}`);
+    }
+
     res.json({
       success: true,
       text: extractedText,
@@ -386,21 +397,42 @@ app.post('/api/transcript/upload', documentUpload.single('transcript'), async (r
 });
 
 // === AGENTIC DOCUMENT ANALYSIS ENDPOINT ===
+// Body: { text, filename } or { sessionId } to analyze the document uploaded to a chat session,
+// whose answers then use the analysis summary instead of the raw text
 app.post('/api/document/analyze', async (req, res) => {
   try {
-    const { text, filename } = req.body;
+    const { sessionId } = req.body;
+    let { text, filename } = req.body;
+    if (sessionId) {
+      const session = await DatabaseService.getSession(sessionId);
+      if (!session || !session.document_text) {
+        return res.status(404).json({ error: 'No document uploaded to this session' });
+      }
+      text = session.document_text;
+      filename = session.document_filename;
+    }
     if (!text) {
       return res.status(400).json({ error: 'No text provided for analysis' });
     }
 
     console.log(`Starting agentic analysis for: ${filename || 'unknown document'}`);
     const analysis = await TranscriptAnalysisService.analyzeDocument(text, filename);
+    if (sessionId && analysis.summary) {
+      // The chat builds four-year plans for this student from the same history
+      await DatabaseService.setSessionDocumentSummary(sessionId, analysis.summary, {
+        gradeLevel: analysis.student?.gradeLevel || null,
+        courses: analysis.courses,
+        strongSubjects: (analysis.courseAnalysis.strongSubjects || []).map(s => s.subject),
+      });
+    }
 
     res.json({
       success: true,
       analysis: {
         student: analysis.student,
         courses: analysis.courses,
+        courseMatches: analysis.courseMatches,
+        gpa: analysis.gpa,
         gapAnalysis: analysis.gapAnalysis,
         courseAnalysis: {
           completedCount: analysis.courseAnalysis.completedCount,
@@ -408,6 +440,8 @@ app.post('/api/document/analyze', async (req, res) => {
           apCount: analysis.courseAnalysis.apCount,
           honorsCount: analysis.courseAnalysis.honorsCount,
           totalCredits: analysis.courseAnalysis.totalCredits,
+          completedCodes: analysis.courseAnalysis.completedCodes,
+          inProgressCodes: analysis.courseAnalysis.inProgressCodes,
           strongSubjects: analysis.courseAnalysis.strongSubjects,
           weakSubjects: analysis.courseAnalysis.weakSubjects,
         },
@@ -421,6 +455,44 @@ app.post('/api/document/analyze', async (req, res) => {
   }
 });
 
+// === WHAT-IF PROJECTION ENDPOINT ===
+// Body: { analysis (from /api/document/analyze), plannedCourses: [{ code or name, expectedGrade, gradeLevel?, year?, semester? }] }
+app.post('/api/document/project', async (req, res) => {
+  try {
+    const { analysis, plannedCourses } = req.body;
+    if (!analysis || !Array.isArray(analysis.courses)) {
+      return res.status(400).json({ error: 'analysis with a courses array is required (use the /api/document/analyze output)' });
+    }
+    // Credits, GPAs and gaps are recomputed from these courses, so each must look like a line of the analyze output
+    const hasBadLine = analysis.courses.some(c => !c || typeof c !== 'object'
+      || typeof c.name !== 'string' || !c.name.trim()
+      || [c.grade, c.code, c.year, c.semester, c.status, c.subject].some(value => value != null && typeof value !== 'string')
+      || (c.credits != null && typeof c.credits !== 'number'));
+    if (hasBadLine) {
+      return res.status(400).json({ error: 'Each analysis course needs a name; grade, code, year, semester, status and subject must be strings and credits a number' });
+    }
+    if (!Array.isArray(plannedCourses) || plannedCourses.length === 0) {
+      return res.status(400).json({ error: 'plannedCourses must be a non-empty array' });
+    }
+    const hasBadCourse = plannedCourses.some(c => !c || (!c.code && !c.name)
+      || [c.code, c.name].some(value => value != null && typeof value !== 'string')
+      || typeof c.expectedGrade !== 'string' || !GpaService.letter(c.expectedGrade));
+    if (hasBadCourse) {
+      return res.status(400).json({ error: 'Each planned course needs a code or name and an expectedGrade from A to F' });
+    }
+    const badGrade = plannedCourses.find(c => c.gradeLevel !== undefined && (!Number.isInteger(c.gradeLevel) || c.gradeLevel < 9 || c.gradeLevel > 12));
+    if (badGrade) {
+      return res.status(400).json({ error: 'gradeLevel must be between 9 and 12' });
+    }
+
+    const projection = await TranscriptAnalysisService.projectAnalysis(analysis, plannedCourses);
+    res.json({ success: true, projection });
+  } catch (error) {
+    console.error('Error projecting analysis:', error);
+    res.status(500).json({ error: 'Failed to project analysis', details: error.message });
+  }
+});
+
 // === ANALYTICS TRACKING ENDPOINTS ===
 
 // Track an analytics event (account creation, login, question, etc.)
@@ -484,6 +556,32 @@ app.post('/api/analytics/session/end', async (req, res) => {
 });
 
 
+// Link to a source document for citations: files in references/ and the uploaded catalog are
+// served by /api/documents; null when the excerpt has no known file
+function documentUrl(sourceFile) {
+  return sourceFile ? `/api/documents/${encodeURIComponent(sourceFile)}` : null;
+}
+
+// Source document endpoint, for citation links. Only serves PDFs from references/ and the
+// uploaded catalog, by file name
+app.get('/api/documents/:file', (req, res) => {
+  const file = path.basename(req.params.file);
+  const candidates = file === 'current-catalog.pdf'
+    ? [path.join(__dirname, '..', 'current-catalog.pdf')]
+    : [path.join(__dirname, '..', 'references', file)];
+  const documentPath = file.toLowerCase().endsWith('.pdf') ? candidates.find(p => fs.existsSync(p)) : null;
+  if (!documentPath) {
+    return res.status(404).json({ error: 'Document not found' });
+  }
+
+  res.sendFile(documentPath, error => {
+    if (error && !res.headersSent) {
+      console.error('Error serving document:', error.message);
+      res.status(500).json({ error: 'Failed to serve document' });
+    }
+  });
+});
+
 // PDF proxy endpoint
 app.get('/api/pdf', async (req, res) => {
   try {
@@ -559,447 +657,594 @@ app.post('/api/pdf/content', (req, res) => {
   }
 });
 
-// Helper function to safely create regex patterns
-function createSearchPatterns(query) {
-  const patterns = [];
-  
-  // Helper function to safely create a regex pattern
-  const safeRegex = (pattern) => {
-    try {
-      // Escape special regex characters
-      const escaped = pattern.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
-      return new RegExp(escaped, 'i');
-    } catch (error) {
-      console.warn('Invalid regex pattern:', pattern);
-      return null;
-    }
-  };
-
-  // Add patterns for academic planning
-  if (query.match(/plan|schedule|pathway/i)) {
-    patterns.push(
-      safeRegex('year'),
-      safeRegex('grade'),
-      safeRegex('prerequisite'),
-      safeRegex('requirement'),
-      safeRegex('recommended'),
-      safeRegex('pathway')
-    );
-  }
-
-  // Add patterns for specific subjects
-  if (query.match(/math|calculus|algebra|geometry/i)) {
-    patterns.push(
-      safeRegex('math'),
-      safeRegex('mathematics'),
-      safeRegex('algebra'),
-      safeRegex('geometry'),
-      safeRegex('calculus'),
-      safeRegex('integrated'),
-      safeRegex('prerequisite')
-    );
-  }
-
-  if (query.match(/science|physics|chemistry|biology/i)) {
-    patterns.push(
-      safeRegex('science'),
-      safeRegex('physics'),
-      safeRegex('chemistry'),
-      safeRegex('biology'),
-      safeRegex('laboratory')
-    );
-  }
-
-  if (query.match(/engineering|technology/i)) {
-    patterns.push(
-      safeRegex('engineering'),
-      safeRegex('technology'),
-      safeRegex('design'),
-      safeRegex('robotics'),
-      safeRegex('computer')
-    );
-  }
-
-  // Add common academic terms
-  patterns.push(
-    safeRegex('course'),
-    safeRegex('class'),
-    safeRegex('credit'),
-    safeRegex('prerequisite'),
-    safeRegex('requirement'),
-    safeRegex('advanced placement'),
-    safeRegex('honors')
-  );
-
-  // Add individual word patterns for words longer than 3 characters
-  const words = query.toLowerCase()
-    .split(/\s+/)
-    .filter(word => word.length > 3)
-    .map(word => safeRegex(word));
-
-  return [...patterns, ...words].filter(Boolean); // Remove any null patterns
-}
-
-// Helper function to score paragraph relevance
-function scoreParagraph(paragraph, patterns, query) {
-  let score = 0;
-  const lowerParagraph = paragraph.toLowerCase();
-  const queryWords = query.toLowerCase().split(/\s+/);
-
-  // Score based on regex patterns
-  patterns.forEach(pattern => {
-    const matches = paragraph.match(pattern);
-    if (matches) {
-      score += matches.length * 2;  // Give more weight to pattern matches
-    }
-  });
-
-  // Score based on query word proximity
-  queryWords.forEach((word, i) => {
-    if (word.length > 3 && lowerParagraph.includes(word)) {
-      score += 1;
-      // Check if next word also appears nearby (within 50 chars)
-      if (i < queryWords.length - 1) {
-        const nextWord = queryWords[i + 1];
-        const wordIndex = lowerParagraph.indexOf(word);
-        const nextWordIndex = lowerParagraph.indexOf(nextWord);
-        if (nextWordIndex !== -1 && Math.abs(nextWordIndex - wordIndex) < 50) {
-          score += 2;  // Bonus for words appearing close together
-        }
-      }
-    }
-  });
-
-  // Bonus points for paragraphs containing course codes
-  if (paragraph.match(/\(\d{6}\)/)) {
-    score += 3;
-  }
-
-  return score;
-}
-
-// Search PDF content endpoint
+// Search PDF content endpoint (BM25 keyword index over every loaded document)
+// Query params: query (required; "quoted phrases" must match), source (one document), limit (default 15)
 app.get('/api/pdf/search', (req, res) => {
-  const { query } = req.query;
+  const { query, source } = req.query;
   if (!query) {
     return res.status(400).json({ error: 'No search query provided' });
   }
   
-  const pdfContent = PDFService.getPDFContent();
-  if (!pdfContent) {
+  if (!SearchService.isIndexed()) {
     return res.status(404).json({ error: 'PDF content not loaded' });
   }
 
+  const limit = req.query.limit ? parseInt(req.query.limit, 10) : 15;
+  if (Number.isNaN(limit) || limit < 1 || limit > 100) {
+    return res.status(400).json({ error: 'limit must be between 1 and 100' });
+  }
+
   try {
-    const relevantParagraphs = SearchService.search(pdfContent, query);
-    console.log(`Found ${relevantParagraphs.length} relevant paragraphs for query: ${query}`);
-    res.json({ results: relevantParagraphs });
+    const results = SearchService.search(query, { topK: limit, source: source || null });
+    console.log(`Found ${results.length} relevant passages for query: ${query}`);
+    res.json({ results, documents: SearchService.getStats().documents });
   } catch (error) {
     console.error('Error searching PDF content:', error);
     res.status(500).json({ error: 'Failed to search PDF content' });
   }
 });
 
-// Claude API proxy endpoint
-app.post('/api/chat', async (req, res) => {
-  try {
-    const openRouterApiKey = process.env.REACT_APP_OPENROUTER_API_KEY;
-    if (!openRouterApiKey) {
-      throw new Error('No API key configured for OpenRouter');
-    }
-
-    // Get conversation history from the request
-    let conversationHistory = req.body.messages || [];
-    
-    // Define maximum allowed messages to prevent excessively large requests
-    const MAX_ALLOWED_MESSAGES = 20;
-    
-    // Trim conversation history if it exceeds the maximum length
-    if (conversationHistory.length > MAX_ALLOWED_MESSAGES) {
-      // Keep the first two messages (often contain important context)
-      const firstMessages = conversationHistory.slice(0, 2);
-      // Keep the most recent messages
-      const recentMessages = conversationHistory.slice(-(MAX_ALLOWED_MESSAGES - 2));
-      // Combine them to form the new history
-      conversationHistory = [...firstMessages, ...recentMessages];
-      console.log(`Trimmed conversation history from ${req.body.messages.length} to ${conversationHistory.length} messages`);
-    }
-    
-    // Get the latest user query (the last user message in the conversation)
-    const userMessages = conversationHistory.filter(msg => msg.role === 'user');
-    const userQuery = userMessages.length > 0 ? userMessages[userMessages.length - 1].content : '';
-    
-    if (!userQuery) {
-      throw new Error('No user query found in the conversation history');
-    }
-    
-    // Get relevant info from the request or search for it
-    let relevantInfo = req.body.relevantInfo || '';
-    
-    // If no relevant info was provided, search for it
-    if (!relevantInfo) {
-      // Search ALL vectors for relevant content (retrieve from all documents)
-      const vectorResults = await VectorSearchService.search(userQuery, 5);
-      console.log(`Found ${vectorResults.length} results from vector search`);
-      
-      // Combine vector search results
-      relevantInfo = vectorResults.join('\n\n');
-      
-      // If vector search didn't return results, fall back to traditional search
-      if (!relevantInfo) {
-        console.log('Falling back to traditional search...');
-        const pdfContent = PDFService.getPDFContent();
-        
-        if (pdfContent) {
-          const relevantParagraphs = SearchService.search(pdfContent, userQuery);
-          relevantInfo = relevantParagraphs.join('\n\n');
-          
-          // Add structured course information for relevant categories
-          const courseStructure = PDFService.getCourseStructure();
-          if (userQuery.toLowerCase().includes('plan') || userQuery.toLowerCase().includes('pathway')) {
-            relevantInfo += '\n\nAvailable courses by category:\n';
-            if (courseStructure.math.length > 0) {
-              relevantInfo += '\nMathematics:\n' + courseStructure.math.join('\n');
-            }
-            if (courseStructure.science.length > 0) {
-              relevantInfo += '\nScience:\n' + courseStructure.science.join('\n');
-            }
-            if (courseStructure.engineering.length > 0) {
-              relevantInfo += '\nEngineering & Technology:\n' + courseStructure.engineering.join('\n');
-            }
-          }
-          
-          if (!relevantInfo) {
-            relevantInfo = "I couldn't find any specific information about that in the course catalog.";
-          }
-        }
-      }
+// Room kept in the prompt budget for the correction prompt of GROUNDING_MODE=regenerate, which
+// lists the unsupported claims of the first answer
+const CORRECTION_PROMPT_TOKENS = 300;
+
+// Build the chat prompt for a question: retrieve excerpts for it and put them and the student's
+// document into the system message, followed by the session's summary and history (see
+// ConversationService). With `regenerate`, the budget keeps room for resending the prompt with
+// the answer and a correction prompt after it. Shared by /api/chat and /api/chat/stream
+async function buildChatPrompt(body, { summary, history, document }, { regenerate = false } = {}) {
+  const userQuery = body.message;
+  const conversationHistory = [...history, { role: 'user', content: userQuery }];
+  
+  let rewrite = null;
+  
+  // Search with the latest turn rewritten as a standalone question (follow-ups like
+  // "what about the honors version?") and course shorthand expanded
+  rewrite = await QueryRewriteService.rewrite(conversationHistory, {
+    condense: body.rewriteQuery !== false,
+    expand: body.expandQuery !== false,
+  });
+  const retrievalQuery = rewrite.query || userQuery;
+
+  // Vector and keyword search, fused into one ranked list and reranked when a reranker is
+  // configured; narrowed to one document when the question clearly targets it, widened
+  // again if that finds nothing
+  const weights = body.retrievalWeights || {};
+  const rerank = body.rerank !== false;
+  const filters = HybridRetrievalService.inferFilters(retrievalQuery);
+  let results = await HybridRetrievalService.retrieve(retrievalQuery, { weights, filters, rerank });
+  if (filters && results.length === 0) {
+    console.log(`No results within ${JSON.stringify(filters)}; searching all documents`);
+    results = await HybridRetrievalService.retrieve(retrievalQuery, { weights, rerank });
+  }
+  console.log(`Found ${results.length} results from hybrid retrieval`);
+  const excerpts = HybridRetrievalService.formatExcerpts(results);
+  const allCitations = HybridRetrievalService.citationsFor(results).map(citation => ({ ...citation, url: documentUrl(citation.sourceFile) }));
+  
+  // Add structured course information for relevant categories
+  const courseStructure = PDFService.getCourseStructure();
+  const isPlanningQuestion = userQuery.toLowerCase().includes('plan') || userQuery.toLowerCase().includes('pathway');
+  let courseList = '';
+  if (isPlanningQuestion) {
+    courseList += 'Available courses by category:\n';
+    if (courseStructure.math.length > 0) {
+      courseList += '\nMathematics:\n' + courseStructure.math.join('\n');
     }
-    
-    // Always prepend a document inventory so the AI knows what sources are loaded
-    const vectorCount = VectorSearchService.getVectorCount();
-    const loadedDocuments = [];
-    
-    // Check which documents are loaded by scanning vectors
-    const allVectors = VectorSearchService.getAllVectorTexts ? VectorSearchService.getAllVectorTexts() : [];
-    
-    // Build document inventory from what was loaded at startup
-    const referencesDir = path.join(__dirname, '..', 'references');
-    if (fs.existsSync(referencesDir)) {
-      const refFiles = fs.readdirSync(referencesDir).filter(f => f.toLowerCase().endsWith('.pdf'));
-      refFiles.forEach(f => loadedDocuments.push(f.replace('.pdf', '').replace(/_/g, ' ')));
+    if (courseStructure.science.length > 0) {
+      courseList += '\nScience:\n' + courseStructure.science.join('\n');
     }
-    const catalogPath = path.join(__dirname, '..', 'current-catalog.pdf');
-    if (fs.existsSync(catalogPath)) {
-      loadedDocuments.unshift('Course Catalog (current-catalog.pdf)');
+    if (courseStructure.engineering.length > 0) {
+      courseList += '\nEngineering & Technology:\n' + courseStructure.engineering.join('\n');
     }
-    
-    const documentInventory = `
+  }
+  
+  // Always prepend a document inventory so the AI knows what sources are loaded
+  const vectorCount = VectorSearchService.getVectorCount();
+  const loadedDocuments = [];
+  
+  // Check which documents are loaded by scanning vectors
+  const allVectors = VectorSearchService.getAllVectorTexts ? VectorSearchService.getAllVectorTexts() : [];
+  
+  // Build document inventory from what was loaded at startup
+  const referencesDir = path.join(__dirname, '..', 'references');
+  if (fs.existsSync(referencesDir)) {
+    const refFiles = fs.readdirSync(referencesDir).filter(f => f.toLowerCase().endsWith('.pdf'));
+    refFiles.forEach(f => loadedDocuments.push(f.replace('.pdf', '').replace(/_/g, ' ')));
+  }
+  const catalogPath = path.join(__dirname, '..', 'current-catalog.pdf');
+  if (fs.existsSync(catalogPath)) {
+    loadedDocuments.unshift('Course Catalog (current-catalog.pdf)');
+  }
+  
+  const documentInventory = `
 === LOADED SOURCE DOCUMENTS ===
 The following documents have been loaded and vectorized for reference (${vectorCount} total vectors):
 ${loadedDocuments.map((d, i) => `${i + 1}. ${d}`).join('\n')}
 
 All of these documents are available and searchable. The specific excerpts shown below were retrieved as most relevant to the current query, but you have knowledge from ALL loaded documents.
 `;
-    
-    relevantInfo = documentInventory + '\n' + relevantInfo;
-
-    // Include student uploaded document if provided (transcript, report card, schedule, etc.)
-    const transcriptText = req.body.transcriptText || '';
-    const transcriptFilename = req.body.transcriptFilename || '';
-    let transcriptSection = '';
-    if (transcriptText) {
-      transcriptSection = `
-        === STUDENT'S UPLOADED DOCUMENT ===
-        The student has uploaded a personal document: "${transcriptFilename || 'document'}".
-        This may be a transcript, report card, class schedule, test scores, or other academic document.
-        
-        *** CRITICAL INSTRUCTIONS FOR USING THIS DOCUMENT ***
-        
-        STEP 1 - IDENTIFY COMPLETED COURSES:
-        - Carefully read the document and create a mental list of EVERY course the student has ALREADY taken or is CURRENTLY enrolled in
-        - Note the grades received and credits earned for each course
-        - Note the student's current grade level
-        
-        STEP 2 - NEVER RECOMMEND ALREADY-TAKEN COURSES:
-        - Do NOT recommend any course that appears on the student's transcript or document
-        - Do NOT recommend any course the student has already completed or is currently taking
-        - This is critical: if a student took "English 1" already, do NOT suggest "English 1" again
-        - If a student completed "Algebra 1", recommend "Geometry" or the next course in sequence, NOT "Algebra 1"
-        
-        STEP 3 - RECOMMEND NEXT-LEVEL COURSES:
-        - Only recommend courses that are the NEXT logical step based on completed prerequisites
-        - Follow prerequisite chains: if they finished Course A, recommend Course B (the next in sequence)
-        - Consider the student's grade level when recommending (don't suggest freshman courses to a junior)
-        - Match difficulty level to the student's demonstrated performance (strong grades = suggest honors/AP)
-        
-        STEP 4 - CHECK GRADUATION GAPS:
-        - Compare completed courses against graduation requirements
-        - Identify any missing required courses the student still needs
-        - Prioritize recommending courses that fill graduation requirement gaps
-        
-        STEP 5 - PERSONALIZE:
-        - Look at which subjects the student excels in (high grades) and suggest advanced courses in those areas
-        - If grades are lower in certain areas, suggest appropriate-level courses (not remedial unless needed)
-        - Consider UC/CSU A-G requirements if the student appears college-bound
-        
-        DOCUMENT CONTENT:
-        ${transcriptText.substring(0, 8000)}
-        ${transcriptText.length > 8000 ? '\n[... document truncated for context limits ...]' : ''}
-      `;
+  
+  // Include the document the student uploaded to this session (transcript, report card, schedule, etc.)
+  const transcriptFilename = document ? document.filename : '';
+  const transcriptSectionFor = (transcriptText) => `
+      === STUDENT'S UPLOADED DOCUMENT ===
+      The student has uploaded a personal document: "${transcriptFilename || 'document'}".
+      This may be a transcript, report card, class schedule, test scores, or other academic document.
+      
+      *** CRITICAL INSTRUCTIONS FOR USING THIS DOCUMENT ***
+      
+      STEP 1 - IDENTIFY COMPLETED COURSES:
+      - Carefully read the document and create a mental list of EVERY course the student has ALREADY taken or is CURRENTLY enrolled in
+      - Note the grades received and credits earned for each course
+      - Note the student's current grade level
+      - If the document has a COMPUTED GPA section, quote those GPA values; do not repeat a GPA printed on the transcript without checking it against them
+      
+      STEP 2 - NEVER RECOMMEND ALREADY-TAKEN COURSES:
+      - Do NOT recommend any course that appears on the student's transcript or document
+      - Do NOT recommend any course the student has already completed or is currently taking
+      - This is critical: if a student took "English 1" already, do NOT suggest "English 1" again
+      - If a student completed "Algebra 1", recommend "Geometry" or the next course in sequence, NOT "Algebra 1"
+      
+      STEP 3 - RECOMMEND NEXT-LEVEL COURSES:
+      - Only recommend courses that are the NEXT logical step based on completed prerequisites
+      - Follow prerequisite chains: if they finished Course A, recommend Course B (the next in sequence)
+      - Consider the student's grade level when recommending (don't suggest freshman courses to a junior)
+      - Match difficulty level to the student's demonstrated performance (strong grades = suggest honors/AP)
+      
+      STEP 4 - CHECK GRADUATION GAPS:
+      - Compare completed courses against graduation requirements
+      - Identify any missing required courses the student still needs
+      - Prioritize recommending courses that fill graduation requirement gaps
+      
+      STEP 5 - PERSONALIZE:
+      - Look at which subjects the student excels in (high grades) and suggest advanced courses in those areas
+      - If grades are lower in certain areas, suggest appropriate-level courses (not remedial unless needed)
+      - Consider UC/CSU A-G requirements if the student appears college-bound
+      
+      DOCUMENT CONTENT:
+      ${transcriptText}
+    `;
+
+  // Build a plan from the analyzed document with the course planner, so the model narrates
+  // it rather than inventing one. Without an analysis there is no history to plan from
+  let planSection = '';
+  if (isPlanningQuestion && document && document.student) {
+    try {
+      const plan = await PlannerService.generatePlan({
+        completedCourses: document.student.courses || [],
+        gradeLevel: document.student.gradeLevel,
+        strongSubjects: document.student.strongSubjects || [],
+      });
+      planSection = PlannerService.formatPlanForPrompt(plan);
+    } catch (error) {
+      console.error('Error generating plan for chat:', error);
     }
+  }
 
-    // Prepare the system message with instructions and relevant info
-    const systemMessage = {
-      role: 'system',
-      content: `
-        You are a helpful course recommendation and student guidance assistant for Del Norte High School. You have access to the Course Catalog, the Student Handbook, and the Graduation Requirements document to provide comprehensive information about courses, school policies, graduation requirements, and student life.
+  // The system message with instructions and relevant info
+  const systemPromptFor = (relevantInfo, transcriptSection) => `
+      You are a helpful course recommendation and student guidance assistant for Del Norte High School. You have access to the Course Catalog, the Student Handbook, and the Graduation Requirements document to provide comprehensive information about courses, school policies, graduation requirements, and student life.
 
-        === CRITICAL RULES — ANTI-HALLUCINATION GUARDRAILS ===
-        
-        1. **ONLY use information from the "Available Reference Information" section below.** Do NOT invent, fabricate, or assume any course names, course codes, prerequisites, policies, requirements, or other details that are not explicitly stated in the reference information.
-        
-        2. **If the reference information does not contain enough detail to answer a question, say so explicitly.** For example: "Based on the documents I have access to, I don't have specific information about [topic]. I recommend checking with your school counselor or visiting the Del Norte High School website for the most up-to-date details."
-        
-        3. **Never invent course codes.** Only mention course codes (e.g., 123456) if they appear verbatim in the reference information. If you're unsure of a course code, omit it rather than guess.
-        
-        4. **Never fabricate graduation requirements, credit counts, or GPA thresholds.** Only state requirements that are explicitly listed in the reference documents.
-        
-        5. **Cite your source when possible.** When providing information, indicate whether it comes from the Course Catalog, Student Handbook, or Graduation Requirements document.
-        
-        6. **When you are uncertain or the documents are ambiguous, clearly communicate that uncertainty** rather than presenting uncertain information as fact.
-
-        === RESPONSE GUIDELINES ===
-
-        When responding to queries:
-
-        1. Determine the query type:
-           - Course-specific questions: Provide detailed information from the Course Catalog
-           - Policy/procedure questions: Reference the Student Handbook for rules, policies, and procedures
-           - Graduation requirements: Use the Graduation Requirements document and handbook to explain requirements and course options
-           - 4-year planning: Combine catalog course information with graduation requirements
-           - School life/activities: Reference the Student Handbook for clubs, sports, and student activities
-
-        2. For course-specific questions:
-           - Only provide information about courses that appear in the reference information
-           - Include course codes, prerequisites, grade eligibility, and UC/CSU requirement fulfillment ONLY if explicitly stated in the documents
-           - If a course is not found in the reference information, say so clearly
-
-        3. For policy and procedure questions:
-           - Reference the Student Handbook for attendance policies, grading, discipline, etc.
-           - Only state policies that are explicitly mentioned in the documents
-           - Include relevant section references when available
-
-        4. For 4-year plan requests (only when explicitly asked):
-           - Organize recommendations by grade level (9-12) with clear headings for each year
-           - ONLY suggest courses that exist in the Course Catalog reference information
-           - Carefully follow prerequisite requirements mentioned in the catalog
-           - Ensure graduation requirements from the documents are met
-           - Balance course load difficulty appropriately for each grade level
-           - Consider UC/CSU A-G requirements if college-bound, but only cite specific A-G categories if stated in the documents
-
-        5. When recommending courses:
-           - ONLY recommend courses that are explicitly listed in the reference information
-           - Present each recommended course with details FROM the catalog — do not embellish
-           - If the student asks about a course or topic not covered in the documents, clearly state that and suggest they consult a counselor
-           - Present course codes ONLY if they appear in the reference text
-
-        6. Be conversational and helpful:
-           - Ask follow-up questions when necessary to better understand the student's specific needs
-           - Help students understand how courses fit into their overall academic journey
-           - Always err on the side of transparency — "I don't see that in the documents" is better than a guess
-
-        === AVAILABLE REFERENCE INFORMATION ===
-        ${relevantInfo}
-        ${transcriptSection}
-        === REMINDERS ===
-        - Maintain context from the conversation history
-        - Reference previous questions and answers when appropriate to provide continuity
-        - Always indicate the source document (Course Catalog, Student Handbook, or Graduation Requirements) when citing specific information
-        - If the reference information above is empty or says "I couldn't find any specific information," tell the user you don't have enough information to answer accurately and suggest they consult a counselor
-        - NEVER make up information. When in doubt, say you're not sure and recommend verifying with school staff.
-      `
-    };
+      === CRITICAL RULES — ANTI-HALLUCINATION GUARDRAILS ===
+      
+      1. **ONLY use information from the "Available Reference Information" section below.** Do NOT invent, fabricate, or assume any course names, course codes, prerequisites, policies, requirements, or other details that are not explicitly stated in the reference information.
+      
+      2. **If the reference information does not contain enough detail to answer a question, say so explicitly.** For example: "Based on the documents I have access to, I don't have specific information about [topic]. I recommend checking with your school counselor or visiting the Del Norte High School website for the most up-to-date details."
+      
+      3. **Never invent course codes.** Only mention course codes (e.g., 123456) if they appear verbatim in the reference information. If you're unsure of a course code, omit it rather than guess.
+      
+      4. **Never fabricate graduation requirements, credit counts, or GPA thresholds.** Only state requirements that are explicitly listed in the reference documents.
+      
+      5. **Cite your sources.** Each excerpt in the reference information starts with a citation ID in square brackets, such as [S1]. Put the ID of the excerpt that supports a statement right after it, e.g. "Chemistry requires Algebra 1 [S2]." Cite several excerpts as [S1, S3]. Only use IDs that appear in the reference information; never invent one.
+      
+      6. **When you are uncertain or the documents are ambiguous, clearly communicate that uncertainty** rather than presenting uncertain information as fact.
+
+      === RESPONSE GUIDELINES ===
+
+      When responding to queries:
+
+      1. Determine the query type:
+         - Course-specific questions: Provide detailed information from the Course Catalog
+         - Policy/procedure questions: Reference the Student Handbook for rules, policies, and procedures
+         - Graduation requirements: Use the Graduation Requirements document and handbook to explain requirements and course options
+         - 4-year planning: Combine catalog course information with graduation requirements
+         - School life/activities: Reference the Student Handbook for clubs, sports, and student activities
+
+      2. For course-specific questions:
+         - Only provide information about courses that appear in the reference information
+         - Include course codes, prerequisites, grade eligibility, and UC/CSU requirement fulfillment ONLY if explicitly stated in the documents
+         - If a course is not found in the reference information, say so clearly
+
+      3. For policy and procedure questions:
+         - Reference the Student Handbook for attendance policies, grading, discipline, etc.
+         - Only state policies that are explicitly mentioned in the documents
+         - Include relevant section references when available
+
+      4. For 4-year plan requests (only when explicitly asked):
+         - If a GENERATED FOUR-YEAR PLAN section is included below, present that plan exactly as given and explain it; do not build your own
+         - Organize recommendations by grade level (9-12) with clear headings for each year
+         - ONLY suggest courses that exist in the Course Catalog reference information
+         - Carefully follow prerequisite requirements mentioned in the catalog
+         - Ensure graduation requirements from the documents are met
+         - Balance course load difficulty appropriately for each grade level
+         - Consider UC/CSU A-G requirements if college-bound, but only cite specific A-G categories if stated in the documents
+
+      5. When recommending courses:
+         - ONLY recommend courses that are explicitly listed in the reference information
+         - Present each recommended course with details FROM the catalog — do not embellish
+         - If the student asks about a course or topic not covered in the documents, clearly state that and suggest they consult a counselor
+         - Present course codes ONLY if they appear in the reference text
+
+      6. Be conversational and helpful:
+         - Ask follow-up questions when necessary to better understand the student's specific needs
+         - Help students understand how courses fit into their overall academic journey
+         - Always err on the side of transparency — "I don't see that in the documents" is better than a guess
+
+      === AVAILABLE REFERENCE INFORMATION ===
+      ${relevantInfo}
+      ${transcriptSection}
+      ${planSection}
+      === REMINDERS ===
+      - Maintain context from the conversation history
+      - Reference previous questions and answers when appropriate to provide continuity
+      - Cite the excerpt IDs (e.g. [S1]) for specific facts you take from the reference information
+      - If the reference information above is empty or says "I couldn't find any specific information," tell the user you don't have enough information to answer accurately and suggest they consult a counselor
+      - NEVER make up information. When in doubt, say you're not sure and recommend verifying with school staff.
+    `;
+
+  // Fit the excerpts, document, summary, history and course list into the token budget of every
+  // model the chat may fall back to; the instructions (the system message without them) and the
+  // question are always sent
+  const { maxTokens } = LLMService.getTaskSettings('chat');
+  const [model, ...fallbackModels] = LLMService.getTaskModels('chat');
+  const fitted = PromptBudgetService.allocate({
+    model,
+    fallbackModels,
+    reservedForAnswer: maxTokens,
+    reservedForFollowUp: regenerate ? maxTokens + CORRECTION_PROMPT_TOKENS : 0,
+    instructions: systemPromptFor(documentInventory, document ? transcriptSectionFor('') : ''),
+    question: userQuery,
+    excerpts,
+    document: document ? document.text : null,
+    summary,
+    history,
+    courseList: courseList || null,
+  });
+  console.log(`Prompt budget: ${PromptBudgetService.describe(fitted.allocation)}`);
+
+  let relevantInfo = [fitted.excerpts.join('\n\n'), fitted.courseList].filter(Boolean).join('\n\n');
+  if (!relevantInfo) {
+    relevantInfo = "I couldn't find any specific information about that in the course catalog.";
+  }
+  relevantInfo = documentInventory + '\n' + relevantInfo;
+  // Excerpts are kept best first, so the kept ones still carry IDs S1..Sn
+  const citations = allCitations.slice(0, fitted.excerpts.length);
+  const transcriptText = fitted.document || '';
+  const transcriptSection = transcriptText ? transcriptSectionFor(transcriptText) : '';
+
+  const systemMessage = { role: 'system', content: systemPromptFor(relevantInfo, transcriptSection) };
+
+  // Older messages of a long session survive only as this summary
+  const summaryMessages = fitted.summary
+    ? [{ role: 'system', content: `Summary of the earlier conversation with this student: ${fitted.summary}` }]
+    : [];
+
+  return {
+    // The system message followed by the conversation history
+    messages: [systemMessage, ...summaryMessages, ...fitted.history, { role: 'user', content: userQuery }],
+    rewrite,
+    citations,
+    // Earlier messages left out for lack of room; the session should be summarized
+    historyDropped: fitted.allocation.history.dropped > 0,
+    // What the grounding check verifies the answer against
+    sources: [relevantInfo, transcriptText, planSection],
+    allocation: fitted.allocation,
+  };
+}
 
-    // Create a new array with the system message followed by the conversation history
-    const messages = [systemMessage, ...conversationHistory];
+// Save a question and its answer to the session. A failed save is logged rather than thrown, so
+// the student still gets the answer; the response then has no messageIds
+async function saveChatExchange(sessionId, exchange) {
+  try {
+    return await ConversationService.saveExchange(sessionId, exchange);
+  } catch (error) {
+    console.error(`Error saving chat messages to session ${sessionId}:`, error);
+    return null;
+  }
+}
 
-    console.log('Sending request to OpenRouter API with conversation history...');
-    const response = await axios.post(
-      'https://openrouter.ai/api/v1/chat/completions',
-      {
-        model: 'anthropic/claude-sonnet-4',
-        messages: messages,
-        max_tokens: 4000
-      },
-      {
-        headers: {
-          'Content-Type': 'application/json',
-          'Authorization': `Bearer ${openRouterApiKey}`,
-          'HTTP-Referer': 'https://del-norte-course-selector.vercel.app',
-          'X-Title': 'Del Norte Course Selector'
+// Claude API proxy endpoint
+// Body: { sessionId, message, rewriteQuery?, expandQuery?, retrievalWeights?, rerank?, checkGrounding? }.
+// The conversation so far and the student's document come from the session, never the request
+app.post('/api/chat', async (req, res) => {
+  const askedAt = new Date();
+  try {
+    const { sessionId, message } = req.body;
+    const invalid = ConversationService.validate(sessionId, message);
+    if (invalid) {
+      return res.status(400).json({ error: invalid });
+    }
+    if (!LLMService.isConfigured()) {
+      throw new Error('No API key configured for the LLM provider');
+    }
+
+    // GROUNDING_MODE=regenerate (default) asks for one revised answer when the grounding check
+    // below finds something unsupported
+    const groundingMode = process.env.GROUNDING_MODE || 'regenerate';
+    const checkGrounding = groundingMode !== 'off' && req.body.checkGrounding !== false;
+
+    const context = await ConversationService.getContext(sessionId);
+    const { messages, rewrite, citations, sources, historyDropped, allocation } = await buildChatPrompt(req.body, context, {
+      regenerate: checkGrounding && groundingMode === 'regenerate',
+    });
+
+    console.log('Sending chat request with conversation history...');
+    let response = await LLMService.complete('chat', messages);
+    console.log(`Received response from ${response.model}`);
+    let answer = response.content;
+
+    // Check the course codes, titles, credits and GPAs in the answer against what the model was
+    // given and the catalog. In regenerate mode one revised answer is asked for when something is
+    // unsupported and the correction still fits the budget; whatever is still unsupported after
+    // that is marked in the text.
+    let grounding = null;
+    if (checkGrounding && answer) {
+      let check = await GroundingService.check(answer, sources);
+      let regenerated = false;
+
+      const correction = !check.grounded && groundingMode === 'regenerate' ? [
+        { role: 'assistant', content: answer },
+        { role: 'user', content: GroundingService.correctionPrompt(check) },
+      ] : null;
+      if (correction && !PromptBudgetService.fitsFollowUp(allocation, correction)) {
+        console.log('Answer has unsupported claims, but the correction does not fit the prompt budget; not regenerating');
+      } else if (correction) {
+        try {
+          console.log('Answer has unsupported claims; regenerating once...');
+          const retry = await LLMService.complete('chat', [...messages, ...correction]);
+          const revised = retry.content;
+          const revisedCheck = revised ? await GroundingService.check(revised, sources) : null;
+          if (revisedCheck && revisedCheck.unsupported.length <= check.unsupported.length) {
+            response = retry;
+            answer = revised;
+            check = revisedCheck;
+            regenerated = true;
+          }
+        } catch (error) {
+          console.error('Error regenerating answer, keeping the first one:', error.message);
         }
       }
-    );
+
+      if (!check.grounded) {
+        answer = GroundingService.annotate(answer, check);
+      }
+      grounding = {
+        ...check,
+        regenerated,
+        action: !check.grounded ? 'annotated' : regenerated ? 'regenerated' : 'none',
+      };
+    }
     
-    console.log('Received response from OpenRouter');
+    const citedExcerpts = HybridRetrievalService.citedIn(answer, citations);
+    const messageIds = await saveChatExchange(sessionId, {
+      question: message,
+      askedAt,
+      answer,
+      retrievalQuery: rewrite?.query,
+      citations: citedExcerpts,
+      grounding,
+      summarize: historyDropped,
+    });
     
-    // OpenRouter already returns in the expected format
-    const transformedResponse = response.data;
+    // The provider's OpenAI-style response is already in the format the client expects; the
+    // search query is added so the client can show it with the answer, the excerpts the answer
+    // cites so it can link them, the grounding check so unsupported claims can be reviewed, and
+    // the IDs the two turns were saved under so feedback can refer to them
+    const transformedResponse = {
+      ...response.raw,
+      choices: (response.raw.choices || []).map((choice, i) => (i === 0 ? { ...choice, message: { ...choice.message, content: answer } } : choice)),
+      retrievalQuery: rewrite,
+      citations: citedExcerpts,
+      grounding,
+      messageIds,
+    };
     
     res.json(transformedResponse);
   } catch (error) {
-    console.error('Error calling OpenRouter API:', error);
-    res.status(500).json({ 
-      error: 'Failed to get response from OpenRouter',
-      details: error.message
+    console.error('Error calling the LLM provider:', error);
+    res.status(llmErrorStatus(error)).json({ 
+      error: 'Failed to get response from the LLM provider',
+      details: error.message,
+      ...(error.code ? { code: error.code } : {})
     });
   }
 });
 
-// Summarize conversation endpoint
-app.post('/api/summarize', async (req, res) => {
+// Every model and fallback for the task failed or is in its circuit breaker cool-down (see
+// LLMService); 503 tells the client to try again shortly rather than that the request was bad
+function llmErrorStatus(error) {
+  return error.code === 'LLM_UNAVAILABLE' ? 503 : 500;
+}
+
+// Streaming variant of /api/chat over Server-Sent Events. Takes the same request body. Events:
+// `metadata` ({ retrievalQuery, citations } with every retrieved excerpt) before generation,
+// `delta` ({ content }) for each piece of the answer, then `done` ({ content, citations, grounding,
+// finishReason, messageIds }) or `error`. The answer has already been sent by the time it can be
+// checked, so unsupported claims are annotated in `done.content` rather than regenerated. Closing
+// the connection stops generation; the part already written is saved to the session.
+app.post('/api/chat/stream', async (req, res) => {
+  const askedAt = new Date();
+  const { sessionId, message } = req.body;
+  const invalid = ConversationService.validate(sessionId, message);
+  if (invalid) {
+    return res.status(400).json({ error: invalid });
+  }
+
+  const controller = new AbortController();
+  res.on('close', () => {
+    if (!res.writableEnded) {
+      console.log('Chat stream closed by the client; stopping generation');
+      controller.abort();
+    }
+  });
+  const send = (event, data) => res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+  let rewrite = null;
+  let answer = '';
+
   try {
-    const openRouterApiKey = process.env.REACT_APP_OPENROUTER_API_KEY;
-    if (!openRouterApiKey) {
-      throw new Error('No API key configured for OpenRouter');
+    if (!LLMService.isConfigured()) {
+      throw new Error('No API key configured for the LLM provider');
     }
 
-    const messages = req.body.messages || [];
-    if (messages.length === 0) {
-      throw new Error('No messages provided for summarization');
+    const context = await ConversationService.getContext(sessionId);
+    const prompt = await buildChatPrompt(req.body, context);
+    const { messages, citations, sources, historyDropped } = prompt;
+    rewrite = prompt.rewrite;
+    if (controller.signal.aborted) return;
+
+    res.set({
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      'Connection': 'keep-alive',
+      // Stop reverse proxies from buffering the stream
+      'X-Accel-Buffering': 'no',
+    });
+    res.flushHeaders();
+    send('metadata', { retrievalQuery: rewrite, citations });
+
+    console.log('Streaming chat response...');
+    let finishReason = null;
+    for await (const piece of LLMService.stream('chat', messages, { signal: controller.signal })) {
+      if (piece.content) {
+        answer += piece.content;
+        send('delta', { content: piece.content });
+      }
+      if (piece.finishReason) {
+        finishReason = piece.finishReason;
+      }
+    }
+    console.log(`Streamed ${answer.length} characters`);
+    if (controller.signal.aborted) {
+      if (answer) {
+        await saveChatExchange(sessionId, { question: message, askedAt, answer, retrievalQuery: rewrite?.query });
+      }
+      return;
     }
 
-    console.log('Summarizing conversation...');
-    const response = await axios.post(
-      'https://openrouter.ai/api/v1/chat/completions',
-      {
-        model: 'anthropic/claude-3-haiku',  // Using a smaller model for summarization
-        messages: messages,
-        max_tokens: 1000
-      },
-      {
-        headers: {
-          'Content-Type': 'application/json',
-          'Authorization': `Bearer ${openRouterApiKey}`,
-          'HTTP-Referer': 'https://del-norte-course-selector.vercel.app',
-          'X-Title': 'Del Norte Course Selector'
-        }
+    let grounding = null;
+    if ((process.env.GROUNDING_MODE || 'regenerate') !== 'off' && req.body.checkGrounding !== false && answer) {
+      const check = await GroundingService.check(answer, sources);
+      if (!check.grounded) {
+        answer = GroundingService.annotate(answer, check);
       }
-    );
-    
-    console.log('Received summarization response');
-    res.json(response.data);
-  } catch (error) {
-    console.error('Error summarizing conversation:', error);
-    res.status(500).json({ 
-      error: 'Failed to summarize conversation',
-      details: error.message
+      grounding = { ...check, regenerated: false, action: check.grounded ? 'none' : 'annotated' };
+    }
+
+    const citedExcerpts = HybridRetrievalService.citedIn(answer, citations);
+    const messageIds = await saveChatExchange(sessionId, {
+      question: message,
+      askedAt,
+      answer,
+      retrievalQuery: rewrite?.query,
+      citations: citedExcerpts,
+      grounding,
+      summarize: historyDropped,
+    });
+
+    send('done', {
+      content: answer,
+      citations: citedExcerpts,
+      grounding,
+      finishReason,
+      messageIds,
     });
+    res.end();
+  } catch (error) {
+    if (controller.signal.aborted) {
+      // Stopped by the student: keep what was written so far
+      if (answer) {
+        await saveChatExchange(sessionId, { question: message, askedAt, answer, retrievalQuery: rewrite?.query });
+      }
+      return;
+    }
+    console.error('Error streaming from the LLM provider:', error);
+    const body = {
+      error: 'Failed to get response from the LLM provider',
+      details: error.message,
+      ...(error.code ? { code: error.code } : {})
+    };
+    if (!res.headersSent) {
+      return res.status(llmErrorStatus(error)).json(body);
+    }
+    send('error', body);
+    res.end();
+  }
+});
+
+// Search filters from query params: documentType (comma-separated), department, courseCode,
+// sourceFile, pageFrom, pageTo. Returns { filters } (null when none are given) or { error }
+function parseSearchFilters(params) {
+  const filters = {};
+  if (params.documentType) filters.documentType = String(params.documentType).split(',').map(t => t.trim()).filter(Boolean);
+  if (params.department) filters.department = String(params.department);
+  if (params.courseCode) filters.courseCode = String(params.courseCode);
+  if (params.sourceFile) filters.sourceFile = String(params.sourceFile);
+  for (const key of ['pageFrom', 'pageTo']) {
+    if (params[key] === undefined) continue;
+    const page = parseInt(params[key], 10);
+    if (Number.isNaN(page) || page < 1) {
+      return { error: `${key} must be a positive page number` };
+    }
+    filters[key] = page;
+  }
+  if (filters.pageFrom && filters.pageTo && filters.pageFrom > filters.pageTo) {
+    return { error: 'pageFrom must not be after pageTo' };
+  }
+  return { filters: Object.keys(filters).length > 0 ? filters : null };
+}
+
+// rerank=true query param: { rerank } or { error } when no rerank provider is configured
+function parseRerankParam(params) {
+  const rerank = params.rerank === 'true' || params.rerank === '1';
+  if (rerank && !RerankService.isEnabled()) {
+    return { error: 'Reranking is not configured (set RERANK_PROVIDER)' };
+  }
+  return { rerank };
+}
+
+// Hybrid search endpoint: vector and keyword results fused with reciprocal rank fusion
+// Query params: query (required), limit (default 8), vectorWeight and keywordWeight (default 1; 0 disables),
+// rerank=true, plus the filters above
+app.get('/api/search', async (req, res) => {
+  const { query, vectorWeight, keywordWeight } = req.query;
+  if (!query) {
+    return res.status(400).json({ error: 'No search query provided' });
+  }
+
+  const limit = req.query.limit ? parseInt(req.query.limit, 10) : 8;
+  if (Number.isNaN(limit) || limit < 1 || limit > 50) {
+    return res.status(400).json({ error: 'limit must be between 1 and 50' });
+  }
+
+  const { filters, error } = parseSearchFilters(req.query);
+  const { rerank, error: rerankError } = parseRerankParam(req.query);
+  if (error || rerankError) {
+    return res.status(400).json({ error: error || rerankError });
+  }
+
+  try {
+    const weights = HybridRetrievalService.resolveWeights({ vector: vectorWeight, keyword: keywordWeight });
+    const results = await HybridRetrievalService.retrieve(query, { topK: limit, weights, filters, rerank });
+    // False when the reranker failed and retrieval order was kept
+    res.json({ results, weights, filters, reranked: results.some(r => r.rerankScore !== undefined) });
+  } catch (error) {
+    console.error('Error in hybrid search:', error.message);
+    res.status(500).json({ error: 'Failed to search documents' });
   }
 });
 
-// Vector search endpoint
+// Vector search endpoint (accepts the filters above, and rerank=true to rerank a wider
+// candidate set and return each result's rerankScore)
 app.get('/api/vector-search', async (req, res) => {
   try {
     const { query } = req.query;
@@ -1007,6 +1252,12 @@ app.get('/api/vector-search', async (req, res) => {
       return res.status(400).json({ error: 'No search query provided' });
     }
     
+    const { filters, error } = parseSearchFilters(req.query);
+    const { rerank, error: rerankError } = parseRerankParam(req.query);
+    if (error || rerankError) {
+      return res.status(400).json({ error: error || rerankError });
+    }
+    
     // Check if embeddings generation is still in progress
     if (embeddingsGenerationInProgress) {
       return res.status(202).json({ 
@@ -1022,8 +1273,18 @@ app.get('/api/vector-search', async (req, res) => {
       return res.status(200).json({ results: [] }); // Return empty results to trigger fallback
     }
     
-    const results = await VectorSearchService.search(query, 5);
-    res.json({ results });
+    // Plain texts unless filtering or reranking, so existing callers keep working
+    if (!filters && !rerank) {
+      const results = await VectorSearchService.search(query, 5);
+      return res.json({ results });
+    }
+    if (rerank) {
+      const candidates = await VectorSearchService.searchWithScores(query, RerankService.getCandidateCount(), filters);
+      const results = await RerankService.rerank(query, candidates, { topK: 5 });
+      return res.json({ results, filters, reranked: results.some(r => r.rerankScore !== undefined) });
+    }
+    const results = await VectorSearchService.searchWithScores(query, 5, filters);
+    res.json({ results, filters });
   } catch (error) {
     console.error('Error searching vector database:', error.message);
     res.status(500).json({ error: 'Failed to search vector database' });
@@ -1091,34 +1352,38 @@ app.get('/api/chat-sessions/:sessionId', async (req, res) => {
       return res.status(404).json({ error: 'Session not found' });
     }
     const messages = await DatabaseService.getMessages(req.params.sessionId);
-    res.json({ session, messages });
+    res.json({
+      session: {
+        id: session.id,
+        title: session.title,
+        created_at: session.created_at,
+        updated_at: session.updated_at,
+        // The uploaded document's name and detected type; its text stays on the server
+        document: session.document_filename ? {
+          filename: session.document_filename,
+          type: session.document_type ? JSON.parse(session.document_type) : null,
+          analyzed: !!session.document_summary,
+        } : null,
+      },
+      messages,
+    });
   } catch (error) {
     console.error('Error fetching session:', error);
     res.status(500).json({ error: 'Failed to fetch session' });
   }
 });
 
-// Save a message to a session
-app.post('/api/chat-sessions/:sessionId/messages', async (req, res) => {
+// Remove the uploaded document from a session
+app.delete('/api/chat-sessions/:sessionId/document', async (req, res) => {
   try {
-    const { id, text, sender, queryText, timestamp } = req.body;
-    if (!id || !text || !sender) {
-      return res.status(400).json({ error: 'id, text, and sender are required' });
+    if (!ConversationService.isValidSessionId(req.params.sessionId)) {
+      return res.status(400).json({ error: 'Invalid sessionId' });
     }
-    
-    await DatabaseService.addMessage({
-      id,
-      sessionId: req.params.sessionId,
-      text,
-      sender,
-      queryText: queryText || null,
-      timestamp: timestamp || new Date().toISOString(),
-    });
-    
+    await DatabaseService.setSessionDocument(req.params.sessionId, null);
     res.json({ success: true });
   } catch (error) {
-    console.error('Error saving message:', error);
-    res.status(500).json({ error: 'Failed to save message' });
+    console.error('Error removing session document:', error);
+    res.status(500).json({ error: 'Failed to remove document' });
   }
 });
 
@@ -1184,8 +1449,10 @@ app.get('/api/health', (req, res) => {
   const pdfContent = PDFService.getPDFContent();
   const courseStructure = PDFService.getCourseStructure();
   
+  const llm = LLMService.getHealth();
+  
   res.json({ 
-    status: 'ok',
+    status: llm.available ? 'ok' : 'degraded',
     version: packageJson.version,
     hasPdfContent: !!pdfContent,
     hasVectorSearch: VectorSearchService.isAvailable(),
@@ -1198,7 +1465,8 @@ app.get('/api/health', (req, res) => {
       languages: courseStructure.languages.length,
       engineering: courseStructure.engineering.length,
       electives: courseStructure.electives.length
-    }
+    },
+    llm
   });
 });
 
@@ -1335,21 +1603,24 @@ async function initializeVectorDatabase() {
         console.log(`\n=== Processing ${doc.name} ===`);
         const pdfBuffer = fs.readFileSync(doc.path);
 
-        // Extract text and store PDF content for traditional search fallback
-        // (only store catalog as primary searchable content)
-        if (doc.type === 'catalog' || !PDFService.getPDFContent()) {
-          try {
-            const pdfData = await pdfParse(pdfBuffer);
-            if (pdfData.text && pdfData.text.trim().length > 0) {
-              PDFService.storePDFContent(pdfData.text);
+        // Extract text and index every document for traditional search fallback
+        // (only store catalog as primary PDF content)
+        try {
+          const pdfData = await pdfParse(pdfBuffer);
+          if (pdfData.text && pdfData.text.trim().length > 0) {
+            if (doc.type === 'catalog' || !PDFService.getPDFContent()) {
+              PDFService.storePDFContent(pdfData.text, doc.name, { documentType: doc.type, sourceFile: path.basename(doc.path) });
               console.log(`✓ Stored PDF text content for ${doc.name} (${pdfData.text.length} chars)`);
+            } else {
+              const chunks = PDFService.chunkDocument(pdfData.text, { sourceFile: path.basename(doc.path) });
+              SearchService.indexDocument(doc.name, chunks, { documentType: doc.type });
             }
-          } catch (parseErr) {
-            console.warn(`Could not extract text from ${doc.name} for traditional search:`, parseErr.message);
           }
+        } catch (parseErr) {
+          console.warn(`Could not extract text from ${doc.name} for traditional search:`, parseErr.message);
         }
 
-        const success = await processPDFForVectorDB(pdfBuffer, doc.type, true);
+        const success = await processPDFForVectorDB(pdfBuffer, doc.type, true, path.basename(doc.path));
         
         if (success) {
           console.log(`✓ ${doc.name} processed successfully`);
@@ -1379,14 +1650,42 @@ async function initializeVectorDatabase() {
   }
 }
 
+// Parse the course catalog into structured course records on startup
+async function initializeCourseCatalog() {
+  try {
+    const candidates = [path.join(__dirname, '..', 'current-catalog.pdf')];
+    const referencesDir = path.join(__dirname, '..', 'references');
+    if (fs.existsSync(referencesDir)) {
+      fs.readdirSync(referencesDir)
+        .filter(f => f.toLowerCase().includes('catalog') && f.toLowerCase().endsWith('.pdf'))
+        .forEach(f => candidates.push(path.join(referencesDir, f)));
+    }
+
+    const catalogPath = candidates.find(p => fs.existsSync(p));
+    if (!catalogPath) {
+      console.log('No course catalog PDF found. Course records will be empty until a catalog is uploaded.');
+      return;
+    }
+
+    const count = await CourseCatalogService.loadCatalogFromPDF(fs.readFileSync(catalogPath), path.basename(catalogPath));
+    console.log(`Course catalog initialized with ${count} courses from ${path.basename(catalogPath)}`);
+  } catch (error) {
+    console.error('Error initializing course catalog:', error.message);
+  }
+}
+
 app.listen(port, async () => {
   console.log(`Server running on port ${port}`);
   console.log('Environment:', {
     nodeEnv: process.env.NODE_ENV,
     port,
-    hasApiKey: !!process.env.REACT_APP_OPENROUTER_API_KEY
+    llmProvider: LLMService.getProvider().name,
+    hasApiKey: LLMService.isConfigured()
   });
   
+  // Parse the catalog into course records (fast, local — no API calls)
+  initializeCourseCatalog();
+
   // Initialize vector database in the background
   console.log('Starting vector database initialization...');
   initializeVectorDatabase().then(() => {
@@ -6,6 +6,9 @@ const fs = require('fs');
 const PDFService = require('../services/PDFService');
 const VectorSearchService = require('../services/VectorSearchService');
 const DatabaseService = require('../services/DatabaseService');
+const CourseCatalogService = require('../services/CourseCatalogService');
+const RequirementsService = require('../services/RequirementsService');
+const TranscriptAnalysisService = require('../services/TranscriptAnalysisService');
 
 // Configure multer for file upload
 const storage = multer.diskStorage({
@@ -62,11 +65,15 @@ router.post('/upload-catalog', upload.single('pdf'), async (req, res) => {
     
     console.log('PDF saved as current catalog');
     
+    // Re-extract structured course records from the new catalog
+    const courseCount = await CourseCatalogService.loadCatalogFromPDF(pdfBuffer, 'current-catalog.pdf');
+    
     res.json({ 
       success: true, 
       message: 'PDF uploaded successfully',
       filename: req.file.filename,
-      size: req.file.size
+      size: req.file.size,
+      courseCount
     });
   } catch (error) {
     console.error('Error uploading catalog:', error);
@@ -106,7 +113,7 @@ router.post('/regenerate-embeddings', async (req, res) => {
     console.log('Read catalog PDF, size:', pdfBuffer.length);
     
     // Process PDF and generate embeddings
-    const success = await PDFService.processPDFForVectorDB(pdfBuffer);
+    const success = await PDFService.processPDFForVectorDB(pdfBuffer, 'catalog', path.basename(catalogPath));
     
     if (!success) {
       throw new Error('Failed to process PDF and generate embeddings');
@@ -216,4 +223,127 @@ router.get('/analytics', async (req, res) => {
   }
 });
 
+/**
+ * @route GET /api/admin/query-rewrites
+ * @desc Recent answers whose catalog search used a rewritten query, with the student's question
+ * @query limit - Number of answers (default 100, max 500)
+ */
+router.get('/query-rewrites', async (req, res) => {
+  const limit = req.query.limit ? parseInt(req.query.limit, 10) : 100;
+  if (Number.isNaN(limit) || limit < 1 || limit > 500) {
+    return res.status(400).json({ success: false, error: 'limit must be between 1 and 500' });
+  }
+
+  try {
+    const rewrites = await DatabaseService.getRewrittenQueries(limit);
+    res.json({ success: true, rewrites });
+  } catch (error) {
+    console.error('Error fetching query rewrites:', error);
+    res.status(500).json({ 
+      success: false, 
+      error: 'Failed to fetch query rewrites',
+      details: error.message 
+    });
+  }
+});
+
+/**
+ * @route GET /api/admin/requirements
+ * @desc List graduation/A-G requirement rule sets
+ */
+router.get('/requirements', async (req, res) => {
+  try {
+    const ruleSets = await RequirementsService.getRuleSets();
+    res.json({ success: true, ruleSets });
+  } catch (error) {
+    console.error('Error fetching requirement rule sets:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch requirement rule sets',
+      details: error.message
+    });
+  }
+});
+
+/**
+ * @route POST /api/admin/requirements
+ * @desc Create a rule set, e.g. a new version for an upcoming graduating class
+ */
+router.post('/requirements', async (req, res) => {
+  try {
+    const problem = await RequirementsService.validateRuleSet(req.body);
+    if (problem) {
+      return res.status(400).json({ success: false, error: problem });
+    }
+
+    const ruleSet = await RequirementsService.createRuleSet(req.body);
+    // Cached analyses were computed with the old rules
+    TranscriptAnalysisService.clearCache();
+    res.status(201).json({ success: true, ruleSet });
+  } catch (error) {
+    console.error('Error creating requirement rule set:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to create requirement rule set',
+      details: error.message
+    });
+  }
+});
+
+/**
+ * @route PUT /api/admin/requirements/:id
+ * @desc Replace a rule set
+ */
+router.put('/requirements/:id', async (req, res) => {
+  try {
+    const id = parseInt(req.params.id, 10);
+    const problem = await RequirementsService.validateRuleSet(req.body, id);
+    if (problem) {
+      return res.status(400).json({ success: false, error: problem });
+    }
+
+    const ruleSet = await RequirementsService.updateRuleSet(id, req.body);
+    if (!ruleSet) {
+      return res.status(404).json({ success: false, error: 'Rule set not found' });
+    }
+    TranscriptAnalysisService.clearCache();
+    res.json({ success: true, ruleSet });
+  } catch (error) {
+    console.error('Error updating requirement rule set:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to update requirement rule set',
+      details: error.message
+    });
+  }
+});
+
+/**
+ * @route DELETE /api/admin/requirements/:id
+ * @desc Delete a rule set (at least one must remain)
+ */
+router.delete('/requirements/:id', async (req, res) => {
+  try {
+    const id = parseInt(req.params.id, 10);
+    const ruleSets = await RequirementsService.getRuleSets();
+    if (ruleSets.length === 1 && ruleSets[0].id === id) {
+      return res.status(400).json({ success: false, error: 'At least one rule set must remain' });
+    }
+
+    const deleted = await RequirementsService.deleteRuleSet(id);
+    if (!deleted) {
+      return res.status(404).json({ success: false, error: 'Rule set not found' });
+    }
+    TranscriptAnalysisService.clearCache();
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Error deleting requirement rule set:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to delete requirement rule set',
+      details: error.message
+    });
+  }
+});
+
 module.exports = router;
@@ -65,20 +65,19 @@ router.post('/pdf/content', (req, res) => {
  * @desc Search PDF content
  */
 router.get('/pdf/search', (req, res) => {
-  const { query } = req.query;
+  const { query, source } = req.query;
   if (!query) {
     return res.status(400).json({ error: 'No search query provided' });
   }
   
-  const pdfContent = PDFService.getPDFContent();
-  if (!pdfContent) {
+  if (!SearchService.isIndexed()) {
     return res.status(404).json({ error: 'PDF content not loaded' });
   }
 
   try {
-    const relevantParagraphs = SearchService.search(pdfContent, query);
-    console.log(`Found ${relevantParagraphs.length} relevant paragraphs for query: ${query}`);
-    res.json({ results: relevantParagraphs });
+    const results = SearchService.search(query, { source: source || null });
+    console.log(`Found ${results.length} relevant passages for query: ${query}`);
+    res.json({ results });
   } catch (error) {
     console.error('Error searching PDF content:', error);
     res.status(500).json({ error: 'Failed to search PDF content' });
@@ -0,0 +1,117 @@
+const express = require('express');
+const router = express.Router();
+const CourseCatalogService = require('../services/CourseCatalogService');
+const PrerequisiteGraphService = require('../services/PrerequisiteGraphService');
+
+/**
+ * @route GET /api/courses
+ * @desc List structured catalog courses
+ * @query department - Department name or subject slug (e.g. "Mathematics" or "math")
+ * @query grade - Only courses open to this grade level (9-12)
+ * @query ag - UC/CSU A-G letter
+ */
+router.get('/', async (req, res) => {
+  try {
+    const { department, ag } = req.query;
+    const grade = req.query.grade ? parseInt(req.query.grade, 10) : null;
+
+    if (req.query.grade && (isNaN(grade) || grade < 9 || grade > 12)) {
+      return res.status(400).json({ error: 'grade must be between 9 and 12' });
+    }
+    if (ag && !/^[a-g]$/i.test(ag)) {
+      return res.status(400).json({ error: 'ag must be a single A-G letter' });
+    }
+
+    const courses = await CourseCatalogService.getCourses({ department, grade, agArea: ag });
+    res.json({ courses, total: courses.length });
+  } catch (error) {
+    console.error('Error fetching courses:', error);
+    res.status(500).json({ error: 'Failed to fetch courses' });
+  }
+});
+
+/**
+ * @route GET /api/courses/:code
+ * @desc Full catalog entry for a six-digit course code, with the other courses in its sequence
+ */
+router.get('/:code', async (req, res) => {
+  try {
+    const { code } = req.params;
+    if (!/^\d{6}$/.test(code)) {
+      return res.status(400).json({ error: 'Course code must be six digits' });
+    }
+
+    const course = await CourseCatalogService.getCourse(code);
+    if (!course) {
+      return res.status(404).json({ error: `Course ${code} not found in the catalog` });
+    }
+
+    const relatedCourses = await CourseCatalogService.getSequenceCourses(course);
+    res.json({
+      course,
+      relatedCourses: relatedCourses.map(c => ({
+        code: c.code,
+        title: c.title,
+        gradeLevels: c.gradeLevels,
+        prerequisites: c.prerequisites,
+        agArea: c.agArea,
+        page: c.page,
+      })),
+    });
+  } catch (error) {
+    console.error('Error fetching course:', error);
+    res.status(500).json({ error: 'Failed to fetch course' });
+  }
+});
+
+/**
+ * @route GET /api/courses/:code/prerequisites
+ * @desc Parsed prerequisites for a course, with the full chain of courses leading up to it
+ */
+router.get('/:code/prerequisites', async (req, res) => {
+  try {
+    const { code } = req.params;
+    if (!/^\d{6}$/.test(code)) {
+      return res.status(400).json({ error: 'Course code must be six digits' });
+    }
+
+    const prerequisites = await PrerequisiteGraphService.getPrerequisites(code);
+    if (!prerequisites) {
+      return res.status(404).json({ error: `Course ${code} not found in the catalog` });
+    }
+    res.json(prerequisites);
+  } catch (error) {
+    console.error('Error fetching prerequisites:', error);
+    res.status(500).json({ error: 'Failed to fetch prerequisites' });
+  }
+});
+
+/**
+ * @route GET /api/courses/:code/next
+ * @desc Courses that list this course as a prerequisite, split into available now and still blocked
+ * @query completed - Comma-separated codes of other courses the student has completed
+ */
+router.get('/:code/next', async (req, res) => {
+  try {
+    const { code } = req.params;
+    if (!/^\d{6}$/.test(code)) {
+      return res.status(400).json({ error: 'Course code must be six digits' });
+    }
+
+    const completed = (req.query.completed || '').split(',').map(c => c.trim()).filter(Boolean);
+    if (completed.some(c => !/^\d{6}$/.test(c))) {
+      return res.status(400).json({ error: 'completed must be a comma-separated list of six-digit codes' });
+    }
+
+    const next = await PrerequisiteGraphService.getNextCourses(code, completed);
+    if (!next) {
+      return res.status(404).json({ error: `Course ${code} not found in the catalog` });
+    }
+    res.json(next);
+  } catch (error) {
+    console.error('Error fetching next courses:', error);
+    res.status(500).json({ error: 'Failed to fetch next courses' });
+  }
+});
+
+module.exports = router;
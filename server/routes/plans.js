@@ -0,0 +1,154 @@
+const express = require('express');
+const router = express.Router();
+const PlannerService = require('../services/PlannerService');
+const RequirementsService = require('../services/RequirementsService');
+
+/**
+ * Read the student's history from either an analyze response or explicit course lists
+ */
+function historyFromBody(body) {
+  const analysis = body.analysis || null;
+  return {
+    completedCourses: body.completedCourses || (analysis && analysis.courses) || [],
+    completedCodes: body.completedCodes || [],
+    gradeLevel: body.gradeLevel || (analysis && analysis.student && analysis.student.gradeLevel) || null,
+    classYear: body.classYear || null,
+    strongSubjects: analysis && analysis.courseAnalysis
+      ? (analysis.courseAnalysis.strongSubjects || []).map(s => s.subject)
+      : [],
+  };
+}
+
+/**
+ * @route POST /api/plans/generate
+ * @desc Build a grade 9-12 plan that satisfies prerequisites, graduation and A-G requirements
+ * @body analysis - Output of /api/document/analyze (supplies courses, grade level and strong subjects)
+ * @body completedCourses - Transcript courses, when no analysis is given
+ * @body completedCodes - Catalog codes already completed
+ * @body gradeLevel - Current grade level (9-12), which selects the requirement rule set
+ * @body classYear - Graduating class, overriding the one derived from gradeLevel
+ * @body interests - Keywords such as "engineering" (array or comma-separated string)
+ * @body periodsPerYear - Class periods available each year (default 6)
+ */
+router.post('/generate', async (req, res) => {
+  try {
+    const { startGrade } = req.body;
+    const { completedCourses, completedCodes, gradeLevel, classYear, strongSubjects } = historyFromBody(req.body);
+    const periodsPerYear = req.body.periodsPerYear ?? 6;
+    const interests = typeof req.body.interests === 'string'
+      ? req.body.interests.split(',')
+      : req.body.interests || [];
+
+    if (gradeLevel !== null && (!Number.isInteger(gradeLevel) || gradeLevel < 9 || gradeLevel > 12)) {
+      return res.status(400).json({ error: 'gradeLevel must be between 9 and 12' });
+    }
+    if (classYear !== null && !Number.isInteger(classYear)) {
+      return res.status(400).json({ error: 'classYear must be a year such as 2029' });
+    }
+    if (startGrade !== undefined && (!Number.isInteger(startGrade) || startGrade < 9 || startGrade > 12)) {
+      return res.status(400).json({ error: 'startGrade must be between 9 and 12' });
+    }
+    if (!Number.isInteger(periodsPerYear) || periodsPerYear < 1 || periodsPerYear > 8) {
+      return res.status(400).json({ error: 'periodsPerYear must be between 1 and 8' });
+    }
+    if (!Array.isArray(completedCourses) || !Array.isArray(completedCodes) || !Array.isArray(interests)) {
+      return res.status(400).json({ error: 'completedCourses, completedCodes and interests must be arrays' });
+    }
+
+    const plan = await PlannerService.generatePlan({
+      completedCourses,
+      completedCodes,
+      gradeLevel,
+      classYear,
+      startGrade,
+      interests,
+      periodsPerYear,
+      strongSubjects,
+    });
+    res.json({ plan });
+  } catch (error) {
+    console.error('Error generating plan:', error);
+    res.status(500).json({ error: 'Failed to generate plan' });
+  }
+});
+
+/**
+ * @route POST /api/plans/validate
+ * @desc Check a student-authored plan: prerequisites, grade levels, repeats of transcript courses,
+ *       over-full years and graduation/A-G requirements left unmet
+ * @body years - [{ grade, courses: [code, course name, or { code } / { name }] }]
+ * @body analysis | completedCourses | completedCodes | gradeLevel | classYear - Student history, as for /generate
+ * @body periodsPerYear - Class periods available each year (default 6)
+ */
+router.post('/validate', async (req, res) => {
+  try {
+    const { years } = req.body;
+    const { completedCourses, completedCodes, gradeLevel, classYear } = historyFromBody(req.body);
+    const periodsPerYear = req.body.periodsPerYear ?? 6;
+
+    if (!Array.isArray(years) || years.length === 0) {
+      return res.status(400).json({ error: 'years must be a non-empty array of { grade, courses }' });
+    }
+    const badYear = years.find(y => !y || !Number.isInteger(y.grade) || y.grade < 9 || y.grade > 12 || !Array.isArray(y.courses));
+    if (badYear) {
+      return res.status(400).json({ error: 'Each year needs a grade between 9 and 12 and a courses array' });
+    }
+    const isCourseEntry = entry => (typeof entry === 'string' && entry.trim() !== '')
+      || (!!entry && typeof entry === 'object' && [entry.code, entry.name].some(value => typeof value === 'string' && value.trim() !== ''));
+    const badEntryYear = years.find(y => !y.courses.every(isCourseEntry));
+    if (badEntryYear) {
+      return res.status(400).json({ error: `Grade ${badEntryYear.grade}: each course must be a course code or name, or { code } / { name }` });
+    }
+    if (!Number.isInteger(periodsPerYear) || periodsPerYear < 1 || periodsPerYear > 8) {
+      return res.status(400).json({ error: 'periodsPerYear must be between 1 and 8' });
+    }
+    if (!Array.isArray(completedCourses) || !Array.isArray(completedCodes)) {
+      return res.status(400).json({ error: 'completedCourses and completedCodes must be arrays' });
+    }
+    if (gradeLevel !== null && (!Number.isInteger(gradeLevel) || gradeLevel < 9 || gradeLevel > 12)) {
+      return res.status(400).json({ error: 'gradeLevel must be between 9 and 12' });
+    }
+    if (classYear !== null && !Number.isInteger(classYear)) {
+      return res.status(400).json({ error: 'classYear must be a year such as 2029' });
+    }
+
+    const result = await PlannerService.checkPlan(years, { completedCourses, completedCodes, periodsPerYear, gradeLevel, classYear });
+    res.json({
+      valid: !result.constraints.some(c => c.severity === 'violation'),
+      ...result,
+    });
+  } catch (error) {
+    console.error('Error validating plan:', error);
+    res.status(500).json({ error: 'Failed to validate plan' });
+  }
+});
+
+/**
+ * @route GET /api/plans/requirements
+ * @desc Graduation and A-G requirement rule set that applies to a student
+ * @query gradeLevel - Current grade level (9-12)
+ * @query classYear - Graduating class, instead of gradeLevel
+ */
+router.get('/requirements', async (req, res) => {
+  try {
+    const gradeLevel = req.query.gradeLevel ? parseInt(req.query.gradeLevel, 10) : null;
+    const classYear = req.query.classYear ? parseInt(req.query.classYear, 10) : null;
+
+    if (req.query.gradeLevel && (isNaN(gradeLevel) || gradeLevel < 9 || gradeLevel > 12)) {
+      return res.status(400).json({ error: 'gradeLevel must be between 9 and 12' });
+    }
+    if (req.query.classYear && isNaN(classYear)) {
+      return res.status(400).json({ error: 'classYear must be a year such as 2029' });
+    }
+
+    const ruleSet = classYear
+      ? await RequirementsService.getRuleSetForClassYear(classYear)
+      : await RequirementsService.getRuleSetForGrade(gradeLevel);
+    res.json({ ruleSet });
+  } catch (error) {
+    console.error('Error fetching requirements:', error);
+    res.status(500).json({ error: 'Failed to fetch requirements' });
+  }
+});
+
+module.exports = router;
@@ -1,7 +1,7 @@
-const axios = require('axios');
 const PDFService = require('./PDFService');
-const VectorSearchService = require('./VectorSearchService');
-const SearchService = require('./SearchService');
+const HybridRetrievalService = require('./HybridRetrievalService');
+const QueryRewriteService = require('./QueryRewriteService');
+const LLMService = require('./LLMService');
 
 /**
  * Service for handling chat operations
@@ -15,9 +15,8 @@ class ChatService {
    */
   async processQuery(conversationHistory, userQuery) {
     try {
-      const openRouterApiKey = process.env.REACT_APP_OPENROUTER_API_KEY;
-      if (!openRouterApiKey) {
-        throw new Error('No API key configured for OpenRouter');
+      if (!LLMService.isConfigured()) {
+        throw new Error('No API key configured for the LLM provider');
       }
 
       // Define maximum allowed messages to prevent excessively large requests
@@ -35,8 +34,9 @@ class ChatService {
         console.log(`Trimmed conversation history from ${conversationHistory.length} to ${trimmedHistory.length} messages`);
       }
       
-      // Get relevant info for the query
-      let relevantInfo = await this.getRelevantInfo(userQuery);
+      // Get relevant info for the query, searching with follow-ups rewritten as standalone questions
+      const { query: retrievalQuery } = await QueryRewriteService.rewrite(trimmedHistory);
+      let relevantInfo = await this.getRelevantInfo(retrievalQuery || userQuery);
       
       // Prepare the system message with instructions and relevant info
       const systemMessage = {
@@ -86,74 +86,52 @@ class ChatService {
       // Create a new array with the system message followed by the conversation history
       const messages = [systemMessage, ...trimmedHistory];
 
-      console.log('Sending request to OpenRouter API with conversation history...');
-      const response = await axios.post(
-        'https://openrouter.ai/api/v1/chat/completions',
-        {
-          model: 'anthropic/claude-sonnet-4',
-          messages: messages,
-          max_tokens: 4000
-        },
-        {
-          headers: {
-            'Content-Type': 'application/json',
-            'Authorization': `Bearer ${openRouterApiKey}`,
-            'HTTP-Referer': 'https://del-norte-course-selector.vercel.app',
-            'X-Title': 'Del Norte Course Selector'
-          }
-        }
-      );
+      console.log('Sending chat request with conversation history...');
+      const response = await LLMService.complete('chat', messages);
       
-      console.log('Received response from OpenRouter');
+      console.log(`Received response from ${response.model}`);
       
-      return response.data.choices[0].message.content;
+      return response.content;
     } catch (error) {
-      console.error('Error calling OpenRouter API:', error);
-      throw new Error('Failed to get response from OpenRouter: ' + error.message);
+      console.error('Error calling the LLM provider:', error);
+      throw new Error('Failed to get response from the LLM provider: ' + error.message);
     }
   }
 
   /**
    * Get relevant information for a query
    * @param {string} query - User query
-   * @returns {Promise<string>} - Relevant information
+   * @param {Object} [weights] - Per-retriever weights, e.g. { vector: 1, keyword: 0.5 }
+   * @param {boolean} [rerank] - Rerank the retrieved excerpts when a rerank provider is configured
+   * @returns {Promise<string>} - Relevant information, as labeled excerpts
    */
-  async getRelevantInfo(query) {
+  async getRelevantInfo(query, weights = {}, rerank = true) {
     try {
-      // First try vector search
-      const vectorResults = await VectorSearchService.search(query, 5);
-      console.log(`Found ${vectorResults.length} results from vector search`);
-      
-      // Combine vector search results
-      let relevantInfo = vectorResults.join('\n\n');
+      // Vector and keyword search together, fused into one ranked list (and reranked, when
+      // configured); narrowed to one document when the question clearly targets it
+      const filters = HybridRetrievalService.inferFilters(query);
+      let results = await HybridRetrievalService.retrieve(query, { weights, filters, rerank });
+      if (filters && results.length === 0) {
+        results = await HybridRetrievalService.retrieve(query, { weights, rerank });
+      }
+      console.log(`Found ${results.length} results from hybrid retrieval`);
+      let relevantInfo = HybridRetrievalService.formatForPrompt(results);
       
-      // If vector search didn't return results, fall back to traditional search
-      if (!relevantInfo) {
-        console.log('Falling back to traditional search...');
+      // Add structured course information for relevant categories
+      if (query.toLowerCase().includes('plan') || query.toLowerCase().includes('pathway')) {
+        const courseStructure = PDFService.getCourseStructure();
+        relevantInfo += '\n\nAvailable courses by category:\n';
         
-        const pdfContent = PDFService.getPDFContent();
-        if (pdfContent) {
-          const relevantParagraphs = SearchService.search(pdfContent, query);
-          relevantInfo = relevantParagraphs.join('\n\n');
-          
-          // Add structured course information for relevant categories
-          if (query.toLowerCase().includes('plan') || query.toLowerCase().includes('pathway')) {
-            const courseStructure = PDFService.getCourseStructure();
-            relevantInfo += '\n\nAvailable courses by category:\n';
-            
-            if (courseStructure.math.length > 0) {
-              relevantInfo += '\nMathematics:\n' + courseStructure.math.join('\n');
-            }
-            if (courseStructure.science.length > 0) {
-              relevantInfo += '\nScience:\n' + courseStructure.science.join('\n');
-            }
-            if (courseStructure.engineering.length > 0) {
-              relevantInfo += '\nEngineering & Technology:\n' + courseStructure.engineering.join('\n');
-            }
-          }
+        if (courseStructure.math.length > 0) {
+          relevantInfo += '\nMathematics:\n' + courseStructure.math.join('\n');
+        }
+        if (courseStructure.science.length > 0) {
+          relevantInfo += '\nScience:\n' + courseStructure.science.join('\n');
+        }
+        if (courseStructure.engineering.length > 0) {
+          relevantInfo += '\nEngineering & Technology:\n' + courseStructure.engineering.join('\n');
         }
       }
-      
       return relevantInfo || "I couldn't find any specific information about that in the course catalog.";
     } catch (error) {
       console.error('Error getting relevant info:', error);
@@ -168,9 +146,8 @@ class ChatService {
    */
   async summarizeConversation(messages) {
     try {
-      const openRouterApiKey = process.env.REACT_APP_OPENROUTER_API_KEY;
-      if (!openRouterApiKey) {
-        throw new Error('No API key configured for OpenRouter');
+      if (!LLMService.isConfigured()) {
+        throw new Error('No API key configured for the LLM provider');
       }
 
       if (messages.length === 0) {
@@ -178,25 +155,10 @@ class ChatService {
       }
 
       console.log('Summarizing conversation...');
-      const response = await axios.post(
-        'https://openrouter.ai/api/v1/chat/completions',
-        {
-          model: 'anthropic/claude-3-haiku',  // Using a smaller model for summarization
-          messages: messages,
-          max_tokens: 1000
-        },
-        {
-          headers: {
-            'Content-Type': 'application/json',
-            'Authorization': `Bearer ${openRouterApiKey}`,
-            'HTTP-Referer': 'https://del-norte-course-selector.vercel.app',
-            'X-Title': 'Del Norte Course Selector'
-          }
-        }
-      );
+      const response = await LLMService.complete('summarize', messages);
       
       console.log('Received summarization response');
-      return response.data.choices[0].message.content;
+      return response.content;
     } catch (error) {
       console.error('Error summarizing conversation:', error);
       throw new Error('Failed to summarize conversation: ' + error.message);
@@ -0,0 +1,181 @@
+const crypto = require('crypto');
+const DatabaseService = require('./DatabaseService');
+const LLMService = require('./LLMService');
+
+// Session IDs are chosen by the client ("session_1718000000000"); anything else is rejected
+const SESSION_ID = /^[\w-]{1,100}$/;
+
+// Longest question accepted in one message
+const MAX_MESSAGE_LENGTH = 4000;
+
+// Unsummarized messages that trigger summarizing, and how many of the newest are left out of it
+// (also when the prompt had no room for all of them)
+const SUMMARIZE_AFTER_MESSAGES = 16;
+const KEEP_RECENT_MESSAGES = 6;
+
+/**
+ * Service that owns the state of each chat session on the server
+ *
+ * A question arrives as a session ID and the student's new message. Everything else the
+ * prompt is built from comes from the database: the earlier messages, a summary of the
+ * oldest ones, and the document the student uploaded to the session. Nothing the client
+ * sends can pose as an earlier answer, a system message or reference text.
+ *
+ * Once a session grows past SUMMARIZE_AFTER_MESSAGES unsummarized messages, all but the
+ * newest KEEP_RECENT_MESSAGES are folded into the session's summary with the LLM
+ * 'summarize' task. The same happens sooner when a question's prompt had no room for all
+ * of the unsummarized messages (see PromptBudgetService); until the summary is written,
+ * the oldest ones are simply left out of the prompt.
+ */
+class ConversationService {
+  constructor() {
+    // Sessions being summarized, so a burst of questions does not summarize twice
+    this.compacting = new Set();
+  }
+
+  /**
+   * Whether a session ID is well formed
+   * @param {string} sessionId - Session ID
+   * @returns {boolean}
+   */
+  isValidSessionId(sessionId) {
+    return typeof sessionId === 'string' && SESSION_ID.test(sessionId);
+  }
+
+  /**
+   * Check a chat request's session ID and message
+   * @param {string} sessionId - Session ID
+   * @param {string} message - The student's new message
+   * @returns {string|null} - What is wrong, or null when both are valid
+   */
+  validate(sessionId, message) {
+    if (!this.isValidSessionId(sessionId)) {
+      return 'sessionId is required (letters, digits, "_" or "-", up to 100 characters)';
+    }
+    if (typeof message !== 'string' || !message.trim()) {
+      return 'message is required';
+    }
+    if (message.length > MAX_MESSAGE_LENGTH) {
+      return `message is too long (${message.length} characters; the limit is ${MAX_MESSAGE_LENGTH})`;
+    }
+    return null;
+  }
+
+  /**
+   * What a new question in a session is answered with
+   * @param {string} sessionId - Session ID
+   * @returns {Promise<Object>} - { summary, history, document } where history is the unsummarized
+   *   messages as [{ role: 'user'|'assistant', content }], oldest first, and document is
+   *   { filename, text, student } (text is the analysis summary when there is one; student is
+   *   { gradeLevel, courses, strongSubjects } from the analysis, or null) or null
+   */
+  async getContext(sessionId) {
+    const [session, messages] = await Promise.all([
+      DatabaseService.getSession(sessionId),
+      DatabaseService.getMessages(sessionId),
+    ]);
+
+    const history = messages.slice(Number(session?.summarized_count) || 0).map(message => ({
+      role: message.sender === 'user' ? 'user' : 'assistant',
+      content: message.text,
+    }));
+
+    const documentText = session?.document_summary || session?.document_text;
+    return {
+      summary: session?.summary || null,
+      history,
+      document: documentText ? {
+        filename: session.document_filename,
+        text: documentText,
+        student: session.document_student ? JSON.parse(session.document_student) : null,
+      } : null,
+    };
+  }
+
+  /**
+   * Save a question and its answer together, then summarize the session if it has grown long
+   * or its prompt no longer had room for all of it
+   * @param {string} sessionId - Session ID
+   * @param {Object} exchange
+   * @param {string} exchange.question - The student's message
+   * @param {Date} exchange.askedAt - When it arrived
+   * @param {string} exchange.answer - The answer as shown to the student
+   * @param {string} [exchange.retrievalQuery] - Search query used for the answer
+   * @param {Object[]} [exchange.citations] - Excerpts the answer cites
+   * @param {Object} [exchange.grounding] - Grounding check of the answer
+   * @param {boolean} [exchange.summarize] - Earlier messages were left out of the prompt; summarize now
+   * @returns {Promise<Object>} - { userMessageId, assistantMessageId }
+   */
+  async saveExchange(sessionId, { question, askedAt, answer, retrievalQuery, citations, grounding, summarize = false }) {
+    const userMessageId = crypto.randomUUID();
+    const assistantMessageId = crypto.randomUUID();
+    await DatabaseService.addExchange(sessionId, [
+      { id: userMessageId, text: question, sender: 'user', timestamp: askedAt.toISOString() },
+      {
+        id: assistantMessageId,
+        text: answer,
+        sender: 'bot',
+        queryText: question,
+        retrievalQuery,
+        citations: citations && citations.length > 0 ? citations : null,
+        grounding,
+        timestamp: new Date().toISOString(),
+      },
+    ]);
+
+    // Summarizing takes an LLM call; the next question can go ahead without it
+    this.compact(sessionId, { force: summarize }).catch(error => {
+      console.error(`Error summarizing session ${sessionId}:`, error.message);
+    });
+    return { userMessageId, assistantMessageId };
+  }
+
+  /**
+   * Fold a long session's older messages into its summary
+   * @param {string} sessionId - Session ID
+   * @param {Object} [options]
+   * @param {boolean} [options.force] - Summarize even below SUMMARIZE_AFTER_MESSAGES
+   * @returns {Promise<boolean>} - Whether the summary was updated
+   */
+  async compact(sessionId, { force = false } = {}) {
+    if (this.compacting.has(sessionId)) return false;
+    this.compacting.add(sessionId);
+    try {
+      const [session, messages] = await Promise.all([
+        DatabaseService.getSession(sessionId),
+        DatabaseService.getMessages(sessionId),
+      ]);
+      const summarizedCount = Number(session?.summarized_count) || 0;
+      const unsummarized = messages.slice(summarizedCount);
+      const threshold = force ? KEEP_RECENT_MESSAGES + 1 : SUMMARIZE_AFTER_MESSAGES;
+      if (!session || unsummarized.length < threshold) return false;
+
+      const toSummarize = unsummarized.slice(0, -KEEP_RECENT_MESSAGES);
+      const transcript = toSummarize
+        .map(message => `${message.sender === 'user' ? 'STUDENT' : 'ASSISTANT'}: ${message.text}`)
+        .join('\n\n');
+      const response = await LLMService.complete('summarize', [{
+        role: 'user',
+        content: `Summarize this conversation between a high school student and a course selection assistant concisely. Keep the courses, requirements and recommendations discussed, and what the student said about their grade level, interests and plans.
+${session.summary ? `\nSUMMARY OF THE CONVERSATION BEFORE THIS:\n${session.summary}\n` : ''}
+CONVERSATION TO SUMMARIZE:
+${transcript}
+
+SUMMARY:`,
+      }], { temperature: 0 });
+
+      const summary = response.content.trim();
+      if (!summary) {
+        throw new Error('Empty summary');
+      }
+      await DatabaseService.updateSessionSummary(sessionId, summary, summarizedCount + toSummarize.length);
+      console.log(`Summarized ${toSummarize.length} messages of session ${sessionId}`);
+      return true;
+    } finally {
+      this.compacting.delete(sessionId);
+    }
+  }
+}
+
+// Export as singleton
+module.exports = new ConversationService();
@@ -0,0 +1,131 @@
+const DatabaseService = require('./DatabaseService');
+const LLMService = require('./LLMService');
+const ConversationService = require('./ConversationService');
+
+let sessionCount = 0;
+
+// A new session with `count` messages, alternating student and assistant, oldest first
+async function sessionWith(count) {
+  const sessionId = `session_test_${++sessionCount}`;
+  const start = Date.parse('2026-01-05T16:00:00Z');
+  await DatabaseService.addExchange(sessionId, Array.from({ length: count }, (_, i) => ({
+    id: `${sessionId}_${i}`,
+    text: `Message ${i + 1}`,
+    sender: i % 2 === 0 ? 'user' : 'bot',
+    timestamp: new Date(start + i * 1000).toISOString(),
+  })));
+  return sessionId;
+}
+
+describe('ConversationService.compact', () => {
+  let prompts;
+  beforeEach(() => {
+    prompts = [];
+    LLMService.useFake({
+      summarize: (messages) => {
+        prompts.push(messages[0].content);
+        return `Summary ${prompts.length}`;
+      },
+    });
+  });
+
+  test('leaves a short session alone', async () => {
+    const sessionId = await sessionWith(15);
+
+    expect(await ConversationService.compact(sessionId)).toBe(false);
+    expect(prompts).toEqual([]);
+  });
+
+  test('summarizes all but the newest 6 messages of a long session', async () => {
+    const sessionId = await sessionWith(18);
+
+    expect(await ConversationService.compact(sessionId)).toBe(true);
+
+    expect(prompts[0]).toContain('STUDENT: Message 1');
+    expect(prompts[0]).toContain('ASSISTANT: Message 12');
+    expect(prompts[0]).not.toContain('Message 13');
+    const context = await ConversationService.getContext(sessionId);
+    expect(context.summary).toBe('Summary 1');
+    expect(context.history.map(message => message.content)).toEqual(
+      ['Message 13', 'Message 14', 'Message 15', 'Message 16', 'Message 17', 'Message 18'],
+    );
+    expect(context.history[0].role).toBe('user');
+    expect(context.history[1].role).toBe('assistant');
+  });
+
+  test('folds the previous summary into the next one', async () => {
+    const sessionId = await sessionWith(18);
+    await ConversationService.compact(sessionId);
+    await DatabaseService.addExchange(sessionId, Array.from({ length: 10 }, (_, i) => ({
+      id: `${sessionId}_more_${i}`,
+      text: `Later message ${i + 1}`,
+      sender: i % 2 === 0 ? 'user' : 'bot',
+      timestamp: new Date(Date.parse('2026-01-06T16:00:00Z') + i * 1000).toISOString(),
+    })));
+
+    expect(await ConversationService.compact(sessionId)).toBe(true);
+
+    expect(prompts[1]).toContain('SUMMARY OF THE CONVERSATION BEFORE THIS:\nSummary 1');
+    expect(prompts[1]).toContain('STUDENT: Message 13');
+    expect(prompts[1]).not.toContain('STUDENT: Message 1\n');
+    const context = await ConversationService.getContext(sessionId);
+    expect(context.summary).toBe('Summary 2');
+    expect(context.history).toHaveLength(6);
+  });
+
+  test('summarizes a shorter session when forced, keeping the newest 6 messages', async () => {
+    const sessionId = await sessionWith(8);
+
+    expect(await ConversationService.compact(sessionId, { force: true })).toBe(true);
+
+    const context = await ConversationService.getContext(sessionId);
+    expect(context.summary).toBe('Summary 1');
+    expect(context.history.map(message => message.content)[0]).toBe('Message 3');
+  });
+
+  test('runs once per session at a time', async () => {
+    const sessionId = await sessionWith(18);
+
+    const results = await Promise.all([ConversationService.compact(sessionId), ConversationService.compact(sessionId)]);
+
+    expect(results).toEqual([true, false]);
+    expect(prompts).toHaveLength(1);
+  });
+
+  test('keeps the messages unsummarized when the LLM fails', async () => {
+    LLMService.useFake({ summarize: '   ' });
+    const sessionId = await sessionWith(18);
+
+    await expect(ConversationService.compact(sessionId)).rejects.toThrow('Empty summary');
+
+    const context = await ConversationService.getContext(sessionId);
+    expect(context.summary).toBeNull();
+    expect(context.history).toHaveLength(18);
+    expect(ConversationService.compacting.has(sessionId)).toBe(false);
+  });
+});
+
+describe('ConversationService.getContext', () => {
+  const STUDENT = { gradeLevel: 10, courses: [{ name: 'ALG 1 CP', status: 'completed', grade: 'A' }], strongSubjects: ['math'] };
+
+  test('answers from the analysis of the uploaded document once there is one', async () => {
+    const sessionId = await sessionWith(2);
+    await DatabaseService.setSessionDocument(sessionId, { filename: 'transcript.pdf', type: null, text: 'ALG 1 CP A' });
+
+    expect((await ConversationService.getContext(sessionId)).document).toEqual({ filename: 'transcript.pdf', text: 'ALG 1 CP A', student: null });
+
+    await DatabaseService.setSessionDocumentSummary(sessionId, 'Grade 10 student', STUDENT);
+
+    expect((await ConversationService.getContext(sessionId)).document).toEqual({ filename: 'transcript.pdf', text: 'Grade 10 student', student: STUDENT });
+  });
+
+  test('forgets the analysis when the document is removed', async () => {
+    const sessionId = await sessionWith(2);
+    await DatabaseService.setSessionDocument(sessionId, { filename: 'transcript.pdf', type: null, text: 'ALG 1 CP A' });
+    await DatabaseService.setSessionDocumentSummary(sessionId, 'Grade 10 student', STUDENT);
+
+    await DatabaseService.setSessionDocument(sessionId, null);
+
+    expect((await ConversationService.getContext(sessionId)).document).toBeNull();
+  });
+});
@@ -0,0 +1,355 @@
+// pdf-parse v2.x changed to a class-based API — wrap it to match v1 function signature
+const { PDFParse } = require('pdf-parse');
+async function pdfParse(buffer) {
+  const parser = new PDFParse({ data: buffer, verbosity: 0 });
+  const result = await parser.getText();
+  return { text: result.text };
+}
+const DatabaseService = require('./DatabaseService');
+const { CREDITS_PER_TERM, TERMS_PER_SUBJECT_YEAR } = require('./credits');
+
+// Catalog section headers → department name and the subject slugs used by transcript analysis
+const SECTIONS = [
+  { pattern: /^A\s*[–-]\s*SOCIAL SCIENCE$/, department: 'Social Science', subject: 'social_studies' },
+  { pattern: /^B\s*[–-]\s*ENGLISH$/, department: 'English', subject: 'english' },
+  { pattern: /^C\s*[–-]\s*MATHEMATICS$/, department: 'Mathematics', subject: 'math' },
+  { pattern: /^D\s*[–-]\s*SCIENCES?$/, department: 'Science', subject: 'science' },
+  { pattern: /^E\s*[–-]\s*WORLD LANGUAGES?$/, department: 'World Languages', subject: 'language' },
+  { pattern: /^F\s*[–-]\s*FINE ARTS$/, department: 'Fine Arts', subject: 'arts' },
+  { pattern: /^G\s*[–-]\s*ELECTIVES$/, department: 'Electives', subject: 'elective' },
+  { pattern: /^OTHER ELECTIVES$/, department: 'Other Electives', subject: 'elective' },
+  { pattern: /^DUAL ENROLLMENT$/, department: 'Dual Enrollment', subject: 'elective' },
+  { pattern: /^PE\s*[–-]\s*PHYSICAL EDUCATION$/, department: 'Physical Education', subject: 'pe' },
+  { pattern: /^PE ATHLETICS$/, department: 'PE Athletics', subject: 'pe' },
+  { pattern: /^SPECIAL EDUCATION CLASSES$/, department: 'Special Education', subject: 'special_education' },
+  { pattern: /^ENGLISH LEARNERS$/, department: 'English Learners', subject: 'english_learner' },
+];
+
+// "INTEGRATED MATH 1A-1B    001012 – 001013" — title followed by one code or a code range
+const COURSE_HEADING = /^(.+?)\s+(\d{6,7})(?:\s*[–-]\s*(\d{6,7}))?\s*$/;
+const PAGE_MARKER = /^--\s*(\d+)\s+of\s+\d+\s*--$/;
+const RUNNING_HEADER = /^Del Norte High School\s+Course Catalog/i;
+
+/**
+ * Service that turns course catalog text into structured course records
+ * and serves them back out of the database
+ */
+class CourseCatalogService {
+  constructor() {
+    // Bumped on every catalog load so derived data (e.g. the prerequisite graph) knows to rebuild
+    this.version = 0;
+  }
+
+  /**
+   * Parse catalog text into one record per course
+   * @param {string} text - Catalog text as extracted by pdf-parse (keeps line breaks and page markers)
+   * @param {Object} options
+   * @param {string} [options.sourceFile] - File the text came from
+   * @returns {Object[]} - Course records
+   */
+  parseCatalog(text, { sourceFile = null } = {}) {
+    if (!text) {
+      return [];
+    }
+
+    const lines = text.split(/\r?\n/);
+    const courses = [];
+    let page = 1;
+    let section = null;
+    let current = null;
+    const seenCodes = new Set();
+
+    const finish = () => {
+      // The English Learners section re-lists a few main courses under the same code;
+      // keep the first (departmental) listing
+      if (current && !seenCodes.has(current.codes[0])) {
+        seenCodes.add(current.codes[0]);
+        courses.push(this._buildCourse(current, sourceFile));
+      }
+      current = null;
+    };
+
+    for (const rawLine of lines) {
+      const line = rawLine.replace(/\s+/g, ' ').trim();
+      const kind = this.classifyLine(line);
+
+      if (kind.type === 'page') {
+        page = kind.page;
+      } else if (kind.type === 'section') {
+        finish();
+        section = kind.section;
+      } else if (kind.type === 'course' && section) {
+        finish();
+        current = { ...kind.heading, section, page, lines: [line] };
+      } else if (kind.type !== 'skip' && current) {
+        current.lines.push(line);
+      }
+    }
+    finish();
+
+    return courses;
+  }
+
+  /**
+   * Classify one line of catalog text
+   * @param {string} line - Line with whitespace collapsed
+   * @returns {Object} - { type: 'skip' } for blank lines, running headers and printed page numbers;
+   *   { type: 'page', page } for a page break (page is the page that follows);
+   *   { type: 'section', section } for a department header ({ department, subject });
+   *   { type: 'course', heading } for a course heading ({ title, codes }); otherwise { type: 'text' }
+   */
+  classifyLine(line) {
+    if (!line) return { type: 'skip' };
+
+    // pdf-parse closes every page with "-- N of M --"; what follows is on page N + 1
+    const pageMatch = line.match(PAGE_MARKER);
+    if (pageMatch) return { type: 'page', page: parseInt(pageMatch[1], 10) + 1 };
+
+    if (RUNNING_HEADER.test(line) || /^\d{1,3}$/.test(line)) return { type: 'skip' };
+
+    // Table of contents entries look like section headers followed by dot leaders
+    const section = !line.includes('...') && SECTIONS.find(s => s.pattern.test(line));
+    if (section) return { type: 'section', section: { department: section.department, subject: section.subject } };
+
+    const heading = this.parseHeading(line);
+    if (heading) return { type: 'course', heading };
+
+    return { type: 'text' };
+  }
+
+  /**
+   * Recognize a course heading line
+   * @param {string} line - Normalized catalog line
+   * @returns {{title: string, codes: string[]}|null}
+   */
+  parseHeading(line) {
+    const match = line.match(COURSE_HEADING);
+    if (!match) return null;
+
+    const title = match[1].trim();
+    // Headings are printed in upper case; prose that happens to end in a number is not
+    if (!/[A-Z]/.test(title) || title !== title.toUpperCase()) return null;
+
+    // A few codes are misprinted with a leading extra zero (e.g. 0001703)
+    const start = match[2].slice(-6);
+    const end = match[3] ? match[3].slice(-6) : null;
+    const codes = [start];
+    if (end) {
+      const span = parseInt(end, 10) - parseInt(start, 10);
+      if (span > 0 && span <= 5) {
+        for (let i = 1; i <= span; i++) {
+          codes.push(String(parseInt(start, 10) + i).padStart(6, '0'));
+        }
+      } else if (end !== start) {
+        codes.push(end);
+      }
+    }
+
+    return { title, codes };
+  }
+
+  /**
+   * Turn a collected heading + body into a course record
+   */
+  _buildCourse(block, sourceFile) {
+    const { title, codes, section, page, lines } = block;
+    let prerequisites = null;
+    let gradeLevels = null;
+    let agArea = null;
+    let agStatus = null;
+    let isWeighted = false;
+    const descriptionLines = [];
+    let inPrerequisites = false;
+
+    for (const line of lines.slice(1)) {
+      // Once the description starts, everything else belongs to it
+      if (descriptionLines.length > 0) {
+        descriptionLines.push(line);
+        continue;
+      }
+
+      const prereqMatch = line.match(/^(?:Recommended\s+)?Prerequisites?:\s*(.*)$/i);
+      if (prereqMatch) {
+        prerequisites = prereqMatch[1].trim();
+        inPrerequisites = true;
+        continue;
+      }
+
+      const gradeMatch = line.match(/^Grades?:\s*(.*)$/i);
+      if (gradeMatch) {
+        gradeLevels = this._parseGradeLevels(gradeMatch[1]);
+        inPrerequisites = false;
+        continue;
+      }
+
+      if (/UC\/CSU/i.test(line) && /^(Meets|Pending|Poway USD)/i.test(line)) {
+        const agMatch = line.match(/UC\/CSU\s+(?:approval\s+for\s+)?([A-G])\b/i);
+        if (agMatch && !/not UC\/CSU approved/i.test(line)) {
+          agArea = agMatch[1].toUpperCase();
+          agStatus = /^Pending/i.test(line) ? 'pending' : 'approved';
+        } else {
+          agStatus = 'not_approved';
+        }
+        inPrerequisites = false;
+        continue;
+      }
+
+      if (/^5\.0 weighted/i.test(line)) {
+        isWeighted = true;
+        inPrerequisites = false;
+        continue;
+      }
+
+      // Long prerequisite text wraps onto the next line before "Grade:"
+      if (inPrerequisites && gradeLevels === null) {
+        prerequisites = `${prerequisites} ${line}`.trim();
+        continue;
+      }
+
+      descriptionLines.push(line.replace(/^Description:\s*/i, ''));
+    }
+
+    // A grade range sometimes gets run into the wrapped prerequisite text ("... Mechanics. Grade 11-12")
+    const trailingGrade = prerequisites && prerequisites.match(/\s*\bGrades?:?\s*(\d{1,2}(?:\s*-\s*\d{1,2})?)\s*$/i);
+    if (trailingGrade) {
+      prerequisites = prerequisites.slice(0, trailingGrade.index).trim();
+      gradeLevels = gradeLevels || this._parseGradeLevels(trailingGrade[1]);
+    }
+
+    const terms = codes.length;
+    return {
+      code: codes[0],
+      codes,
+      title,
+      department: section.department,
+      subject: section.subject,
+      gradeLevels,
+      // One code is a one-trimester course; a "1-2" course is a year of its subject
+      length: terms >= TERMS_PER_SUBJECT_YEAR ? 'year' : 'trimester',
+      terms,
+      credits: terms * CREDITS_PER_TERM,
+      prerequisites,
+      agArea,
+      agStatus,
+      isHonors: /\bHONORS\b/.test(title),
+      isAP: /^AP\b|\bADVANCED PLACEMENT\b/.test(title),
+      isWeighted,
+      description: descriptionLines.join(' ').trim(),
+      rawText: lines.join('\n'),
+      page,
+      sourceFile,
+    };
+  }
+
+  /**
+   * Parse "9-12", "10", "10-12 or Teacher recommendation" into a list of grades
+   * @param {string} value - Text after "Grade:"
+   * @returns {number[]|null}
+   */
+  _parseGradeLevels(value) {
+    const match = (value || '').match(/(\d{1,2})(?:\s*-\s*(\d{1,2}))?/);
+    if (!match) return null;
+
+    const min = Math.max(9, parseInt(match[1], 10));
+    const max = Math.min(12, match[2] ? parseInt(match[2], 10) : min);
+    const grades = [];
+    for (let g = min; g <= max; g++) grades.push(g);
+    return grades.length > 0 ? grades : null;
+  }
+
+  /**
+   * Parse catalog text and replace the stored courses with it
+   * @param {string} text - Catalog text
+   * @param {string} sourceFile - File name recorded on each course
+   * @returns {Promise<number>} - Number of courses stored
+   */
+  async loadCatalog(text, sourceFile) {
+    const courses = this.parseCatalog(text, { sourceFile });
+    if (courses.length === 0) {
+      console.warn(`No courses found in ${sourceFile || 'catalog text'}`);
+      return 0;
+    }
+
+    await DatabaseService.replaceCourses(courses, sourceFile);
+    this.version++;
+    console.log(`Stored ${courses.length} catalog courses from ${sourceFile || 'catalog text'}`);
+    return courses.length;
+  }
+
+  /**
+   * Extract text from a catalog PDF and load its courses
+   * @param {Buffer} pdfBuffer - Catalog PDF
+   * @param {string} sourceFile - File name recorded on each course
+   * @returns {Promise<number>} - Number of courses stored
+   */
+  async loadCatalogFromPDF(pdfBuffer, sourceFile) {
+    const pdfData = await pdfParse(pdfBuffer);
+    return this.loadCatalog(pdfData.text, sourceFile);
+  }
+
+  /**
+   * Get stored courses
+   * @param {Object} filters
+   * @param {string} [filters.department] - Department name or subject slug (e.g. "Mathematics" or "math")
+   * @param {number} [filters.grade] - Only courses open to this grade
+   * @param {string} [filters.agArea] - UC/CSU A-G letter
+   * @returns {Promise<Object[]>} - Course records
+   */
+  getCourses(filters = {}) {
+    return DatabaseService.getCourses(filters);
+  }
+
+  /**
+   * Get a single course, including the raw catalog excerpt it was parsed from
+   * @param {string} code - Any of the course's six-digit codes
+   * @returns {Promise<Object|null>} - Course record or null if not in the catalog
+   */
+  getCourse(code) {
+    return DatabaseService.getCourse(code);
+  }
+
+  /**
+   * Find the other courses in the same sequence (e.g. Chinese 1-2 → Chinese 3-4 → AP Chinese Language)
+   * @param {Object} course - Course record
+   * @returns {Promise<Object[]>} - Related courses ordered by level
+   */
+  async getSequenceCourses(course) {
+    const stem = this.getSequenceStem(course.title);
+    if (!stem) return [];
+
+    const candidates = await DatabaseService.getCourses({ department: course.subject });
+    return candidates
+      .filter(c => c.code !== course.code)
+      .filter(c => {
+        const other = this.getSequenceStem(c.title);
+        return other === stem || other.startsWith(`${stem} `) || stem.startsWith(`${other} `);
+      })
+      .sort((a, b) => this._sequenceLevel(a.title) - this._sequenceLevel(b.title) || a.title.localeCompare(b.title));
+  }
+
+  /**
+   * Reduce a title to the part shared by every level of its sequence:
+   * "AP CHINESE LANGUAGE SEMINAR" → "CHINESE LANGUAGE", "INTEGRATED MATH 2A-2B" → "INTEGRATED MATH"
+   */
+  getSequenceStem(title) {
+    return title
+      .toUpperCase()
+      .replace(/\b(AP|HONORS|ADVANCED PLACEMENT|SEMINAR)\b/g, ' ')
+      .replace(/(\s+\d+[A-Z]?(?:\s*-\s*\d*[A-Z]?)*)+\s*$/, '')
+      .replace(/\s+/g, ' ')
+      .trim();
+  }
+
+  /**
+   * Sort key for a title within its sequence: level number, with AP/seminar courses after numbered levels
+   */
+  _sequenceLevel(title) {
+    const level = title.match(/\s(\d+)[A-Z]?(?:\s*-\s*\d*[A-Z]?)*\s*$/);
+    if (level) return parseInt(level[1], 10);
+    if (/\bSEMINAR\b/.test(title)) return 1001;
+    return 1000;
+  }
+}
+
+// Export as singleton
+module.exports = new CourseCatalogService();
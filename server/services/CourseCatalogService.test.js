@@ -0,0 +1,64 @@
+// Only the text parser is tested here; pdf.js does not load inside Jest's sandbox
+jest.mock('pdf-parse', () => ({ PDFParse: class {} }));
+
+const fs = require('fs');
+const path = require('path');
+const CourseCatalogService = require('./CourseCatalogService');
+
+const CATALOG_TEXT = fs.readFileSync(path.join(__dirname, '..', 'test', 'fixtures', 'catalog-excerpt.txt'), 'utf8');
+
+describe('CourseCatalogService.parseCatalog', () => {
+  const courses = CourseCatalogService.parseCatalog(CATALOG_TEXT, { sourceFile: 'catalog.pdf' });
+  const byCode = code => courses.find(course => course.code === code);
+
+  test('makes one record per course heading, in catalog order', () => {
+    expect(courses.map(course => [course.code, course.title])).toEqual([
+      ['001301', 'WORLD HISTORY'],
+      ['001307', 'AP WORLD HISTORY 1-2'],
+      ['001309', 'WORLD GEOGRAPHY & CULTURES'],
+      ['001376', 'US HISTORY 1-2'],
+      ['001715', 'AP US HISTORY SEMINAR'],
+      ['000301', 'HIGH SCHOOL ENGLISH 1-2'],
+    ]);
+  });
+
+  test('counts each code as one 5-credit trimester', () => {
+    expect(byCode('001376')).toMatchObject({ codes: ['001376', '001377'], terms: 2, credits: 10, length: 'year' });
+    expect(byCode('001715')).toMatchObject({ codes: ['001715'], terms: 1, credits: 5, length: 'trimester' });
+  });
+
+  test('reads the department, grades, prerequisites, A-G area and weighting', () => {
+    expect(byCode('001307')).toMatchObject({
+      department: 'Social Science',
+      subject: 'social_studies',
+      gradeLevels: [10],
+      prerequisites: 'Teacher Recommendation',
+      agArea: 'A',
+      agStatus: 'approved',
+      isAP: true,
+      isWeighted: true,
+      sourceFile: 'catalog.pdf',
+    });
+    expect(byCode('001715')).toMatchObject({ prerequisites: 'AP US History 1-2', agArea: null, agStatus: 'not_approved', isWeighted: false });
+    expect(byCode('000301')).toMatchObject({ department: 'English', subject: 'english', gradeLevels: [9], agArea: 'B' });
+  });
+
+  test('follows page breaks and leaves running headers and page numbers out of descriptions', () => {
+    expect(byCode('001301').page).toBe(3);
+    expect(byCode('001715').page).toBe(4);
+    expect(byCode('001376').description).toBe(
+      'U. S. History 1-2 is a two-trimester course in which students examine the economic, social, and political development of the United States during the twentieth century.'
+    );
+  });
+});
+
+describe('CourseCatalogService.parseHeading', () => {
+  test('expands a code range and fixes a misprinted leading zero', () => {
+    expect(CourseCatalogService.parseHeading('INTEGRATED MATH 1A-1B 001012 – 001013')).toEqual({ title: 'INTEGRATED MATH 1A-1B', codes: ['001012', '001013'] });
+    expect(CourseCatalogService.parseHeading('DATA STRUCTURES 1 0001703')).toEqual({ title: 'DATA STRUCTURES 1', codes: ['001703'] });
+  });
+
+  test('ignores prose that ends in a number', () => {
+    expect(CourseCatalogService.parseHeading('Students may call the counseling office at 858485')).toBeNull();
+  });
+});
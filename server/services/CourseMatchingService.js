@@ -0,0 +1,276 @@
+// Transcript lines below this confidence are reported as unmatched
+const MIN_CONFIDENCE = 0.6;
+
+const STOPWORDS = new Set(['of', 'the', 'in', 'and', 'to', 'a', 'for', 'with']);
+
+// Markers that say nothing about which course it is: college prep, semester/term labels
+const NOISE = new Set(['cp', 'p', 'col', 'prep', 'sem', 'semester', 's1', 's2', 't1', 't2', 't3', 'yr', 'year', 'gen', 'reg', 'regular']);
+
+// Abbreviations common on student information system transcripts
+const ABBREVIATIONS = {
+  alg: 'algebra',
+  geom: 'geometry',
+  geo: 'geography',
+  trig: 'trigonometry',
+  precalc: 'pre calculus',
+  calc: 'calculus',
+  stats: 'statistics',
+  stat: 'statistics',
+  int: 'integrated',
+  integ: 'integrated',
+  im: 'integrated math',
+  mth: 'math',
+  maths: 'math',
+  eng: 'english',
+  engl: 'english',
+  lit: 'literature',
+  lang: 'language',
+  comp: 'composition',
+  hist: 'history',
+  wld: 'world',
+  wrld: 'world',
+  wh: 'world history',
+  ush: 'us history',
+  usa: 'us',
+  gov: 'government',
+  govt: 'government',
+  econ: 'economics',
+  geog: 'geography',
+  psych: 'psychology',
+  bio: 'biology',
+  chem: 'chemistry',
+  phys: 'physics',
+  env: 'environmental',
+  enviro: 'environmental',
+  sci: 'science',
+  span: 'spanish',
+  spn: 'spanish',
+  chin: 'chinese',
+  chn: 'chinese',
+  cs: 'computer science',
+  csp: 'computer science principles',
+  csa: 'computer science a',
+  compsci: 'computer science',
+  intro: 'introduction',
+  adv: 'advanced',
+  accel: 'accel',
+  photo: 'photography',
+  dig: 'digital',
+  orch: 'orchestra',
+  hon: 'honors',
+  hnrs: 'honors',
+  hn: 'honors',
+  h: 'honors',
+  i: '1',
+  ii: '2',
+  iii: '3',
+  iv: '4',
+};
+
+/**
+ * Transcript names that share no words with their catalog title. Grade-numbered
+ * courses ("English 9") name the student's grade, not a course level, and the traditional
+ * math sequence from other schools lines up with the integrated one.
+ */
+const ALIASES = {
+  'algebra 1': 'INTEGRATED MATH 1A-1B',
+  'geometry': 'INTEGRATED MATH 2A-2B',
+  'algebra 2': 'INTEGRATED MATH 3A-3B',
+  'english 9': 'HIGH SCHOOL ENGLISH 1-2',
+  'english 10': 'HIGH SCHOOL ENGLISH 3-4',
+  'honors english 9': 'HONORS HIGH SCHOOL ENGLISH 1-2',
+  'honors english 10': 'HONORS HUMANITIES 1-2',
+  'english 11': 'AMERICAN LITERATURE 1-2',
+  'english 12': 'WORLD LITERATURE 1-2',
+  'erwc': 'EXPOSITORY READING & WRITING 1-2',
+  'biology': 'BIOLOGY OF THE LIVING EARTH 1-2',
+  'chemistry': 'CHEMISTRY IN THE EARTH SYSTEM 1-2',
+  'physics': 'PHYSICS OF THE UNIVERSE',
+  'physical education': 'ENS 1-2',
+  'physical education 9': 'ENS 1-2',
+  'pe': 'ENS 1-2',
+  'pe 9': 'ENS 1-2',
+  'pe 10': 'ENS 3',
+  'us government': 'CIVICS',
+  'government': 'CIVICS',
+  'apush': 'AP US HISTORY 1-2',
+  'apes': 'AP ENVIRONMENTAL SCIENCE 1-2',
+  'ap lang': 'AP ENGLISH LANGUAGE 1-2',
+  'ap lit': 'AP ENGLISH LITERATURE 1-2',
+  'ap gov': 'AP US GOVERNMENT & POLITICS 1-2',
+  'ap bio': 'AP BIOLOGY 3-4',
+  'ap chem': 'AP CHEMISTRY 3-4',
+  'ap psych': 'AP PSYCHOLOGY 1-2',
+};
+
+// Catalog subjects only taken through special programs; never guessed from a plain name
+const PROGRAM_SUBJECTS = ['special_education', 'english_learner'];
+
+/**
+ * Service that maps transcript course names ("ALG 1 CP", "ENG 10 H", "AP CALC AB")
+ * to catalog courses
+ *
+ * Names are expanded from common abbreviations, then scored against every catalog title on
+ * shared words, course level, honors/AP flags and the subject the transcript parser assigned.
+ * Each match carries a confidence from 0 to 1; anything below MIN_CONFIDENCE is unmatched.
+ */
+class CourseMatchingService {
+  constructor() {
+    // Keyed the same way as transcript names so "ENG 9" and "English 9" both find an alias
+    this.aliases = new Map(Object.entries(ALIASES).map(([name, title]) => [this._key(this._tokenize(name)), title]));
+  }
+
+  /**
+   * Match every line of a parsed transcript
+   * @param {Object[]} transcriptCourses - [{ name, subject, isHonors, isAP, ... }]
+   * @param {Object[]} catalog - Catalog courses
+   * @returns {Object[]} - One result per line, in order (see matchCourse)
+   */
+  matchCourses(transcriptCourses, catalog) {
+    return transcriptCourses.map(course => this.matchCourse(course, catalog));
+  }
+
+  /**
+   * Match one transcript line to a catalog course
+   * @param {Object|string} course - Transcript course or bare course name
+   * @param {Object[]} catalog - Catalog courses
+   * @returns {Object} - { name, code, title, subject, confidence, method, matched, candidate }
+   *   where candidate is the best guess for an unmatched line
+   */
+  matchCourse(course, catalog) {
+    const entry = typeof course === 'string' ? { name: course } : course;
+    const name = entry.name || '';
+    const result = { name, code: null, title: null, subject: null, confidence: 0, method: null, matched: false, candidate: null };
+    if (!name.trim() || catalog.length === 0) return result;
+
+    const query = this._tokenize(name);
+    if (entry.isAP) query.ap = true;
+    if (entry.isHonors) query.honors = true;
+
+    // Exact titles first, then known aliases
+    const key = this._key(query);
+    let best = null;
+    const exact = catalog.find(c => this._key(this._tokenize(c.title)) === key);
+    if (exact) {
+      best = { course: exact, confidence: 1, method: 'exact' };
+    } else {
+      // "Chem H" falls back to the regular course when the catalog has no honors version
+      const plainKey = this._key({ ...query, honors: false });
+      const aliasTitle = this.aliases.get(key) || this.aliases.get(plainKey);
+      const alias = aliasTitle ? catalog.find(c => c.title === aliasTitle) : null;
+      if (alias) best = { course: alias, confidence: this.aliases.has(key) ? 0.95 : 0.8, method: 'alias' };
+    }
+
+    if (!best) {
+      for (const candidate of catalog) {
+        const confidence = this._score(query, candidate, entry.subject);
+        if (confidence > 0 && (!best || confidence > best.confidence)) {
+          best = { course: candidate, confidence, method: 'fuzzy' };
+        }
+      }
+    }
+    if (!best) return result;
+
+    const summary = {
+      code: best.course.code,
+      title: best.course.title,
+      subject: best.course.subject,
+      confidence: Math.round(best.confidence * 100) / 100,
+      method: best.method,
+    };
+    if (summary.confidence < MIN_CONFIDENCE) {
+      return { ...result, candidate: summary };
+    }
+    return { ...result, ...summary, matched: true };
+  }
+
+  /**
+   * Confidence that a transcript name refers to a catalog course
+   */
+  _score(query, course, subjectHint) {
+    if (query.words.length === 0) return 0;
+    const title = this._tokenize(course.title);
+
+    if (PROGRAM_SUBJECTS.includes(course.subject) && subjectHint !== course.subject) return 0;
+    // A bare "AP Statistics" is the course, not its seminar
+    if (title.words.includes('seminar') && !query.words.includes('seminar')) return 0;
+
+    const matchedQuery = query.words.filter(w => title.words.some(t => this._wordsMatch(w, t))).length;
+    if (matchedQuery === 0) return 0;
+    const matchedTitle = title.words.filter(t => query.words.some(w => this._wordsMatch(w, t))).length;
+    const precision = matchedQuery / query.words.length;
+    const recall = title.words.length > 0 ? matchedTitle / title.words.length : 0;
+    let score = 0.6 * precision + 0.4 * recall;
+
+    // Levels: "Spanish 3" falls inside "SPANISH 3-4"; a different level is a different course
+    if (query.levels.length > 0 && title.levels.length > 0) {
+      const [lo, hi] = [Math.min(...title.levels), Math.max(...title.levels)];
+      if (!query.levels.every(level => level >= lo && level <= hi)) score *= 0.3;
+    } else if (query.levels.length > 0) {
+      score *= 0.85;
+    } else if (title.levels.length > 0 && Math.min(...title.levels) > 1) {
+      score *= 0.7;
+    }
+
+    if (query.ap !== title.ap) score *= 0.6;
+    if (query.honors !== title.honors) score *= 0.8;
+
+    if (subjectHint && subjectHint !== 'elective') {
+      score = subjectHint === course.subject ? Math.min(1, score + 0.1) : score * 0.8;
+    }
+    return score;
+  }
+
+  /**
+   * "alg" and "algebra" match; so do "sciences" and "science"
+   */
+  _wordsMatch(a, b) {
+    if (a === b) return true;
+    const [short, long] = a.length <= b.length ? [a, b] : [b, a];
+    return short.length >= 3 && long.startsWith(short);
+  }
+
+  /**
+   * Split a course name into words, levels and honors/AP flags
+   */
+  _tokenize(name) {
+    const tokens = name
+      .toLowerCase()
+      .replace(/&/g, ' and ')
+      .replace(/advanced placement/g, 'ap')
+      // "1A-1B" halves are level 1; "3D" is a word
+      .replace(/(\d)[ab]\b/g, '$1')
+      .replace(/[^a-z0-9]+/g, ' ')
+      .replace(/\bp e\b/g, 'pe')
+      .replace(/\bcomp sci\b/g, 'compsci')
+      .split(' ')
+      .filter(Boolean)
+      .flatMap(t => (ABBREVIATIONS[t] || t).split(' '));
+
+    const result = { words: [], levels: [], ap: false, honors: false };
+    for (const token of tokens) {
+      if (token === 'ap') {
+        result.ap = true;
+      } else if (token === 'honors') {
+        result.honors = true;
+      } else if (/^\d+$/.test(token)) {
+        result.levels.push(parseInt(token, 10));
+      } else if (!STOPWORDS.has(token) && !NOISE.has(token)) {
+        result.words.push(token.length > 3 ? token.replace(/s$/, '') : token);
+      }
+    }
+    return result;
+  }
+
+  /**
+   * Comparable form of a tokenized name, used for exact and alias lookups
+   */
+  _key(tokens) {
+    return [tokens.ap ? 'ap' : null, tokens.honors ? 'honors' : null, ...tokens.words, ...tokens.levels]
+      .filter(Boolean)
+      .join(' ');
+  }
+}
+
+// Export as singleton
+module.exports = new CourseMatchingService();
@@ -0,0 +1,37 @@
+const CourseMatchingService = require('./CourseMatchingService');
+
+// Every course in references/Course Catalog 2026-2027, as parseCatalog reads it (descriptions left out)
+const CATALOG = require('../test/fixtures/catalog-courses.json');
+
+const match = (name) => CourseMatchingService.matchCourse(name, CATALOG);
+
+describe('CourseMatchingService.matchCourse', () => {
+  test('maps an abbreviated course name to its catalog course', () => {
+    expect(match('ALG 1 CP')).toMatchObject({
+      code: '001012',
+      title: 'INTEGRATED MATH 1A-1B',
+      subject: 'math',
+      confidence: 0.95,
+      method: 'alias',
+      matched: true,
+    });
+  });
+
+  test('matches a catalog title regardless of case and level format', () => {
+    expect(match('Spanish 3-4')).toMatchObject({ code: '000472', confidence: 1, method: 'exact' });
+    expect(match('SPAN 3-4')).toMatchObject({ code: '000472', method: 'exact' });
+  });
+
+  test('falls back to the regular course when the catalog has no honors version', () => {
+    expect(match('Chem H')).toMatchObject({ code: '001246', confidence: 0.8, method: 'alias', matched: true });
+  });
+
+  test('scores names with no alias against every title', () => {
+    expect(match('AP US HIST')).toMatchObject({ code: '001382', method: 'fuzzy', matched: true });
+  });
+
+  test('leaves a name that resembles no course unmatched', () => {
+    expect(match('xyz course')).toMatchObject({ code: null, matched: false, candidate: null });
+    expect(CourseMatchingService.matchCourses([{ name: '' }], CATALOG)).toEqual([expect.objectContaining({ matched: false })]);
+  });
+});
@@ -40,8 +40,24 @@ class DatabaseService {
         text TEXT NOT NULL,
         embedding TEXT NOT NULL,
         document_type TEXT DEFAULT 'unknown',
+        model TEXT,
+        dimension INTEGER,
+        page INTEGER,
+        end_page INTEGER,
+        section TEXT,
+        course_code TEXT,
+        codes TEXT,
+        department TEXT,
+        source_file TEXT,
         created_at TEXT DEFAULT (datetime('now'))
       )`,
+      `CREATE TABLE IF NOT EXISTS vector_index (
+        model TEXT PRIMARY KEY,
+        dimension INTEGER,
+        vector_count INTEGER NOT NULL,
+        graph TEXT NOT NULL,
+        updated_at TEXT DEFAULT (datetime('now'))
+      )`,
       `CREATE TABLE IF NOT EXISTS chat_sessions (
         id TEXT PRIMARY KEY,
         title TEXT NOT NULL DEFAULT 'New Chat',
@@ -90,6 +106,41 @@ class DatabaseService {
         questions_asked INTEGER DEFAULT 0,
         answers_received INTEGER DEFAULT 0
       )`,
+      `CREATE TABLE IF NOT EXISTS courses (
+        code TEXT PRIMARY KEY,
+        codes TEXT NOT NULL,
+        title TEXT NOT NULL,
+        department TEXT,
+        subject TEXT,
+        grade_min INTEGER,
+        grade_max INTEGER,
+        length TEXT,
+        terms INTEGER,
+        credits REAL,
+        prerequisites TEXT,
+        ag_area TEXT,
+        ag_status TEXT,
+        is_honors INTEGER DEFAULT 0,
+        is_ap INTEGER DEFAULT 0,
+        is_weighted INTEGER DEFAULT 0,
+        description TEXT,
+        raw_text TEXT,
+        page INTEGER,
+        source_file TEXT,
+        created_at TEXT DEFAULT (datetime('now'))
+      )`,
+      `CREATE TABLE IF NOT EXISTS requirement_rule_sets (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        name TEXT NOT NULL,
+        class_year_from INTEGER,
+        class_year_to INTEGER,
+        total_credits REAL NOT NULL,
+        graduation TEXT NOT NULL,
+        ag TEXT NOT NULL,
+        source TEXT,
+        created_at TEXT DEFAULT (datetime('now')),
+        updated_at TEXT DEFAULT (datetime('now'))
+      )`,
       `CREATE INDEX IF NOT EXISTS idx_chat_messages_session ON chat_messages(session_id)`,
       `CREATE INDEX IF NOT EXISTS idx_vectors_doc_type ON vectors(document_type)`,
       `CREATE INDEX IF NOT EXISTS idx_feedback_rating ON feedback(rating)`,
@@ -98,7 +149,45 @@ class DatabaseService {
       `CREATE INDEX IF NOT EXISTS idx_analytics_events_user ON analytics_events(user_id)`,
       `CREATE INDEX IF NOT EXISTS idx_user_sessions_user ON user_sessions(user_id)`,
       `CREATE INDEX IF NOT EXISTS idx_user_sessions_started ON user_sessions(started_at)`,
+      `CREATE INDEX IF NOT EXISTS idx_courses_subject ON courses(subject)`,
+      `CREATE INDEX IF NOT EXISTS idx_courses_ag_area ON courses(ag_area)`,
     ], 'write');
+
+    // Columns added to existing tables, which CREATE TABLE IF NOT EXISTS leaves untouched
+    await this._addMissingColumns('vectors', {
+      model: 'TEXT',
+      dimension: 'INTEGER',
+      page: 'INTEGER',
+      end_page: 'INTEGER',
+      section: 'TEXT',
+      course_code: 'TEXT',
+      codes: 'TEXT',
+      department: 'TEXT',
+      source_file: 'TEXT',
+    });
+    await this._addMissingColumns('chat_messages', {
+      retrieval_query: 'TEXT',
+      citations: 'TEXT',
+      grounding: 'TEXT',
+    });
+    await this._addMissingColumns('chat_sessions', {
+      summary: 'TEXT',
+      summarized_count: 'INTEGER DEFAULT 0',
+      document_filename: 'TEXT',
+      document_type: 'TEXT',
+      document_text: 'TEXT',
+      document_summary: 'TEXT',
+      document_student: 'TEXT',
+    });
+  }
+
+  async _addMissingColumns(table, columns) {
+    const existing = (await this._all(`PRAGMA table_info(${table})`)).map(row => row.name);
+    for (const [name, type] of Object.entries(columns)) {
+      if (!existing.includes(name)) {
+        await this.client.execute(`ALTER TABLE ${table} ADD COLUMN ${name} ${type}`);
+      }
+    }
   }
 
   // ─── HELPERS ────────────────────────────────────────────────────────────────
@@ -150,12 +239,27 @@ class DatabaseService {
 
   async getVectors() {
     await this._ready();
-    const rows = await this._all('SELECT id, text, embedding, document_type FROM vectors');
+    const rows = await this._all(
+      `SELECT id, text, embedding, document_type, model, dimension, page, end_page, section, course_code, codes, department, source_file
+       FROM vectors`
+    );
     return rows.map(row => ({
       id: row.id,
       text: row.text,
       embedding: JSON.parse(row.embedding),
       documentType: row.document_type,
+      model: row.model,
+      dimension: row.dimension === null ? null : Number(row.dimension),
+      metadata: {
+        page: row.page === null ? null : Number(row.page),
+        endPage: row.end_page === null ? null : Number(row.end_page),
+        section: row.section,
+        courseCode: row.course_code,
+        // Rows stored before the codes column only know their first code
+        codes: row.codes ? JSON.parse(row.codes) : (row.course_code ? [row.course_code] : []),
+        department: row.department,
+        sourceFile: row.source_file,
+      },
     }));
   }
 
@@ -168,10 +272,19 @@ class DatabaseService {
   async addVectors(vectors, documentType = 'unknown') {
     await this._ready();
     if (!vectors || vectors.length === 0) return 0;
-    const statements = vectors.map(v => ({
-      sql: 'INSERT OR REPLACE INTO vectors (id, text, embedding, document_type) VALUES (?, ?, ?, ?)',
-      args: [v.id, v.text, JSON.stringify(v.embedding), documentType],
-    }));
+    const statements = vectors.map(v => {
+      const m = v.metadata || {};
+      return {
+        sql: `INSERT OR REPLACE INTO vectors
+              (id, text, embedding, document_type, model, dimension, page, end_page, section, course_code, codes, department, source_file)
+              VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+        args: [
+          v.id, v.text, JSON.stringify(v.embedding), v.documentType || documentType, v.model || null, v.embedding.length,
+          m.page ?? null, m.endPage ?? null, m.section ?? null, m.courseCode ?? null,
+          m.codes && m.codes.length > 0 ? JSON.stringify(m.codes) : null, m.department ?? null, m.sourceFile ?? null,
+        ],
+      };
+    });
     await this.client.batch(statements, 'write');
     return vectors.length;
   }
@@ -182,12 +295,203 @@ class DatabaseService {
     return info.changes;
   }
 
+  async deleteVectorsForDocument(documentType) {
+    await this._ready();
+    const info = await this._run('DELETE FROM vectors WHERE document_type = ?', [documentType]);
+    return info.changes;
+  }
+
   async hasVectorsForDocument(documentType) {
     await this._ready();
     const row = await this._get('SELECT COUNT(*) as count FROM vectors WHERE document_type = ?', [documentType]);
     return row ? Number(row.count) > 0 : false;
   }
 
+  /** Saved ANN graph for an embedding model, or null */
+  async getVectorIndex(model) {
+    await this._ready();
+    const row = await this._get('SELECT dimension, vector_count, graph FROM vector_index WHERE model = ?', [model]);
+    if (!row) return null;
+    return {
+      dimension: row.dimension === null ? null : Number(row.dimension),
+      vectorCount: Number(row.vector_count),
+      graph: JSON.parse(row.graph),
+    };
+  }
+
+  /** Save the ANN graph for an embedding model, dropping graphs saved for other models */
+  async saveVectorIndex(model, dimension, vectorCount, graph) {
+    await this._ready();
+    await this.client.batch([
+      { sql: 'DELETE FROM vector_index WHERE model != ?', args: [model] },
+      {
+        sql: `INSERT OR REPLACE INTO vector_index (model, dimension, vector_count, graph, updated_at)
+              VALUES (?, ?, ?, ?, datetime('now'))`,
+        args: [model, dimension, vectorCount, JSON.stringify(graph)],
+      },
+    ], 'write');
+  }
+
+  async clearVectorIndex() {
+    await this._ready();
+    await this._run('DELETE FROM vector_index');
+  }
+
+  // ─── COURSE CATALOG ──────────────────────────────────────────────────────────
+
+  async replaceCourses(courses, sourceFile = null) {
+    await this._ready();
+    // Only one catalog is active at a time, so a reload replaces every course
+    const statements = [
+      'DELETE FROM courses',
+      ...courses.map(c => ({
+        sql: `INSERT OR REPLACE INTO courses (code, codes, title, department, subject, grade_min, grade_max, length, terms, credits,
+          prerequisites, ag_area, ag_status, is_honors, is_ap, is_weighted, description, raw_text, page, source_file)
+          VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+        args: [
+          c.code, JSON.stringify(c.codes), c.title, c.department, c.subject,
+          c.gradeLevels ? c.gradeLevels[0] : null,
+          c.gradeLevels ? c.gradeLevels[c.gradeLevels.length - 1] : null,
+          c.length, c.terms, c.credits, c.prerequisites, c.agArea, c.agStatus,
+          c.isHonors ? 1 : 0, c.isAP ? 1 : 0, c.isWeighted ? 1 : 0,
+          c.description, c.rawText, c.page, sourceFile,
+        ],
+      })),
+    ];
+    await this.client.batch(statements, 'write');
+    return courses.length;
+  }
+
+  async getCourses(filters = {}) {
+    await this._ready();
+    const { department, grade, agArea } = filters;
+    const where = [];
+    const args = [];
+
+    if (department) {
+      where.push('(LOWER(department) = LOWER(?) OR subject = LOWER(?))');
+      args.push(department, department);
+    }
+    if (grade) {
+      where.push('grade_min <= ? AND grade_max >= ?');
+      args.push(grade, grade);
+    }
+    if (agArea) {
+      where.push('ag_area = UPPER(?)');
+      args.push(agArea);
+    }
+
+    const rows = await this._all(
+      `SELECT * FROM courses ${where.length ? `WHERE ${where.join(' AND ')}` : ''} ORDER BY page ASC, code ASC`,
+      args
+    );
+    return rows.map(row => this._rowToCourse(row));
+  }
+
+  async getCourse(code) {
+    await this._ready();
+    // Multi-term courses are stored under their first code; match the others too
+    const row = await this._get(
+      'SELECT * FROM courses WHERE code = ? OR codes LIKE ? LIMIT 1',
+      [code, `%"${code}"%`]
+    );
+    return row ? { ...this._rowToCourse(row), rawText: row.raw_text } : null;
+  }
+
+  async getCourseCount() {
+    await this._ready();
+    const row = await this._get('SELECT COUNT(*) as count FROM courses');
+    return row ? Number(row.count) : 0;
+  }
+
+  _rowToCourse(row) {
+    const gradeLevels = [];
+    if (row.grade_min !== null && row.grade_max !== null) {
+      for (let g = Number(row.grade_min); g <= Number(row.grade_max); g++) gradeLevels.push(g);
+    }
+    return {
+      code: row.code,
+      codes: JSON.parse(row.codes),
+      title: row.title,
+      department: row.department,
+      subject: row.subject,
+      gradeLevels: gradeLevels.length > 0 ? gradeLevels : null,
+      length: row.length,
+      terms: Number(row.terms),
+      credits: Number(row.credits),
+      prerequisites: row.prerequisites,
+      agArea: row.ag_area,
+      agStatus: row.ag_status,
+      isHonors: !!row.is_honors,
+      isAP: !!row.is_ap,
+      isWeighted: !!row.is_weighted,
+      description: row.description,
+      page: row.page !== null ? Number(row.page) : null,
+      sourceFile: row.source_file,
+    };
+  }
+
+  // ─── REQUIREMENT RULE SETS ───────────────────────────────────────────────────
+
+  async getRequirementRuleSets() {
+    await this._ready();
+    const rows = await this._all('SELECT * FROM requirement_rule_sets ORDER BY class_year_from IS NULL DESC, class_year_from ASC, id ASC');
+    return rows.map(row => this._rowToRuleSet(row));
+  }
+
+  async getRequirementRuleSet(id) {
+    await this._ready();
+    const row = await this._get('SELECT * FROM requirement_rule_sets WHERE id = ?', [id]);
+    return row ? this._rowToRuleSet(row) : null;
+  }
+
+  async createRequirementRuleSet(ruleSet) {
+    await this._ready();
+    const info = await this._run(
+      `INSERT INTO requirement_rule_sets (name, class_year_from, class_year_to, total_credits, graduation, ag, source)
+        VALUES (?, ?, ?, ?, ?, ?, ?)`,
+      [
+        ruleSet.name, ruleSet.classYearFrom ?? null, ruleSet.classYearTo ?? null, ruleSet.totalCredits,
+        JSON.stringify(ruleSet.graduation), JSON.stringify(ruleSet.ag), ruleSet.source || null,
+      ]
+    );
+    return this.getRequirementRuleSet(Number(info.lastInsertRowid));
+  }
+
+  async updateRequirementRuleSet(id, ruleSet) {
+    await this._ready();
+    const info = await this._run(
+      `UPDATE requirement_rule_sets SET name = ?, class_year_from = ?, class_year_to = ?, total_credits = ?,
+        graduation = ?, ag = ?, source = ?, updated_at = datetime('now') WHERE id = ?`,
+      [
+        ruleSet.name, ruleSet.classYearFrom ?? null, ruleSet.classYearTo ?? null, ruleSet.totalCredits,
+        JSON.stringify(ruleSet.graduation), JSON.stringify(ruleSet.ag), ruleSet.source || null, id,
+      ]
+    );
+    return info.changes > 0 ? this.getRequirementRuleSet(id) : null;
+  }
+
+  async deleteRequirementRuleSet(id) {
+    await this._ready();
+    const info = await this._run('DELETE FROM requirement_rule_sets WHERE id = ?', [id]);
+    return info.changes > 0;
+  }
+
+  _rowToRuleSet(row) {
+    return {
+      id: Number(row.id),
+      name: row.name,
+      classYearFrom: row.class_year_from !== null ? Number(row.class_year_from) : null,
+      classYearTo: row.class_year_to !== null ? Number(row.class_year_to) : null,
+      totalCredits: Number(row.total_credits),
+      graduation: JSON.parse(row.graduation),
+      ag: JSON.parse(row.ag),
+      source: row.source,
+      createdAt: row.created_at,
+      updatedAt: row.updated_at,
+    };
+  }
+
   // ─── CHAT SESSIONS ───────────────────────────────────────────────────────────
 
   async createSession(id, title) {
@@ -207,16 +511,67 @@ class DatabaseService {
     );
   }
 
+  /** Create a session if it does not exist yet, leaving an existing one untouched */
+  async ensureSession(id) {
+    await this._ready();
+    await this._run(`INSERT OR IGNORE INTO chat_sessions (id, title) VALUES (?, 'New Chat')`, [id]);
+  }
+
   async getSessions() {
     await this._ready();
-    return this._all('SELECT * FROM chat_sessions ORDER BY updated_at DESC');
+    return this._all('SELECT id, title, created_at, updated_at FROM chat_sessions ORDER BY updated_at DESC');
   }
 
+  /** The full session row, including its conversation summary and uploaded document */
   async getSession(id) {
     await this._ready();
     return this._get('SELECT * FROM chat_sessions WHERE id = ?', [id]);
   }
 
+  /**
+   * Store the summary of a session's oldest messages
+   * @param {string} id - Session ID
+   * @param {string} summary - Summary text
+   * @param {number} summarizedCount - Number of messages, oldest first, the summary covers
+   */
+  async updateSessionSummary(id, summary, summarizedCount) {
+    await this._ready();
+    await this._run(
+      `UPDATE chat_sessions SET summary = ?, summarized_count = ? WHERE id = ?`,
+      [summary, summarizedCount, id]
+    );
+  }
+
+  /**
+   * Attach the student's uploaded document to a session, replacing any earlier one; null removes it
+   * @param {string} id - Session ID
+   * @param {Object|null} document - { filename, type, text } where type is the detected document type
+   */
+  async setSessionDocument(id, document) {
+    await this._ready();
+    if (document) {
+      await this.ensureSession(id);
+    }
+    await this._run(
+      `UPDATE chat_sessions SET document_filename = ?, document_type = ?, document_text = ?, document_summary = NULL, document_student = NULL WHERE id = ?`,
+      [document?.filename || null, document?.type ? JSON.stringify(document.type) : null, document?.text || null, id]
+    );
+  }
+
+  /**
+   * Store the analysis of a session's uploaded document (see TranscriptAnalysisService)
+   * @param {string} id - Session ID
+   * @param {string} summary - Analysis summary, used in prompts instead of the document text
+   * @param {Object} [student] - { gradeLevel, courses, strongSubjects }, what a plan is built from
+   */
+  async setSessionDocumentSummary(id, summary, student = null) {
+    await this._ready();
+    await this._run(
+      `UPDATE chat_sessions SET document_summary = ?, document_student = ? WHERE id = ?`,
+      [summary, student ? JSON.stringify(student) : null, id]
+    );
+  }
+
   async deleteSession(id) {
     await this._ready();
     // Manually cascade delete messages (Turso/libsql may not enforce FK cascades)
@@ -228,39 +583,64 @@ class DatabaseService {
 
   // ─── CHAT MESSAGES ───────────────────────────────────────────────────────────
 
-  async addMessage(messageData) {
+  /**
+   * Save a question and its answer in one transaction, so a session never holds one without
+   * the other. Creates the session if needed and titles it after its first question.
+   * @param {string} sessionId - Session ID
+   * @param {Object[]} messages - [{ id, text, sender, queryText, retrievalQuery, citations, grounding, timestamp }]
+   */
+  async addExchange(sessionId, messages) {
     await this._ready();
-    const { id, sessionId, text, sender, queryText, timestamp } = messageData;
-
-    // Ensure session exists
-    const session = await this.getSession(sessionId);
-    if (!session) {
-      await this.createSession(sessionId, 'New Chat');
-    }
-
-    await this._run(
-      `INSERT OR REPLACE INTO chat_messages (id, session_id, text, sender, query_text, timestamp) VALUES (?, ?, ?, ?, ?, ?)`,
-      [id, sessionId, text, sender, queryText || null, timestamp]
-    );
+    const firstQuestion = messages.find(message => message.sender === 'user');
+    const title = firstQuestion
+      ? (firstQuestion.text.length > 50 ? firstQuestion.text.slice(0, 50) + '...' : firstQuestion.text)
+      : null;
 
-    // Update session title from first user message
-    if (sender === 'user') {
-      const countRow = await this._get(
-        "SELECT COUNT(*) as count FROM chat_messages WHERE session_id = ? AND sender = 'user'",
-        [sessionId]
-      );
-      if (countRow && Number(countRow.count) <= 1) {
-        const title = text.length > 50 ? text.slice(0, 50) + '...' : text;
-        await this.updateSessionTitle(sessionId, title);
-      }
-    }
-
-    await this._run(`UPDATE chat_sessions SET updated_at = datetime('now') WHERE id = ?`, [sessionId]);
+    await this.client.batch([
+      { sql: `INSERT OR IGNORE INTO chat_sessions (id, title) VALUES (?, 'New Chat')`, args: [sessionId] },
+      // Title the session after its first question
+      ...(title ? [{
+        sql: `UPDATE chat_sessions SET title = ? WHERE id = ? AND NOT EXISTS (SELECT 1 FROM chat_messages WHERE session_id = ? AND sender = 'user')`,
+        args: [title, sessionId, sessionId],
+      }] : []),
+      ...messages.map(({ id, text, sender, queryText, retrievalQuery, citations, grounding, timestamp }) => ({
+        sql: `INSERT INTO chat_messages (id, session_id, text, sender, query_text, retrieval_query, citations, grounding, timestamp) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+        args: [id, sessionId, text, sender, queryText || null, retrievalQuery || null, citations ? JSON.stringify(citations) : null, grounding ? JSON.stringify(grounding) : null, timestamp],
+      })),
+      { sql: `UPDATE chat_sessions SET updated_at = datetime('now') WHERE id = ?`, args: [sessionId] },
+    ], 'write');
   }
 
   async getMessages(sessionId) {
     await this._ready();
-    return this._all('SELECT * FROM chat_messages WHERE session_id = ? ORDER BY timestamp ASC', [sessionId]);
+    const rows = await this._all('SELECT * FROM chat_messages WHERE session_id = ? ORDER BY timestamp ASC, rowid ASC', [sessionId]);
+    return rows.map(row => ({
+      ...row,
+      citations: row.citations ? JSON.parse(row.citations) : null,
+      grounding: row.grounding ? JSON.parse(row.grounding) : null,
+    }));
+  }
+
+  /**
+   * Answers whose catalog search used a rewritten query (see QueryRewriteService), newest first
+   */
+  async getRewrittenQueries(limit = 100) {
+    await this._ready();
+    const rows = await this._all(
+      `SELECT id, session_id, query_text, retrieval_query, text, feedback_rating, timestamp FROM chat_messages
+       WHERE sender = 'bot' AND retrieval_query IS NOT NULL AND retrieval_query != COALESCE(query_text, '')
+       ORDER BY timestamp DESC LIMIT ?`,
+      [limit]
+    );
+    return rows.map(row => ({
+      messageId: row.id,
+      sessionId: row.session_id,
+      question: row.query_text,
+      retrievalQuery: row.retrieval_query,
+      answer: row.text,
+      feedbackRating: row.feedback_rating,
+      timestamp: row.timestamp,
+    }));
   }
 
   async updateMessageFeedback(messageId, rating, comment, submitted) {
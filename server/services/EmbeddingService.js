@@ -0,0 +1,184 @@
+const axios = require('axios');
+
+/**
+ * Embedding providers
+ *
+ * A provider has a `name`, a `model`, a `dimension` (null until the first call when the
+ * model does not say) and `embed(texts)`, which resolves to one vector per text.
+ */
+
+/**
+ * In-process sentence embedder running an ONNX model through transformers.js.
+ * The model is downloaded from the Hugging Face hub on first use and cached locally.
+ */
+class LocalEmbeddingProvider {
+  constructor({ model = 'Xenova/all-MiniLM-L6-v2' } = {}) {
+    this.name = 'local';
+    this.model = model;
+    this.dimension = null;
+    this._extractorPromise = null;
+  }
+
+  _extractor() {
+    if (!this._extractorPromise) {
+      this._extractorPromise = (async () => {
+        // transformers.js is ESM-only
+        const { pipeline } = await import('@huggingface/transformers');
+        console.log(`Loading local embedding model ${this.model}...`);
+        return pipeline('feature-extraction', this.model);
+      })().catch(error => {
+        this._extractorPromise = null;
+        throw error;
+      });
+    }
+    return this._extractorPromise;
+  }
+
+  async embed(texts) {
+    const extractor = await this._extractor();
+    const output = await extractor(texts, { pooling: 'mean', normalize: true });
+    this.dimension = output.dims[output.dims.length - 1];
+    return output.tolist();
+  }
+}
+
+/**
+ * Any server that implements the OpenAI `POST /embeddings` API (OpenAI, Azure, Ollama,
+ * vLLM, LM Studio, ...)
+ */
+class OpenAICompatibleEmbeddingProvider {
+  constructor({ model = 'text-embedding-3-small', baseUrl = 'https://api.openai.com/v1', apiKey = null, dimensions = null } = {}) {
+    this.name = 'openai';
+    this.model = model;
+    this.baseUrl = baseUrl.replace(/\/+$/, '');
+    this.apiKey = apiKey;
+    // Size asked of the API (only sent when configured; not every model accepts it)
+    this.requestedDimensions = dimensions;
+    // Size of the vectors actually returned, known after the first call
+    this.dimension = dimensions;
+  }
+
+  async embed(texts) {
+    const response = await axios.post(
+      `${this.baseUrl}/embeddings`,
+      {
+        model: this.model,
+        input: texts,
+        ...(this.requestedDimensions ? { dimensions: this.requestedDimensions } : {}),
+      },
+      {
+        headers: {
+          'Content-Type': 'application/json',
+          ...(this.apiKey ? { 'Authorization': `Bearer ${this.apiKey}` } : {}),
+        },
+        timeout: 30000,
+      }
+    );
+
+    const data = response.data?.data;
+    if (!Array.isArray(data) || data.length !== texts.length) {
+      throw new Error(`Embedding API returned ${Array.isArray(data) ? data.length : 'no'} vectors for ${texts.length} texts`);
+    }
+    const embeddings = [...data].sort((a, b) => a.index - b.index).map(item => item.embedding);
+    this.dimension = embeddings[0].length;
+    return embeddings;
+  }
+}
+
+/**
+ * Service that owns the active embedding provider
+ *
+ * Env vars:
+ *   EMBEDDING_PROVIDER   — 'local' (default) or 'openai', or a name passed to registerProvider
+ *   EMBEDDING_MODEL      — Model name for the provider (defaults per provider)
+ *   EMBEDDING_API_URL    — Base URL of an OpenAI-compatible API (default https://api.openai.com/v1)
+ *   EMBEDDING_API_KEY    — API key for it (falls back to OPENAI_API_KEY)
+ *   EMBEDDING_DIMENSIONS — Requested output size, for models that support shortening
+ *
+ * Every stored vector records the provider's model id and dimension so vectors from a
+ * different model can be found and re-embedded.
+ */
+class EmbeddingService {
+  constructor() {
+    this.factories = new Map([
+      ['local', (options) => new LocalEmbeddingProvider(options)],
+      ['openai', (options) => new OpenAICompatibleEmbeddingProvider(options)],
+    ]);
+    this.provider = null;
+  }
+
+  /**
+   * Add a provider, selectable with EMBEDDING_PROVIDER
+   * @param {string} name - Provider name
+   * @param {Function} factory - (options) => provider with { name, model, dimension, embed(texts) }
+   */
+  registerProvider(name, factory) {
+    this.factories.set(name, factory);
+  }
+
+  /**
+   * Replace the active provider, e.g. from tests or a script
+   * @param {Object} provider - { name, model, dimension, embed(texts) }
+   */
+  setProvider(provider) {
+    this.provider = provider;
+    console.log(`Embedding provider set to ${this.getModelId()}`);
+  }
+
+  /**
+   * The active provider, created from the environment on first use
+   * @returns {Object}
+   */
+  getProvider() {
+    if (!this.provider) {
+      const name = process.env.EMBEDDING_PROVIDER || 'local';
+      const factory = this.factories.get(name);
+      if (!factory) {
+        throw new Error(`Unknown embedding provider "${name}" (available: ${[...this.factories.keys()].join(', ')})`);
+      }
+      const dimensions = parseInt(process.env.EMBEDDING_DIMENSIONS, 10);
+      this.provider = factory({
+        ...(process.env.EMBEDDING_MODEL ? { model: process.env.EMBEDDING_MODEL } : {}),
+        ...(process.env.EMBEDDING_API_URL ? { baseUrl: process.env.EMBEDDING_API_URL } : {}),
+        apiKey: process.env.EMBEDDING_API_KEY || process.env.OPENAI_API_KEY || null,
+        dimensions: Number.isNaN(dimensions) ? null : dimensions,
+      });
+      console.log(`Using embedding provider ${this.getModelId()}`);
+    }
+    return this.provider;
+  }
+
+  /**
+   * Identifier stored with each vector, e.g. "local:Xenova/all-MiniLM-L6-v2"
+   * @returns {string}
+   */
+  getModelId() {
+    const provider = this.getProvider();
+    return `${provider.name}:${provider.model}`;
+  }
+
+  /**
+   * Output size of the active model, or null if it is not known until the first call
+   * @returns {number|null}
+   */
+  getDimension() {
+    return this.getProvider().dimension;
+  }
+
+  /**
+   * Embed texts with the active provider
+   * @param {string[]} texts
+   * @returns {Promise<{model: string, dimension: number, embeddings: number[][]}>}
+   */
+  async embed(texts) {
+    const provider = this.getProvider();
+    const embeddings = await provider.embed(texts);
+    if (embeddings.length !== texts.length || embeddings.some(e => !Array.isArray(e) || e.length === 0)) {
+      throw new Error(`${this.getModelId()} returned malformed embeddings`);
+    }
+    return { model: this.getModelId(), dimension: embeddings[0].length, embeddings };
+  }
+}
+
+// Export as singleton
+module.exports = new EmbeddingService();
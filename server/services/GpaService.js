@@ -0,0 +1,214 @@
+const { TERMS_PER_YEAR, CREDITS_PER_TERM } = require('./credits');
+
+// School scale, with plus/minus
+const GRADE_POINTS = { 'A+': 4.0, 'A': 4.0, 'A-': 3.7, 'B+': 3.3, 'B': 3.0, 'B-': 2.7, 'C+': 2.3, 'C': 2.0, 'C-': 1.7, 'D+': 1.3, 'D': 1.0, 'D-': 0.7, 'F': 0.0 };
+
+// UC ignores plus/minus: A=4, B=3, C=2, D=1, F=0
+const UC_GRADE_POINTS = { A: 4, B: 3, C: 2, D: 1, F: 0 };
+
+// Honors/AP courses earn one extra point, only for grades of C or better
+const HONORS_BONUS = 1;
+const BONUS_GRADES = ['A', 'B', 'C'];
+
+// UC counts at most 8 semesters of honors points, no more than 4 of them from 10th grade
+const UC_MAX_HONORS_SEMESTERS = 8;
+const UC_MAX_10TH_GRADE_HONORS_SEMESTERS = 4;
+const UC_GRADES = [10, 11];
+
+/**
+ * Service that computes GPAs from transcript lines instead of trusting the figures printed
+ * on the transcript
+ *
+ * Every GPA is an average over term grades: a line with one grade for a two-trimester course
+ * counts as two terms (reported as `semesters`). Pass/no-pass and ungraded lines are left out.
+ */
+class GpaService {
+  /**
+   * @param {Object[]} lines - Transcript lines with { name, grade, status, year, semester, credits,
+   *   isHonors, isAP, isWeighted, agArea } (agArea null when the course is not A-G approved)
+   * @param {Object} [options]
+   * @param {number} [options.gradeLevel] - Student's current grade, to place each school year in a grade
+   * @param {Object} [options.reported] - GPA printed on the transcript ({ cumulative, weighted })
+   * @param {Date} [options.date] - Date the grade level applies to
+   * @returns {Object} - { unweighted, weighted, uc, semesters, reported, gradedSemesters }
+   */
+  calculate(lines, { gradeLevel = null, reported = null, date = new Date() } = {}) {
+    const graded = lines
+      .filter(line => line.status === 'completed' && this.letter(line.grade) !== null)
+      .map(line => ({
+        ...line,
+        letter: this.letter(line.grade),
+        points: GRADE_POINTS[line.grade.toUpperCase().trim()],
+        semesters: Math.max(1, Math.round((line.credits || CREDITS_PER_TERM) / CREDITS_PER_TERM)),
+        weighted: !!(line.isWeighted || line.isHonors || line.isAP),
+        takenInGrade: this._gradeTaken(line.year, gradeLevel, date),
+      }));
+
+    const terms = this._byTerm(graded);
+    let running = [];
+    const semesters = terms.map(term => {
+      running = running.concat(term.lines);
+      return {
+        term: term.label,
+        year: term.year,
+        semester: term.semester,
+        gradeLevel: term.lines[0].takenInGrade,
+        courses: term.lines.length,
+        unweighted: this._average(term.lines, false),
+        weighted: this._average(term.lines, true),
+        cumulativeUnweighted: this._average(running, false),
+        cumulativeWeighted: this._average(running, true),
+      };
+    });
+
+    const result = {
+      unweighted: this._average(graded, false),
+      weighted: this._average(graded, true),
+      uc: this._ucGpa(graded),
+      gradedSemesters: graded.reduce((sum, line) => sum + line.semesters, 0),
+      semesters,
+      reported: null,
+    };
+
+    if (reported && (reported.cumulative || reported.weighted)) {
+      result.reported = {
+        unweighted: reported.cumulative || null,
+        weighted: reported.weighted || null,
+        unweightedDifference: reported.cumulative && result.unweighted !== null
+          ? this._round(reported.cumulative - result.unweighted) : null,
+        weightedDifference: reported.weighted && result.weighted !== null
+          ? this._round(reported.weighted - result.weighted) : null,
+      };
+    }
+    return result;
+  }
+
+  /**
+   * UC GPA: 10th-11th grade A-G courses on the UC scale, with honors points capped
+   */
+  _ucGpa(graded) {
+    const eligible = graded.filter(line => UC_GRADES.includes(line.takenInGrade) && line.agArea);
+    const unknownYear = graded.filter(line => line.takenInGrade === null && line.agArea).length;
+
+    let semesters = 0;
+    let points = 0;
+    let honorsAvailable = 0;
+    const bonus = { 10: 0, 11: 0 };
+    for (const line of eligible) {
+      semesters += line.semesters;
+      points += UC_GRADE_POINTS[line.letter] * line.semesters;
+      if (line.weighted && BONUS_GRADES.includes(line.letter)) {
+        honorsAvailable += line.semesters;
+        bonus[line.takenInGrade] += line.semesters;
+      }
+    }
+
+    const tenth = Math.min(bonus[10], UC_MAX_10TH_GRADE_HONORS_SEMESTERS);
+    const honorsCounted = Math.min(tenth + bonus[11], UC_MAX_HONORS_SEMESTERS);
+
+    return {
+      unweighted: semesters > 0 ? this._round(points / semesters) : null,
+      cappedWeighted: semesters > 0 ? this._round((points + honorsCounted * HONORS_BONUS) / semesters) : null,
+      fullyWeighted: semesters > 0 ? this._round((points + honorsAvailable * HONORS_BONUS) / semesters) : null,
+      semesters,
+      honorsSemestersCounted: honorsCounted,
+      honorsSemestersAvailable: honorsAvailable,
+      // A-G lines whose school year could not be placed in a grade are left out
+      excludedUnknownYear: unknownYear,
+    };
+  }
+
+  /**
+   * Term-weighted average on the school scale, optionally with the honors/AP bonus
+   */
+  _average(lines, weighted) {
+    let semesters = 0;
+    let points = 0;
+    for (const line of lines) {
+      const bonus = weighted && line.weighted && BONUS_GRADES.includes(line.letter) ? HONORS_BONUS : 0;
+      semesters += line.semesters;
+      points += (line.points + bonus) * line.semesters;
+    }
+    return semesters > 0 ? this._round(points / semesters) : null;
+  }
+
+  /**
+   * Group lines by school year and term, in chronological order
+   */
+  _byTerm(lines) {
+    const terms = new Map();
+    for (const line of this.splitByTerm(lines)) {
+      if (!terms.has(line.termKey)) {
+        terms.set(line.termKey, { label: line.termLabel, year: line.year || null, semester: line.termRank === 0 ? null : line.termSemester, lines: [] });
+      }
+      terms.get(line.termKey).lines.push(line);
+    }
+    return [...terms.values()];
+  }
+
+  /**
+   * Place each line in a term (school year + trimester or semester), in chronological order. A
+   * line of several trimesters without a term label is split into one piece per trimester (T1,
+   * T2, ...), sharing its credits and semesters.
+   * @param {Object[]} lines - Lines with { year, semester, credits, semesters? }
+   * @returns {Object[]} - Lines with termKey, termRank, termSemester and termLabel added
+   */
+  splitByTerm(lines) {
+    const place = (line, rank, semester) => ({
+      ...line,
+      termKey: `${line.year || ''}|${rank}`,
+      termRank: rank,
+      termSemester: semester,
+      termLabel: `${line.year || 'Unknown year'} ${semester}`,
+    });
+
+    const placed = lines.flatMap(line => {
+      if (line.semester) return [place(line, this._semesterRank(line.semester), line.semester)];
+      const terms = Math.min(Math.round((line.credits || 0) / CREDITS_PER_TERM), TERMS_PER_YEAR);
+      if (terms >= 2) {
+        const piece = { ...line, credits: line.credits / terms };
+        if (line.semesters) piece.semesters = line.semesters / terms;
+        return Array.from({ length: terms }, (_, i) => place(piece, i + 1, `T${i + 1}`));
+      }
+      return [place(line, 0, 'Full year')];
+    });
+    return placed.sort((a, b) => (a.year || '').localeCompare(b.year || '') || a.termRank - b.termRank);
+  }
+
+  _semesterRank(semester) {
+    if (!semester) return 0;
+    const value = semester.toLowerCase();
+    if (/summer/.test(value)) return 9;
+    const number = value.match(/\d/);
+    if (number) return parseInt(number[0], 10);
+    return /spring|\bb\b/.test(value) ? 2 : 1;
+  }
+
+  /**
+   * Grade a school year ("2024-2025") was taken in, counting back from the current grade
+   */
+  _gradeTaken(year, gradeLevel, date) {
+    const match = year ? String(year).match(/(\d{4})\s*[-–/]\s*(\d{2,4})/) : null;
+    if (!match || !gradeLevel) return null;
+    const end = parseInt(match[1], 10) + 1;
+    const currentEnd = date.getMonth() >= 6 ? date.getFullYear() + 1 : date.getFullYear();
+    const grade = gradeLevel - (currentEnd - end);
+    return grade >= 9 && grade <= 12 ? grade : null;
+  }
+
+  /**
+   * Letter without plus/minus, or null for pass/no-pass and missing grades
+   */
+  letter(grade) {
+    if (!grade) return null;
+    const value = grade.toUpperCase().trim();
+    return GRADE_POINTS[value] !== undefined ? value[0] : null;
+  }
+
+  _round(value) {
+    return Math.round(value * 100) / 100;
+  }
+}
+
+// Export as singleton
+module.exports = new GpaService();
@@ -0,0 +1,84 @@
+const GpaService = require('./GpaService');
+
+// In October 2026 a 12th grader took 10th grade in 2024-2025 and 11th in 2025-2026
+const OPTIONS = { gradeLevel: 12, date: new Date('2026-10-19T12:00:00Z') };
+
+const line = (overrides) => ({ name: 'Course', grade: 'A', status: 'completed', year: '2025-2026', semester: null, credits: 10, agArea: 'A', ...overrides });
+
+describe('GpaService.calculate', () => {
+  test('averages term grades, adding the honors point only for C or better', () => {
+    const gpa = GpaService.calculate([
+      line({ name: 'AP US History 1-2', grade: 'A', isAP: true }),
+      line({ name: 'Chemistry 1-2', grade: 'B' }),
+      line({ name: 'Honors Precalculus 1-2', grade: 'D', isHonors: true }),
+      line({ name: 'Teacher Assistant', grade: 'P', credits: 5 }),
+    ], OPTIONS);
+
+    expect(gpa.gradedSemesters).toBe(6);
+    expect(gpa.unweighted).toBe(2.67);
+    expect(gpa.weighted).toBe(3);
+  });
+
+  test('counts at most 8 honors semesters for the UC GPA, no more than 4 of them from 10th grade', () => {
+    const ap = (name, year) => line({ name, year, isAP: true });
+    const gpa = GpaService.calculate([
+      // 10th grade: 6 honors semesters, of which 4 count
+      ap('AP World History 1-2', '2024-2025'),
+      ap('AP Chemistry 1-2', '2024-2025'),
+      ap('AP Spanish 1-2', '2024-2025'),
+      // 11th grade: 6 more, reaching the cap of 8
+      ap('AP US History 1-2', '2025-2026'),
+      ap('AP English Language 1-2', '2025-2026'),
+      ap('AP Calculus AB 1-2', '2025-2026'),
+      // 9th grade is left out of the UC GPA
+      ap('Honors English 1-2', '2023-2024'),
+    ], OPTIONS);
+
+    expect(gpa.uc).toMatchObject({
+      semesters: 12,
+      honorsSemestersAvailable: 12,
+      honorsSemestersCounted: 8,
+      unweighted: 4,
+      cappedWeighted: 4.67,
+      fullyWeighted: 5,
+    });
+  });
+
+  test('limits 10th-grade honors semesters to 4 even when the total is under 8', () => {
+    const ap = (name, year) => line({ name, year, isAP: true });
+    const gpa = GpaService.calculate([
+      ap('AP World History 1-2', '2024-2025'),
+      ap('AP Chemistry 1-2', '2024-2025'),
+      ap('AP Spanish 1-2', '2024-2025'),
+      ap('AP US History 1-2', '2025-2026'),
+      line({ name: 'English 11', year: '2025-2026' }),
+    ], OPTIONS);
+
+    expect(gpa.uc).toMatchObject({ semesters: 10, honorsSemestersAvailable: 8, honorsSemestersCounted: 6, cappedWeighted: 4.6 });
+  });
+
+  test('compares the computed GPA with the one printed on the transcript', () => {
+    const gpa = GpaService.calculate([line({ grade: 'B+' })], { ...OPTIONS, reported: { cumulative: 3.5 } });
+
+    expect(gpa.reported).toMatchObject({ unweighted: 3.5, unweightedDifference: 0.2, weighted: null });
+  });
+});
+
+describe('GpaService.splitByTerm', () => {
+  test('splits an unlabelled two-trimester line into one piece per trimester', () => {
+    const terms = GpaService.splitByTerm([
+      line({ name: 'Spanish 3-4', semesters: 2 }),
+      line({ name: 'Psychology 1', credits: 5, semester: 'Tri 3' }),
+      line({ name: 'Geometry 1-2', year: '2024-2025' }),
+    ]);
+
+    expect(terms.map(term => [term.name, term.termLabel, term.credits])).toEqual([
+      ['Geometry 1-2', '2024-2025 T1', 5],
+      ['Geometry 1-2', '2024-2025 T2', 5],
+      ['Spanish 3-4', '2025-2026 T1', 5],
+      ['Spanish 3-4', '2025-2026 T2', 5],
+      ['Psychology 1', '2025-2026 Tri 3', 5],
+    ]);
+    expect(terms[2].semesters).toBe(1);
+  });
+});
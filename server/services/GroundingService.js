@@ -0,0 +1,217 @@
+const CourseCatalogService = require('./CourseCatalogService');
+
+// Six-digit course codes; the catalog sometimes prints them with a leading zero (0001060)
+const COURSE_CODE = /\b0?(\d{6})\b/g;
+
+// Course titles named without a code: "AP Calculus AB", "Honors Chemistry", "AP Physics C: Mechanics".
+// Title words are capitalized; short joining words and level numbers ("1-2") may sit between them.
+const COURSE_TITLE = /\b(?:AP|Advanced Placement|Honors)(?:[ \t]+(?:(?:[A-Z]\.){2,}|[A-Z][\w'&-]*:?|&|and|of|the|in|\d+[A-Z]?(?:-\d+[A-Z]?)?))+/g;
+const TITLE_TRAILING_WORDS = /(?:\s+(?:&|and|of|the|in))+$/i;
+
+// Words after "AP"/"Honors" that describe the program rather than name a course ("AP exams")
+const NOT_A_TITLE = /^(?:AP|HONORS) (?:EXAMS?|SCORES?|TESTS?|CLASS(?:ES)?|COURSES?|CREDIT|LEVEL|PROGRAM|SCHOLARS?|OPTIONS?|VERSIONS?|TRACK|SECTIONS?|WEIGHTING|STUDENTS?)\b/;
+
+// Credit counts ("220 credits") and GPA values ("3.5 GPA", "GPA of 3.0")
+const CREDIT_COUNT = /\b(\d+(?:\.\d+)?)\s*(?:total\s+)?(?:credits?|units?)\b/gi;
+const GPA_VALUE = /\b(\d\.\d{1,2})\s*(?:(?:un)?weighted\s+)?GPA\b|\bGPA\b[^.\n\d]{0,30}?(\d\.\d{1,2})\b/gi;
+
+// Text before a code on the same line that names the course ("**AP Calculus AB** (001060)")
+const TITLE_BEFORE_CODE_LENGTH = 80;
+
+// Marker put after claims that could not be verified, and the note appended to the answer
+const UNVERIFIED_MARKER = ' *(unverified)*';
+const UNVERIFIED_NOTE = 'Some details in this answer could not be found in the course documents';
+
+/**
+ * Service that checks a generated answer against the excerpts it was written from
+ *
+ * The chat prompt tells the model to only use the reference information, but nothing
+ * enforced it. After generation every course code, course title, credit count and GPA
+ * value in the answer is extracted and looked up: first in the source text the model was
+ * given (retrieved excerpts, the student's document, a generated plan), then in the parsed
+ * course catalog. A code the catalog lists under a different course is a mismatch.
+ * Anything else not found in either is unsupported.
+ */
+class GroundingService {
+  constructor() {
+    this.catalog = null;
+    this.catalogVersion = -1;
+  }
+
+  /**
+   * Check the claims in an answer
+   * @param {string} answer - Model response
+   * @param {string[]} sources - Text the model was given to answer from
+   * @returns {Promise<Object>} - { grounded, claims, unsupported } where each claim is
+   *   { type: 'course_code'|'course_title'|'credits'|'gpa', text, value, status } and status is
+   *   'source' (found in the sources), 'catalog' (in the catalog only), 'mismatch' or 'unsupported';
+   *   unsupported lists the claims that are neither
+   */
+  async check(answer, sources = []) {
+    const text = answer || '';
+    const sourceText = sources.filter(Boolean).join('\n');
+    const sourceCodes = new Set([...sourceText.matchAll(COURSE_CODE)].map(match => match[1]));
+    const sourceNumbers = new Set((sourceText.match(/\d+(?:\.\d+)?/g) || []).map(Number));
+    const sourceTitleText = ` ${this._normalize(sourceText)} `;
+    const catalog = await this._getCatalog();
+
+    const claims = [];
+    // One claim per value, except that a code named as the wrong course is kept alongside its correct uses
+    const seen = new Set();
+    const addClaim = (claim) => {
+      const key = `${claim.type}:${claim.value}${claim.status === 'mismatch' ? ':mismatch' : ''}`;
+      if (seen.has(key)) return;
+      seen.add(key);
+      claims.push(claim);
+    };
+
+    for (const match of text.matchAll(COURSE_CODE)) {
+      const code = match[1];
+      const course = catalog.byCode.get(code) || null;
+      let status = sourceCodes.has(code) ? 'source' : course ? 'catalog' : 'unsupported';
+
+      // A title in front of the code that belongs to a different catalog course
+      const named = this._titleBeforeCode(text, match.index);
+      let expected = null;
+      if (course && named) {
+        const namedKey = this._titleKey(named);
+        const others = catalog.courses.filter(c => c.code !== course.code && this._titleMatches(namedKey, c.key));
+        if (others.length > 0 && !this._titleMatches(namedKey, course.key)) {
+          status = 'mismatch';
+          expected = course.title;
+        }
+      }
+
+      addClaim({ type: 'course_code', text: match[0], value: code, status, ...(expected ? { expected } : {}) });
+    }
+
+    for (const match of text.matchAll(COURSE_TITLE)) {
+      const title = match[0].replace(TITLE_TRAILING_WORDS, '').replace(/[:.]$/, '');
+      const key = this._titleKey(title);
+      if (!key.includes(' ') || NOT_A_TITLE.test(key)) continue;
+      const inSources = sourceTitleText.includes(` ${key} `);
+      const inCatalog = catalog.courses.some(course => this._titleMatches(key, course.key));
+      addClaim({
+        type: 'course_title',
+        text: title,
+        value: key,
+        status: inSources ? 'source' : inCatalog ? 'catalog' : 'unsupported',
+      });
+    }
+
+    for (const match of text.matchAll(CREDIT_COUNT)) {
+      const value = Number(match[1]);
+      addClaim({
+        type: 'credits',
+        text: match[0],
+        value,
+        status: sourceNumbers.has(value) ? 'source' : catalog.credits.has(value) ? 'catalog' : 'unsupported',
+      });
+    }
+
+    for (const match of text.matchAll(GPA_VALUE)) {
+      const value = Number(match[1] || match[2]);
+      addClaim({ type: 'gpa', text: match[0], value, status: sourceNumbers.has(value) ? 'source' : 'unsupported' });
+    }
+
+    const unsupported = claims.filter(claim => claim.status === 'unsupported' || claim.status === 'mismatch');
+    if (unsupported.length > 0) {
+      console.log(`Grounding check: ${unsupported.length} of ${claims.length} claims unsupported (${unsupported.map(claim => claim.text).join(', ')})`);
+    }
+    return { grounded: unsupported.length === 0, claims, unsupported };
+  }
+
+  /**
+   * Instruction asking the model to revise an answer that failed the check
+   * @param {Object} grounding - Output of check()
+   * @returns {string}
+   */
+  correctionPrompt(grounding) {
+    const details = grounding.unsupported.map(claim => (claim.status === 'mismatch'
+      ? `- ${claim.value} is the code for ${claim.expected}, not the course you named`
+      : `- "${claim.text}" does not appear in the reference information`));
+    return `Some details in your answer could not be verified against the reference information:
+${details.join('\n')}
+
+Rewrite your answer without these details, or correct them using only the reference information. If the documents do not contain what the student asked for, say so. Reply with only the revised answer.`;
+  }
+
+  /**
+   * Mark unsupported claims in the answer and append a note listing them
+   * @param {string} answer - Model response
+   * @param {Object} grounding - Output of check() for this answer
+   * @returns {string}
+   */
+  annotate(answer, grounding) {
+    if (grounding.grounded) return answer;
+    let annotated = answer;
+    for (const claim of grounding.unsupported) {
+      annotated = annotated.split(claim.text).join(`${claim.text}${UNVERIFIED_MARKER}`);
+    }
+    const listed = grounding.unsupported
+      .map(claim => (claim.status === 'mismatch' ? `${claim.text} is the code for ${claim.expected}` : claim.text))
+      .join(', ');
+    return `${annotated}\n\n---\n_${UNVERIFIED_NOTE} (${listed}). Please confirm them with your school counselor._`;
+  }
+
+  /**
+   * Catalog lookups, rebuilt when a new catalog is loaded
+   * @returns {Promise<Object>} - { courses: [{ code, title, key }], byCode, credits }
+   */
+  async _getCatalog() {
+    if (!this.catalog || this.catalogVersion !== CourseCatalogService.version) {
+      const courses = await CourseCatalogService.getCourses();
+      const entries = courses.map(course => ({ code: course.code, title: course.title, key: this._titleKey(course.title) }));
+      const byCode = new Map();
+      courses.forEach((course, i) => course.codes.forEach(code => byCode.set(code, entries[i])));
+      this.catalog = { courses: entries, byCode, credits: new Set(courses.map(course => course.credits)) };
+      this.catalogVersion = CourseCatalogService.version;
+    }
+    return this.catalog;
+  }
+
+  /**
+   * The course name written just before a code on the same line, if any
+   */
+  _titleBeforeCode(text, index) {
+    const lineStart = text.lastIndexOf('\n', index) + 1;
+    const before = text.slice(Math.max(lineStart, index - TITLE_BEFORE_CODE_LENGTH), index)
+      .replace(/\[S\d+(?:\s*,\s*S\d+)*\]/g, '')
+      .replace(/[*_`#]/g, '')
+      .replace(/(?:course\s+)?(?:code\s*)?[(:#–-]?\s*$/i, '');
+    const name = before.split(/[:;,.()•]|\s[–-]\s|^\s*[-\d.]+\s/).pop().trim();
+    return name.length > 0 ? name : null;
+  }
+
+  /**
+   * Normalize a title for comparison, dropping its level numbers: "AP U.S. History 1-2" → "AP US HISTORY"
+   */
+  _titleKey(title) {
+    return this._normalize(title).replace(/(?: \d+[A-Z]?)+$/, '');
+  }
+
+  /**
+   * Uppercase words and digits separated by single spaces, with common spellings unified
+   */
+  _normalize(text) {
+    return text
+      .toUpperCase()
+      .replace(/\bADVANCED PLACEMENT\b/g, 'AP')
+      .replace(/\bUNITED STATES\b/g, 'US')
+      .replace(/\./g, '')
+      .replace(/&/g, ' AND ')
+      .replace(/[^A-Z0-9]+/g, ' ')
+      .trim();
+  }
+
+  /**
+   * Whether a title key names a catalog course: the same title, or a shortened form of it
+   * ("AP CALCULUS" for "AP CALCULUS AB")
+   */
+  _titleMatches(key, courseKey) {
+    return key === courseKey || courseKey.startsWith(`${key} `);
+  }
+}
+
+// Export as singleton
+module.exports = new GroundingService();
@@ -0,0 +1,76 @@
+// The catalog comes from the mock below; pdf.js does not load inside Jest's sandbox
+jest.mock('pdf-parse', () => ({ PDFParse: class {} }));
+
+const CourseCatalogService = require('./CourseCatalogService');
+const GroundingService = require('./GroundingService');
+
+const CATALOG = [
+  { code: '001060', codes: ['001060', '001061'], title: 'AP CALCULUS AB 1-2', credits: 10 },
+  { code: '003221', codes: ['003221', '003222'], title: 'HONORS CHEMISTRY 1-2', credits: 10 },
+  { code: '002410', codes: ['002410'], title: 'PSYCHOLOGY', credits: 5 },
+];
+
+const statuses = (result, type) => result.claims
+  .filter(claim => claim.type === type)
+  .map(claim => [claim.value, claim.status]);
+
+beforeAll(() => {
+  jest.spyOn(CourseCatalogService, 'getCourses').mockResolvedValue(CATALOG);
+});
+
+afterAll(() => {
+  jest.restoreAllMocks();
+});
+
+describe('GroundingService.check', () => {
+  test('accepts claims found in the sources', async () => {
+    const result = await GroundingService.check(
+      'Take AP Calculus AB (001060) next year; it earns 10 credits [S1].',
+      ['[S1] AP CALCULUS AB 1-2 001060 – 001061. 10 credits. Prerequisite: Precalculus'],
+    );
+
+    expect(result.grounded).toBe(true);
+    expect(statuses(result, 'course_code')).toEqual([['001060', 'source']]);
+    expect(statuses(result, 'course_title')).toEqual([['AP CALCULUS AB', 'source']]);
+    expect(statuses(result, 'credits')).toEqual([[10, 'source']]);
+  });
+
+  test('falls back to the catalog for codes and titles the sources lack', async () => {
+    const result = await GroundingService.check('Honors Chemistry (003221) is a good next step.', []);
+
+    expect(result.grounded).toBe(true);
+    expect(statuses(result, 'course_code')).toEqual([['003221', 'catalog']]);
+    expect(statuses(result, 'course_title')).toEqual([['HONORS CHEMISTRY', 'catalog']]);
+  });
+
+  test('flags codes, titles, credits and GPAs found nowhere', async () => {
+    const result = await GroundingService.check(
+      'AP Marine Biology (009999) earns 15 credits and needs a 3.8 GPA.',
+      ['Psychology 002410 is a one-semester elective worth 5 credits.'],
+    );
+
+    expect(result.grounded).toBe(false);
+    expect(result.unsupported.map(claim => [claim.type, claim.value])).toEqual([
+      ['course_code', '009999'],
+      ['course_title', 'AP MARINE BIOLOGY'],
+      ['credits', 15],
+      ['gpa', 3.8],
+    ]);
+  });
+
+  test('reports a real code named as another course as a mismatch', async () => {
+    const result = await GroundingService.check('Next year:\n- Honors Chemistry (001060)', []);
+
+    expect(result.grounded).toBe(false);
+    expect(result.unsupported).toEqual([
+      expect.objectContaining({ type: 'course_code', value: '001060', status: 'mismatch', expected: 'AP CALCULUS AB 1-2' }),
+    ]);
+  });
+
+  test('ignores program words after AP or Honors', async () => {
+    const result = await GroundingService.check('AP Exams are given in May, and Honors Courses are weighted.', []);
+
+    expect(result.claims).toEqual([]);
+    expect(result.grounded).toBe(true);
+  });
+});
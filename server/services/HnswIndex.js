@@ -0,0 +1,385 @@
+// Links kept per node on the upper layers; the bottom layer keeps twice as many
+const DEFAULT_M = 16;
+
+// Candidate list size while inserting: larger builds a better graph, more slowly
+const DEFAULT_EF_CONSTRUCTION = 100;
+
+// A node's links may grow to this multiple of the limit before they are pruned back to it
+const PRUNE_SLACK = 1.5;
+
+// Candidate list size while searching (raised to k when k is larger)
+const DEFAULT_EF_SEARCH = 64;
+
+// Filtered searches widen the candidate list by this factor, since many candidates are dropped
+const FILTERED_EF_FACTOR = 4;
+
+// Bumped whenever toJSON's layout changes; older saved graphs are then rebuilt
+const FORMAT_VERSION = 1;
+
+/**
+ * Binary heap ordered by compare(a, b) < 0 meaning a comes out first
+ */
+class Heap {
+  constructor(compare) {
+    this.items = [];
+    this.compare = compare;
+  }
+
+  get size() {
+    return this.items.length;
+  }
+
+  peek() {
+    return this.items[0];
+  }
+
+  push(item) {
+    const items = this.items;
+    items.push(item);
+    let i = items.length - 1;
+    while (i > 0) {
+      const parent = (i - 1) >> 1;
+      if (this.compare(items[i], items[parent]) >= 0) break;
+      [items[i], items[parent]] = [items[parent], items[i]];
+      i = parent;
+    }
+  }
+
+  pop() {
+    const items = this.items;
+    const top = items[0];
+    const last = items.pop();
+    if (items.length > 0) {
+      items[0] = last;
+      let i = 0;
+      for (;;) {
+        const left = 2 * i + 1;
+        const right = left + 1;
+        let next = i;
+        if (left < items.length && this.compare(items[left], items[next]) < 0) next = left;
+        if (right < items.length && this.compare(items[right], items[next]) < 0) next = right;
+        if (next === i) break;
+        [items[i], items[next]] = [items[next], items[i]];
+        i = next;
+      }
+    }
+    return top;
+  }
+}
+
+/**
+ * In-process approximate nearest-neighbour index over cosine similarity (HNSW:
+ * hierarchical navigable small world graph, Malkov & Yashunin 2016)
+ *
+ * Every vector is a node linked to its nearest neighbours on layer 0 and, with
+ * exponentially falling probability, on higher and sparser layers. A query descends
+ * greedily from the top layer and then explores layer 0 with a bounded candidate list,
+ * so it compares against a few hundred vectors instead of all of them.
+ *
+ * Removed vectors stay in the graph as tombstones (they still route searches but are
+ * never returned) until compact() rebuilds it. Each node carries a caller-supplied
+ * `data` value, returned with results and passed to search filters.
+ */
+class HnswIndex {
+  /**
+   * @param {Object} [options]
+   * @param {number} [options.m] - Links per node on the upper layers
+   * @param {number} [options.efConstruction] - Candidate list size while inserting
+   * @param {number} [options.efSearch] - Candidate list size while searching
+   * @param {Function} [options.random] - Source of uniform [0, 1) numbers for node levels
+   */
+  constructor({ m = DEFAULT_M, efConstruction = DEFAULT_EF_CONSTRUCTION, efSearch = DEFAULT_EF_SEARCH, random = Math.random } = {}) {
+    this.m = m;
+    this.efConstruction = efConstruction;
+    this.efSearch = efSearch;
+    this.random = random;
+    this.levelFactor = 1 / Math.log(m);
+    this._reset();
+  }
+
+  _reset() {
+    this.nodes = [];            // { id, vector (unit Float32Array), data, level, neighbors: [layer][node index], deleted }
+    this.idToNode = new Map();  // id -> node index, live nodes only
+    this.entryPoint = null;
+    this.maxLevel = -1;
+    this.dimension = null;
+    this.deletedCount = 0;
+  }
+
+  /** Number of live (searchable) vectors */
+  get size() {
+    return this.idToNode.size;
+  }
+
+  has(id) {
+    return this.idToNode.has(id);
+  }
+
+  /**
+   * Insert a vector, replacing any earlier vector with the same id
+   * @param {string} id - Vector id
+   * @param {number[]|Float32Array} vector - Embedding; every vector must have the same dimension
+   * @param {*} [data] - Value returned with search results and passed to filters
+   */
+  add(id, vector, data = null) {
+    if (this.dimension === null) {
+      this.dimension = vector.length;
+    } else if (vector.length !== this.dimension) {
+      throw new Error(`Vector ${id} has dimension ${vector.length}, index has ${this.dimension}`);
+    }
+    this.remove(id);
+
+    const level = Math.floor(-Math.log(1 - this.random()) * this.levelFactor);
+    const index = this.nodes.length;
+    const node = {
+      id,
+      vector: this._normalize(vector),
+      data,
+      level,
+      neighbors: Array.from({ length: level + 1 }, () => []),
+      deleted: false,
+    };
+    this.nodes.push(node);
+    this.idToNode.set(id, index);
+
+    if (this.entryPoint === null) {
+      this.entryPoint = index;
+      this.maxLevel = level;
+      return;
+    }
+
+    let entries = [this.entryPoint];
+    for (let layer = this.maxLevel; layer > level; layer--) {
+      entries = [this._closest(this._searchLayer(node.vector, entries, 1, layer))];
+    }
+
+    for (let layer = Math.min(level, this.maxLevel); layer >= 0; layer--) {
+      const found = this._searchLayer(node.vector, entries, this.efConstruction, layer);
+      const limit = this._maxLinks(layer);
+      node.neighbors[layer] = this._selectNeighbors(found, limit);
+
+      // Link back. A neighbour re-runs the selection heuristic only once its links pass the
+      // limit by PRUNE_SLACK, which keeps inserts fast without losing the diverse links
+      for (const neighbor of node.neighbors[layer]) {
+        const links = this.nodes[neighbor].neighbors[layer];
+        links.push(index);
+        if (links.length > limit * PRUNE_SLACK) {
+          const base = this.nodes[neighbor].vector;
+          const candidates = links.map(link => ({ node: link, distance: this._distance(base, this.nodes[link].vector) }));
+          this.nodes[neighbor].neighbors[layer] = this._selectNeighbors(candidates, limit);
+        }
+      }
+      entries = found.map(candidate => candidate.node);
+    }
+
+    if (level > this.maxLevel) {
+      this.maxLevel = level;
+      this.entryPoint = index;
+    }
+  }
+
+  /**
+   * Stop returning a vector; it keeps routing searches until compact()
+   * @param {string} id - Vector id
+   * @returns {boolean} - Whether the id was in the index
+   */
+  remove(id) {
+    const index = this.idToNode.get(id);
+    if (index === undefined) return false;
+    this.nodes[index].deleted = true;
+    this.nodes[index].data = null;
+    this.idToNode.delete(id);
+    this.deletedCount++;
+    return true;
+  }
+
+  /**
+   * Rebuild the graph from the live vectors, dropping tombstones
+   */
+  compact() {
+    const live = this.nodes.filter(node => !node.deleted);
+    this._reset();
+    for (const node of live) {
+      this.add(node.id, node.vector, node.data);
+    }
+  }
+
+  /**
+   * Approximate nearest neighbours
+   * @param {number[]} query - Query embedding
+   * @param {number} k - Number of results
+   * @param {Object} [options]
+   * @param {number} [options.ef] - Candidate list size (default efSearch)
+   * @param {Function} [options.filter] - Only return nodes for which filter(data) is true
+   * @returns {Object[]} - [{ id, score, data }] by cosine similarity, closest first; fewer than
+   *   k when the filter rejects most of the neighbourhood
+   */
+  search(query, k, { ef = this.efSearch, filter = null } = {}) {
+    if (this.entryPoint === null || this.size === 0) return [];
+    const target = this._normalize(query);
+
+    let entries = [this.entryPoint];
+    for (let layer = this.maxLevel; layer > 0; layer--) {
+      entries = [this._closest(this._searchLayer(target, entries, 1, layer))];
+    }
+    const width = Math.max(ef, k) * (filter ? FILTERED_EF_FACTOR : 1);
+
+    return this._searchLayer(target, entries, width, 0)
+      .filter(({ node }) => !this.nodes[node].deleted && (!filter || filter(this.nodes[node].data)))
+      .sort((a, b) => a.distance - b.distance)
+      .slice(0, k)
+      .map(({ node, distance }) => ({ id: this.nodes[node].id, score: 1 - distance, data: this.nodes[node].data }));
+  }
+
+  /**
+   * Exact nearest neighbours by comparing against every live vector
+   * @param {number[]} query - Query embedding
+   * @param {number} k - Number of results
+   * @param {Function} [filter] - Only return nodes for which filter(data) is true
+   * @returns {Object[]} - [{ id, score, data }], closest first
+   */
+  exactSearch(query, k, filter = null) {
+    const target = this._normalize(query);
+    const scored = [];
+    for (const node of this.nodes) {
+      if (node.deleted || (filter && !filter(node.data))) continue;
+      scored.push({ id: node.id, score: 1 - this._distance(target, node.vector), data: node.data });
+    }
+    return scored.sort((a, b) => b.score - a.score).slice(0, k);
+  }
+
+  /**
+   * Graph structure without vectors or data, for storing next to the vectors themselves.
+   * Compact first: tombstoned nodes cannot be restored once their vectors are deleted.
+   * @returns {Object}
+   */
+  toJSON() {
+    if (this.deletedCount > 0) {
+      throw new Error('Compact the index before serializing it');
+    }
+    return {
+      version: FORMAT_VERSION,
+      m: this.m,
+      efConstruction: this.efConstruction,
+      dimension: this.dimension,
+      entryPoint: this.entryPoint,
+      maxLevel: this.maxLevel,
+      nodes: this.nodes.map(node => [node.id, node.level, node.neighbors]),
+    };
+  }
+
+  /**
+   * Restore a graph saved with toJSON
+   * @param {Object} json - Output of toJSON
+   * @param {Function} resolve - id => { vector, data }, or undefined when the vector no longer exists
+   * @param {Object} [options] - Constructor options (efSearch, random)
+   * @returns {HnswIndex|null} - Null when the graph is from another format or references a missing
+   *   or resized vector, meaning it must be rebuilt
+   */
+  static fromJSON(json, resolve, options = {}) {
+    if (!json || json.version !== FORMAT_VERSION || !Array.isArray(json.nodes)) return null;
+    const index = new HnswIndex({ ...options, m: json.m, efConstruction: json.efConstruction });
+
+    for (const [id, level, neighbors] of json.nodes) {
+      const item = resolve(id);
+      if (!item || item.vector.length !== json.dimension || index.idToNode.has(id)) return null;
+      index.idToNode.set(id, index.nodes.length);
+      index.nodes.push({ id, vector: index._normalize(item.vector), data: item.data ?? null, level, neighbors, deleted: false });
+    }
+    index.entryPoint = index.nodes.length > 0 ? json.entryPoint : null;
+    index.maxLevel = json.maxLevel;
+    index.dimension = json.dimension;
+    return index;
+  }
+
+  /**
+   * Best-first search of one layer
+   * @returns {Object[]} - Up to ef { node, distance } closest to the target, unordered
+   */
+  _searchLayer(target, entries, ef, layer) {
+    const visited = new Set(entries);
+    const candidates = new Heap((a, b) => a.distance - b.distance);
+    const results = new Heap((a, b) => b.distance - a.distance);
+
+    for (const entry of entries) {
+      const candidate = { node: entry, distance: this._distance(target, this.nodes[entry].vector) };
+      candidates.push(candidate);
+      results.push(candidate);
+    }
+    while (results.size > ef) results.pop();
+
+    while (candidates.size > 0) {
+      const current = candidates.pop();
+      if (results.size >= ef && current.distance > results.peek().distance) break;
+
+      for (const neighbor of this.nodes[current.node].neighbors[layer] || []) {
+        if (visited.has(neighbor)) continue;
+        visited.add(neighbor);
+        const distance = this._distance(target, this.nodes[neighbor].vector);
+        if (results.size < ef || distance < results.peek().distance) {
+          const candidate = { node: neighbor, distance };
+          candidates.push(candidate);
+          results.push(candidate);
+          if (results.size > ef) results.pop();
+        }
+      }
+    }
+    return results.items;
+  }
+
+  /**
+   * Neighbour selection heuristic: skip a candidate that is closer to an already selected
+   * neighbour than to the base, so links spread in different directions; fill up with the
+   * skipped candidates if too few remain
+   * @returns {number[]} - Node indexes
+   */
+  _selectNeighbors(candidates, limit) {
+    const sorted = [...candidates].sort((a, b) => a.distance - b.distance);
+    const selected = [];
+    const skipped = [];
+    for (const candidate of sorted) {
+      if (selected.length >= limit) break;
+      const vector = this.nodes[candidate.node].vector;
+      const diverse = selected.every(chosen => this._distance(vector, this.nodes[chosen.node].vector) > candidate.distance);
+      (diverse ? selected : skipped).push(candidate);
+    }
+    for (const candidate of skipped) {
+      if (selected.length >= limit) break;
+      selected.push(candidate);
+    }
+    return selected.map(candidate => candidate.node);
+  }
+
+  _closest(candidates) {
+    return candidates.reduce((best, candidate) => (candidate.distance < best.distance ? candidate : best)).node;
+  }
+
+  _maxLinks(layer) {
+    return layer === 0 ? this.m * 2 : this.m;
+  }
+
+  /** Cosine distance between unit vectors */
+  _distance(a, b) {
+    let dot = 0;
+    for (let i = 0; i < a.length; i++) {
+      dot += a[i] * b[i];
+    }
+    return 1 - dot;
+  }
+
+  /** Copy scaled to unit length; a zero vector stays zero and scores 0 against everything */
+  _normalize(vector) {
+    let norm = 0;
+    for (let i = 0; i < vector.length; i++) {
+      norm += vector[i] * vector[i];
+    }
+    norm = Math.sqrt(norm);
+    const unit = new Float32Array(vector.length);
+    for (let i = 0; i < vector.length; i++) {
+      unit[i] = norm === 0 ? 0 : vector[i] / norm;
+    }
+    return unit;
+  }
+}
+
+module.exports = HnswIndex;
@@ -0,0 +1,108 @@
+const HnswIndex = require('./HnswIndex');
+
+// Seeded PRNG (mulberry32), as in benchmark-vector-search.js, so graphs and vectors repeat
+function createRandom(seed) {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+const DIMENSION = 16;
+
+// Vectors with data { group } cycling through 0-4, for filters
+function randomVectors(count, random) {
+  return Array.from({ length: count }, (_, i) => ({
+    id: `v${i}`,
+    vector: Array.from({ length: DIMENSION }, () => random() * 2 - 1),
+    data: { group: i % 5 },
+  }));
+}
+
+function buildIndex(vectors, seed = 7) {
+  const index = new HnswIndex({ random: createRandom(seed) });
+  vectors.forEach(({ id, vector, data }) => index.add(id, vector, data));
+  return index;
+}
+
+const ids = results => results.map(result => result.id);
+
+describe('HnswIndex', () => {
+  const random = createRandom(42);
+  const vectors = randomVectors(600, random);
+  const queries = randomVectors(50, random).map(({ vector }) => vector);
+
+  test('adds vectors and replaces one added again under the same id', () => {
+    const index = buildIndex(vectors.slice(0, 10));
+
+    expect(index.size).toBe(10);
+    expect(index.dimension).toBe(DIMENSION);
+    index.add('v3', vectors[20].vector, { group: 'new' });
+
+    expect(index.size).toBe(10);
+    expect(index.search(vectors[20].vector, 1)).toEqual([{ id: 'v3', score: expect.closeTo(1, 5), data: { group: 'new' } }]);
+    expect(() => index.add('short', [1, 2, 3])).toThrow('Vector short has dimension 3, index has 16');
+  });
+
+  test('stops returning removed vectors, and compact drops them from the graph', () => {
+    const index = buildIndex(vectors.slice(0, 200));
+    const removed = ids(index.exactSearch(queries[0], 5));
+    removed.forEach(id => expect(index.remove(id)).toBe(true));
+
+    expect(index.remove(removed[0])).toBe(false);
+    expect(index.size).toBe(195);
+    expect(index.deletedCount).toBe(5);
+    removed.forEach(id => expect(ids(index.search(queries[0], 10))).not.toContain(id));
+    expect(() => index.toJSON()).toThrow('Compact the index before serializing it');
+
+    const before = ids(index.exactSearch(queries[0], 10));
+    index.compact();
+
+    expect(index.nodes).toHaveLength(195);
+    expect(index.deletedCount).toBe(0);
+    expect(ids(index.search(queries[0], 10))).toEqual(before);
+  });
+
+  test('restores a graph saved with toJSON', () => {
+    const index = buildIndex(vectors.slice(0, 200));
+    const byId = new Map(vectors.map(v => [v.id, v]));
+    const json = JSON.parse(JSON.stringify(index.toJSON()));
+
+    const restored = HnswIndex.fromJSON(json, id => byId.get(id));
+
+    expect(restored.size).toBe(200);
+    queries.slice(0, 10).forEach(query => expect(restored.search(query, 10)).toEqual(index.search(query, 10)));
+    // A missing vector or another format means the graph must be rebuilt
+    expect(HnswIndex.fromJSON(json, id => (id === 'v7' ? undefined : byId.get(id)))).toBeNull();
+    expect(HnswIndex.fromJSON({ ...json, version: 0 }, id => byId.get(id))).toBeNull();
+  });
+
+  test('returns only vectors that pass the filter', () => {
+    const index = buildIndex(vectors);
+    const filter = data => data.group === 2;
+
+    queries.slice(0, 10).forEach(query => {
+      const results = index.search(query, 10, { filter });
+
+      expect(results).toHaveLength(10);
+      results.forEach(result => expect(result.data.group).toBe(2));
+      expect(ids(results)).toEqual(ids(index.exactSearch(query, 10, filter)));
+    });
+  });
+
+  test('finds nearly all of the exact nearest neighbours', () => {
+    const index = buildIndex(vectors);
+
+    let found = 0;
+    for (const query of queries) {
+      const truth = new Set(ids(index.exactSearch(query, 10)));
+      found += index.search(query, 10).filter(result => truth.has(result.id)).length;
+    }
+
+    expect(found / (queries.length * 10)).toBeGreaterThanOrEqual(0.95);
+  });
+});
@@ -0,0 +1,247 @@
+const VectorSearchService = require('./VectorSearchService');
+const SearchService = require('./SearchService');
+const RerankService = require('./RerankService');
+
+// Reciprocal rank fusion constant: larger values flatten the gap between top and lower ranks
+const RRF_K = 60;
+
+// Relative weight of each retriever in the fused score; 0 turns a retriever off
+const DEFAULT_WEIGHTS = { vector: 1, keyword: 1 };
+
+// Share of the shorter excerpt's terms that must appear in the other for the two to count as one,
+// provided neither is many times the size of the other
+const DUPLICATE_OVERLAP = 0.8;
+const DUPLICATE_MAX_SIZE_RATIO = 3;
+
+// Names shown for excerpts that only carry their document type
+const DOCUMENT_NAMES = {
+  catalog: 'Course Catalog',
+  handbook: 'Student Handbook',
+  graduation_requirements: 'Graduation Requirements',
+};
+
+// Length of the excerpt preview kept with each citation
+const CITATION_EXCERPT_LENGTH = 240;
+
+// Queries that clearly target one document type (see inferFilters)
+const DOCUMENT_TARGETS = {
+  graduation_requirements: /\bgraduat(e|ion)\b.*\b(requirement|credit)|\b(requirement|credit)s?\b.*\bgraduat(e|ion)\b/i,
+  handbook: /\b(handbook|dress code|tard(y|ies)|attendance polic|discipline|cell ?phone)/i,
+  catalog: /\b(course )?catalog\b/i,
+};
+
+/**
+ * Service that retrieves catalog excerpts with vector and keyword search together
+ *
+ * Both retrievers run on every query. Their ranked lists are fused with reciprocal rank
+ * fusion (score = Σ weight / (RRF_K + rank)), so an excerpt both retrievers rank highly
+ * wins over one that only a single retriever found. Overlapping chunks (the vector store
+ * and the keyword index split documents differently) are merged into one result.
+ */
+class HybridRetrievalService {
+  /**
+   * Retrieve and fuse excerpts for a query
+   * @param {string} query - User query
+   * @param {Object} [options]
+   * @param {number} [options.topK] - Number of fused results
+   * @param {number} [options.candidates] - Results taken from each retriever before fusion
+   * @param {Object} [options.weights] - Per-retriever weights, e.g. { vector: 1, keyword: 0.5 }
+   * @param {Object} [options.filters] - Chunk filters applied to both retrievers (see VectorSearchService.matchesFilters)
+   * @param {boolean} [options.rerank] - Rerank the fused candidates and keep the best topK, when a
+   *   rerank provider is configured (see RerankService)
+   * @returns {Promise<Object[]>} - [{ text, score, document, metadata, sources }] best first, where sources
+   *   maps each retriever that found the excerpt to its { rank, score }; reranked results also
+   *   have rerankScore and retrievalRank
+   */
+  async retrieve(query, { topK = 8, candidates = 20, weights = {}, filters = null, rerank = false } = {}) {
+    if (!query) return [];
+    const reranking = rerank && RerankService.isEnabled();
+    if (reranking) {
+      candidates = Math.max(candidates, RerankService.getCandidateCount());
+    }
+    const resolvedWeights = this.resolveWeights(weights);
+    const filter = filters ? passage => VectorSearchService.matchesFilters(passage, filters) : null;
+
+    const [vectorResults, keywordResults] = await Promise.all([
+      resolvedWeights.vector > 0 ? VectorSearchService.searchWithScores(query, candidates, filters) : [],
+      resolvedWeights.keyword > 0 ? SearchService.search(query, { topK: candidates, filter }) : [],
+    ]);
+    console.log(`Hybrid retrieval: ${vectorResults.length} vector and ${keywordResults.length} keyword candidates`);
+
+    const fused = this.fuse({
+      vector: vectorResults.map(r => ({ text: r.text, score: r.score, document: r.documentType, metadata: r.metadata })),
+      keyword: keywordResults.map(r => ({ text: r.text, score: r.score, document: r.source, metadata: r.metadata })),
+    }, resolvedWeights, reranking ? RerankService.getCandidateCount() : topK);
+
+    return reranking ? RerankService.rerank(query, fused, { topK }) : fused;
+  }
+
+  /**
+   * Document filter for a query that clearly targets one document, e.g. "how many credits
+   * do I need to graduate" → graduation requirements. Null when the query is general or
+   * names more than one document.
+   * @param {string} query - User query
+   * @returns {Object|null} - { documentType } or null
+   */
+  inferFilters(query) {
+    const targets = Object.entries(DOCUMENT_TARGETS)
+      .filter(([, pattern]) => pattern.test(query))
+      .map(([documentType]) => documentType);
+    return targets.length === 1 ? { documentType: targets[0] } : null;
+  }
+
+  /**
+   * Fuse ranked lists with weighted reciprocal rank fusion, merging duplicates
+   * @param {Object} lists - Retriever name -> [{ text, score, document }], best first
+   * @param {Object} weights - Retriever name -> weight
+   * @param {number} topK - Number of results to keep
+   * @returns {Object[]}
+   */
+  fuse(lists, weights, topK) {
+    const fused = [];
+    for (const [retriever, results] of Object.entries(lists)) {
+      const weight = weights[retriever] ?? 1;
+      if (weight <= 0) continue;
+
+      results.forEach((result, i) => {
+        const rank = i + 1;
+        const terms = new Set(SearchService.tokenize(result.text));
+        const existing = fused.find(entry => this._overlap(entry.terms, terms) >= DUPLICATE_OVERLAP);
+
+        if (!existing) {
+          fused.push({
+            text: result.text,
+            terms,
+            score: weight / (RRF_K + rank),
+            document: result.document || null,
+            // A copy: the merge below writes into it, and the retrievers' indexes hold the original
+            metadata: { ...result.metadata },
+            sources: { [retriever]: { rank, score: Math.round(result.score * 1000) / 1000 } },
+          });
+          return;
+        }
+
+        // A retriever's own overlapping chunks count once, at their best rank
+        if (!existing.sources[retriever]) {
+          existing.score += weight / (RRF_K + rank);
+          existing.sources[retriever] = { rank, score: Math.round(result.score * 1000) / 1000 };
+        }
+        // Keep the longer text so the merged excerpt covers both chunks
+        if (result.text.length > existing.text.length) {
+          existing.text = result.text;
+          existing.terms = terms;
+        }
+        // Keyword sources are document names; prefer them over vector document types
+        if (retriever === 'keyword' && result.document) {
+          existing.document = result.document;
+        }
+        // Fill in page/section metadata the first retriever did not have
+        for (const [key, value] of Object.entries(result.metadata || {})) {
+          if (existing.metadata[key] == null) existing.metadata[key] = value;
+        }
+      });
+    }
+
+    return fused
+      .sort((a, b) => b.score - a.score)
+      .slice(0, topK)
+      .map(({ terms, ...entry }) => ({ ...entry, score: Math.round(entry.score * 10000) / 10000 }));
+  }
+
+  /**
+   * Fill in default weights and drop invalid values
+   * @param {Object} weights - Caller's weights
+   * @returns {Object}
+   */
+  resolveWeights(weights = {}) {
+    const resolved = { ...DEFAULT_WEIGHTS };
+    for (const name of Object.keys(DEFAULT_WEIGHTS)) {
+      const value = Number(weights[name]);
+      if (weights[name] !== undefined && weights[name] !== null && Number.isFinite(value) && value >= 0) {
+        resolved[name] = value;
+      }
+    }
+    return resolved;
+  }
+
+  /**
+   * Format fused results as excerpts for the chat prompt, each headed by its citation ID
+   * (see citationsFor) so the model can cite it as [S1]
+   * @param {Object[]} results - Output of retrieve()
+   * @returns {string}
+   */
+  formatForPrompt(results) {
+    return this.formatExcerpts(results).join('\n\n');
+  }
+
+  /**
+   * The excerpts formatForPrompt joins, one per result in the same order
+   * @param {Object[]} results - Output of retrieve()
+   * @returns {string[]}
+   */
+  formatExcerpts(results) {
+    return this.citationsFor(results).map((citation, i) => {
+      const foundBy = Object.keys(results[i].sources).join(' + ');
+      const page = citation.page ? `, p. ${citation.page}` : '';
+      return `[${citation.id}] ${citation.document}${page} (${foundBy} search)\n${results[i].text}`;
+    });
+  }
+
+  /**
+   * One citation per fused result, in the same order and with the same IDs as formatForPrompt
+   * @param {Object[]} results - Output of retrieve()
+   * @returns {Object[]} - [{ id, document, sourceFile, page, endPage, section, courseCode, excerpt }]
+   */
+  citationsFor(results) {
+    return results.map((result, i) => {
+      const m = result.metadata || {};
+      const text = result.text.replace(/\s+/g, ' ').trim();
+      return {
+        id: `S${i + 1}`,
+        document: DOCUMENT_NAMES[result.document] || result.document || 'Unknown document',
+        sourceFile: m.sourceFile || null,
+        page: m.page || null,
+        endPage: m.endPage || null,
+        section: m.section || null,
+        courseCode: m.courseCode || null,
+        excerpt: text.length > CITATION_EXCERPT_LENGTH ? `${text.slice(0, CITATION_EXCERPT_LENGTH)}...` : text,
+      };
+    });
+  }
+
+  /**
+   * The citations an answer refers to ([S2], [S1, S3]), in order of first mention.
+   * IDs that match no citation are ignored.
+   * @param {string} answer - Model response
+   * @param {Object[]} citations - Output of citationsFor()
+   * @returns {Object[]}
+   */
+  citedIn(answer, citations) {
+    const byId = new Map(citations.map(citation => [citation.id, citation]));
+    const cited = new Set();
+    for (const match of (answer || '').matchAll(/\[(S\d+(?:\s*,\s*S\d+)*)\]/g)) {
+      for (const id of match[1].split(/\s*,\s*/)) {
+        if (byId.has(id)) cited.add(id);
+      }
+    }
+    return [...cited].map(id => byId.get(id));
+  }
+
+  /**
+   * Share of the smaller term set found in the larger one; 0 when the sizes are too far apart
+   * for the two to be versions of the same excerpt
+   */
+  _overlap(a, b) {
+    if (a.size === 0 || b.size === 0) return 0;
+    const [small, large] = a.size <= b.size ? [a, b] : [b, a];
+    if (large.size > small.size * DUPLICATE_MAX_SIZE_RATIO) return 0;
+    let shared = 0;
+    for (const term of small) {
+      if (large.has(term)) shared++;
+    }
+    return shared / small.size;
+  }
+}
+
+// Export as singleton
+module.exports = new HybridRetrievalService();
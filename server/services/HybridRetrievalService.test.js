@@ -0,0 +1,61 @@
+const HybridRetrievalService = require('./HybridRetrievalService');
+
+const result = (text, score, extra = {}) => ({ text, score, document: null, metadata: {}, ...extra });
+
+describe('HybridRetrievalService.fuse', () => {
+  test('ranks an excerpt both retrievers found above ones only one found', () => {
+    const fused = HybridRetrievalService.fuse({
+      vector: [result('Chemistry lab safety rules', 0.9), result('Biology requires a lab notebook', 0.8)],
+      keyword: [result('Spanish 1 covers basic grammar', 12), result('Biology requires a lab notebook', 9)],
+    }, { vector: 1, keyword: 1 }, 10);
+
+    expect(fused[0].text).toBe('Biology requires a lab notebook');
+    expect(fused[0].score).toBeCloseTo(1 / 62 + 1 / 62, 4);
+    expect(fused[0].sources).toEqual({
+      vector: { rank: 2, score: 0.8 },
+      keyword: { rank: 2, score: 9 },
+    });
+    expect(fused.map(entry => entry.text)).toHaveLength(3);
+  });
+
+  test('merges overlapping chunks, keeping the longer text and filling in metadata', () => {
+    const fused = HybridRetrievalService.fuse({
+      vector: [result('AP Chemistry prerequisite Chemistry Honors', 0.9, { document: 'catalog', metadata: { page: 12 } })],
+      keyword: [result('AP Chemistry prerequisite Chemistry Honors grade B', 7, { document: 'Course Catalog', metadata: { page: null, courseCode: '003221' } })],
+    }, { vector: 1, keyword: 1 }, 10);
+
+    expect(fused).toHaveLength(1);
+    expect(fused[0].text).toBe('AP Chemistry prerequisite Chemistry Honors grade B');
+    expect(fused[0].document).toBe('Course Catalog');
+    expect(fused[0].metadata).toEqual({ page: 12, courseCode: '003221' });
+  });
+
+  test('counts a retriever\'s own duplicate chunks once, at their best rank', () => {
+    const fused = HybridRetrievalService.fuse({
+      vector: [result('Physics requires Algebra 1', 0.9), result('Physics requires Algebra 1.', 0.85)],
+    }, { vector: 1 }, 10);
+
+    expect(fused).toHaveLength(1);
+    expect(fused[0].score).toBeCloseTo(1 / 61, 4);
+    expect(fused[0].sources.vector.rank).toBe(1);
+  });
+
+  test('leaves the retrievers\' metadata objects untouched', () => {
+    const indexed = { page: 3 };
+    HybridRetrievalService.fuse({
+      vector: [result('Art 1 introduces drawing and painting', 0.9, { metadata: indexed })],
+      keyword: [result('Art 1 introduces drawing and painting', 5, { metadata: { section: 'F - Fine Arts' } })],
+    }, { vector: 1, keyword: 1 }, 10);
+
+    expect(indexed).toEqual({ page: 3 });
+  });
+
+  test('skips retrievers weighted 0 and keeps the top results', () => {
+    const fused = HybridRetrievalService.fuse({
+      vector: [result('Geometry follows Algebra 1', 0.9), result('Statistics is a senior elective', 0.7)],
+      keyword: [result('Dress code applies at all events', 20)],
+    }, { vector: 1, keyword: 0 }, 1);
+
+    expect(fused.map(entry => entry.text)).toEqual(['Geometry follows Algebra 1']);
+  });
+});
@@ -0,0 +1,641 @@
+const axios = require('axios');
+
+// What each task asks of the model by default. Models and timeouts can be changed per task
+// with LLM_<TASK>_MODEL and LLM_<TASK>_TIMEOUT_MS (e.g. LLM_CHAT_MODEL).
+const TASKS = {
+  chat: { model: 'anthropic/claude-sonnet-4', maxTokens: 4000, timeout: 120000, title: 'Del Norte Course Selector' },
+  summarize: { model: 'anthropic/claude-3-haiku', maxTokens: 1000, timeout: 60000, title: 'Del Norte Course Selector' },
+  parse: { model: 'anthropic/claude-sonnet-4', maxTokens: 3000, timeout: 30000, title: 'Del Norte Course Selector - Transcript Parser' },
+  ocr: { model: 'anthropic/claude-sonnet-4', maxTokens: 4000, timeout: 60000, title: 'Del Norte Course Selector - Document OCR' },
+  rewrite: { model: 'anthropic/claude-3-haiku', maxTokens: 100, timeout: 15000, title: 'Del Norte Course Selector - Query Rewrite' },
+  rerank: { model: 'anthropic/claude-3-haiku', maxTokens: 200, timeout: 30000, title: 'Del Norte Course Selector - Rerank' },
+};
+
+// Retries of a failed request before moving down the fallback list. Each waits a random time
+// up to RETRY_BASE_MS * 2^retry (full jitter), or what a 429's Retry-After asks for, capped.
+const DEFAULT_MAX_RETRIES = 2;
+const RETRY_BASE_MS = 500;
+const RETRY_MAX_DELAY_MS = 8000;
+
+// Consecutive failures that open a provider's circuit, and how long it is then skipped
+const DEFAULT_BREAKER_THRESHOLD = 5;
+const DEFAULT_BREAKER_COOLDOWN_MS = 30000;
+
+// Network errors worth retrying; anything with a response is judged by its status
+const RETRYABLE_NETWORK_ERRORS = new Set(['ECONNRESET', 'ETIMEDOUT', 'ECONNABORTED', 'EPIPE', 'EAI_AGAIN', 'ECONNREFUSED']);
+
+/**
+ * LLM providers
+ *
+ * A provider has a `name`, `isConfigured()`, and two ways to run a chat completion for a
+ * request { task, model, messages, maxTokens, temperature, timeout, title, signal }:
+ * `complete(request)` resolves to { content, finishReason, usage, raw } where raw is an
+ * OpenAI-style response body, and `stream(request)` is an async iterable of
+ * { content, finishReason } pieces.
+ */
+
+/**
+ * Any server that implements the OpenAI `POST /chat/completions` API: OpenRouter (the
+ * default), OpenAI, Ollama, llama.cpp, vLLM, LM Studio, ...
+ */
+class OpenAICompatibleLLMProvider {
+  constructor({ name = 'openai', baseUrl = 'https://api.openai.com/v1', apiKey = null, requireApiKey = false, headers = {} } = {}) {
+    this.name = name;
+    this.baseUrl = baseUrl.replace(/\/+$/, '');
+    this.apiKey = apiKey;
+    this.requireApiKey = requireApiKey;
+    this.headers = headers;
+  }
+
+  isConfigured() {
+    return !this.requireApiKey || !!this.apiKey;
+  }
+
+  async complete(request) {
+    const response = await this._post(request, false);
+    const choice = response.data.choices?.[0];
+    return {
+      content: choice?.message?.content || '',
+      finishReason: choice?.finish_reason || null,
+      usage: response.data.usage || null,
+      raw: response.data,
+    };
+  }
+
+  async *stream(request) {
+    const response = await this._post(request, true);
+    for await (const chunk of this._readEvents(response.data)) {
+      const choice = chunk.choices?.[0];
+      yield { content: choice?.delta?.content || '', finishReason: choice?.finish_reason || null };
+    }
+  }
+
+  _post({ model, messages, maxTokens, temperature, timeout, title, signal }, stream) {
+    if (!this.isConfigured()) {
+      throw new Error(`No API key configured for ${this.name}`);
+    }
+    return axios.post(
+      `${this.baseUrl}/chat/completions`,
+      {
+        model,
+        messages,
+        max_tokens: maxTokens,
+        ...(temperature !== undefined ? { temperature } : {}),
+        ...(stream ? { stream: true } : {}),
+      },
+      {
+        headers: {
+          'Content-Type': 'application/json',
+          ...(this.apiKey ? { 'Authorization': `Bearer ${this.apiKey}` } : {}),
+          'HTTP-Referer': 'https://del-norte-course-selector.vercel.app',
+          ...(title ? { 'X-Title': title } : {}),
+          ...this.headers,
+        },
+        timeout,
+        signal,
+        ...(stream ? { responseType: 'stream' } : {}),
+      }
+    );
+  }
+
+  // Parse a streamed completion (Server-Sent Events) into its JSON chunks. Comment lines
+  // (OpenRouter sends ": OPENROUTER PROCESSING" while it waits) are skipped; the stream
+  // ends at "data: [DONE]"
+  async *_readEvents(stream) {
+    stream.setEncoding('utf8');
+    let buffer = '';
+    for await (const text of stream) {
+      buffer += text;
+      const lines = buffer.split('\n');
+      buffer = lines.pop();
+      for (const line of lines) {
+        if (!line.startsWith('data:')) continue;
+        const data = line.slice(5).trim();
+        if (data === '[DONE]') return;
+        const chunk = JSON.parse(data);
+        if (chunk.error) {
+          throw new Error(chunk.error.message || 'Completion stream failed');
+        }
+        yield chunk;
+      }
+    }
+  }
+}
+
+/**
+ * Deterministic stand-in for tests and offline development: the same request always gets
+ * the same reply, and no network is used. Replies can be fixed per task with `responses`
+ * (task -> string, or (messages, request) => string); a function that throws makes the
+ * request fail, e.g. with an error carrying `response.status` to act like an HTTP error.
+ */
+class FakeLLMProvider {
+  constructor({ name = 'fake', responses = {} } = {}) {
+    this.name = name;
+    this.responses = responses;
+  }
+
+  isConfigured() {
+    return true;
+  }
+
+  async complete(request) {
+    const { task, model, messages } = request;
+    const content = this._reply(request);
+    const usage = { prompt_tokens: JSON.stringify(messages).length, completion_tokens: content.length, total_tokens: JSON.stringify(messages).length + content.length };
+    return {
+      content,
+      finishReason: 'stop',
+      usage,
+      raw: {
+        id: `fake-${task}`,
+        object: 'chat.completion',
+        model,
+        choices: [{ index: 0, message: { role: 'assistant', content }, finish_reason: 'stop' }],
+        usage,
+      },
+    };
+  }
+
+  async *stream(request) {
+    const { content } = await this.complete(request);
+    const words = content.split(/(?<=\s)/);
+    for (const word of words) {
+      if (request.signal?.aborted) return;
+      yield { content: word, finishReason: null };
+    }
+    yield { content: '', finishReason: 'stop' };
+  }
+
+  _reply(request) {
+    const { task, messages } = request;
+    const custom = this.responses[task];
+    if (custom !== undefined) {
+      return typeof custom === 'function' ? custom(messages, request) : custom;
+    }
+
+    const lastUser = [...messages].reverse().find(msg => msg.role === 'user');
+    const text = typeof lastUser?.content === 'string' ? lastUser.content : '';
+    switch (task) {
+      case 'summarize':
+        return `Summary of ${messages.length} messages.`;
+      case 'parse':
+        return JSON.stringify({
+          student: { name: null, gradeLevel: null, school: null, gpa: { cumulative: null, weighted: null }, totalCreditsEarned: null },
+          courses: [],
+        });
+      case 'ocr':
+        return 'Text extracted from the uploaded document image by the fake LLM provider.';
+      case 'rewrite':
+        return (text.match(/^Last message: (.*)$/m) || [null, text])[1];
+      case 'rerank':
+        // The same score for every excerpt, which keeps retrieval order
+        return JSON.stringify((text.match(/^\[\d+\]$/gm) || []).map(() => 5));
+      default:
+        return `This is a test answer to: ${text}`;
+    }
+  }
+}
+
+/**
+ * Circuit breaker for one provider. After `threshold` consecutive failures the circuit opens
+ * and the provider is skipped for `cooldownMs`; then requests are let through again
+ * (half-open), and the first result closes the circuit or opens it for another cool-down.
+ */
+class CircuitBreaker {
+  constructor(name, { threshold, cooldownMs }) {
+    this.name = name;
+    this.threshold = threshold;
+    this.cooldownMs = cooldownMs;
+    this.state = 'closed';
+    this.consecutiveFailures = 0;
+    this.openedAt = null;
+    this.requests = 0;
+    this.failures = 0;
+    this.lastError = null;
+    this.lastFailureAt = null;
+    this.lastSuccessAt = null;
+  }
+
+  allowRequest() {
+    if (this.state === 'open' && Date.now() - this.openedAt >= this.cooldownMs) {
+      this.state = 'half_open';
+    }
+    return this.state !== 'open';
+  }
+
+  recordSuccess() {
+    this.requests++;
+    this.state = 'closed';
+    this.consecutiveFailures = 0;
+    this.lastSuccessAt = new Date().toISOString();
+  }
+
+  recordFailure(error) {
+    this.requests++;
+    this.failures++;
+    this.consecutiveFailures++;
+    this.lastError = error.message;
+    this.lastFailureAt = new Date().toISOString();
+    if (this.state === 'half_open' || this.consecutiveFailures >= this.threshold) {
+      this.state = 'open';
+      this.openedAt = Date.now();
+      console.warn(`LLM provider ${this.name} failed ${this.consecutiveFailures} times in a row; skipping it for ${this.cooldownMs / 1000}s`);
+    }
+  }
+
+  toJSON() {
+    this.allowRequest();
+    return {
+      name: this.name,
+      state: this.state,
+      consecutiveFailures: this.consecutiveFailures,
+      requests: this.requests,
+      failures: this.failures,
+      lastError: this.lastError,
+      lastFailureAt: this.lastFailureAt,
+      lastSuccessAt: this.lastSuccessAt,
+      retryAt: this.state === 'open' ? new Date(this.openedAt + this.cooldownMs).toISOString() : null,
+    };
+  }
+}
+
+/**
+ * Service for every LLM call the app makes (chat, summaries, transcript parsing, OCR,
+ * query rewriting, reranking)
+ *
+ * Callers name a task rather than a model, so the whole app can be pointed at another
+ * OpenAI-compatible server, a local model, or the deterministic fake provider through
+ * the environment.
+ *
+ * A request that fails with a 429, a 5xx or a network error is retried with jittered
+ * backoff, then handed to the next model in the task's fallback list. Each provider has a
+ * circuit breaker, so one that keeps failing is skipped until its cool-down ends instead of
+ * making every request wait for it to time out.
+ *
+ * Env vars:
+ *   LLM_PROVIDER           — 'openrouter' (default), 'openai' (any OpenAI-compatible server),
+ *                            'fake', or a name passed to registerProvider
+ *   LLM_API_URL            — Base URL of the chat completions API (defaults per provider,
+ *                            e.g. http://localhost:11434/v1 for Ollama)
+ *   LLM_API_KEY            — API key (falls back to REACT_APP_OPENROUTER_API_KEY)
+ *   LLM_HEADERS            — JSON object of extra headers sent with every request
+ *   LLM_<TASK>_MODEL       — Model for one task: CHAT, SUMMARIZE, PARSE, OCR, REWRITE or RERANK
+ *   LLM_<TASK>_TIMEOUT_MS  — Request timeout for one task
+ *   LLM_TIMEOUT_MS         — Request timeout for every task without its own
+ *   LLM_FALLBACKS          — Comma-separated models to try, in order, when the task's model fails;
+ *                            "model@provider" uses another provider (e.g. "llama3.1:8b@openai")
+ *   LLM_<TASK>_FALLBACKS   — Fallback list for one task
+ *   LLM_<PROVIDER>_API_URL — Base URL for a fallback provider other than LLM_PROVIDER
+ *   LLM_<PROVIDER>_API_KEY — API key for it (falls back to LLM_API_KEY)
+ *   LLM_MAX_RETRIES        — Retries per model before falling back (default 2)
+ *   LLM_BREAKER_THRESHOLD  — Consecutive failures that open a provider's circuit (default 5)
+ *   LLM_BREAKER_COOLDOWN_MS — How long an open circuit skips the provider (default 30000)
+ */
+class LLMService {
+  constructor() {
+    this.factories = new Map([
+      ['openrouter', (options) => new OpenAICompatibleLLMProvider({
+        baseUrl: 'https://openrouter.ai/api/v1',
+        ...options,
+        name: 'openrouter',
+        requireApiKey: true,
+      })],
+      ['openai', (options) => new OpenAICompatibleLLMProvider(options)],
+      ['fake', (options) => new FakeLLMProvider(options)],
+    ]);
+    this.provider = null;
+    this.fallbackProviders = new Map();
+    this.breakers = new Map();
+  }
+
+  /**
+   * Add a provider, selectable with LLM_PROVIDER or in a fallback list
+   * @param {string} name - Provider name
+   * @param {Function} factory - (options) => provider with { name, isConfigured(), complete(request), stream(request) }
+   */
+  registerProvider(name, factory) {
+    this.factories.set(name, factory);
+  }
+
+  /**
+   * Replace the active provider, e.g. from tests or a script
+   * @param {Object} provider - { name, isConfigured(), complete(request), stream(request) }
+   */
+  setProvider(provider) {
+    this.provider = provider;
+    console.log(`LLM provider set to ${provider.name}`);
+  }
+
+  /**
+   * Switch to a fresh fake provider, for tests: circuit breakers and fallback providers are reset
+   * @param {Object} [responses] - Replies per task (see FakeLLMProvider)
+   * @returns {Object} - The fake provider
+   */
+  useFake(responses = {}) {
+    this.breakers.clear();
+    this.fallbackProviders.clear();
+    this.setProvider(new FakeLLMProvider({ responses }));
+    return this.provider;
+  }
+
+  /**
+   * The active provider, created from the environment on first use
+   * @returns {Object}
+   */
+  getProvider() {
+    if (!this.provider) {
+      this.provider = this._createProvider(process.env.LLM_PROVIDER || 'openrouter', {
+        baseUrl: process.env.LLM_API_URL,
+        apiKey: process.env.LLM_API_KEY,
+      });
+      console.log(`Using LLM provider ${this.provider.name}`);
+    }
+    return this.provider;
+  }
+
+  /**
+   * Whether any model for a task has a provider with what it needs to make requests (e.g. an API key)
+   * @param {string} [task] - Task name (default 'chat')
+   * @returns {boolean}
+   */
+  isConfigured(task = 'chat') {
+    return this._targets(task).some(target => target.provider.isConfigured());
+  }
+
+  /**
+   * Settings for a task, with environment overrides applied
+   * @param {string} task - 'chat', 'summarize', 'parse', 'ocr', 'rewrite' or 'rerank'
+   * @returns {Object} - { model, maxTokens, timeout, title, fallbacks } where fallbacks are the
+   *   "model" or "model@provider" entries tried after model
+   */
+  getTaskSettings(task) {
+    const defaults = TASKS[task];
+    if (!defaults) {
+      throw new Error(`Unknown LLM task "${task}" (available: ${Object.keys(TASKS).join(', ')})`);
+    }
+    const prefix = `LLM_${task.toUpperCase()}`;
+    const timeout = parseInt(process.env[`${prefix}_TIMEOUT_MS`] || process.env.LLM_TIMEOUT_MS, 10);
+    const fallbacks = process.env[`${prefix}_FALLBACKS`] ?? process.env.LLM_FALLBACKS ?? '';
+    return {
+      ...defaults,
+      // QUERY_REWRITE_MODEL and RERANK_MODEL (for the LLM judge) predate the per-task settings
+      model: process.env[`${prefix}_MODEL`]
+        || (task === 'rewrite' && process.env.QUERY_REWRITE_MODEL)
+        || (task === 'rerank' && process.env.RERANK_PROVIDER === 'llm' && process.env.RERANK_MODEL)
+        || defaults.model,
+      timeout: Number.isNaN(timeout) ? defaults.timeout : timeout,
+      fallbacks: fallbacks.split(',').map(entry => entry.trim()).filter(Boolean),
+    };
+  }
+
+  /**
+   * The models a task may be sent to, in the order they are tried
+   * @param {string} task - 'chat', 'summarize', 'parse', 'ocr', 'rewrite' or 'rerank'
+   * @returns {string[]}
+   */
+  getTaskModels(task) {
+    return this._targets(task).map(target => target.model);
+  }
+
+  /**
+   * Provider health for /api/health: circuit state and request counts per provider, and the
+   * models each task tries in order
+   * @returns {Object} - { available, providers, tasks }
+   */
+  getHealth() {
+    const tasks = {};
+    for (const task of Object.keys(TASKS)) {
+      const targets = this._targets(task);
+      targets.forEach(target => this._breaker(target.provider.name));
+      tasks[task] = targets.map(target => `${target.model}@${target.provider.name}`);
+    }
+    const providers = [...this.breakers.values()].map(breaker => breaker.toJSON());
+    const available = this._targets('chat').some(target => target.provider.isConfigured() && this._breaker(target.provider.name).state !== 'open');
+    return { available, providers, tasks };
+  }
+
+  /**
+   * Run a chat completion for a task, retrying and falling back to other models on failure
+   * @param {string} task - 'chat', 'summarize', 'parse', 'ocr', 'rewrite' or 'rerank'
+   * @param {Array<{role: string, content: string|Object[]}>} messages - Chat messages
+   * @param {Object} [options]
+   * @param {number} [options.maxTokens] - Overrides the task's token limit
+   * @param {number} [options.temperature] - Sampling temperature (provider default if omitted)
+   * @param {number} [options.timeout] - Overrides the task's timeout (ms)
+   * @param {AbortSignal} [options.signal] - Aborts the request
+   * @returns {Promise<Object>} - { content, finishReason, usage, model, provider, raw }
+   * @throws {Error} - With code 'LLM_UNAVAILABLE' when every model failed or was skipped because
+   *   its provider is down or rate limited
+   */
+  async complete(task, messages, options = {}) {
+    return this._withFallbacks(task, options.signal, async (target) => {
+      const result = await target.provider.complete(this._request(task, target.model, messages, options));
+      return { ...result, model: target.model, provider: target.provider.name };
+    });
+  }
+
+  /**
+   * Run a chat completion for a task, receiving the answer as it is written. Retries and
+   * fallbacks apply until the first piece arrives; after that a failure ends the stream.
+   * @param {string} task - See complete()
+   * @param {Array<{role: string, content: string|Object[]}>} messages - Chat messages
+   * @param {Object} [options] - See complete(); aborting the signal ends the stream
+   * @returns {AsyncIterable<{content: string, finishReason: string|null}>}
+   */
+  async *stream(task, messages, options = {}) {
+    const { target, iterator, first } = await this._withFallbacks(task, options.signal, async (target) => {
+      const iterator = target.provider.stream(this._request(task, target.model, messages, options))[Symbol.asyncIterator]();
+      return { target, iterator, first: await iterator.next() };
+    });
+
+    let next = first;
+    while (!next.done) {
+      yield next.value;
+      try {
+        next = await iterator.next();
+      } catch (error) {
+        if (!options.signal?.aborted && this._isProviderFailure(error)) {
+          this._breaker(target.provider.name).recordFailure(error);
+        }
+        throw error;
+      }
+    }
+  }
+
+  /**
+   * Try each model for a task in order, retrying retryable failures, until one succeeds
+   * @param {string} task - Task name
+   * @param {AbortSignal} [signal] - Stops retrying when aborted
+   * @param {Function} attempt - (target) => Promise of the result
+   */
+  async _withFallbacks(task, signal, attempt) {
+    const maxRetries = this._envInt('LLM_MAX_RETRIES', DEFAULT_MAX_RETRIES);
+    const targets = this._targets(task);
+    let lastError = null;
+
+    for (const [index, target] of targets.entries()) {
+      const label = `${target.model}@${target.provider.name}`;
+      const breaker = this._breaker(target.provider.name);
+      if (!target.provider.isConfigured()) {
+        lastError = new Error(`No API key configured for ${target.provider.name}`);
+        continue;
+      }
+      if (!breaker.allowRequest()) {
+        console.warn(`Skipping ${label} for ${task}: circuit open after repeated failures`);
+        continue;
+      }
+
+      for (let retry = 0; retry <= maxRetries; retry++) {
+        try {
+          const result = await attempt(target);
+          breaker.recordSuccess();
+          if (index > 0) {
+            console.log(`LLM ${task} request answered by fallback ${label}`);
+          }
+          return result;
+        } catch (error) {
+          if (signal?.aborted || axios.isCancel(error)) throw error;
+          lastError = error;
+          console.warn(`LLM ${task} request to ${label} failed (attempt ${retry + 1} of ${maxRetries + 1}): ${this._describeError(error)}`);
+          if (this._isProviderFailure(error)) {
+            breaker.recordFailure(error);
+          }
+          if (!this._isRetryable(error) || retry === maxRetries || !breaker.allowRequest()) break;
+          await this._sleep(this._backoffDelay(retry, error), signal);
+        }
+      }
+    }
+
+    // A rejected request (e.g. a 400) is the caller's problem, not an outage
+    if (lastError && !this._isProviderFailure(lastError)) throw lastError;
+    const error = new Error(`No LLM model could complete the ${task} request${lastError ? `: ${lastError.message}` : ''}`);
+    error.code = 'LLM_UNAVAILABLE';
+    error.cause = lastError;
+    throw error;
+  }
+
+  /**
+   * The models a task tries, in order: its own model on the active provider, then its fallbacks
+   * @returns {Array<{provider: Object, model: string}>}
+   */
+  _targets(task) {
+    const settings = this.getTaskSettings(task);
+    const targets = [{ provider: this.getProvider(), model: settings.model }];
+    for (const entry of settings.fallbacks) {
+      const at = entry.lastIndexOf('@');
+      const model = at > 0 ? entry.slice(0, at) : entry;
+      const provider = at > 0 ? this._fallbackProvider(entry.slice(at + 1)) : this.getProvider();
+      if (!targets.some(target => target.provider === provider && target.model === model)) {
+        targets.push({ provider, model });
+      }
+    }
+    return targets;
+  }
+
+  /**
+   * A provider named in a fallback list: the active provider when the names match, otherwise
+   * one created from LLM_<NAME>_API_URL and LLM_<NAME>_API_KEY
+   */
+  _fallbackProvider(name) {
+    if (name === this.getProvider().name) return this.getProvider();
+    if (!this.fallbackProviders.has(name)) {
+      const prefix = `LLM_${name.toUpperCase()}`;
+      this.fallbackProviders.set(name, this._createProvider(name, {
+        baseUrl: process.env[`${prefix}_API_URL`],
+        apiKey: process.env[`${prefix}_API_KEY`] || process.env.LLM_API_KEY,
+      }));
+    }
+    return this.fallbackProviders.get(name);
+  }
+
+  _createProvider(name, { baseUrl, apiKey }) {
+    const factory = this.factories.get(name);
+    if (!factory) {
+      throw new Error(`Unknown LLM provider "${name}" (available: ${[...this.factories.keys()].join(', ')})`);
+    }
+    return factory({
+      ...(baseUrl ? { baseUrl } : {}),
+      apiKey: apiKey || process.env.REACT_APP_OPENROUTER_API_KEY || null,
+      headers: process.env.LLM_HEADERS ? JSON.parse(process.env.LLM_HEADERS) : {},
+    });
+  }
+
+  _breaker(name) {
+    if (!this.breakers.has(name)) {
+      this.breakers.set(name, new CircuitBreaker(name, {
+        threshold: this._envInt('LLM_BREAKER_THRESHOLD', DEFAULT_BREAKER_THRESHOLD),
+        cooldownMs: this._envInt('LLM_BREAKER_COOLDOWN_MS', DEFAULT_BREAKER_COOLDOWN_MS),
+      }));
+    }
+    return this.breakers.get(name);
+  }
+
+  _request(task, model, messages, { maxTokens, temperature, timeout, signal } = {}) {
+    const settings = this.getTaskSettings(task);
+    return {
+      task,
+      model,
+      messages,
+      maxTokens: maxTokens || settings.maxTokens,
+      temperature,
+      timeout: timeout || settings.timeout,
+      title: settings.title,
+      signal,
+    };
+  }
+
+  // Rate limits, server errors and dropped connections are worth another try
+  _isRetryable(error) {
+    const status = error.response?.status;
+    if (status) return status === 408 || status === 429 || status >= 500;
+    return RETRYABLE_NETWORK_ERRORS.has(error.code);
+  }
+
+  // Failures that say something about the provider rather than this request (a 400 for an
+  // oversized prompt should not take the provider out of rotation)
+  _isProviderFailure(error) {
+    const status = error.response?.status;
+    return !status || [401, 403, 408, 429].includes(status) || status >= 500;
+  }
+
+  _backoffDelay(retry, error) {
+    const retryAfter = Number(error.response?.headers?.['retry-after']);
+    if (Number.isFinite(retryAfter) && retryAfter > 0) {
+      return Math.min(retryAfter * 1000, RETRY_MAX_DELAY_MS);
+    }
+    return Math.random() * Math.min(RETRY_MAX_DELAY_MS, RETRY_BASE_MS * 2 ** retry);
+  }
+
+  // Resolves after ms, or rejects as soon as the signal aborts (at once if it already has)
+  _sleep(ms, signal) {
+    return new Promise((resolve, reject) => {
+      if (signal?.aborted) {
+        reject(new Error('Aborted'));
+        return;
+      }
+      const onAbort = () => {
+        clearTimeout(timer);
+        reject(new Error('Aborted'));
+      };
+      const timer = setTimeout(() => {
+        signal?.removeEventListener('abort', onAbort);
+        resolve();
+      }, ms);
+      signal?.addEventListener('abort', onAbort, { once: true });
+    });
+  }
+
+  _describeError(error) {
+    return error.response?.status ? `HTTP ${error.response.status} ${error.message}` : error.message;
+  }
+
+  _envInt(name, fallback) {
+    const value = parseInt(process.env[name], 10);
+    return Number.isNaN(value) || value < 0 ? fallback : value;
+  }
+}
+
+// Export as singleton
+module.exports = new LLMService();
+// For tests that need a second fake, e.g. as a fallback provider
+module.exports.FakeLLMProvider = FakeLLMProvider;
@@ -0,0 +1,190 @@
+const LLMService = require('./LLMService');
+
+const question = [{ role: 'user', content: 'Which math course comes after Geometry?' }];
+
+describe('fake provider', () => {
+  test('gives the same deterministic reply to the same request', async () => {
+    LLMService.useFake();
+
+    const first = await LLMService.complete('chat', question);
+    const second = await LLMService.complete('chat', question);
+
+    expect(first.content).toBe('This is a test answer to: Which math course comes after Geometry?');
+    expect(second.content).toBe(first.content);
+    expect(first).toMatchObject({ finishReason: 'stop', model: 'anthropic/claude-sonnet-4', provider: 'fake' });
+  });
+
+  test('uses the replies given per task, as text or computed from the request', async () => {
+    LLMService.useFake({
+      summarize: 'Student is a sophomore interested in engineering.',
+      chat: (messages, request) => `${request.model} saw ${messages.length} message(s)`,
+    });
+
+    expect((await LLMService.complete('summarize', question)).content).toBe('Student is a sophomore interested in engineering.');
+    expect((await LLMService.complete('chat', question)).content).toBe('anthropic/claude-sonnet-4 saw 1 message(s)');
+  });
+
+  test('streams the reply word by word', async () => {
+    LLMService.useFake({ chat: 'Take Algebra 2 next.' });
+
+    const pieces = [];
+    for await (const piece of LLMService.stream('chat', question)) {
+      pieces.push(piece);
+    }
+
+    expect(pieces.map(piece => piece.content).join('')).toBe('Take Algebra 2 next.');
+    expect(pieces[pieces.length - 1].finishReason).toBe('stop');
+  });
+});
+
+describe('retries, fallbacks and circuit breakers', () => {
+  const ENV = ['LLM_MAX_RETRIES', 'LLM_CHAT_FALLBACKS', 'LLM_BREAKER_THRESHOLD', 'LLM_BREAKER_COOLDOWN_MS'];
+  const httpError = (status) => Object.assign(new Error(`Request failed with status code ${status}`), { response: { status, headers: {} } });
+
+  let sleep;
+  beforeEach(() => {
+    sleep = jest.spyOn(LLMService, '_sleep').mockResolvedValue();
+  });
+  afterEach(() => {
+    ENV.forEach(name => delete process.env[name]);
+    jest.restoreAllMocks();
+  });
+
+  test('retries a 503 with backoff, then succeeds', async () => {
+    let calls = 0;
+    LLMService.useFake({
+      chat: () => {
+        calls++;
+        if (calls < 3) throw httpError(503);
+        return 'Third time lucky';
+      },
+    });
+
+    const result = await LLMService.complete('chat', question);
+
+    expect(result.content).toBe('Third time lucky');
+    expect(calls).toBe(3);
+    expect(sleep).toHaveBeenCalledTimes(2);
+    expect(LLMService.getHealth().providers[0]).toMatchObject({ name: 'fake', state: 'closed', failures: 2, consecutiveFailures: 0 });
+  });
+
+  test('passes a rejected request (400) straight through without retrying', async () => {
+    const rejected = httpError(400);
+    LLMService.useFake({ chat: () => { throw rejected; } });
+
+    await expect(LLMService.complete('chat', question)).rejects.toBe(rejected);
+    expect(sleep).not.toHaveBeenCalled();
+    expect(LLMService.getHealth().providers[0].failures).toBe(0);
+  });
+
+  test('falls back to the next model, on the same provider or another one', async () => {
+    process.env.LLM_MAX_RETRIES = '0';
+    process.env.LLM_CHAT_FALLBACKS = 'small-model,backup-model@backup';
+    LLMService.registerProvider('backup', () => new LLMService.FakeLLMProvider({ name: 'backup', responses: { chat: 'From the backup provider' } }));
+    const tried = [];
+    LLMService.useFake({
+      chat: (messages, request) => {
+        tried.push(request.model);
+        throw httpError(429);
+      },
+    });
+
+    const result = await LLMService.complete('chat', question);
+
+    expect(tried).toEqual(['anthropic/claude-sonnet-4', 'small-model']);
+    expect(result).toMatchObject({ content: 'From the backup provider', model: 'backup-model', provider: 'backup' });
+  });
+
+  test('fails with LLM_UNAVAILABLE when every model fails', async () => {
+    process.env.LLM_MAX_RETRIES = '1';
+    LLMService.useFake({ chat: () => { throw httpError(502); } });
+
+    await expect(LLMService.complete('chat', question)).rejects.toMatchObject({ code: 'LLM_UNAVAILABLE' });
+    expect(LLMService.getHealth().available).toBe(true);
+  });
+
+  test('opens the circuit after repeated failures, then half-opens after the cool-down', async () => {
+    process.env.LLM_MAX_RETRIES = '0';
+    process.env.LLM_BREAKER_THRESHOLD = '2';
+    process.env.LLM_BREAKER_COOLDOWN_MS = '1000';
+    let failing = true;
+    let calls = 0;
+    LLMService.useFake({
+      chat: () => {
+        calls++;
+        if (failing) throw httpError(500);
+        return 'Back up';
+      },
+    });
+    let now = 1000000;
+    jest.spyOn(Date, 'now').mockImplementation(() => now);
+    const state = () => LLMService.getHealth().providers[0].state;
+
+    await expect(LLMService.complete('chat', question)).rejects.toMatchObject({ code: 'LLM_UNAVAILABLE' });
+    expect(state()).toBe('closed');
+    await expect(LLMService.complete('chat', question)).rejects.toMatchObject({ code: 'LLM_UNAVAILABLE' });
+    expect(state()).toBe('open');
+    expect(LLMService.getHealth().available).toBe(false);
+
+    // Skipped without a request while open
+    await expect(LLMService.complete('chat', question)).rejects.toMatchObject({ code: 'LLM_UNAVAILABLE' });
+    expect(calls).toBe(2);
+
+    // A failure while half-open opens it again at once
+    now += 1000;
+    expect(state()).toBe('half_open');
+    await expect(LLMService.complete('chat', question)).rejects.toMatchObject({ code: 'LLM_UNAVAILABLE' });
+    expect(state()).toBe('open');
+
+    // A success while half-open closes it
+    now += 1000;
+    failing = false;
+    expect((await LLMService.complete('chat', question)).content).toBe('Back up');
+    expect(state()).toBe('closed');
+    expect(calls).toBe(4);
+  });
+
+  test('a stream falls back to the next model when the first fails before any text', async () => {
+    process.env.LLM_MAX_RETRIES = '0';
+    process.env.LLM_CHAT_FALLBACKS = 'small-model';
+    LLMService.useFake({
+      chat: (messages, request) => {
+        if (request.model !== 'small-model') throw httpError(503);
+        return 'Streamed by the fallback';
+      },
+    });
+
+    let text = '';
+    for await (const piece of LLMService.stream('chat', question)) {
+      text += piece.content;
+    }
+
+    expect(text).toBe('Streamed by the fallback');
+  });
+});
+
+describe('backoff sleep', () => {
+  test('rejects at once when the request was already aborted', async () => {
+    const controller = new AbortController();
+    controller.abort();
+
+    await expect(LLMService._sleep(60000, controller.signal)).rejects.toThrow('Aborted');
+  });
+
+  test('rejects when the request is aborted while waiting', async () => {
+    const controller = new AbortController();
+    const sleeping = LLMService._sleep(60000, controller.signal);
+    controller.abort();
+
+    await expect(sleeping).rejects.toThrow('Aborted');
+  });
+
+  test('stops listening for an abort once the wait is over', async () => {
+    const controller = new AbortController();
+    const remove = jest.spyOn(controller.signal, 'removeEventListener');
+
+    await LLMService._sleep(1, controller.signal);
+
+    expect(remove).toHaveBeenCalledWith('abort', expect.any(Function));
+  });
+});
@@ -7,6 +7,8 @@ async function pdfParse(buffer) {
   return { text: result.text };
 }
 const VectorSearchService = require('./VectorSearchService');
+const CourseCatalogService = require('./CourseCatalogService');
+const SearchService = require('./SearchService');
 
 /**
  * Service for handling PDF operations
@@ -25,59 +27,142 @@ class PDFService {
   }
 
   /**
-   * Split text into chunks with overlap
-   * @param {string} text - Text to split
-   * @param {number} maxChunkSize - Maximum size of each chunk
-   * @param {number} overlap - Overlap between chunks
-   * @returns {string[]} - Array of text chunks
+   * Split a document into retrieval chunks: one per catalog course (heading with a six-digit
+   * code through the end of its description) and one per policy section. Page breaks, running
+   * headers and printed page numbers are dropped without ending a chunk, so a description that
+   * runs onto the next page stays whole. Only sections longer than maxChunkSize are split
+   * further, on sentence boundaries, with the section title repeated on each piece.
+   * @param {string} text - Text as extracted by pdf-parse (line breaks and page markers intact)
+   * @param {Object} [options]
+   * @param {number} [options.maxChunkSize] - Longest chunk before size-based splitting
+   * @param {number} [options.overlap] - Characters repeated between pieces of a split section
+   * @param {string} [options.sourceFile] - File the text came from, recorded on every chunk
+   * @returns {Object[]} - [{ text, metadata: { kind, section, courseCode, codes, department, page, endPage, sourceFile } }]
+   *   where kind is 'course' or 'section' and section is the course or section title
    */
-  splitTextIntoChunks(text, maxChunkSize = 1000, overlap = 200) {
-    // Clean the text
-    const cleanedText = text
-      .replace(/\s+/g, ' ')
-      .trim();
-    
-    // Split into paragraphs first
-    let paragraphs = cleanedText.split(/(?:\r?\n){2,}/);
-    paragraphs = paragraphs.filter(p => p.trim().length > 0);
-    
-    const chunks = [];
-    let currentChunk = '';
-    
-    for (const paragraph of paragraphs) {
-      // If adding this paragraph would exceed max size, save current chunk and start a new one
-      if (currentChunk.length + paragraph.length > maxChunkSize && currentChunk.length > 0) {
-        chunks.push(currentChunk.trim());
-        
-        // Start new chunk with overlap from the end of the previous chunk
-        const overlapText = currentChunk.length > overlap 
-          ? currentChunk.slice(-overlap) 
-          : currentChunk;
-        
-        currentChunk = overlapText + ' ' + paragraph;
+  chunkDocument(text, { maxChunkSize = 1500, overlap = 200, sourceFile = null } = {}) {
+    if (!text) return [];
+
+    const blocks = [];
+    let page = 1;
+    let department = null;
+    let current = null;
+
+    const finish = () => {
+      // Headings with nothing under them (e.g. a department header right before its first course)
+      if (current && current.body > 0) blocks.push(current);
+      current = null;
+    };
+    const start = (kind, title, extra = {}) => {
+      finish();
+      current = { kind, title, courseCode: null, codes: [], department, page, endPage: page, lines: [], body: 0, ...extra };
+    };
+
+    for (const rawLine of text.split(/\r?\n/)) {
+      const line = rawLine.replace(/\s+/g, ' ').trim();
+      const kind = CourseCatalogService.classifyLine(line);
+
+      if (kind.type === 'skip') continue;
+      if (kind.type === 'page') {
+        page = kind.page;
+        continue;
+      }
+
+      if (kind.type === 'section') {
+        department = kind.section.department;
+        start('section', line);
+      } else if (kind.type === 'course') {
+        const { title, codes } = kind.heading;
+        start('course', title, { courseCode: codes[0], codes });
+      } else if (this._isSectionHeading(line, current)) {
+        // Consecutive headings stay together until the section has some text
+        if (!current || current.body > 0) start('section', line);
+      } else if (!current) {
+        start('section', null);
+        current.body++;
       } else {
-        // Add paragraph to current chunk
-        if (currentChunk.length > 0) {
-          currentChunk += ' ';
-        }
-        currentChunk += paragraph;
+        current.body++;
       }
+
+      current.lines.push(line);
+      current.endPage = page;
     }
-    
-    // Add the last chunk if it's not empty
-    if (currentChunk.trim().length > 0) {
-      chunks.push(currentChunk.trim());
+    finish();
+
+    return blocks.flatMap(block => {
+      const metadata = {
+        kind: block.kind,
+        section: block.title,
+        courseCode: block.courseCode,
+        codes: block.codes,
+        department: block.department,
+        page: block.page,
+        endPage: block.endPage,
+        sourceFile,
+      };
+      const blockText = block.lines.join('\n');
+      if (blockText.length <= maxChunkSize) {
+        return [{ text: blockText, metadata }];
+      }
+      const prefix = block.title ? `${block.title} (continued)\n` : '';
+      return this._splitLongText(blockText, maxChunkSize, overlap)
+        .map((piece, i) => ({ text: i === 0 ? piece : prefix + piece, metadata }));
+    });
+  }
+
+  /**
+   * Whether a line heads a policy section: an all-caps line, or (outside a course description)
+   * a short title-case line such as "Physical Education" or "School Service Courses"
+   */
+  _isSectionHeading(line, current) {
+    if (line.length > 60 || !/^[A-Z]/.test(line) || /[.,;:!?]$/.test(line)) return false;
+    const letters = line.replace(/[^A-Za-z]/g, '');
+    if (letters.length >= 4 && letters === letters.toUpperCase()) return true;
+    if (current && current.kind === 'course') return false;
+
+    const words = line.split(' ');
+    return !line.includes(':') && words.length <= 8 && words.every(word => word.replace(/[^A-Za-z]/g, '').length < 4 || /^[A-Z]/.test(word));
+  }
+
+  /**
+   * Size-based fallback for long prose: windows of whole sentences, overlapping by about
+   * `overlap` characters
+   */
+  _splitLongText(text, maxChunkSize, overlap) {
+    const sentences = text.match(/[^.!?\n]+(?:[.!?]+|\n|$)/g) || [text];
+    const pieces = [];
+    let current = '';
+
+    for (const sentence of sentences) {
+      if (current.length + sentence.length > maxChunkSize && current.trim()) {
+        pieces.push(current.trim());
+        // Start the next piece with the tail of this one, from a word boundary
+        const tail = current.slice(-overlap);
+        current = tail.slice(tail.indexOf(' ') + 1);
+      }
+      current += sentence;
     }
-    
-    return chunks;
+    if (current.trim()) pieces.push(current.trim());
+
+    // A single sentence longer than the limit is cut into fixed windows
+    return pieces.flatMap(piece => {
+      if (piece.length <= maxChunkSize) return [piece];
+      const windows = [];
+      for (let i = 0; i < piece.length; i += maxChunkSize - overlap) {
+        windows.push(piece.slice(i, i + maxChunkSize));
+      }
+      return windows;
+    });
   }
 
   /**
    * Process PDF for vector database
    * @param {Buffer} pdfBuffer - PDF buffer
+   * @param {string} [documentType] - Document type stored with each vector (e.g. 'catalog')
+   * @param {string} [sourceFile] - File name stored with each vector
    * @returns {Promise<boolean>} - Success status
    */
-  async processPDFForVectorDB(pdfBuffer, documentType = 'unknown') {
+  async processPDFForVectorDB(pdfBuffer, documentType = 'unknown', sourceFile = null) {
     try {
       console.log('Starting PDF processing for vector database...');
       
@@ -86,8 +171,8 @@ class PDFService {
       const text = pdfData.text;
       console.log(`Extracted ${text.length} characters from PDF`);
       
-      // Split text into chunks (paragraphs)
-      const chunks = this.splitTextIntoChunks(text);
+      // One chunk per course or policy section
+      const chunks = this.chunkDocument(text, { sourceFile });
       console.log(`Split text into ${chunks.length} chunks`);
       
       if (chunks.length === 0) {
@@ -95,6 +180,9 @@ class PDFService {
         return false;
       }
       
+      // Chunk boundaries may have changed since the document was last processed
+      await VectorSearchService.removeDocumentVectors(documentType);
+      
       console.log(`Adding ${chunks.length} chunks to vector store...`);
       
       // Process chunks in smaller batches to avoid overwhelming the API
@@ -125,7 +213,7 @@ class PDFService {
             }
             
             // Generate embeddings for this batch
-            const embeddings = await VectorSearchService.generateEmbeddings(batch);
+            const embeddings = await VectorSearchService.generateEmbeddings(batch.map(chunk => chunk.text));
             
             if (!embeddings || embeddings.length === 0) {
               console.error(`No embeddings generated for batch ${currentBatch}`);
@@ -135,7 +223,7 @@ class PDFService {
             console.log(`Generated ${embeddings.length} embeddings for batch ${currentBatch}`);
             
             // Store chunks with their embeddings
-            const vectors = batch.map((text, j) => {
+            const vectors = batch.map((chunk, j) => {
               if (!embeddings[j]) {
                 console.warn(`Missing embedding for chunk ${j} in batch ${currentBatch}`);
                 return null;
@@ -143,13 +231,14 @@ class PDFService {
               
               return {
                 id: `chunk-${documentType || 'unknown'}-${i + j}`,
-                text,
-                embedding: embeddings[j]
+                text: chunk.text,
+                embedding: embeddings[j],
+                metadata: chunk.metadata
               };
             }).filter(v => v !== null); // Filter out null entries
             
             if (vectors.length > 0) {
-              await VectorSearchService.addVectors(vectors);
+              await VectorSearchService.addVectors(vectors, documentType);
               console.log(`Added ${vectors.length} vectors from batch ${currentBatch}`);
               success = true;
               successfulBatches++;
@@ -238,21 +327,27 @@ class PDFService {
   }
 
   /**
-   * Store and categorize PDF content
+   * Store, categorize and index PDF content
    * @param {string} content - PDF content
+   * @param {string} [source] - Document name for search results
+   * @param {Object} [options]
+   * @param {string} [options.documentType] - Document type, for filtered search
+   * @param {string} [options.sourceFile] - File the content came from
    */
-  storePDFContent(content) {
+  storePDFContent(content, source = 'catalog', { documentType = 'catalog', sourceFile = null } = {}) {
     if (!content) {
       throw new Error('No content provided');
     }
     
-    // Clean and normalize the text
+    // Normalize spacing but keep line breaks — the catalog parser relies on them
     const cleanContent = content
-      .replace(/\s+/g, ' ')  // Replace multiple spaces with single space
+      .replace(/[ \t]+/g, ' ')      // Collapse runs of spaces and tabs
+      .replace(/\n\s*\n\s*\n+/g, '\n\n')  // Collapse runs of blank lines
       .trim();
     
     this.pdfContent = cleanContent;
-    this.categorizeCourses(cleanContent);
+    this.categorizeCourses(content);
+    SearchService.indexDocument(source, this.chunkDocument(cleanContent, { sourceFile }), { documentType });
     console.log('PDF content stored and categorized, length:', cleanContent.length);
     return true;
   }
@@ -262,23 +357,29 @@ class PDFService {
    * @param {string} content - PDF content
    */
   categorizeCourses(content) {
-    const lines = content.split('\n');
-    let currentCategory = '';
-    
-    lines.forEach(line => {
-      if (line.toLowerCase().includes('mathematics')) {
-        currentCategory = 'math';
-      } else if (line.toLowerCase().includes('science')) {
-        currentCategory = 'science';
-      } else if (line.toLowerCase().includes('english')) {
-        currentCategory = 'english';
-      } else if (line.toLowerCase().includes('world language')) {
-        currentCategory = 'languages';
-      } else if (line.toLowerCase().includes('engineering') || line.toLowerCase().includes('technology')) {
-        currentCategory = 'engineering';
-      } else if (currentCategory && line.match(/\(\d{6}\)/)) {
-        // Line contains a course code
-        this.courseStructure[currentCategory].push(line.trim());
+    const categories = {
+      math: 'math',
+      science: 'science',
+      english: 'english',
+      language: 'languages',
+      elective: 'electives',
+    };
+
+    this.courseStructure = {
+      math: [],
+      science: [],
+      english: [],
+      languages: [],
+      engineering: [],
+      electives: []
+    };
+
+    CourseCatalogService.parseCatalog(content).forEach(course => {
+      const category = /ENGINEER|ROBOTIC|COMPUTER SCIENCE/.test(course.title)
+        ? 'engineering'
+        : categories[course.subject];
+      if (category) {
+        this.courseStructure[category].push(`${course.title} (${course.code})`);
       }
     });
   }
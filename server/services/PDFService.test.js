@@ -0,0 +1,53 @@
+// Only the text chunker is tested here; pdf.js does not load inside Jest's sandbox
+jest.mock('pdf-parse', () => ({ PDFParse: class {} }));
+
+const fs = require('fs');
+const path = require('path');
+const PDFService = require('./PDFService');
+
+const CATALOG_TEXT = fs.readFileSync(path.join(__dirname, '..', 'test', 'fixtures', 'catalog-excerpt.txt'), 'utf8');
+
+describe('PDFService.chunkDocument', () => {
+  const chunks = PDFService.chunkDocument(CATALOG_TEXT, { sourceFile: 'catalog.pdf' });
+  const courseChunks = chunks.filter(chunk => chunk.metadata.kind === 'course');
+
+  test('makes one chunk per course heading', () => {
+    expect(courseChunks.map(chunk => [chunk.metadata.courseCode, chunk.metadata.section])).toEqual([
+      ['001301', 'WORLD HISTORY'],
+      ['001307', 'AP WORLD HISTORY 1-2'],
+      ['001309', 'WORLD GEOGRAPHY & CULTURES'],
+      ['001376', 'US HISTORY 1-2'],
+      ['001715', 'AP US HISTORY SEMINAR'],
+      ['000301', 'HIGH SCHOOL ENGLISH 1-2'],
+    ]);
+    courseChunks.forEach(chunk => expect(chunk.text.split('\n')[0]).toBe(`${chunk.metadata.section} ${chunk.metadata.codes.join('-')}`));
+  });
+
+  test('records the codes, department, pages and source of each course', () => {
+    expect(courseChunks[3].metadata).toEqual({
+      kind: 'course',
+      section: 'US HISTORY 1-2',
+      courseCode: '001376',
+      codes: ['001376', '001377'],
+      department: 'Social Science',
+      page: 3,
+      endPage: 4,
+      sourceFile: 'catalog.pdf',
+    });
+    expect(courseChunks[5].metadata.department).toBe('English');
+  });
+
+  test('keeps a description whole across a page break, without headers or page numbers', () => {
+    expect(courseChunks[3].text).toMatch(/political development of\nthe United States during the twentieth century\.$/);
+    chunks.forEach(chunk => expect(chunk.text).not.toMatch(/Course Catalog 2025-2026|of 54|^3$/m));
+  });
+
+  test('splits only a course longer than the limit, repeating its title', () => {
+    const pieces = PDFService.chunkDocument(CATALOG_TEXT, { maxChunkSize: 200, overlap: 20 })
+      .filter(chunk => chunk.metadata.courseCode === '001715');
+
+    expect(pieces.length).toBeGreaterThan(1);
+    pieces.forEach(piece => expect(piece.text.length).toBeLessThanOrEqual(200 + 'AP US HISTORY SEMINAR (continued)\n'.length));
+    expect(pieces[1].text.startsWith('AP US HISTORY SEMINAR (continued)\n')).toBe(true);
+  });
+});
@@ -0,0 +1,591 @@
+const CourseCatalogService = require('./CourseCatalogService');
+const PrerequisiteGraphService = require('./PrerequisiteGraphService');
+const CourseMatchingService = require('./CourseMatchingService');
+const RequirementsService = require('./RequirementsService');
+const { TERMS_PER_YEAR, TERMS_PER_SUBJECT_YEAR } = require('./credits');
+
+const LAST_GRADE = 12;
+const DEFAULT_PERIODS_PER_YEAR = 6;
+
+// Conditions someone else has to sign off on, so the planner never places these courses itself
+const BLOCKING_QUALIFIERS = new Set([
+  'audition',
+  'application',
+  'iep',
+  'membership',
+  'work_permit',
+  'experience',
+  'instructor_approval',
+]);
+
+// Programs for specific student populations, never placed automatically
+const EXCLUDED_SUBJECTS = new Set(['special_education', 'english_learner']);
+
+/**
+ * Service that builds grade 9-12 course plans from the catalog and checks them against
+ * prerequisites, grade levels, period limits and the graduation/A-G requirement tables
+ *
+ * Plans are deterministic: the same transcript, grade level, interests and period limit
+ * always produce the same schedule.
+ *
+ * Each period holds one course per trimester, so a year has three trimester slots per period:
+ * a "1-2" course takes two and its seminar or another one-trimester course the third.
+ * Requirement progress is counted in years of a subject, a year being two trimesters.
+ */
+class PlannerService {
+  /**
+   * Generate a plan for the remaining high school years
+   * @param {Object} options
+   * @param {Object[]} [options.completedCourses] - Transcript courses ({ name, status, subject, credits } from TranscriptAnalysisService)
+   * @param {string[]} [options.completedCodes] - Catalog codes already completed
+   * @param {number} [options.gradeLevel] - Student's current grade level, which selects the requirement rule set
+   * @param {number} [options.classYear] - Graduating class, overriding the one derived from gradeLevel
+   * @param {number} [options.startGrade] - First grade to plan (defaults to the next grade if courses are in progress)
+   * @param {string[]} [options.interests] - Keywords such as "engineering" or "spanish"
+   * @param {number} [options.periodsPerYear] - Class periods available each year
+   * @param {string[]} [options.strongSubjects] - Subjects where honors/AP courses are preferred
+   * @returns {Promise<Object>} - { startGrade, periodsPerYear, interests, ruleSet, completed, unmatched, years, requirements, totalCredits, constraints }
+   */
+  async generatePlan(options = {}) {
+    const {
+      completedCourses = [],
+      completedCodes = [],
+      gradeLevel = null,
+      interests = [],
+      periodsPerYear = DEFAULT_PERIODS_PER_YEAR,
+      strongSubjects = [],
+    } = options;
+
+    const graph = await PrerequisiteGraphService.getGraph();
+    const catalog = [...graph.nodes.values()].map(node => node.course);
+    const history = this._resolveHistory(completedCourses, completedCodes, graph, catalog);
+    const ruleSet = await this._ruleSetFor(options);
+
+    const startGrade = options.startGrade || this._defaultStartGrade(gradeLevel, completedCourses);
+    const progress = this._progressFrom(history, ruleSet);
+    const context = {
+      graph,
+      catalog,
+      taken: new Set(history.completed.map(c => c.code)),
+      ruleSet,
+      progress,
+      interests: interests.map(i => i.trim()).filter(Boolean),
+      strongSubjects: new Set(strongSubjects),
+      periodsPerYear,
+      // Credits from the transcript and the years planned so far
+      credits: progress.credits,
+    };
+
+    const years = [];
+    for (let grade = Math.max(startGrade, 9); grade <= LAST_GRADE; grade++) {
+      const year = this._planYear(grade, context);
+      year.courses.forEach(course => context.taken.add(course.code));
+      context.credits += year.credits;
+      years.push(year);
+    }
+
+    const check = this._checkYears(years, history, graph, periodsPerYear, ruleSet);
+    console.log(`Generated plan for grades ${startGrade}-${LAST_GRADE}: ${years.reduce((n, y) => n + y.courses.length, 0)} courses, ${check.constraints.length} open constraints`);
+
+    return {
+      startGrade,
+      periodsPerYear,
+      interests: context.interests,
+      ruleSet: this._summarizeRuleSet(ruleSet),
+      completed: history.completed,
+      unmatched: history.unmatched,
+      years,
+      requirements: check.requirements,
+      totalCredits: check.totalCredits,
+      constraints: check.constraints,
+    };
+  }
+
+  /**
+   * Check a plan year by year
+   * @param {Object[]} years - [{ grade, courses: [code, course name, { code } or { name }] }]
+   * @param {Object} options
+   * @param {Object[]} [options.completedCourses] - Transcript courses
+   * @param {string[]} [options.completedCodes] - Catalog codes already completed
+   * @param {number} [options.periodsPerYear] - Class periods available each year
+   * @param {number} [options.gradeLevel] - Student's current grade level, which selects the requirement rule set
+   * @param {number} [options.classYear] - Graduating class, overriding the one derived from gradeLevel
+   * @returns {Promise<Object>} - { ruleSet, findings, years, requirements, totalCredits, constraints }
+   */
+  async checkPlan(years, options = {}) {
+    const { completedCourses = [], completedCodes = [], periodsPerYear = DEFAULT_PERIODS_PER_YEAR } = options;
+    const graph = await PrerequisiteGraphService.getGraph();
+    const catalog = [...graph.nodes.values()].map(node => node.course);
+    const history = this._resolveHistory(completedCourses, completedCodes, graph, catalog);
+    const ruleSet = await this._ruleSetFor(options);
+    return {
+      ruleSet: this._summarizeRuleSet(ruleSet),
+      ...this._checkYears(years, history, graph, periodsPerYear, ruleSet),
+    };
+  }
+
+  /**
+   * Render a plan as a prompt section so the chat model narrates it instead of inventing one
+   * @param {Object} plan - Output of generatePlan
+   * @returns {string}
+   */
+  formatPlanForPrompt(plan) {
+    const lines = [];
+    lines.push('=== GENERATED FOUR-YEAR PLAN ===');
+    lines.push('This plan was built by the course planner from the catalog\'s prerequisites, grade levels and graduation/A-G rules.');
+    lines.push('Present it as given: do NOT add, remove, swap or reorder courses. Explain why each course is there and walk through the open items.');
+    lines.push('');
+
+    for (const year of plan.years || []) {
+      lines.push(`Grade ${year.grade} (${year.termsUsed} of ${plan.periodsPerYear * TERMS_PER_YEAR} trimester slots, ${year.credits} credits):`);
+      for (const course of year.courses) {
+        const conditions = course.conditions && course.conditions.length > 0 ? ` [requires: ${course.conditions.join(', ')}]` : '';
+        lines.push(`  - ${course.title} (${course.code}) — ${course.reason}${conditions}`);
+      }
+      if (year.courses.length === 0) lines.push('  (no courses placed)');
+    }
+    lines.push('');
+
+    if (plan.ruleSet) {
+      lines.push(`Requirements used: ${plan.ruleSet.name} (Class of ${plan.ruleSet.classYear})`);
+      lines.push(`Total credits with this plan: ${plan.totalCredits} of ${plan.ruleSet.totalCredits}`);
+    }
+    if (plan.completed && plan.completed.length > 0) {
+      lines.push(`Already completed: ${plan.completed.map(c => c.title).join(', ')}`);
+    }
+    if (plan.unmatched && plan.unmatched.length > 0) {
+      lines.push(`Transcript courses not found in the catalog: ${plan.unmatched.map(c => c.name).join(', ')}`);
+    }
+
+    if (plan.constraints && plan.constraints.length > 0) {
+      lines.push('Open items:');
+      plan.constraints.forEach(c => lines.push(`  ✗ ${c.message}`));
+    } else {
+      lines.push('All graduation and A-G requirements are covered by this plan.');
+    }
+
+    return lines.join('\n');
+  }
+
+  /**
+   * Fill one grade's periods: graduation requirements first, then A-G, then interests, then
+   * electives until the year earns its share of the credits still needed to graduate
+   */
+  _planYear(grade, context) {
+    const year = { grade, courses: [], termsUsed: 0, credits: 0 };
+    const { progress, ruleSet } = context;
+
+    for (const req of ruleSet.graduation) {
+      if (req.yearsRequired <= 0) continue;
+      this._fillBucket(year, context, {
+        reason: `${req.category} graduation requirement`,
+        remaining: () => req.yearsRequired - this._yearsIn(progress, req.subjects),
+        matches: course => req.subjects.includes(course.subject),
+      });
+    }
+
+    for (const req of ruleSet.ag) {
+      this._fillBucket(year, context, {
+        reason: `UC/CSU ${req.category}`,
+        remaining: () => req.yearsRequired - (progress.agYears[req.area] || 0),
+        matches: course => course.agArea === req.area && course.agStatus === 'approved',
+      });
+    }
+
+    for (const interest of context.interests) {
+      const pattern = new RegExp(`\\b${interest.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}`, 'i');
+      this._fillBucket(year, context, {
+        reason: `Matches interest "${interest}"`,
+        remaining: () => Infinity,
+        matches: course => pattern.test(course.title) || pattern.test(course.department || ''),
+      });
+    }
+
+    // The credits still needed, spread evenly over this and the remaining years
+    const share = (ruleSet.totalCredits - context.credits) / (LAST_GRADE - grade + 1);
+    this._fillBucket(year, context, {
+      reason: 'Elective credits toward graduation',
+      remaining: () => share - year.credits,
+      matches: () => true,
+      yearsPerGrade: Infinity,
+    });
+
+    return year;
+  }
+
+  /**
+   * Add courses for one requirement, at most a year's worth per grade (bucket.yearsPerGrade)
+   * unless a one-trimester course is only offered up to this grade (ENS 3 alongside ENS 1-2)
+   */
+  _fillBucket(year, context, bucket) {
+    // Courses already placed this year for another bucket count too (B - English after English)
+    let load = year.courses
+      .map(c => context.graph.nodes.get(c.code).course)
+      .filter(bucket.matches)
+      .reduce((sum, course) => sum + this._years(course), 0);
+    while (bucket.remaining() > 0) {
+      const candidates = this._candidates(year, context)
+        .filter(bucket.matches)
+        .filter(course => load < (bucket.yearsPerGrade ?? 1) || this._isLastChance(course, year.grade));
+      if (candidates.length === 0) break;
+
+      const course = this._rank(candidates, context)[0];
+      const node = context.graph.nodes.get(course.code);
+      year.courses.push({
+        code: course.code,
+        title: course.title,
+        subject: course.subject,
+        agArea: course.agStatus === 'approved' ? course.agArea : null,
+        credits: course.credits,
+        terms: this._terms(course),
+        reason: bucket.reason,
+        conditions: this._usableCheck(node, context.taken, year).conditions,
+      });
+      year.termsUsed += this._terms(course);
+      year.credits += course.credits || 0;
+      this._addProgress(context.progress, course, this._years(course));
+      load += this._years(course);
+    }
+  }
+
+  /**
+   * Catalog courses that can go into this grade given what is already taken and scheduled
+   */
+  _candidates(year, context) {
+    const scheduled = new Set(year.courses.map(c => c.code));
+    const takenKeys = new Set(
+      [...context.taken, ...scheduled].map(code => context.graph.nodes.get(code)).filter(Boolean).map(node => this._sequenceKey(node.course.title))
+    );
+
+    return context.catalog.filter(course => {
+      if (context.taken.has(course.code) || scheduled.has(course.code)) return false;
+      if (EXCLUDED_SUBJECTS.has(course.subject) || /\bSEMINAR\b/.test(course.title)) return false;
+      if (course.gradeLevels && !course.gradeLevels.includes(year.grade)) return false;
+      if (year.termsUsed + this._terms(course) > context.periodsPerYear * TERMS_PER_YEAR) return false;
+      // Honors and regular versions of the same level are alternatives
+      if (takenKeys.has(this._sequenceKey(course.title))) return false;
+      return this._usableCheck(context.graph.nodes.get(course.code), context.taken, year).met;
+    });
+  }
+
+  /**
+   * Prerequisite check that ignores options needing an audition, application, etc.
+   */
+  _usableCheck(node, taken, year) {
+    if (!node || node.options.length === 0) {
+      return { met: true, conditions: [], missing: [] };
+    }
+    const options = node.options.filter(option => !option.some(req => BLOCKING_QUALIFIERS.has(req.qualifier)));
+    if (options.length === 0) {
+      return { met: false, conditions: [], missing: [] };
+    }
+    const concurrent = new Set(year.courses.map(c => c.code));
+    return PrerequisiteGraphService.checkPrerequisites({ ...node, options }, taken, concurrent);
+  }
+
+  /**
+   * Order candidates: continue a started sequence, avoid courses needing a teacher's sign-off,
+   * follow interests, prefer courses approved for their subject's A-G area, honors/AP only in
+   * strong subjects, then catalog order
+   */
+  _rank(candidates, context) {
+    const agBySubject = this._agBySubject(context.ruleSet);
+    const agRank = (course) => {
+      if (course.agStatus !== 'approved') return 2;
+      return course.agArea === agBySubject.get(course.subject) ? 0 : 1;
+    };
+    const score = (course) => {
+      const node = context.graph.nodes.get(course.code);
+      const continues = node.options.some(option => option.some(req => req.code && context.taken.has(req.code)));
+      const interesting = context.interests.some(i => course.title.toLowerCase().includes(i.toLowerCase()));
+      const advanced = course.isAP || course.isHonors;
+      const wantsAdvanced = context.strongSubjects.has(course.subject);
+      return [
+        continues ? 0 : 1,
+        this._usableCheck(node, context.taken, { courses: [] }).conditions.length > 0 ? 1 : 0,
+        interesting ? 0 : 1,
+        agRank(course),
+        advanced === wantsAdvanced ? 0 : 1,
+      ];
+    };
+
+    return candidates
+      .map((course, index) => ({ course, key: [...score(course), index] }))
+      .sort((a, b) => {
+        for (let i = 0; i < a.key.length; i++) {
+          if (a.key[i] !== b.key[i]) return a.key[i] - b.key[i];
+        }
+        return 0;
+      })
+      .map(entry => entry.course);
+  }
+
+  /**
+   * Check planned years against prerequisites, grade levels, duplicates, period limits and requirements
+   */
+  _checkYears(years, history, graph, periodsPerYear, ruleSet) {
+    const findings = [];
+    const constraints = [];
+    const yearSummaries = [];
+    const progress = this._progressFrom(history, ruleSet);
+    const completed = new Set(history.completed.map(c => c.code));
+    const completedKeys = new Map(history.courses.map(course => [this._sequenceKey(course.title), course]));
+    const takenBefore = new Set(completed);
+    const catalog = [...graph.nodes.values()].map(node => node.course);
+    let totalCredits = progress.credits;
+
+    for (const year of [...years].sort((a, b) => a.grade - b.grade)) {
+      const nodes = (year.courses || []).map(entry => this._findPlannedNode(entry, graph, catalog));
+      const codes = new Set(nodes.filter(n => n.node).map(n => n.node.course.code));
+      const sameYear = new Set();
+      let terms = 0;
+
+      for (const { reference, node } of nodes) {
+        const issues = [];
+
+        if (!node) {
+          issues.push({ type: 'unknown_course', message: `${reference} is not in the course catalog` });
+          findings.push({ grade: year.grade, code: null, title: null, reference, issues });
+          constraints.push({ type: 'unknown_course', severity: 'violation', grade: year.grade, message: `Grade ${year.grade}: ${issues[0].message}` });
+          continue;
+        }
+
+        const course = node.course;
+        const equivalent = completedKeys.get(this._sequenceKey(course.title));
+        if (completed.has(course.code)) {
+          issues.push({ type: 'already_completed', message: `${course.title} is already on the transcript` });
+        } else if (equivalent) {
+          issues.push({ type: 'already_completed', message: `${course.title} repeats ${equivalent.title} from the transcript` });
+        } else if (takenBefore.has(course.code) || sameYear.has(course.code)) {
+          issues.push({ type: 'duplicate', message: `${course.title} is planned more than once` });
+        }
+        if (course.gradeLevels && !course.gradeLevels.includes(year.grade)) {
+          issues.push({ type: 'grade_level', message: `${course.title} is offered to grade ${course.gradeLevels.join(', ')} only` });
+        }
+
+        // A one-trimester course can follow a shorter course of the same year in the third
+        // trimester of its period (AP US History Seminar after AP US History 1-2)
+        const before = this._terms(course) === 1
+          ? new Set([...takenBefore, ...nodes.filter(n => n.node && n.node !== node && this._terms(n.node.course) < TERMS_PER_YEAR).map(n => n.node.course.code)])
+          : takenBefore;
+        const check = PrerequisiteGraphService.checkPrerequisites(node, before, codes);
+        if (!check.met) {
+          issues.push({
+            type: 'prerequisite',
+            message: `${course.title} requires ${check.missing.map(r => r.title).join(' and ')}`,
+            missing: check.missing.map(r => ({ code: r.code, title: r.title })),
+          });
+        }
+        if (check.conditions.length > 0) {
+          issues.push({ type: 'condition', message: `${course.title} also requires: ${check.conditions.join(', ')}` });
+        }
+
+        findings.push({ grade: year.grade, code: course.code, title: course.title, issues });
+        sameYear.add(course.code);
+        terms += this._terms(course);
+        // A repeated course takes a period but earns nothing toward requirements
+        if (!issues.some(i => i.type === 'already_completed' || i.type === 'duplicate')) {
+          totalCredits += course.credits || 0;
+          this._addProgress(progress, course, this._years(course));
+        }
+
+        issues.filter(i => i.type !== 'condition').forEach(issue => {
+          constraints.push({ type: issue.type, severity: 'violation', grade: year.grade, code: course.code, message: `Grade ${year.grade}: ${issue.message}` });
+        });
+      }
+
+      const termsAvailable = periodsPerYear * TERMS_PER_YEAR;
+      yearSummaries.push({ grade: year.grade, terms, termsAvailable, periodsPerYear, overFull: terms > termsAvailable });
+      if (terms > termsAvailable) {
+        constraints.push({
+          type: 'over_full',
+          severity: 'violation',
+          grade: year.grade,
+          message: `Grade ${year.grade} uses ${terms} trimester slots but its ${periodsPerYear} periods hold only ${termsAvailable}`,
+        });
+      }
+      sameYear.forEach(code => takenBefore.add(code));
+    }
+
+    const requirements = this._requirementStatus(progress, ruleSet);
+    requirements.graduation.filter(r => !r.met).forEach(r => constraints.push({
+      type: 'graduation',
+      severity: 'unmet',
+      category: r.category,
+      message: `${r.category}: ${r.years} of ${r.required} years covered`,
+    }));
+    requirements.ag.filter(r => !r.met).forEach(r => constraints.push({
+      type: 'a_g',
+      severity: 'unmet',
+      category: r.category,
+      message: `UC/CSU ${r.category}: ${r.years} of ${r.required} years covered`,
+    }));
+
+    const creditsRequired = ruleSet.totalCredits;
+    if (totalCredits < creditsRequired) {
+      constraints.push({
+        type: 'credits',
+        severity: 'unmet',
+        message: `${totalCredits} of ${creditsRequired} credits covered; open periods need electives`,
+      });
+    }
+
+    return { findings, years: yearSummaries, requirements, totalCredits, constraints };
+  }
+
+  /**
+   * Look up a planned course given as a code, a course name or { code } / { name }
+   */
+  _findPlannedNode(entry, graph, catalog) {
+    const reference = typeof entry === 'string' ? entry.trim() : (entry.code || entry.name || '');
+    let node = PrerequisiteGraphService.findNode(graph, reference);
+    if (!node && !/^\d{6}$/.test(reference)) {
+      const course = PrerequisiteGraphService.resolveCourse(reference, catalog);
+      node = course ? graph.nodes.get(course.code) : null;
+    }
+    return { reference, node };
+  }
+
+  /**
+   * Years covered per requirement
+   */
+  _requirementStatus(progress, ruleSet) {
+    const round = n => Math.round(n * 100) / 100;
+    return {
+      graduation: ruleSet.graduation
+        .filter(req => req.yearsRequired > 0)
+        .map(req => {
+          const years = round(this._yearsIn(progress, req.subjects));
+          return { category: req.category, subjects: req.subjects, required: req.yearsRequired, years, met: years >= req.yearsRequired };
+        }),
+      ag: ruleSet.ag.map(req => {
+        const years = round(progress.agYears[req.area] || 0);
+        return { category: req.category, area: req.area, required: req.yearsRequired, years, met: years >= req.yearsRequired };
+      }),
+    };
+  }
+
+  /**
+   * Map transcript courses and codes onto catalog courses
+   * @returns {{completed: Object[], courses: Object[], unmatched: Object[]}}
+   */
+  _resolveHistory(completedCourses, completedCodes, graph, catalog) {
+    const completed = [];
+    const courses = [];
+    const unmatched = [];
+    const add = (course, source) => {
+      if (!completed.some(c => c.code === course.code)) {
+        completed.push({ code: course.code, title: course.title, source });
+        courses.push(course);
+      }
+    };
+
+    for (const code of completedCodes) {
+      const node = PrerequisiteGraphService.findNode(graph, code);
+      if (node) add(node.course, 'code');
+    }
+
+    for (const entry of completedCourses) {
+      if (entry.status && !['completed', 'in_progress'].includes(entry.status)) continue;
+      const node = entry.code ? PrerequisiteGraphService.findNode(graph, entry.code) : null;
+      const match = node ? null : CourseMatchingService.matchCourse(entry, catalog);
+      const course = node ? node.course : match.matched ? catalog.find(c => c.code === match.code) : null;
+      if (course) {
+        add(course, 'transcript');
+      } else {
+        unmatched.push({ name: entry.name, subject: entry.subject || null, credits: entry.credits || null, status: entry.status || 'completed' });
+      }
+    }
+
+    return { completed, courses, unmatched };
+  }
+
+  /**
+   * Requirement progress from completed catalog courses, counting unmatched transcript lines
+   * as one year of their reported subject
+   */
+  _progressFrom(history, ruleSet) {
+    const progress = { subjectYears: {}, agYears: {}, credits: 0 };
+    history.courses.forEach(course => {
+      this._addProgress(progress, course, this._years(course));
+      progress.credits += course.credits || 0;
+    });
+
+    const agBySubject = this._agBySubject(ruleSet);
+    history.unmatched.forEach(entry => {
+      const subject = entry.subject || 'elective';
+      progress.subjectYears[subject] = (progress.subjectYears[subject] || 0) + 1;
+      if (agBySubject.has(subject)) {
+        const area = agBySubject.get(subject);
+        progress.agYears[area] = (progress.agYears[area] || 0) + 1;
+      }
+      progress.credits += entry.credits || 0;
+    });
+    return progress;
+  }
+
+  _yearsIn(progress, subjects) {
+    return subjects.reduce((sum, subject) => sum + (progress.subjectYears[subject] || 0), 0);
+  }
+
+  /**
+   * A-G area each subject counts toward when a course's own area is unknown
+   */
+  _agBySubject(ruleSet) {
+    const map = new Map();
+    ruleSet.ag.forEach(req => req.subjects.forEach(subject => {
+      if (!map.has(subject)) map.set(subject, req.area);
+    }));
+    return map;
+  }
+
+  _ruleSetFor({ classYear = null, gradeLevel = null }) {
+    return classYear
+      ? RequirementsService.getRuleSetForClassYear(classYear)
+      : RequirementsService.getRuleSetForGrade(gradeLevel);
+  }
+
+  _summarizeRuleSet(ruleSet) {
+    return { id: ruleSet.id, name: ruleSet.name, classYear: ruleSet.classYear, totalCredits: ruleSet.totalCredits };
+  }
+
+  _addProgress(progress, course, years) {
+    progress.subjectYears[course.subject] = (progress.subjectYears[course.subject] || 0) + years;
+    if (course.agArea && course.agStatus === 'approved') {
+      progress.agYears[course.agArea] = (progress.agYears[course.agArea] || 0) + years;
+    }
+  }
+
+  _defaultStartGrade(gradeLevel, completedCourses) {
+    if (!gradeLevel) return 9;
+    const inProgress = completedCourses.some(c => c.status === 'in_progress');
+    return inProgress ? gradeLevel + 1 : gradeLevel;
+  }
+
+  _isLastChance(course, grade) {
+    return this._years(course) < 1 && Array.isArray(course.gradeLevels) && Math.max(...course.gradeLevels) === grade;
+  }
+
+  /**
+   * "HONORS HIGH SCHOOL ENGLISH 1-2" and "HIGH SCHOOL ENGLISH 1-2" share a key
+   */
+  _sequenceKey(title) {
+    const stem = CourseCatalogService.getSequenceStem(title);
+    const level = title.match(/\s(\d+)[A-Z]?(?:\s*-\s*\d*[A-Z]?)*\s*$/);
+    return `${stem}#${level ? level[1] : 1}`;
+  }
+
+  // Trimester slots a course fills: one per course code, never more than a period's year
+  _terms(course) {
+    return Math.min(course.terms || 1, TERMS_PER_YEAR);
+  }
+
+  // Years of its subject a course counts for: a two-trimester "1-2" course is one year
+  _years(course) {
+    return (course.terms || 1) / TERMS_PER_SUBJECT_YEAR;
+  }
+
+}
+
+// Export as singleton
+module.exports = new PlannerService();
@@ -0,0 +1,90 @@
+// The catalog comes from the fixture below; pdf.js does not load inside Jest's sandbox
+jest.mock('pdf-parse', () => ({ PDFParse: class {} }));
+
+const CourseCatalogService = require('./CourseCatalogService');
+const PlannerService = require('./PlannerService');
+
+// Every course in references/Course Catalog 2026-2027, as parseCatalog reads it (descriptions left out)
+const CATALOG = require('../test/fixtures/catalog-courses.json');
+
+beforeAll(() => {
+  jest.spyOn(CourseCatalogService, 'getCourses').mockResolvedValue(CATALOG);
+});
+
+afterAll(() => {
+  jest.restoreAllMocks();
+});
+
+describe('PlannerService.checkPlan', () => {
+  // Six periods: three "1-2" courses each with its seminar in the third trimester, and three
+  // more "1-2" courses
+  const JUNIOR_YEAR = {
+    grade: 11,
+    courses: [
+      'AP US History 1-2', 'AP US History Seminar',
+      'AP English Language 1-2', 'AP English Language Seminar',
+      'AP Physics C: Mechanics 1A-1B', 'AP Physics C: Mechanics Seminar',
+      'AP Calculus AB 1-2',
+      'Spanish 3-4',
+      'Drama 1-2',
+    ],
+  };
+  const HISTORY = { gradeLevel: 11, completedCodes: ['001046', '000470'] };
+
+  test('fits 1-2 courses and their seminars into six periods of trimesters', async () => {
+    const result = await PlannerService.checkPlan([JUNIOR_YEAR], { ...HISTORY, periodsPerYear: 6 });
+
+    expect(result.years).toEqual([{ grade: 11, terms: 15, termsAvailable: 18, periodsPerYear: 6, overFull: false }]);
+    expect(result.constraints.filter(c => c.severity === 'violation')).toEqual([]);
+  });
+
+  test('reports a year with more trimester slots than its periods hold', async () => {
+    const result = await PlannerService.checkPlan([JUNIOR_YEAR], { ...HISTORY, periodsPerYear: 4 });
+
+    expect(result.constraints.filter(c => c.severity === 'violation')).toEqual([
+      expect.objectContaining({ type: 'over_full', grade: 11, message: 'Grade 11 uses 15 trimester slots but its 4 periods hold only 12' }),
+    ]);
+  });
+
+  test('still requires a seminar\'s course when it is not planned that year', async () => {
+    const result = await PlannerService.checkPlan([{ grade: 11, courses: ['AP US History Seminar'] }], HISTORY);
+
+    expect(result.constraints.filter(c => c.severity === 'violation').map(c => c.type)).toEqual(['prerequisite']);
+  });
+});
+
+describe('PlannerService.generatePlan', () => {
+  test('adds electives until the plan earns the credits needed to graduate', async () => {
+    const plan = await PlannerService.generatePlan({ gradeLevel: 9, interests: ['engineering'], periodsPerYear: 6 });
+
+    expect(plan.years.map(year => year.grade)).toEqual([9, 10, 11, 12]);
+    expect(plan.totalCredits).toBeGreaterThanOrEqual(230);
+    expect(plan.constraints).toEqual([]);
+    plan.years.forEach(year => expect(year.termsUsed).toBeLessThanOrEqual(18));
+    expect(plan.years[3].courses.some(course => course.reason === 'Elective credits toward graduation')).toBe(true);
+  });
+
+  test('builds the same plan every time', async () => {
+    const options = { gradeLevel: 10, completedCodes: ['000301', '001012'], interests: ['spanish'], periodsPerYear: 5 };
+
+    const first = await PlannerService.generatePlan(options);
+    const second = await PlannerService.generatePlan(options);
+
+    expect(second.years).toEqual(first.years);
+  });
+});
+
+describe('PlannerService.formatPlanForPrompt', () => {
+  test('lists each year\'s courses with their trimester slots and the open items', async () => {
+    const plan = await PlannerService.generatePlan({ gradeLevel: 11, completedCodes: ['001046', '000470'], periodsPerYear: 6 });
+
+    const section = PlannerService.formatPlanForPrompt(plan);
+
+    expect(section).toMatch(/^=== GENERATED FOUR-YEAR PLAN ===\n/);
+    expect(section).toContain(`Grade 11 (${plan.years[0].termsUsed} of 18 trimester slots, ${plan.years[0].credits} credits):`);
+    plan.years.flatMap(year => year.courses).forEach(course => expect(section).toContain(`  - ${course.title} (${course.code}) — ${course.reason}`));
+    expect(section).toContain('Already completed: PRE-CALCULUS 1-2, SPANISH 1-2');
+    expect(section).toContain(`Total credits with this plan: ${plan.totalCredits} of ${plan.ruleSet.totalCredits}`);
+    plan.constraints.forEach(constraint => expect(section).toContain(`  ✗ ${constraint.message}`));
+  });
+});
@@ -0,0 +1,468 @@
+const CourseCatalogService = require('./CourseCatalogService');
+
+// Prerequisite text that names a condition rather than a course
+const QUALIFIERS = [
+  { type: 'teacher_recommendation', pattern: /teacher recommendation|recommendation of (?:the )?teacher/i },
+  { type: 'instructor_approval', pattern: /approval|permission|coach/i },
+  { type: 'audition', pattern: /audition/i },
+  { type: 'application', pattern: /application|interview/i },
+  { type: 'iep', pattern: /\bIEP\b/i },
+  { type: 'experience', pattern: /experience/i },
+  { type: 'membership', pattern: /membership/i },
+  { type: 'work_permit', pattern: /work permit|internship/i },
+  { type: 'gpa', pattern: /\bGPA\b/i },
+];
+
+const STOPWORDS = new Set(['of', 'the', 'in', 'and', 'to', 'a', 'for', 'with']);
+
+const ABBREVIATIONS = {
+  calc: 'calculus',
+  maths: 'math',
+  prod: 'productions',
+  photo: 'photography',
+  intro: 'introduction',
+  iii: '3',
+  ii: '2',
+  iv: '4',
+};
+
+/**
+ * Service that turns the catalog's free-text prerequisites into a dependency graph
+ *
+ * Each course's prerequisites are held as a list of options (any one option is enough),
+ * where each option is a list of requirements that must all be met. A requirement is
+ * either a catalog course ({ code, minGrade, concurrent }) or a qualifier such as
+ * teacher recommendation ({ qualifier }).
+ */
+class PrerequisiteGraphService {
+  constructor() {
+    this.graph = null;
+    this.graphVersion = -1;
+  }
+
+  /**
+   * Get the graph for the currently loaded catalog, rebuilding it if the catalog changed
+   * @returns {Promise<Object>} - { nodes, edges, cycles, unresolved }
+   */
+  async getGraph() {
+    if (!this.graph || this.graphVersion !== CourseCatalogService.version) {
+      const courses = await CourseCatalogService.getCourses();
+      this.graph = this.buildGraph(courses);
+      this.graphVersion = CourseCatalogService.version;
+      console.log(`Built prerequisite graph: ${this.graph.edges.length} edges, ${this.graph.cycles.length} cycles, ${this.graph.unresolved.length} unresolved references`);
+    }
+    return this.graph;
+  }
+
+  /**
+   * Build the prerequisite graph for a set of catalog courses
+   * @param {Object[]} courses - Course records from CourseCatalogService
+   * @returns {Object} - { nodes, edges, cycles, unresolved }
+   */
+  buildGraph(courses) {
+    const nodes = new Map();
+    const edges = [];
+    const unresolved = [];
+
+    for (const course of courses) {
+      const parsed = this.parsePrerequisites(course.prerequisites, courses, course.code);
+      nodes.set(course.code, { course, ...parsed });
+
+      parsed.options.forEach(option => option.forEach(req => {
+        if (req.code) {
+          edges.push({
+            from: req.code,
+            to: course.code,
+            minGrade: req.minGrade,
+            concurrent: req.concurrent,
+          });
+        }
+      }));
+      parsed.unresolved.forEach(reference => unresolved.push({ code: course.code, title: course.title, reference }));
+    }
+
+    return { nodes, edges, cycles: this._findCycles(nodes), unresolved };
+  }
+
+  /**
+   * Parse one course's prerequisite text
+   * @param {string|null} text - Text after "Prerequisites:" in the catalog
+   * @param {Object[]} courses - Catalog courses used to resolve course names
+   * @param {string} [selfCode] - Code of the course being parsed, never treated as its own prerequisite
+   * @returns {Object} - { options, recommended, qualifiers, teacherRecommendation, unresolved, raw }
+   */
+  parsePrerequisites(text, courses, selfCode = null) {
+    const result = {
+      options: [],
+      recommended: [],
+      qualifiers: [],
+      teacherRecommendation: false,
+      unresolved: [],
+      raw: text || null,
+    };
+    if (!text || /^none\b/i.test(text.trim())) {
+      return result;
+    }
+
+    result.teacherRecommendation = QUALIFIERS[0].pattern.test(text);
+
+    // Parenthetical asides ("(preferably Calc BC)") and URLs are never requirements
+    const cleaned = text
+      .replace(/\([^)]*\)/g, ' ')
+      .replace(/https?:\/\/\S+/g, ' ')
+      .replace(/\s+/g, ' ')
+      .trim();
+
+    let options = [[]];
+    for (const sentence of cleaned.split(/(?:\.\s+|;\s*)/).map(s => s.trim().replace(/\.$/, '')).filter(Boolean)) {
+      // "Physics of the Universe strongly recommended" — advice, not a gate
+      const isRecommendation = /\brecommended\b/i.test(sentence) && !QUALIFIERS[0].pattern.test(sentence);
+      const clauseOptions = this._parseClause(sentence, courses, selfCode, result);
+
+      if (isRecommendation) {
+        clauseOptions.forEach(option => option.forEach(req => {
+          if (req.code) result.recommended.push(req);
+        }));
+        continue;
+      }
+
+      // AND this clause onto every option built so far
+      if (clauseOptions.length > 0) {
+        const combined = [];
+        options.forEach(existing => clauseOptions.forEach(next => combined.push([...existing, ...next])));
+        options = combined;
+      }
+    }
+
+    result.options = options.filter(option => option.length > 0);
+    result.qualifiers = [...new Set(result.options.flat().filter(r => r.qualifier).map(r => r.qualifier))];
+    return result;
+  }
+
+  /**
+   * Parse a single clause into options (OR) of requirement lists (AND)
+   */
+  _parseClause(clause, courses, selfCode, result) {
+    const text = clause
+      // "A or B in X", "B or better in X", "grade of C or higher in X" → "B in X"
+      .replace(/\b(?:a\s+)?grade\s+of\s+/gi, '')
+      .replace(/\b([A-D])\s+or\s+([A-D])\s+in\s+/g, '$2 in ')
+      .replace(/\b([A-D][+-]?)\s+or\s+(?:better|higher|above)\s+in\s+/g, '$1 in ')
+      .replace(/\band\/or\b/gi, ' or ')
+      // "Completion of or concurrent enrollment in X" must not be split on its "or"
+      .replace(/\bcompletion\s+of\s+or\s+concurrent\s+enrollment\s+in\s+/gi, 'concurrent enrollment in ')
+      // "Trigonometry/Statistics" is a choice; "L/English" is a course name
+      .replace(/([A-Za-z]{2,})\/([A-Za-z]{2,})/g, '$1 or $2');
+
+    // A comma list whose last item starts with "or" is a list of alternatives
+    const pieces = text.split(/\s*,\s*/).filter(Boolean);
+    const isAlternativeList = pieces.length > 1 && /^or\s/i.test(pieces[pieces.length - 1]);
+    const groups = isAlternativeList ? [pieces.map(p => p.replace(/^or\s+/i, '')).join(' or ')] : pieces;
+
+    let options = [[]];
+    for (const group of groups) {
+      const alternatives = group.split(/\s+or\s+/i)
+        .map(alt => this._parseAlternative(alt, courses, selfCode, result))
+        .filter(reqs => reqs.length > 0);
+
+      if (alternatives.length === 0) continue;
+
+      const combined = [];
+      options.forEach(existing => alternatives.forEach(alt => combined.push([...existing, ...alt])));
+      options = combined;
+    }
+
+    return options.filter(option => option.length > 0);
+  }
+
+  /**
+   * Parse one alternative into the requirements it ANDs together
+   *
+   * "and" usually joins two requirements, but is also part of titles such as
+   * "Drawing and Painting 1-2", so the whole phrase wins when it names one course
+   * that the split halves cannot resolve distinctly.
+   */
+  _parseAlternative(alt, courses, selfCode, result) {
+    const parts = alt.split(/\s+and\s+/i).map(part => this._parseAtom(part, courses, selfCode));
+    if (parts.length > 1) {
+      const whole = this._parseAtom(alt, courses, selfCode);
+      const partCodes = parts.filter(p => p.code).map(p => p.code);
+      const splitFails = parts.some(p => p.unresolved) || new Set(partCodes).size < partCodes.length;
+      if (whole.code && splitFails) {
+        return [whole];
+      }
+    }
+
+    const reqs = [];
+    for (const part of parts) {
+      if (part.unresolved) {
+        result.unresolved.push(part.unresolved);
+      } else if (part.code || part.qualifier) {
+        const duplicate = reqs.some(r => (part.code && r.code === part.code) || (part.qualifier && r.qualifier === part.qualifier));
+        if (!duplicate) reqs.push(part);
+      }
+    }
+    return reqs;
+  }
+
+  /**
+   * Parse the smallest unit: a course reference with optional grade/concurrency, or a qualifier
+   */
+  _parseAtom(part, courses, selfCode) {
+    let text = part.trim().replace(/[.:]+$/, '');
+    if (!text) return {};
+
+    let concurrent = false;
+    if (/concurrent(?:ly)?\s+enroll/i.test(text)) {
+      concurrent = true;
+    }
+    text = text
+      .replace(/^(?:completion\s+of\s+)?(?:or\s+)?concurrent\s+enrollment\s+in\s+/i, '')
+      .replace(/\s+concurrently\s+enrolled.*$/i, '')
+      .replace(/^(?:successful\s+)?completion\s+of\s+/i, '')
+      .replace(/\s+(?:strongly\s+)?recommended$/i, '')
+      .trim();
+
+    let minGrade = null;
+    const gradeMatch = text.match(/^([A-D][+-]?)\s+in\s+/);
+    if (gradeMatch) {
+      minGrade = gradeMatch[1];
+      text = text.slice(gradeMatch[0].length);
+    }
+
+    const qualifier = QUALIFIERS.find(q => q.pattern.test(text));
+    if (qualifier) {
+      return { qualifier: qualifier.type, text };
+    }
+
+    const course = this.resolveCourse(text, courses, selfCode);
+    if (course) {
+      return { code: course.code, title: course.title, minGrade, concurrent };
+    }
+
+    if (/[a-z]/i.test(text) && !/^(none|recommended|and|or)$/i.test(text)) {
+      return { unresolved: text };
+    }
+    return {};
+  }
+
+  /**
+   * Resolve a free-text course reference ("Integrated Math 1a-1b", "AP Calc AB") to a catalog course
+   * @param {string} reference - Course name as written in the prerequisite text
+   * @param {Object[]} courses - Catalog courses
+   * @param {string} [selfCode] - Code to exclude
+   * @returns {Object|null} - Best matching course or null
+   */
+  resolveCourse(reference, courses, selfCode = null) {
+    const ref = this._tokenize(reference);
+    if (ref.words.length === 0) return null;
+
+    let best = null;
+    for (const course of courses) {
+      if (course.code === selfCode) continue;
+      const title = this._tokenize(course.title);
+
+      if (!ref.words.every(w => title.words.includes(w))) continue;
+      // A bare "Statistics" means the course, not its AP seminar
+      if (title.words.includes('seminar') && !ref.words.includes('seminar')) continue;
+
+      let levelMiss = 0;
+      if (ref.levels.length > 0) {
+        // "Drawing & Painting 1-4" covers any level from 1 to 4; the lowest level is the entry point
+        const [lo, hi] = [ref.levels[0], ref.levels[ref.levels.length - 1]];
+        if (title.levels.length === 0) {
+          // Year-long titles such as "AP CHINESE LANGUAGE" are cited as "AP Chinese Language 1-2"
+          levelMiss = 1;
+        } else if (title.levels[0] < lo || title.levels[0] > hi) {
+          continue;
+        } else {
+          levelMiss = title.levels[0] - lo;
+        }
+      }
+
+      const extraWords = title.words.length - ref.words.length;
+      const score = extraWords * 2 + levelMiss;
+      if (!best || score < best.score) {
+        best = { course, score };
+      }
+    }
+    return best ? best.course : null;
+  }
+
+  /**
+   * Split a course name into comparable words and level numbers
+   */
+  _tokenize(name) {
+    const tokens = name
+      .toLowerCase()
+      .replace(/&/g, ' and ')
+      .replace(/advanced placement/g, 'ap')
+      .replace(/(\d+)(st|nd|rd|th)\b/g, '$1')
+      .replace(/[^a-z0-9]+/g, ' ')
+      // "1a"/"1b" halves count as level 1, but "3D" is a word
+      .replace(/(\d)[ab]\b/g, '$1')
+      .split(' ')
+      .filter(Boolean)
+      .map(t => ABBREVIATIONS[t] || t);
+
+    const words = [];
+    const levels = [];
+    for (const token of tokens) {
+      if (/^\d+$/.test(token)) {
+        levels.push(parseInt(token, 10));
+      } else if (!STOPWORDS.has(token)) {
+        words.push(token.length > 3 ? token.replace(/s$/, '') : token);
+      }
+    }
+    return { words, levels };
+  }
+
+  /**
+   * Find prerequisite cycles with a depth-first search over required course edges
+   */
+  _findCycles(nodes) {
+    const cycles = [];
+    const state = new Map(); // code → 'visiting' | 'done'
+    const stack = [];
+
+    const visit = (code) => {
+      state.set(code, 'visiting');
+      stack.push(code);
+      const node = nodes.get(code);
+      const prereqs = node ? new Set(node.options.flat().filter(r => r.code).map(r => r.code)) : new Set();
+      for (const next of prereqs) {
+        if (state.get(next) === 'visiting') {
+          cycles.push([...stack.slice(stack.indexOf(next)), next]);
+        } else if (!state.has(next)) {
+          visit(next);
+        }
+      }
+      stack.pop();
+      state.set(code, 'done');
+    };
+
+    for (const code of nodes.keys()) {
+      if (!state.has(code)) visit(code);
+    }
+    return cycles;
+  }
+
+  /**
+   * Check whether a course's prerequisites are met
+   * @param {Object} node - Graph node
+   * @param {Set<string>} completed - Codes the student has completed
+   * @param {Set<string>} [concurrent] - Codes the student will be taking at the same time
+   * @returns {{met: boolean, conditions: string[], missing: Object[]}} - Best option found
+   */
+  checkPrerequisites(node, completed, concurrent = new Set()) {
+    if (!node || node.options.length === 0) {
+      return { met: true, conditions: [], missing: [] };
+    }
+
+    let best = null;
+    for (const option of node.options) {
+      const missing = option.filter(req => req.code && !completed.has(req.code) && !(req.concurrent && concurrent.has(req.code)));
+      const conditions = option.filter(req => req.qualifier).map(req => req.qualifier);
+      if (!best || missing.length < best.missing.length) {
+        best = { met: missing.length === 0, conditions, missing };
+      }
+    }
+    return best;
+  }
+
+  /**
+   * What a course requires, with its full transitive chain
+   * @param {string} code - Course code
+   * @returns {Promise<Object|null>}
+   */
+  async getPrerequisites(code) {
+    const graph = await this.getGraph();
+    const node = this.findNode(graph, code);
+    if (!node) return null;
+
+    // Walk every required course back to the start of its chain
+    const chain = [];
+    const seen = new Set([node.course.code]);
+    const queue = node.options.flat().filter(r => r.code).map(r => r.code);
+    while (queue.length > 0) {
+      const next = queue.shift();
+      if (seen.has(next)) continue;
+      seen.add(next);
+      const prereqNode = graph.nodes.get(next);
+      if (!prereqNode) continue;
+      chain.push({ code: next, title: prereqNode.course.title });
+      prereqNode.options.flat().filter(r => r.code).forEach(r => queue.push(r.code));
+    }
+
+    return {
+      course: this._summarize(node.course),
+      prerequisites: node.raw,
+      options: node.options,
+      recommended: node.recommended,
+      qualifiers: node.qualifiers,
+      teacherRecommendation: node.teacherRecommendation,
+      unresolved: node.unresolved,
+      chain,
+      cycles: graph.cycles.filter(cycle => cycle.includes(node.course.code)),
+    };
+  }
+
+  /**
+   * Courses a student can move on to after taking a course
+   * @param {string} code - Course just completed
+   * @param {string[]} [completedCodes] - Other courses already completed
+   * @returns {Promise<Object|null>} - { course, available, needsMore }
+   */
+  async getNextCourses(code, completedCodes = []) {
+    const graph = await this.getGraph();
+    const node = this.findNode(graph, code);
+    if (!node) return null;
+
+    const completed = new Set([node.course.code, ...completedCodes]);
+    const available = [];
+    const needsMore = [];
+
+    for (const edge of graph.edges.filter(e => e.from === node.course.code)) {
+      const target = graph.nodes.get(edge.to);
+      if (!target || completed.has(edge.to) || available.some(c => c.code === edge.to) || needsMore.some(c => c.code === edge.to)) {
+        continue;
+      }
+
+      const check = this.checkPrerequisites(target, completed);
+      const entry = {
+        ...this._summarize(target.course),
+        minGrade: edge.minGrade,
+        concurrent: edge.concurrent,
+        conditions: check.conditions,
+      };
+      if (check.met) {
+        available.push(entry);
+      } else {
+        needsMore.push({ ...entry, missing: check.missing.map(r => ({ code: r.code, title: r.title })) });
+      }
+    }
+
+    return { course: this._summarize(node.course), available, needsMore };
+  }
+
+  findNode(graph, code) {
+    if (graph.nodes.has(code)) return graph.nodes.get(code);
+    for (const node of graph.nodes.values()) {
+      if (node.course.codes.includes(code)) return node;
+    }
+    return null;
+  }
+
+  _summarize(course) {
+    return {
+      code: course.code,
+      title: course.title,
+      gradeLevels: course.gradeLevels,
+      agArea: course.agArea,
+      page: course.page,
+    };
+  }
+}
+
+// Export as singleton
+module.exports = new PrerequisiteGraphService();
@@ -0,0 +1,74 @@
+// The catalog comes from the fixture below; pdf.js does not load inside Jest's sandbox
+jest.mock('pdf-parse', () => ({ PDFParse: class {} }));
+
+const CourseCatalogService = require('./CourseCatalogService');
+const PrerequisiteGraphService = require('./PrerequisiteGraphService');
+
+// Every course in references/Course Catalog 2026-2027, as parseCatalog reads it (descriptions left out)
+const CATALOG = require('../test/fixtures/catalog-courses.json');
+
+const requirement = (code, title, minGrade = null) => ({ code, title, minGrade, concurrent: false });
+
+beforeAll(() => {
+  jest.spyOn(CourseCatalogService, 'getCourses').mockResolvedValue(CATALOG);
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+});
+
+afterAll(() => {
+  jest.restoreAllMocks();
+});
+
+describe('PrerequisiteGraphService.parsePrerequisites', () => {
+  test('keeps a minimum grade on its own course when two courses are required', () => {
+    // AP Chemistry 3-4
+    const parsed = PrerequisiteGraphService.parsePrerequisites('B or better in Chemistry in the Earth System 1-2 and Integrated Math III', CATALOG, '001242');
+
+    expect(parsed.options).toEqual([[
+      requirement('001246', 'CHEMISTRY IN THE EARTH SYSTEM 1-2', 'B'),
+      requirement('001018', 'INTEGRATED MATH 3A-3B'),
+    ]]);
+    expect(parsed.unresolved).toEqual([]);
+  });
+
+  test('reads "and/or" as a choice and a comma as both', () => {
+    const choice = PrerequisiteGraphService.parsePrerequisites('Integrated Math 2a-2b and/or Trigonometry', CATALOG, '001018');
+    const both = PrerequisiteGraphService.parsePrerequisites('Biology of the Living Earth 1-2, B or better in Integrated Math 1a-1b', CATALOG, '001256');
+
+    expect(choice.options).toEqual([[requirement('001016', 'INTEGRATED MATH 2A-2B')], [requirement('001037', 'TRIGONOMETRY')]]);
+    expect(both.options).toEqual([[
+      requirement('001236', 'BIOLOGY OF THE LIVING EARTH 1-2'),
+      requirement('001012', 'INTEGRATED MATH 1A-1B', 'B'),
+    ]]);
+  });
+
+  test('keeps teacher recommendation as a condition and "recommended" courses as advice', () => {
+    const parsed = PrerequisiteGraphService.parsePrerequisites('Teacher Recommendation. Physics of the Universe 1-2 recommended', CATALOG);
+
+    expect(parsed.options).toEqual([[{ qualifier: 'teacher_recommendation', text: 'Teacher Recommendation' }]]);
+    expect(parsed.teacherRecommendation).toBe(true);
+    expect(parsed.recommended.map(req => req.title)).toEqual(['PHYSICS OF THE UNIVERSE']);
+  });
+});
+
+describe('PrerequisiteGraphService graph', () => {
+  // Integrated Math 3A-3B lists "Integrated Math 2a-2b and/or Trigonometry"; Trigonometry lists Integrated Math 3a-3b
+  test('reports the Integrated Math 3 and Trigonometry cycle', async () => {
+    const graph = await PrerequisiteGraphService.getGraph();
+
+    expect(graph.cycles).toEqual([['001018', '001037', '001018']]);
+  });
+
+  test('walks a chain through the cycle without looping', async () => {
+    const prerequisites = await PrerequisiteGraphService.getPrerequisites('001037');
+
+    expect(prerequisites.chain.map(course => course.code)).toEqual(['001018', '001016', '001012']);
+    expect(prerequisites.cycles).toEqual([['001018', '001037', '001018']]);
+  });
+
+  test('lets Integrated Math 2 open Integrated Math 3 without Trigonometry', async () => {
+    const next = await PrerequisiteGraphService.getNextCourses('001016');
+
+    expect(next.available.map(course => course.code)).toContain('001018');
+    expect(next.needsMore.map(course => course.code)).not.toContain('001018');
+  });
+});
@@ -0,0 +1,329 @@
+// Tokenizers on the Hugging Face hub for each model family, loaded with transformers.js, and
+// whether they only approximate the model's counts. Anthropic has published no tokenizer since
+// Claude 2, so Claude 3 and later are counted with the Claude 1/2 one.
+// Models not listed here (and any model while its tokenizer loads) are counted with an estimate.
+const TOKENIZERS = [
+  [/claude|anthropic/i, 'Xenova/claude-tokenizer', true],
+  [/gpt-4o|gpt-4\.1|\bo[134]\b/i, 'Xenova/gpt-4o', false],
+  [/gpt-4|gpt-3\.5/i, 'Xenova/gpt-4', false],
+];
+
+// Characters per token used for the estimate, by model family. Erring low over-counts, which
+// only makes the prompt a little shorter than it could be.
+const CHARS_PER_TOKEN = [
+  [/claude|anthropic/i, 3.5],
+  [/gpt|\bo[134]\b/i, 4],
+];
+const DEFAULT_CHARS_PER_TOKEN = 3.2;
+
+// Context windows of the models the app is usually pointed at; others get the default
+const CONTEXT_WINDOWS = [
+  [/claude|anthropic/i, 200000],
+  [/gpt-4o|gpt-4\.1|\bo[134]\b/i, 128000],
+  [/llama-?3\.[1-3]|llama3\.[1-3]/i, 128000],
+];
+const DEFAULT_CONTEXT_WINDOW = 8192;
+
+// Most prompt tokens spent on one question, even when the model allows more: long prompts are
+// slower and cost more, and the excerpts that matter get buried
+const DEFAULT_PROMPT_BUDGET = 16000;
+
+// Tokens each chat message costs beyond its content (role and separators)
+const MESSAGE_OVERHEAD_TOKENS = 4;
+
+// Share of the budget left after the instructions and question that each part may use,
+// highest priority first. What a part does not need goes to the others in this order.
+const PART_SHARES = {
+  excerpts: 0.45,
+  document: 0.25,
+  summary: 0.05,
+  history: 0.2,
+  courseList: 0.05,
+};
+
+// A shortened part shorter than this is left out instead
+const MIN_SHORTENED_TOKENS = 100;
+
+// Appended to the student's document when it is shortened
+const DOCUMENT_SHORTENED_NOTE = '\n[... document shortened to fit the prompt ...]';
+
+/**
+ * Service that fits the chat prompt into a token budget for the models it may be sent to
+ *
+ * The system instructions and the student's question are always sent. The rest of the
+ * budget is shared between the retrieved excerpts, the student's uploaded document, the
+ * conversation summary, the earlier messages and the course list for planning questions,
+ * in that order of priority. Each part gets up to its share, and what a part leaves unused
+ * goes to the higher-priority parts first. A part that still does not fit loses its
+ * lowest-ranked excerpts or oldest messages, or is shortened (the document and summary).
+ *
+ * The budget holds for every model the prompt may be sent to (the task's model and its
+ * fallbacks), so it is set by the smallest context window among them. Room can also be kept
+ * for a follow-up request that resends the prompt with more messages after it.
+ *
+ * Tokens are counted with the target model's own tokenizer when one is known (through
+ * transformers.js), otherwise estimated from the text length. Tokenizers load in the
+ * background on first use; counts are estimated until the load finishes, and from then on
+ * when it fails. Models with different tokenizers are counted with the estimate that gives
+ * the most tokens.
+ *
+ * Env vars:
+ *   PROMPT_TOKEN_BUDGET — Most prompt tokens per question (default 16000; never more than the
+ *                         model's context window minus the answer's max tokens)
+ *   PROMPT_TOKENIZER    — Hugging Face tokenizer to count with instead of the model's own (e.g.
+ *                         'Xenova/gpt-4o'), or 'estimate' to always estimate
+ */
+class PromptBudgetService {
+  constructor() {
+    // Tokenizer name -> { promise, tokenizer }
+    this.tokenizers = new Map();
+  }
+
+  /**
+   * Token count of a text for a model
+   * @param {string} text - Text to count
+   * @param {string|string[]} model - Model name, e.g. 'anthropic/claude-sonnet-4', or the names of
+   *   every model the text may be sent to
+   * @returns {number}
+   */
+  countTokens(text, model) {
+    return this._counter([].concat(model))(text || '');
+  }
+
+  /**
+   * Prompt tokens available for a model, or for every one of several models
+   * @param {string|string[]} model - Model name, or the names of every model the prompt may be sent to
+   * @param {number} reservedForAnswer - Tokens kept free for the answer
+   * @returns {number}
+   */
+  getBudget(model, reservedForAnswer = 0) {
+    const configured = parseInt(process.env.PROMPT_TOKEN_BUDGET, 10);
+    const budget = Number.isNaN(configured) || configured < 1 ? DEFAULT_PROMPT_BUDGET : configured;
+    const contextWindow = Math.min(...[].concat(model).map(name => (CONTEXT_WINDOWS.find(([pattern]) => pattern.test(name)) || [null, DEFAULT_CONTEXT_WINDOW])[1]));
+    return Math.min(budget, contextWindow - reservedForAnswer);
+  }
+
+  /**
+   * Decide what goes into the prompt
+   * @param {Object} parts
+   * @param {string} parts.model - Model the prompt is sent to
+   * @param {string[]} [parts.fallbackModels] - Models the prompt is sent to when that one fails
+   * @param {number} [parts.reservedForAnswer] - Tokens kept free for the answer
+   * @param {number} [parts.reservedForFollowUp] - Tokens kept free within the budget for messages a
+   *   follow-up request appends to the prompt
+   * @param {string} parts.instructions - Everything in the system message that is always sent
+   * @param {string} parts.question - The student's message
+   * @param {string[]} [parts.excerpts] - Retrieved excerpts as formatted for the prompt, best first
+   * @param {string} [parts.document] - Text of the student's uploaded document
+   * @param {string} [parts.summary] - Summary of the earlier conversation
+   * @param {Array<{role: string, content: string}>} [parts.history] - Earlier messages, oldest first
+   * @param {string} [parts.courseList] - Catalog courses by category, for planning questions
+   * @returns {Object} - { excerpts, document, summary, history, courseList, allocation } with the parts
+   *   that fit (null when left out) and allocation describing the budget and what each part used
+   */
+  allocate({ model, fallbackModels = [], reservedForAnswer = 0, reservedForFollowUp = 0, instructions, question, excerpts = [], document = null, summary = null, history = [], courseList = null }) {
+    const models = [model, ...fallbackModels];
+    const count = this._counter(models);
+    const budget = Math.max(0, this.getBudget(models, reservedForAnswer) - reservedForFollowUp);
+    const fixed = {
+      instructions: count(instructions) + MESSAGE_OVERHEAD_TOKENS,
+      question: count(question) + MESSAGE_OVERHEAD_TOKENS,
+    };
+    const available = Math.max(0, budget - fixed.instructions - fixed.question);
+
+    const excerptTokens = excerpts.map(excerpt => count(excerpt));
+    const historyTokens = history.map(message => count(message.content) + MESSAGE_OVERHEAD_TOKENS);
+    const needs = {
+      excerpts: excerptTokens.reduce((sum, tokens) => sum + tokens, 0),
+      document: document ? count(document) : 0,
+      summary: summary ? count(summary) + MESSAGE_OVERHEAD_TOKENS : 0,
+      history: historyTokens.reduce((sum, tokens) => sum + tokens, 0),
+      courseList: courseList ? count(courseList) : 0,
+    };
+
+    // Each part gets up to its share; the rest goes to parts that need more, highest priority first
+    const grants = {};
+    for (const [part, share] of Object.entries(PART_SHARES)) {
+      grants[part] = Math.min(needs[part], Math.floor(available * share));
+    }
+    let left = available - Object.values(grants).reduce((sum, tokens) => sum + tokens, 0);
+    for (const part of Object.keys(PART_SHARES)) {
+      const extra = Math.min(left, needs[part] - grants[part]);
+      grants[part] += extra;
+      left -= extra;
+    }
+
+    // Parts are fitted in priority order; what one leaves of its grant (a whole excerpt or message
+    // that did not fit) is spare room for the next
+    let spare = 0;
+
+    // Best excerpts first, until the next one does not fit
+    let excerptCount = 0;
+    let usedByExcerpts = 0;
+    while (excerptCount < excerpts.length && usedByExcerpts + excerptTokens[excerptCount] <= grants.excerpts) {
+      usedByExcerpts += excerptTokens[excerptCount];
+      excerptCount++;
+    }
+    spare += grants.excerpts - usedByExcerpts;
+
+    const fittedDocument = document ? this._shorten(document, needs.document, grants.document + spare, count, DOCUMENT_SHORTENED_NOTE) : null;
+    spare += grants.document - (fittedDocument ? count(fittedDocument) : 0);
+
+    const fittedSummary = summary ? this._shorten(summary, needs.summary - MESSAGE_OVERHEAD_TOKENS, grants.summary + spare - MESSAGE_OVERHEAD_TOKENS, count, '...') : null;
+    spare += grants.summary - (fittedSummary ? count(fittedSummary) + MESSAGE_OVERHEAD_TOKENS : 0);
+
+    // Newest messages first, until the next older one does not fit
+    let historyStart = history.length;
+    let usedByHistory = 0;
+    while (historyStart > 0 && usedByHistory + historyTokens[historyStart - 1] <= grants.history + spare) {
+      historyStart--;
+      usedByHistory += historyTokens[historyStart];
+    }
+    spare += grants.history - usedByHistory;
+
+    const fittedCourseList = courseList && needs.courseList <= grants.courseList + spare ? courseList : null;
+
+    const used = {
+      excerpts: usedByExcerpts,
+      document: fittedDocument ? count(fittedDocument) : 0,
+      summary: fittedSummary ? count(fittedSummary) + MESSAGE_OVERHEAD_TOKENS : 0,
+      history: usedByHistory,
+      courseList: fittedCourseList ? needs.courseList : 0,
+    };
+
+    return {
+      excerpts: excerpts.slice(0, excerptCount),
+      document: fittedDocument,
+      summary: fittedSummary,
+      history: history.slice(historyStart),
+      courseList: fittedCourseList,
+      allocation: {
+        model,
+        fallbackModels,
+        tokenizer: this._tokenizerLabel(models),
+        budget,
+        reservedForFollowUp,
+        total: fixed.instructions + fixed.question + Object.values(used).reduce((sum, tokens) => sum + tokens, 0),
+        instructions: fixed.instructions,
+        question: fixed.question,
+        excerpts: { tokens: used.excerpts, needed: needs.excerpts, kept: excerptCount, dropped: excerpts.length - excerptCount },
+        document: { tokens: used.document, needed: needs.document, shortened: !!fittedDocument && fittedDocument !== document, dropped: !!document && !fittedDocument },
+        summary: { tokens: used.summary, needed: needs.summary, shortened: !!fittedSummary && fittedSummary !== summary, dropped: !!summary && !fittedSummary },
+        history: { tokens: used.history, needed: needs.history, kept: history.length - historyStart, dropped: historyStart },
+        courseList: { tokens: used.courseList, needed: needs.courseList, dropped: !!courseList && !fittedCourseList },
+      },
+    };
+  }
+
+  /**
+   * Whether messages appended to an allocated prompt for a follow-up request still fit its budget
+   * together with the room kept for them
+   * @param {Object} allocation - allocation from allocate()
+   * @param {Array<{role: string, content: string}>} messages - Messages appended to the prompt
+   * @returns {boolean}
+   */
+  fitsFollowUp(allocation, messages) {
+    const count = this._counter([allocation.model, ...allocation.fallbackModels]);
+    const tokens = messages.reduce((sum, message) => sum + count(message.content) + MESSAGE_OVERHEAD_TOKENS, 0);
+    return allocation.total + tokens <= allocation.budget + allocation.reservedForFollowUp;
+  }
+
+  /**
+   * One-line description of an allocation for the logs
+   * @param {Object} allocation - allocation from allocate()
+   * @returns {string}
+   */
+  describe(allocation) {
+    const { excerpts, document, summary, history, courseList } = allocation;
+    const state = (part) => (part.dropped === true ? ' (dropped)' : part.shortened ? ' (shortened)' : '');
+    return [
+      `${allocation.total}/${allocation.budget} tokens for ${[allocation.model, ...allocation.fallbackModels].join(', ')} (${allocation.tokenizer})`,
+      ...(allocation.reservedForFollowUp ? [`${allocation.reservedForFollowUp} kept for a follow-up`] : []),
+      `instructions ${allocation.instructions}`,
+      `question ${allocation.question}`,
+      `excerpts ${excerpts.tokens} (${excerpts.kept} kept, ${excerpts.dropped} dropped)`,
+      ...(document.needed ? [`document ${document.tokens}/${document.needed}${state(document)}`] : []),
+      ...(summary.needed ? [`summary ${summary.tokens}${state(summary)}`] : []),
+      `history ${history.tokens} (${history.kept} messages kept, ${history.dropped} dropped)`,
+      ...(courseList.needed ? [`course list ${courseList.tokens}${state(courseList)}`] : []),
+    ].join(', ');
+  }
+
+  /**
+   * A text cut down to about `grant` tokens, with a note at the end; null when too little would be left
+   */
+  _shorten(text, tokens, grant, count, note) {
+    if (tokens <= grant) return text;
+    if (grant < MIN_SHORTENED_TOKENS) return null;
+    // Cut in proportion, then trim further until the count agrees
+    let length = Math.floor(text.length * (grant - count(note)) / tokens);
+    let shortened = `${text.slice(0, length)}${note}`;
+    while (length > 0 && count(shortened) > grant) {
+      length = Math.floor(length * 0.9);
+      shortened = `${text.slice(0, length)}${note}`;
+    }
+    return length > 0 ? shortened : null;
+  }
+
+  /**
+   * Token counting function for models: their tokenizer when they share one and it has loaded,
+   * otherwise the estimate that gives the most tokens
+   */
+  _counter(models) {
+    const names = new Set(models.map(model => this._tokenizerName(model)));
+    if (names.size === 1) {
+      const [name] = names;
+      const tokenizer = name ? this._tokenizer(name) : null;
+      if (tokenizer) {
+        return text => tokenizer.encode(text, { add_special_tokens: false }).length;
+      }
+    }
+    const charsPerToken = Math.min(...models.map(model => (CHARS_PER_TOKEN.find(([pattern]) => pattern.test(model)) || [null, DEFAULT_CHARS_PER_TOKEN])[1]));
+    return text => Math.ceil(text.length / charsPerToken);
+  }
+
+  _tokenizerName(model) {
+    const configured = process.env.PROMPT_TOKENIZER;
+    if (configured) {
+      return configured === 'estimate' ? null : configured;
+    }
+    return (TOKENIZERS.find(([pattern]) => pattern.test(model)) || [null, null])[1];
+  }
+
+  _tokenizerLabel(models) {
+    const names = new Set(models.map(model => this._tokenizerName(model)));
+    const [name] = names;
+    if (names.size > 1 || !name || !this.tokenizers.get(name)?.tokenizer) return 'estimate';
+    const approximate = !process.env.PROMPT_TOKENIZER && TOKENIZERS.find(([, tokenizer]) => tokenizer === name)?.[2];
+    return approximate ? `${name} (approximate)` : name;
+  }
+
+  /**
+   * A loaded tokenizer, or null while it loads or when it failed to. The first call starts the
+   * load; a tokenizer that fails to load (transformers.js missing, no network) is not retried.
+   */
+  _tokenizer(name) {
+    if (!this.tokenizers.has(name)) {
+      const entry = { tokenizer: null, promise: null };
+      entry.promise = this._loadTokenizer(name)
+        .then(tokenizer => {
+          entry.tokenizer = tokenizer;
+        })
+        .catch(error => {
+          console.warn(`Could not load tokenizer ${name}, estimating token counts instead:`, error.message);
+        });
+      this.tokenizers.set(name, entry);
+    }
+    return this.tokenizers.get(name).tokenizer;
+  }
+
+  async _loadTokenizer(name) {
+    // transformers.js is ESM-only
+    const { AutoTokenizer } = await import('@huggingface/transformers');
+    console.log(`Loading tokenizer ${name}...`);
+    return AutoTokenizer.from_pretrained(name);
+  }
+}
+
+// Export as singleton
+module.exports = new PromptBudgetService();
@@ -0,0 +1,144 @@
+const PromptBudgetService = require('./PromptBudgetService');
+
+// With the estimate, GPT models count 4 characters per token
+const MODEL = 'openai/gpt-4o';
+const tokens = (count, word = 'word') => word.repeat(count);
+
+const allocate = (parts) => PromptBudgetService.allocate({
+  model: MODEL,
+  instructions: tokens(96),
+  question: tokens(6),
+  ...parts,
+});
+
+afterEach(() => {
+  delete process.env.PROMPT_TOKEN_BUDGET;
+  delete process.env.PROMPT_TOKENIZER;
+  jest.restoreAllMocks();
+});
+
+describe('PromptBudgetService.allocate', () => {
+  beforeEach(() => {
+    process.env.PROMPT_TOKENIZER = 'estimate';
+    process.env.PROMPT_TOKEN_BUDGET = '1000';
+  });
+
+  test('sends everything that fits', () => {
+    const history = [{ role: 'user', content: tokens(20) }, { role: 'assistant', content: tokens(30) }];
+
+    const fitted = allocate({ excerpts: [tokens(100), tokens(100)], document: tokens(200), summary: tokens(50), history });
+
+    expect(fitted.excerpts).toHaveLength(2);
+    expect(fitted.document).toBe(tokens(200));
+    expect(fitted.summary).toBe(tokens(50));
+    expect(fitted.history).toEqual(history);
+    // instructions 100, question 10, excerpts 200, document 200, summary 54, history 58
+    expect(fitted.allocation).toMatchObject({ budget: 1000, total: 622, tokenizer: 'estimate' });
+  });
+
+  test('drops the lowest-ranked excerpts first', () => {
+    const excerpts = ['a', 'b', 'c', 'd', 'e'].map(letter => tokens(300, letter.repeat(4)));
+
+    const fitted = allocate({ excerpts });
+
+    expect(fitted.excerpts).toEqual(excerpts.slice(0, 2));
+    expect(fitted.allocation.excerpts).toMatchObject({ tokens: 600, kept: 2, dropped: 3 });
+    expect(fitted.allocation.total).toBeLessThanOrEqual(1000);
+  });
+
+  test('keeps the newest messages of the history', () => {
+    const history = Array.from({ length: 10 }, (_, i) => ({ role: i % 2 ? 'assistant' : 'user', content: `${i}`.repeat(400) }));
+
+    const fitted = allocate({ history });
+
+    expect(fitted.history.length).toBeGreaterThan(0);
+    expect(fitted.history.length).toBeLessThan(10);
+    expect(fitted.history).toEqual(history.slice(10 - fitted.history.length));
+    expect(fitted.allocation.history.dropped).toBe(10 - fitted.history.length);
+    expect(fitted.allocation.total).toBeLessThanOrEqual(1000);
+  });
+
+  test('shortens the document rather than dropping it', () => {
+    const fitted = allocate({ excerpts: [tokens(200)], document: tokens(2000) });
+
+    expect(fitted.excerpts).toHaveLength(1);
+    expect(fitted.document).toMatch(/^(word)+\n\[\.\.\. document shortened to fit the prompt \.\.\.\]$/);
+    expect(fitted.allocation.document).toMatchObject({ shortened: true, dropped: false });
+    expect(fitted.allocation.total).toBeLessThanOrEqual(1000);
+  });
+
+  test('stays within the smallest context window of the model and its fallbacks', () => {
+    process.env.PROMPT_TOKEN_BUDGET = '100000';
+
+    const fitted = allocate({
+      model: 'anthropic/claude-sonnet-4',
+      fallbackModels: ['openai/gpt-4o', 'mistral-7b'],
+      reservedForAnswer: 4096,
+      document: tokens(20000),
+    });
+
+    // mistral-7b gets the default 8192-token window
+    expect(fitted.allocation.budget).toBe(8192 - 4096);
+    expect(fitted.allocation.total).toBeLessThanOrEqual(4096);
+    expect(PromptBudgetService.getBudget('anthropic/claude-sonnet-4', 4096)).toBe(100000);
+  });
+
+  test('keeps room for a follow-up request', () => {
+    const fitted = allocate({ reservedForFollowUp: 400, document: tokens(2000) });
+    const followUp = (count) => [{ role: 'assistant', content: tokens(count) }, { role: 'user', content: tokens(100) }];
+
+    expect(fitted.allocation.budget).toBe(600);
+    expect(fitted.allocation.total).toBeLessThanOrEqual(600);
+    expect(PromptBudgetService.fitsFollowUp(fitted.allocation, followUp(250))).toBe(true);
+    expect(PromptBudgetService.fitsFollowUp(fitted.allocation, followUp(800))).toBe(false);
+  });
+});
+
+describe('PromptBudgetService tokenizers', () => {
+  // Counts words instead of characters, to tell it apart from the estimate
+  const wordTokenizer = { encode: text => text.split(' ').filter(Boolean) };
+  const loaded = (name) => PromptBudgetService.tokenizers.get(name).promise;
+
+  test('estimates while the tokenizer loads instead of waiting for it', () => {
+    process.env.PROMPT_TOKENIZER = 'test/pending-tokenizer';
+    jest.spyOn(PromptBudgetService, '_loadTokenizer').mockReturnValue(new Promise(() => {}));
+
+    expect(PromptBudgetService.countTokens('one two three', MODEL)).toBe(4);
+    expect(allocate({}).allocation.tokenizer).toBe('estimate');
+  });
+
+  test('counts with the tokenizer once it has loaded', async () => {
+    process.env.PROMPT_TOKENIZER = 'test/word-tokenizer';
+    jest.spyOn(PromptBudgetService, '_loadTokenizer').mockResolvedValue(wordTokenizer);
+
+    expect(PromptBudgetService.countTokens('one two three', MODEL)).toBe(4);
+    await loaded('test/word-tokenizer');
+
+    expect(PromptBudgetService.countTokens('one two three', MODEL)).toBe(3);
+    expect(allocate({}).allocation.tokenizer).toBe('test/word-tokenizer');
+  });
+
+  test('labels the Claude tokenizer as an approximation', async () => {
+    jest.spyOn(PromptBudgetService, '_loadTokenizer').mockResolvedValue(wordTokenizer);
+
+    PromptBudgetService.countTokens('', 'anthropic/claude-sonnet-4');
+    await loaded('Xenova/claude-tokenizer');
+
+    expect(allocate({ model: 'anthropic/claude-sonnet-4' }).allocation.tokenizer).toBe('Xenova/claude-tokenizer (approximate)');
+    // A fallback with another tokenizer is counted with the estimate
+    expect(allocate({ model: 'anthropic/claude-sonnet-4', fallbackModels: [MODEL] }).allocation.tokenizer).toBe('estimate');
+  });
+
+  test('keeps estimating without retrying when the tokenizer fails to load', async () => {
+    process.env.PROMPT_TOKENIZER = 'test/missing-tokenizer';
+    const load = jest.spyOn(PromptBudgetService, '_loadTokenizer').mockRejectedValue(new Error('offline'));
+    const warn = jest.spyOn(console, 'warn').mockImplementation(() => {});
+
+    PromptBudgetService.countTokens('one two three', MODEL);
+    await loaded('test/missing-tokenizer');
+
+    expect(PromptBudgetService.countTokens('one two three', MODEL)).toBe(4);
+    expect(load).toHaveBeenCalledTimes(1);
+    expect(warn).toHaveBeenCalledWith(expect.stringContaining('test/missing-tokenizer'), 'offline');
+  });
+});
@@ -0,0 +1,144 @@
+const LLMService = require('./LLMService');
+
+// Earlier messages shown to the model when condensing, and the longest each may be
+const CONDENSE_HISTORY_MESSAGES = 6;
+const CONDENSE_MESSAGE_MAX_LENGTH = 600;
+
+// A turn this short, or one that points back at the conversation, is treated as a follow-up
+const FOLLOW_UP_MAX_WORDS = 6;
+const FOLLOW_UP_PATTERN = /\b(it|its|that|this|those|these|they|them|what about|how about|instead|also|same|other|next|previous|honors version|ap version)\b/i;
+
+// Student shorthand and the catalog names it stands for, appended to the search query
+const COURSE_SYNONYMS = [
+  [/\bpre-?calc\b/i, 'Precalculus'],
+  [/\bcalc\b/i, 'Calculus AB/BC'],
+  [/\bchem\b/i, 'Chemistry'],
+  [/\bbio\b/i, 'Biology'],
+  [/\bstats?\b/i, 'Statistics'],
+  [/\balg\b/i, 'Algebra'],
+  [/\bgeo\b/i, 'Geometry'],
+  [/\bapush\b/i, 'AP US History'],
+  [/\bapgov\b|\bap gov\b/i, 'AP US Government'],
+  [/\bapwh\b|\bap world\b/i, 'AP World History'],
+  [/\baphug\b|\bap hug\b|\bhuman geo\b/i, 'AP Human Geography'],
+  [/\bapes\b|\bap enviro\b/i, 'AP Environmental Science'],
+  [/\bap ?lang\b/i, 'AP English Language and Composition'],
+  [/\bap ?lit\b/i, 'AP English Literature and Composition'],
+  [/\bap ?csa\b/i, 'AP Computer Science A'],
+  [/\bap ?csp\b|\bcsp\b/i, 'AP Computer Science Principles'],
+  [/\bcs\b|\bcomp ?sci\b/i, 'Computer Science'],
+  [/\bpsych\b/i, 'Psychology'],
+  [/\becon\b/i, 'Economics'],
+  [/\bgov\b/i, 'Government'],
+  [/\bphys\b/i, 'Physics'],
+  [/\bpe\b/i, 'Physical Education'],
+];
+
+/**
+ * Service that turns the latest chat turn into a search query for retrieval
+ *
+ * A follow-up like "what about the honors version?" means nothing to a search index on
+ * its own, so it is first condensed with the conversation into a standalone question by
+ * a small LLM. The query is then expanded with the catalog names of any course shorthand
+ * ("calc" → "Calculus AB/BC"). The prompt itself still gets the student's own words.
+ *
+ * Env vars:
+ *   QUERY_REWRITE_MODEL   — Model used to condense follow-ups (the LLM 'rewrite' task; see LLMService)
+ *   QUERY_REWRITE_ENABLED — 'false' to search with the latest turn as typed
+ */
+class QueryRewriteService {
+  /**
+   * Build the search query for the latest user turn
+   * @param {Array<{role: string, content: string}>} messages - Conversation, oldest first, ending with the user's turn
+   * @param {Object} [options]
+   * @param {boolean} [options.condense] - Rewrite follow-ups into standalone questions
+   * @param {boolean} [options.expand] - Append catalog names for course shorthand
+   * @returns {Promise<Object>} - { original, condensed, query, expansions, method } where query is what to
+   *   search with and method is 'llm', 'fallback' (the LLM failed; the previous question was prepended)
+   *   or 'none' (the turn was used as typed)
+   */
+  async rewrite(messages, { condense = true, expand = true } = {}) {
+    const userTurns = messages.filter(msg => msg.role === 'user');
+    const original = userTurns.length > 0 ? String(userTurns[userTurns.length - 1].content) : '';
+
+    let condensed = original;
+    let method = 'none';
+    if (condense && process.env.QUERY_REWRITE_ENABLED !== 'false' && userTurns.length > 1 && this.isFollowUp(original)) {
+      try {
+        condensed = await this.condense(messages.slice(0, messages.lastIndexOf(userTurns[userTurns.length - 1])), original);
+        method = 'llm';
+      } catch (error) {
+        console.warn('Query condensation failed, prepending the previous question:', error.message);
+        condensed = `${userTurns[userTurns.length - 2].content} ${original}`;
+        method = 'fallback';
+      }
+    }
+
+    const expansions = expand ? this.expansionsFor(condensed) : [];
+    const query = expansions.length > 0 ? `${condensed} (${expansions.join(', ')})` : condensed;
+    if (query !== original) {
+      console.log(`Rewrote query "${original}" -> "${query}" (${method})`);
+    }
+    return { original, condensed, query, expansions, method };
+  }
+
+  /**
+   * Whether a turn probably depends on earlier messages
+   * @param {string} text - User turn
+   * @returns {boolean}
+   */
+  isFollowUp(text) {
+    return text.trim().split(/\s+/).length <= FOLLOW_UP_MAX_WORDS || FOLLOW_UP_PATTERN.test(text);
+  }
+
+  /**
+   * Catalog names for the course shorthand in a query, skipping names it already contains
+   * @param {string} text - Query
+   * @returns {string[]}
+   */
+  expansionsFor(text) {
+    const lower = text.toLowerCase();
+    return [...new Set(COURSE_SYNONYMS
+      .filter(([pattern, name]) => pattern.test(text) && !lower.includes(name.toLowerCase()))
+      .map(([, name]) => name))];
+  }
+
+  /**
+   * Ask a small LLM to rewrite a follow-up as a standalone question
+   * @param {Array<{role: string, content: string}>} history - Messages before the follow-up
+   * @param {string} followUp - Latest user turn
+   * @returns {Promise<string>}
+   */
+  async condense(history, followUp) {
+    const transcript = history
+      .filter(msg => msg.role === 'user' || msg.role === 'assistant')
+      .slice(-CONDENSE_HISTORY_MESSAGES)
+      .map(msg => {
+        const content = String(msg.content);
+        const text = content.length > CONDENSE_MESSAGE_MAX_LENGTH ? `${content.slice(0, CONDENSE_MESSAGE_MAX_LENGTH)}...` : content;
+        return `${msg.role === 'user' ? 'Student' : 'Assistant'}: ${text}`;
+      })
+      .join('\n');
+
+    const response = await LLMService.complete('rewrite', [{
+      role: 'user',
+      content: `Rewrite the student's last message as a standalone search query for a high school course catalog, student handbook and graduation requirements. Replace words like "it", "that" or "the honors version" with the courses or topics they refer to. Keep course names and codes exactly as written. If the message is already standalone, return it unchanged.
+
+Conversation:
+${transcript}
+
+Last message: ${followUp}
+
+Reply with only the rewritten query.`,
+    }], { temperature: 0 });
+
+    const rewritten = response.content.trim().replace(/^["']|["']$/g, '');
+    if (!rewritten) {
+      throw new Error('Empty rewrite');
+    }
+    return rewritten;
+  }
+}
+
+// Export as singleton
+module.exports = new QueryRewriteService();
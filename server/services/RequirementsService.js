@@ -0,0 +1,279 @@
+const DatabaseService = require('./DatabaseService');
+const { CREDITS_PER_SUBJECT_YEAR } = require('./credits');
+
+// Course subjects a graduation requirement may draw from (catalog subject slugs plus CTE)
+const SUBJECTS = ['social_studies', 'english', 'math', 'science', 'language', 'arts', 'cte', 'elective', 'pe'];
+
+const AG_AREAS = ['A', 'B', 'C', 'D', 'E', 'F', 'G'];
+
+// UC/CSU A-G requirements are the same for every graduating class
+const DEFAULT_AG = [
+  { category: 'A - History/Social Science', area: 'A', subjects: ['social_studies'], yearsRequired: 2 },
+  { category: 'B - English', area: 'B', subjects: ['english'], yearsRequired: 4 },
+  { category: 'C - Mathematics', area: 'C', subjects: ['math'], yearsRequired: 3 },
+  { category: 'D - Laboratory Science', area: 'D', subjects: ['science'], yearsRequired: 2 },
+  { category: 'E - Language Other Than English', area: 'E', subjects: ['language'], yearsRequired: 2 },
+  { category: 'F - Visual/Performing Arts', area: 'F', subjects: ['arts'], yearsRequired: 1 },
+  { category: 'G - College Prep Elective', area: 'G', subjects: ['elective'], yearsRequired: 1 },
+];
+
+/**
+ * Graduation requirements from references/Del_Norte_Graduation_Requirements.pdf.
+ * Electives are whatever is left of the 230 total (85 credits through the Class of 2029,
+ * 75 from 2030 when Math goes from 20 to 30), so they are not listed as their own bucket.
+ */
+const graduationRules = (mathCredits) => [
+  { category: 'History/Social Science', subjects: ['social_studies'], creditsRequired: 30 },
+  { category: 'English', subjects: ['english'], creditsRequired: 40 },
+  { category: 'Mathematics', subjects: ['math'], creditsRequired: mathCredits },
+  { category: 'Science', subjects: ['science'], creditsRequired: 20 },
+  { category: 'World Language, Fine Art or CTE', subjects: ['language', 'arts', 'cte'], creditsRequired: 10 },
+  // Health is a PE department course in the catalog
+  { category: 'Physical Education & Health', subjects: ['pe'], creditsRequired: 25 },
+];
+
+const DEFAULT_RULE_SETS = [
+  {
+    name: 'Class of 2029 and earlier',
+    classYearFrom: null,
+    classYearTo: 2029,
+    totalCredits: 230,
+    graduation: graduationRules(20),
+    ag: DEFAULT_AG,
+    source: 'Del_Norte_Graduation_Requirements.pdf',
+  },
+  {
+    name: 'Class of 2030 and later',
+    classYearFrom: 2030,
+    classYearTo: null,
+    totalCredits: 230,
+    graduation: graduationRules(30),
+    ag: DEFAULT_AG,
+    source: 'Del_Norte_Graduation_Requirements.pdf',
+  },
+];
+
+/**
+ * Service that owns graduation and A-G requirement rule sets
+ *
+ * Rule sets live in the database, cover a range of graduating classes and are edited from
+ * the admin panel. The gap analysis and the planner pick one by the student's class year,
+ * which is worked out from their grade level.
+ */
+class RequirementsService {
+  constructor() {
+    this.ruleSets = null;
+    this._seedPromise = null;
+  }
+
+  /**
+   * All rule sets, ordered by class year
+   * @returns {Promise<Object[]>}
+   */
+  async getRuleSets() {
+    if (!this.ruleSets) {
+      await this._ensureSeeded();
+      this.ruleSets = (await DatabaseService.getRequirementRuleSets()).map(set => this._withYears(set));
+    }
+    return this.ruleSets;
+  }
+
+  /**
+   * @param {number} id - Rule set id
+   * @returns {Promise<Object|null>}
+   */
+  async getRuleSet(id) {
+    const ruleSets = await this.getRuleSets();
+    return ruleSets.find(set => set.id === id) || null;
+  }
+
+  /**
+   * Rule set covering a graduating class
+   * @param {number} classYear - e.g. 2029
+   * @returns {Promise<Object>} - Falls back to the newest rule set when none covers the year
+   */
+  async getRuleSetForClassYear(classYear) {
+    const ruleSets = await this.getRuleSets();
+    const match = ruleSets.find(set => this._covers(set, classYear));
+    return { ...(match || ruleSets[ruleSets.length - 1]), classYear };
+  }
+
+  /**
+   * Rule set for a student in a given grade
+   * @param {number|null} gradeLevel - Current grade (9-12); unknown grades use the incoming freshman class
+   * @param {Date} [date] - Date the grade level applies to
+   * @returns {Promise<Object>}
+   */
+  async getRuleSetForGrade(gradeLevel, date = new Date()) {
+    return this.getRuleSetForClassYear(this.graduationYear(gradeLevel || 9, date));
+  }
+
+  /**
+   * Graduating class of a student in a given grade. School years roll over in July,
+   * so a 12th grader in October 2026 is in the Class of 2027.
+   * @param {number} gradeLevel - Current grade (9-12)
+   * @param {Date} [date]
+   * @returns {number}
+   */
+  graduationYear(gradeLevel, date = new Date()) {
+    const schoolYearEnd = date.getMonth() >= 6 ? date.getFullYear() + 1 : date.getFullYear();
+    return schoolYearEnd + (12 - gradeLevel);
+  }
+
+  /**
+   * Create a rule set, e.g. a new version for an upcoming class. Check it with validateRuleSet first.
+   * @param {Object} data - { name, classYearFrom, classYearTo, totalCredits, graduation, ag, source }
+   * @returns {Promise<Object>} - Created rule set
+   */
+  async createRuleSet(data) {
+    const created = await DatabaseService.createRequirementRuleSet(this._normalize(data));
+    this.ruleSets = null;
+    console.log(`Created requirement rule set ${created.id} (${created.name})`);
+    return this._withYears(created);
+  }
+
+  /**
+   * Replace a rule set's contents
+   * @param {number} id - Rule set id
+   * @param {Object} data - Full rule set
+   * @returns {Promise<Object|null>} - Updated rule set, or null if it does not exist
+   */
+  async updateRuleSet(id, data) {
+    const updated = await DatabaseService.updateRequirementRuleSet(id, this._normalize(data));
+    this.ruleSets = null;
+    if (updated) console.log(`Updated requirement rule set ${id} (${updated.name})`);
+    return updated ? this._withYears(updated) : null;
+  }
+
+  /**
+   * @param {number} id - Rule set id
+   * @returns {Promise<boolean>} - Whether a rule set was deleted
+   */
+  async deleteRuleSet(id) {
+    const deleted = await DatabaseService.deleteRequirementRuleSet(id);
+    this.ruleSets = null;
+    return deleted;
+  }
+
+  /**
+   * Check a rule set submitted from the admin panel
+   * @param {Object} data - Rule set body
+   * @param {number} [id] - Id of the rule set being replaced, excluded from the overlap check
+   * @returns {Promise<string|null>} - First problem found, or null if the rule set is valid
+   */
+  async validateRuleSet(data, id = null) {
+    if (!data || typeof data !== 'object') return 'Rule set body is required';
+    if (!data.name || typeof data.name !== 'string') return 'name is required';
+
+    const from = data.classYearFrom ?? null;
+    const to = data.classYearTo ?? null;
+    for (const year of [from, to]) {
+      if (year !== null && (!Number.isInteger(year) || year < 2000 || year > 2100)) {
+        return 'Class years must be four-digit years';
+      }
+    }
+    if (from !== null && to !== null && from > to) {
+      return 'classYearFrom must not be after classYearTo';
+    }
+    if (typeof data.totalCredits !== 'number' || data.totalCredits <= 0) {
+      return 'totalCredits must be a positive number';
+    }
+
+    if (!Array.isArray(data.graduation)) return 'graduation must be an array';
+    for (const rule of data.graduation) {
+      if (!rule || typeof rule !== 'object') return 'Every graduation rule must be an object';
+      if (!rule.category) return 'Every graduation rule needs a category';
+      if (!Array.isArray(rule.subjects) || rule.subjects.length === 0 || rule.subjects.some(s => !SUBJECTS.includes(s))) {
+        return `${rule.category}: subjects must be one or more of ${SUBJECTS.join(', ')}`;
+      }
+      if (typeof rule.creditsRequired !== 'number' || rule.creditsRequired < 0) {
+        return `${rule.category}: creditsRequired must be a non-negative number`;
+      }
+    }
+
+    if (!Array.isArray(data.ag)) return 'ag must be an array';
+    for (const rule of data.ag) {
+      if (!rule || typeof rule !== 'object') return 'Every A-G rule must be an object';
+      if (!AG_AREAS.includes(rule.area)) return 'Every A-G rule needs an area from A to G';
+      if (!Array.isArray(rule.subjects) || rule.subjects.some(s => !SUBJECTS.includes(s))) {
+        return `${rule.area}: subjects must be a list of ${SUBJECTS.join(', ')}`;
+      }
+      if (typeof rule.yearsRequired !== 'number' || rule.yearsRequired < 0) {
+        return `${rule.area}: yearsRequired must be a non-negative number`;
+      }
+    }
+
+    // Each graduating class must map to exactly one rule set
+    const overlapping = (await this.getRuleSets()).find(set => set.id !== id && this._overlaps(set, from, to));
+    if (overlapping) {
+      return `Class years overlap with "${overlapping.name}"`;
+    }
+    return null;
+  }
+
+  /**
+   * Keep only the stored fields; years are derived from credits on the way out
+   */
+  _normalize(data) {
+    return {
+      name: data.name.trim(),
+      classYearFrom: data.classYearFrom ?? null,
+      classYearTo: data.classYearTo ?? null,
+      totalCredits: data.totalCredits,
+      graduation: data.graduation.map(rule => ({
+        category: rule.category,
+        subjects: rule.subjects,
+        creditsRequired: rule.creditsRequired,
+      })),
+      ag: data.ag.map(rule => ({
+        category: rule.category || rule.area,
+        area: rule.area,
+        subjects: rule.subjects,
+        yearsRequired: rule.yearsRequired,
+      })),
+      source: data.source || null,
+    };
+  }
+
+  // Years as the requirements count them: "30 credits (3 years)", a year being a two-trimester course
+  _withYears(set) {
+    return {
+      ...set,
+      graduation: set.graduation.map(rule => ({ ...rule, yearsRequired: rule.creditsRequired / CREDITS_PER_SUBJECT_YEAR })),
+    };
+  }
+
+  _covers(set, classYear) {
+    return (set.classYearFrom === null || classYear >= set.classYearFrom)
+      && (set.classYearTo === null || classYear <= set.classYearTo);
+  }
+
+  _overlaps(set, from, to) {
+    const lo = Math.max(set.classYearFrom ?? -Infinity, from ?? -Infinity);
+    const hi = Math.min(set.classYearTo ?? Infinity, to ?? Infinity);
+    return lo <= hi;
+  }
+
+  /**
+   * Store the shipped rule sets the first time the table is empty
+   */
+  _ensureSeeded() {
+    if (!this._seedPromise) {
+      this._seedPromise = (async () => {
+        const existing = await DatabaseService.getRequirementRuleSets();
+        if (existing.length > 0) return;
+        for (const set of DEFAULT_RULE_SETS) {
+          await DatabaseService.createRequirementRuleSet(set);
+        }
+        console.log(`Seeded ${DEFAULT_RULE_SETS.length} requirement rule sets`);
+      })().catch(error => {
+        this._seedPromise = null;
+        throw error;
+      });
+    }
+    return this._seedPromise;
+  }
+}
+
+// Export as singleton
+module.exports = new RequirementsService();
@@ -0,0 +1,207 @@
+const LLMService = require('./LLMService');
+
+// Candidates handed to the reranker when the caller does not say
+const DEFAULT_CANDIDATES = 20;
+
+// Longest excerpt shown to the LLM judge; the start of an excerpt says what it is about
+const LLM_EXCERPT_MAX_LENGTH = 1200;
+
+/**
+ * Rerank providers
+ *
+ * A provider has a `name`, a `model` and `score(query, texts)`, which resolves to one
+ * relevance score per text (higher is more relevant, on any scale).
+ */
+
+/**
+ * Cross-encoder running in-process through transformers.js: reads the query and an
+ * excerpt together, which judges relevance far better than comparing two embeddings
+ */
+class LocalRerankProvider {
+  constructor({ model = 'Xenova/ms-marco-MiniLM-L-6-v2' } = {}) {
+    this.name = 'local';
+    this.model = model;
+    this._modelPromise = null;
+  }
+
+  _load() {
+    if (!this._modelPromise) {
+      this._modelPromise = (async () => {
+        // transformers.js is ESM-only
+        const { AutoTokenizer, AutoModelForSequenceClassification } = await import('@huggingface/transformers');
+        console.log(`Loading local rerank model ${this.model}...`);
+        const [tokenizer, model] = await Promise.all([
+          AutoTokenizer.from_pretrained(this.model),
+          AutoModelForSequenceClassification.from_pretrained(this.model),
+        ]);
+        return { tokenizer, model };
+      })().catch(error => {
+        this._modelPromise = null;
+        throw error;
+      });
+    }
+    return this._modelPromise;
+  }
+
+  async score(query, texts) {
+    const { tokenizer, model } = await this._load();
+    const inputs = tokenizer(texts.map(() => query), { text_pair: texts, padding: true, truncation: true });
+    const { logits } = await model(inputs);
+    // One relevance logit per pair; squash to 0-1 so scores read as probabilities
+    return logits.tolist().map(([logit]) => 1 / (1 + Math.exp(-logit)));
+  }
+}
+
+/**
+ * LLM judge: rates every excerpt 0-10 for how well it answers the question, in one call
+ * (the LLM 'rerank' task, so it uses the app's LLM provider, retries and fallbacks)
+ */
+class LLMRerankProvider {
+  constructor() {
+    this.name = 'llm';
+  }
+
+  get model() {
+    return LLMService.getTaskSettings('rerank').model;
+  }
+
+  async score(query, texts) {
+    const excerpts = texts
+      .map((text, i) => `[${i + 1}]\n${text.length > LLM_EXCERPT_MAX_LENGTH ? `${text.slice(0, LLM_EXCERPT_MAX_LENGTH)}...` : text}`)
+      .join('\n\n');
+    const response = await LLMService.complete('rerank', [{
+      role: 'user',
+      content: `Rate how well each excerpt from a high school's course documents helps answer the student's question, from 0 (irrelevant) to 10 (answers it directly).
+
+Question: ${query}
+
+${excerpts}
+
+Reply with only a JSON array of ${texts.length} numbers, one per excerpt in order, e.g. [7, 0, 3].`,
+    }], { temperature: 0 });
+
+    const match = response.content.match(/\[[\d\s.,]*\]/);
+    const scores = match ? JSON.parse(match[0]) : null;
+    if (!Array.isArray(scores) || scores.length !== texts.length) {
+      throw new Error(`Rerank judge returned ${scores ? scores.length : 'no'} scores for ${texts.length} excerpts`);
+    }
+    return scores.map(Number);
+  }
+}
+
+/**
+ * Service that reorders retrieved excerpts by how well each answers the query
+ *
+ * Retrieval casts a wide net cheaply; the reranker then scores each candidate against
+ * the query and only the best ones reach the prompt. Reranking is off unless a provider
+ * is configured.
+ *
+ * Env vars:
+ *   RERANK_PROVIDER   — 'local' (cross-encoder) or 'llm' (LLM judge), or a name passed to
+ *                       registerProvider; unset or 'none' turns reranking off
+ *   RERANK_MODEL      — Model name for the provider (defaults per provider; for 'llm', the same as
+ *                       LLM_RERANK_MODEL, and the judge uses the LLM_* provider settings)
+ *   RERANK_CANDIDATES — Candidates retrieved for reranking (default 20)
+ */
+class RerankService {
+  constructor() {
+    this.factories = new Map([
+      ['local', (options) => new LocalRerankProvider(options)],
+      ['llm', () => new LLMRerankProvider()],
+    ]);
+    this.provider = undefined;
+  }
+
+  /**
+   * Add a provider, selectable with RERANK_PROVIDER
+   * @param {string} name - Provider name
+   * @param {Function} factory - (options) => provider with { name, model, score(query, texts) }
+   */
+  registerProvider(name, factory) {
+    this.factories.set(name, factory);
+  }
+
+  /**
+   * Replace the active provider, e.g. from tests or a script; null turns reranking off
+   * @param {Object|null} provider - { name, model, score(query, texts) }
+   */
+  setProvider(provider) {
+    this.provider = provider;
+    console.log(provider ? `Rerank provider set to ${provider.name}:${provider.model}` : 'Reranking turned off');
+  }
+
+  /**
+   * The active provider, created from the environment on first use; null when reranking is off
+   * @returns {Object|null}
+   */
+  getProvider() {
+    if (this.provider === undefined) {
+      const name = process.env.RERANK_PROVIDER;
+      if (!name || name === 'none') {
+        this.provider = null;
+        return null;
+      }
+      const factory = this.factories.get(name);
+      if (!factory) {
+        throw new Error(`Unknown rerank provider "${name}" (available: ${[...this.factories.keys()].join(', ')})`);
+      }
+      this.provider = factory(process.env.RERANK_MODEL ? { model: process.env.RERANK_MODEL } : {});
+      console.log(`Using rerank provider ${this.provider.name}:${this.provider.model}`);
+    }
+    return this.provider;
+  }
+
+  /**
+   * Whether a rerank provider is configured
+   * @returns {boolean}
+   */
+  isEnabled() {
+    return this.getProvider() !== null;
+  }
+
+  /**
+   * Number of candidates to retrieve for reranking
+   * @returns {number}
+   */
+  getCandidateCount() {
+    const count = parseInt(process.env.RERANK_CANDIDATES, 10);
+    return Number.isNaN(count) || count < 1 ? DEFAULT_CANDIDATES : count;
+  }
+
+  /**
+   * Score candidates against the query and keep the best
+   * @param {string} query - User query
+   * @param {Object[]} candidates - Retrieved results with a `text`, best first
+   * @param {Object} [options]
+   * @param {number} [options.topK] - Number of results to keep (default all)
+   * @returns {Promise<Object[]>} - The candidates with `rerankScore` and `retrievalRank` (1-based position
+   *   before reranking) added, most relevant first. If reranking is off or fails, the first topK
+   *   candidates in their original order, without rerankScore.
+   */
+  async rerank(query, candidates, { topK = candidates.length } = {}) {
+    const provider = this.getProvider();
+    if (!provider || candidates.length === 0) {
+      return candidates.slice(0, topK);
+    }
+
+    try {
+      const startTime = Date.now();
+      const scores = await provider.score(query, candidates.map(candidate => candidate.text));
+      if (scores.length !== candidates.length || scores.some(score => !Number.isFinite(score))) {
+        throw new Error(`${provider.name} returned invalid scores`);
+      }
+      console.log(`Reranked ${candidates.length} candidates with ${provider.name}:${provider.model} in ${Date.now() - startTime}ms`);
+
+      return candidates
+        .map((candidate, i) => ({ ...candidate, rerankScore: Math.round(scores[i] * 1000) / 1000, retrievalRank: i + 1 }))
+        .sort((a, b) => b.rerankScore - a.rerankScore || a.retrievalRank - b.retrievalRank)
+        .slice(0, topK);
+    } catch (error) {
+      console.error('Error reranking, keeping retrieval order:', error.message);
+      return candidates.slice(0, topK);
+    }
+  }
+}
+
+// Export as singleton
+module.exports = new RerankService();
@@ -0,0 +1,49 @@
+const LLMService = require('./LLMService');
+const RerankService = require('./RerankService');
+
+const candidates = [
+  { text: 'The dress code applies at school events.' },
+  { text: 'Chemistry requires Integrated Math 1.' },
+  { text: 'AP Chemistry requires Chemistry with a B or better.' },
+];
+
+beforeAll(() => {
+  RerankService.setProvider(RerankService.factories.get('llm')());
+});
+
+describe('RerankService with the LLM judge', () => {
+  test('asks the LLM rerank task for scores and reorders by them', async () => {
+    const prompts = [];
+    LLMService.useFake({
+      rerank: (messages) => {
+        prompts.push(messages[0].content);
+        return 'Scores: [0, 6, 9]';
+      },
+    });
+
+    const reranked = await RerankService.rerank('AP Chemistry prerequisites', candidates, { topK: 2 });
+
+    expect(prompts[0]).toContain('Question: AP Chemistry prerequisites');
+    expect(reranked.map(c => [c.text, c.rerankScore, c.retrievalRank])).toEqual([
+      ['AP Chemistry requires Chemistry with a B or better.', 9, 3],
+      ['Chemistry requires Integrated Math 1.', 6, 2],
+    ]);
+    expect(RerankService.getProvider().model).toBe(LLMService.getTaskSettings('rerank').model);
+  });
+
+  test('keeps retrieval order when the judge answers with the wrong number of scores', async () => {
+    LLMService.useFake({ rerank: '[3, 1]' });
+
+    const reranked = await RerankService.rerank('AP Chemistry prerequisites', candidates);
+
+    expect(reranked).toEqual(candidates);
+  });
+
+  test('the fake provider\'s default judge keeps retrieval order', async () => {
+    LLMService.useFake();
+
+    const reranked = await RerankService.rerank('AP Chemistry prerequisites', candidates);
+
+    expect(reranked.map(c => c.retrievalRank)).toEqual([1, 2, 3]);
+  });
+});
@@ -1,183 +1,277 @@
+// BM25 parameters: term-frequency saturation and document-length normalization
+const BM25_K1 = 1.2;
+const BM25_B = 0.75;
+
+// Added once for every course code in the query that a passage contains
+const CODE_MATCH_BOOST = 10;
+
+// Passages are runs of whole lines; they close at a sentence end past the target size
+const PASSAGE_TARGET_LENGTH = 500;
+const PASSAGE_MAX_LENGTH = 900;
+
+const STOPWORDS = new Set([
+  'a', 'an', 'and', 'are', 'as', 'at', 'be', 'by', 'can', 'do', 'for', 'from', 'how', 'i', 'in', 'is', 'it',
+  'me', 'my', 'of', 'on', 'or', 'should', 'that', 'the', 'this', 'to', 'was', 'what', 'when', 'which', 'will',
+  'with', 'you', 'your',
+]);
+
+// Six-digit catalog codes ("001037"); a few are misprinted with an extra leading zero
+const COURSE_CODE = /^0?\d{6}$/;
+
+// Suffixes stripped after plurals and -ed/-ing, longest first: [suffix, replacement, minimum stem length]
+const SUFFIXES = [
+  ['ational', 'ate', 3],
+  ['ization', 'ize', 3],
+  ['fulness', 'ful', 3],
+  ['iveness', 'ive', 3],
+  ['ation', 'ate', 3],
+  ['ement', '', 4],
+  ['ment', '', 4],
+  ['ness', '', 3],
+  ['ity', '', 4],
+  ['ly', '', 4],
+];
+
 /**
- * Service for handling text search operations
+ * Service for lexical (keyword) search over the loaded documents
+ *
+ * Each document is split into passages and indexed once, when it is loaded, into an
+ * inverted index with term positions. Queries are scored with BM25 over stemmed terms;
+ * passages containing a course code from the query are boosted, and "quoted phrases"
+ * must appear in a passage word for word.
  */
 class SearchService {
+  constructor() {
+    this.documents = new Map();   // source -> { documentType, passages: [{ text, metadata }] }
+    this.passages = [];           // { source, documentType, text, metadata, length }
+    this.postings = new Map();    // term -> Map(passage index -> positions)
+    this.averageLength = 0;
+  }
+
   /**
-   * Create search patterns based on query
-   * @param {string} query - Search query
-   * @returns {RegExp[]} - Array of regex patterns
+   * Index a document, replacing any earlier version from the same source
+   * @param {string} source - Document name, returned with each result
+   * @param {string|Object[]} content - Document text, or the document already split into passages
+   *   as strings or { text, metadata } (e.g. PDFService.chunkDocument's one-course-per-chunk split)
+   * @param {Object} [options]
+   * @param {string} [options.documentType] - Document type (e.g. 'catalog'), for filtering
+   * @returns {number} - Number of passages indexed for the document
    */
-  createSearchPatterns(query) {
-    const patterns = [];
-    
-    // Helper function to safely create a regex pattern
-    const safeRegex = (pattern) => {
-      try {
-        // Escape special regex characters
-        const escaped = pattern.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
-        return new RegExp(escaped, 'i');
-      } catch (error) {
-        console.warn('Invalid regex pattern:', pattern);
-        return null;
-      }
-    };
+  indexDocument(source, content, { documentType = null } = {}) {
+    if (!source || !content) {
+      throw new Error('Source and content are required');
+    }
+    const passages = (Array.isArray(content) ? content : this.splitIntoPassages(content))
+      .map(passage => (typeof passage === 'string' ? { text: passage, metadata: {} } : passage))
+      .filter(passage => passage.text && passage.text.trim());
+    this.documents.set(source, { documentType, passages });
+    this._rebuild();
+    console.log(`Indexed ${passages.length} passages from ${source} (${this.passages.length} total, ${this.postings.size} terms)`);
+    return passages.length;
+  }
 
-    // Add patterns for academic planning
-    if (query.match(/plan|schedule|pathway/i)) {
-      patterns.push(
-        safeRegex('year'),
-        safeRegex('grade'),
-        safeRegex('prerequisite'),
-        safeRegex('requirement'),
-        safeRegex('recommended'),
-        safeRegex('pathway')
-      );
+  /**
+   * Drop a document from the index
+   * @param {string} source - Document name
+   */
+  removeDocument(source) {
+    if (this.documents.delete(source)) {
+      this._rebuild();
     }
+  }
 
-    // Add patterns for specific subjects
-    if (query.match(/math|calculus|algebra|geometry/i)) {
-      patterns.push(
-        safeRegex('math'),
-        safeRegex('mathematics'),
-        safeRegex('algebra'),
-        safeRegex('geometry'),
-        safeRegex('calculus'),
-        safeRegex('integrated'),
-        safeRegex('prerequisite')
-      );
+  /**
+   * Whether any document has been indexed
+   * @returns {boolean}
+   */
+  isIndexed() {
+    return this.passages.length > 0;
+  }
+
+  /**
+   * Indexed documents and index size
+   * @returns {Object} - { documents: [{ source, documentType, passages }], passages, terms }
+   */
+  getStats() {
+    return {
+      documents: [...this.documents].map(([source, doc]) => ({ source, documentType: doc.documentType, passages: doc.passages.length })),
+      passages: this.passages.length,
+      terms: this.postings.size,
+    };
+  }
+
+  /**
+   * Search the index
+   * @param {string} query - Search query; "quoted phrases" must match exactly
+   * @param {Object} [options]
+   * @param {number} [options.topK] - Maximum number of results
+   * @param {string} [options.source] - Only search this document
+   * @param {Function} [options.filter] - Only keep passages for which filter(passage) is true;
+   *   passages have { source, documentType, text, metadata }
+   * @returns {Object[]} - [{ text, score, source, documentType, metadata }], best first
+   */
+  search(query, { topK = 15, source = null, filter = null } = {}) {
+    if (!query || !this.isIndexed()) {
+      return [];
     }
 
-    if (query.match(/science|physics|chemistry|biology/i)) {
-      patterns.push(
-        safeRegex('science'),
-        safeRegex('physics'),
-        safeRegex('chemistry'),
-        safeRegex('biology'),
-        safeRegex('laboratory')
-      );
+    const phrases = [...query.matchAll(/"([^"]+)"/g)]
+      .map(match => this.tokenize(match[1]))
+      .filter(tokens => tokens.length > 0);
+    const terms = [...new Set(this.tokenize(query.replace(/"/g, ' ')))];
+    const codes = terms.filter(term => COURSE_CODE.test(term));
+    if (terms.length === 0) {
+      return [];
     }
 
-    if (query.match(/engineering|technology/i)) {
-      patterns.push(
-        safeRegex('engineering'),
-        safeRegex('technology'),
-        safeRegex('design'),
-        safeRegex('robotics'),
-        safeRegex('computer')
-      );
+    // Accumulate BM25 per passage over the query terms
+    const scores = new Map();
+    const total = this.passages.length;
+    for (const term of terms) {
+      const postings = this.postings.get(term);
+      if (!postings) continue;
+      const idf = Math.log(1 + (total - postings.size + 0.5) / (postings.size + 0.5));
+      for (const [index, positions] of postings) {
+        const frequency = positions.length;
+        const norm = 1 - BM25_B + BM25_B * (this.passages[index].length / this.averageLength);
+        const termScore = idf * (frequency * (BM25_K1 + 1)) / (frequency + BM25_K1 * norm);
+        scores.set(index, (scores.get(index) || 0) + termScore);
+      }
     }
 
-    // Add common academic terms
-    patterns.push(
-      safeRegex('course'),
-      safeRegex('class'),
-      safeRegex('credit'),
-      safeRegex('prerequisite'),
-      safeRegex('requirement'),
-      safeRegex('advanced placement'),
-      safeRegex('honors')
-    );
+    const results = [];
+    for (const [index, bm25] of scores) {
+      const passage = this.passages[index];
+      if (source && passage.source !== source) continue;
+      if (filter && !filter(passage)) continue;
+      if (!phrases.every(phrase => this._containsPhrase(index, phrase))) continue;
 
-    // Add individual word patterns for words longer than 3 characters
-    const words = query.toLowerCase()
-      .split(/\s+/)
-      .filter(word => word.length > 3)
-      .map(word => safeRegex(word));
+      const codeMatches = codes.filter(code => this.postings.get(code)?.has(index)).length;
+      results.push({
+        text: passage.text,
+        score: Math.round((bm25 + codeMatches * CODE_MATCH_BOOST) * 1000) / 1000,
+        source: passage.source,
+        documentType: passage.documentType,
+        metadata: passage.metadata,
+      });
+    }
 
-    return [...patterns, ...words].filter(Boolean); // Remove any null patterns
+    return results
+      .sort((a, b) => b.score - a.score)
+      .slice(0, topK);
   }
 
   /**
-   * Score paragraph relevance
-   * @param {string} paragraph - Paragraph to score
-   * @param {RegExp[]} patterns - Regex patterns
-   * @param {string} query - Original query
-   * @returns {number} - Relevance score
+   * Split a document into passages of whole lines, ending each at a sentence boundary
+   * once it passes the target length. Page numbers and footers ("-- 11 of 54 --") are dropped.
+   * @param {string} content - Document text
+   * @returns {string[]}
    */
-  scoreParagraph(paragraph, patterns, query) {
-    let score = 0;
-    const lowerParagraph = paragraph.toLowerCase();
-    const queryWords = query.toLowerCase().split(/\s+/);
-
-    // Score based on regex patterns
-    patterns.forEach(pattern => {
-      const matches = paragraph.match(pattern);
-      if (matches) {
-        score += matches.length * 2;  // Give more weight to pattern matches
-      }
-    });
-
-    // Score based on query word proximity
-    queryWords.forEach((word, i) => {
-      if (word.length > 3 && lowerParagraph.includes(word)) {
-        score += 1;
-        // Check if next word also appears nearby (within 50 chars)
-        if (i < queryWords.length - 1) {
-          const nextWord = queryWords[i + 1];
-          const wordIndex = lowerParagraph.indexOf(word);
-          const nextWordIndex = lowerParagraph.indexOf(nextWord);
-          if (nextWordIndex !== -1 && Math.abs(nextWordIndex - wordIndex) < 50) {
-            score += 2;  // Bonus for words appearing close together
-          }
-        }
-      }
-    });
+  splitIntoPassages(content) {
+    const lines = content
+      .split(/\r?\n/)
+      .map(line => line.replace(/\s+/g, ' ').trim())
+      .filter(line => line && !/^\d+$/.test(line) && !/^-- \d+ of \d+ --$/.test(line));
 
-    // Bonus points for paragraphs containing course codes
-    if (paragraph.match(/\(\d{6}\)/)) {
-      score += 3;
+    const passages = [];
+    let current = '';
+    for (const line of lines) {
+      current = current ? `${current}\n${line}` : line;
+      const atSentenceEnd = /[.!?:]$/.test(line);
+      if ((current.length >= PASSAGE_TARGET_LENGTH && atSentenceEnd) || current.length >= PASSAGE_MAX_LENGTH) {
+        passages.push(current);
+        current = '';
+      }
     }
+    if (current) passages.push(current);
+    return passages;
+  }
 
-    return score;
+  /**
+   * Lowercase, split on anything that is not a letter or digit, drop stopwords and stem
+   * @param {string} text
+   * @returns {string[]}
+   */
+  tokenize(text) {
+    return text
+      .toLowerCase()
+      .replace(/['’]/g, '')
+      .split(/[^a-z0-9]+/)
+      .filter(token => token && !STOPWORDS.has(token))
+      .map(token => this.stem(token));
   }
 
   /**
-   * Search text content
-   * @param {string} content - Text content to search
-   * @param {string} query - Search query
-   * @returns {string[]} - Array of relevant paragraphs
+   * Light suffix-stripping stemmer: "courses" and "course", "requirements" and "required"
+   * reduce to the same term. Numbers and short words are left alone.
+   * @param {string} word - Lowercase word
+   * @returns {string}
    */
-  search(content, query) {
-    if (!content || !query) {
-      return [];
+  stem(word) {
+    if (word.length <= 3 || /\d/.test(word)) return word;
+
+    let stem = word;
+    if (stem.endsWith('sses')) {
+      stem = stem.slice(0, -2);
+    } else if (stem.endsWith('ies')) {
+      stem = stem.slice(0, -3) + 'y';
+    } else if (stem.endsWith('s') && !/(ss|us|is)$/.test(stem)) {
+      stem = stem.slice(0, -1);
     }
 
-    // Split content into paragraphs and clean them
-    const paragraphs = content
-      .split(/[.!?]\s+/)  // Split on sentence boundaries
-      .map(p => p.trim())
-      .filter(p => p.length > 0);
+    const inflection = stem.match(/^(.{3,}?)(ing|ed)$/);
+    if (inflection && /[aeiouy]/.test(inflection[1])) {
+      stem = inflection[1];
+      // "planned" -> "plan", but "enrolled" keeps its double l
+      if (/([^aeiouls])\1$/.test(stem)) stem = stem.slice(0, -1);
+    }
 
-    // Create search patterns
-    const patterns = this.createSearchPatterns(query);
+    for (const [suffix, replacement, minimum] of SUFFIXES) {
+      if (stem.endsWith(suffix) && stem.length - suffix.length >= minimum) {
+        stem = stem.slice(0, -suffix.length) + replacement;
+        break;
+      }
+    }
 
-    // Search for relevant paragraphs with scoring
-    const scoredParagraphs = paragraphs.map(paragraph => ({
-      text: paragraph,
-      score: this.scoreParagraph(paragraph, patterns, query)
-    }));
+    // "require", "required" and "requirement" all end up as "requir"
+    return stem.length > 4 ? stem.replace(/e$/, '') : stem;
+  }
 
-    // Sort by relevance score and take top results
-    const relevantParagraphs = scoredParagraphs
-      .filter(p => p.score > 0)
-      .sort((a, b) => b.score - a.score)
-      .slice(0, 15)  // Take top 15 most relevant paragraphs
-      .map(p => p.text);
-
-    // If no results, try a more lenient search
-    if (relevantParagraphs.length === 0) {
-      const queryWords = query.toLowerCase().split(/\s+/);
-      const lenientResults = paragraphs.filter(p => {
-        const paragraphWords = p.toLowerCase().split(/\s+/);
-        return queryWords.some(word => 
-          word.length > 3 && paragraphWords.some(pWord => pWord.includes(word))
-        );
-      }).slice(0, 8);  // Take top 8 results from lenient search
-
-      return lenientResults;
+  /**
+   * Rebuild the inverted index from every indexed document
+   */
+  _rebuild() {
+    this.passages = [];
+    this.postings = new Map();
+    let totalLength = 0;
+
+    for (const [source, { documentType, passages }] of this.documents) {
+      for (const { text, metadata } of passages) {
+        const index = this.passages.length;
+        const tokens = this.tokenize(text);
+        this.passages.push({ source, documentType, text, metadata: metadata || {}, length: tokens.length });
+        totalLength += tokens.length;
+
+        tokens.forEach((token, position) => {
+          if (!this.postings.has(token)) this.postings.set(token, new Map());
+          const postings = this.postings.get(token);
+          if (!postings.has(index)) postings.set(index, []);
+          postings.get(index).push(position);
+        });
+      }
     }
+    this.averageLength = this.passages.length > 0 ? totalLength / this.passages.length : 0;
+  }
 
-    return relevantParagraphs;
+  /**
+   * Whether the phrase's terms appear consecutively in a passage
+   */
+  _containsPhrase(index, phrase) {
+    const starts = this.postings.get(phrase[0])?.get(index);
+    if (!starts) return false;
+    return starts.some(start =>
+      phrase.every((term, offset) => this.postings.get(term)?.get(index)?.includes(start + offset))
+    );
   }
 }
 
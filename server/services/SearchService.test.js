@@ -0,0 +1,70 @@
+const SearchService = require('./SearchService');
+
+// One passage per catalog entry, as PDFService.chunkDocument splits the catalog
+const PASSAGES = [
+  'TRIGONOMETRY 001037 Prerequisites: Integrated Math 3a-3b. Trigonometry is a one-trimester course.',
+  'INTEGRATED MATH 3A-3B 001018 – 001019 Prerequisites: Integrated Math 2a-2b and/or Trigonometry. Students study functions, trigonometry and statistics.',
+  'AP US HISTORY 1-2 001382 – 001383 Students examine the history of the United States. Required reading is assigned over the summer.',
+  'US HISTORY 1-2 001376 – 001377 Students examine the economic, social, and political development of the United States during the twentieth century.',
+  'DRAMA 1-2 000232 – 000233 Students planning to audition for the spring production learn acting and stagecraft.',
+];
+
+const search = (query, options) => SearchService.search(query, options).map(result => result.text.split(' ')[0]);
+
+beforeAll(() => {
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+  SearchService.indexDocument('catalog.pdf', PASSAGES, { documentType: 'catalog' });
+});
+
+afterAll(() => {
+  SearchService.removeDocument('catalog.pdf');
+  jest.restoreAllMocks();
+});
+
+describe('SearchService.search', () => {
+  test('ranks with BM25: rarer terms and denser passages score higher', () => {
+    const results = SearchService.search('trigonometry course');
+
+    expect(results.map(result => result.text.split(' ')[0])).toEqual(['TRIGONOMETRY', 'INTEGRATED']);
+    expect(results[0].score).toBeGreaterThan(results[1].score);
+    expect(results[0]).toMatchObject({ source: 'catalog.pdf', documentType: 'catalog', metadata: {} });
+  });
+
+  test('matches words through their inflections', () => {
+    expect(SearchService.stem('requirements')).toBe(SearchService.stem('required'));
+    expect(SearchService.stem('planned')).toBe('plan');
+    expect(SearchService.stem('enrolled')).toBe('enroll');
+    expect(search('requirement')).toEqual(['AP']);
+    expect(search('plans to audition')).toEqual(['DRAMA']);
+  });
+
+  test('keeps only passages with a quoted phrase word for word', () => {
+    expect(search('students history')).toEqual(expect.arrayContaining(['AP', 'US']));
+    expect(search('"political development" students history')).toEqual(['US']);
+    expect(search('"development political"')).toEqual([]);
+  });
+
+  test('boosts the passage that contains a course code from the query', () => {
+    const results = SearchService.search('001019 trigonometry');
+
+    expect(results.map(result => result.text.split(' ')[0])).toEqual(['INTEGRATED', 'TRIGONOMETRY']);
+    expect(results[0].score - results[1].score).toBeGreaterThan(9);
+  });
+
+  test('filters by source and by passage', () => {
+    expect(search('students', { source: 'other.pdf' })).toEqual([]);
+    expect(search('students', { filter: passage => passage.text.startsWith('DRAMA') })).toEqual(['DRAMA']);
+    expect(search('students', { topK: 2 })).toHaveLength(2);
+  });
+});
+
+describe('SearchService.splitIntoPassages', () => {
+  test('drops page markers and closes passages at a sentence end past the target length', () => {
+    const sentence = 'Students read and write about literature. ';
+    const passages = SearchService.splitIntoPassages(`${sentence.repeat(12)}\n11\n-- 11 of 54 --\n${sentence.repeat(12)}\nLast line`);
+
+    expect(passages).toHaveLength(3);
+    expect(passages.join('\n')).not.toMatch(/11 of 54|^11$/m);
+    expect(passages[2]).toBe('Last line');
+  });
+});
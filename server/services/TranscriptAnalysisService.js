@@ -7,7 +7,20 @@
  * Step 4: Generate structured analysis for the recommendation AI
  */
 
-const axios = require('axios');
+const LLMService = require('./LLMService');
+const RequirementsService = require('./RequirementsService');
+const CourseCatalogService = require('./CourseCatalogService');
+const CourseMatchingService = require('./CourseMatchingService');
+const GpaService = require('./GpaService');
+const { CREDITS_PER_TERM, CREDITS_PER_SUBJECT_YEAR } = require('./credits');
+
+// Grades that earn no credit at all
+const FAILING_GRADES = ['F', 'NP', 'NC', 'FAIL', 'U'];
+// Grades that earn graduation credit but do not satisfy UC/CSU A-G
+const D_GRADES = ['D+', 'D', 'D-'];
+
+// Catalog departments that say how a course is taught rather than what it counts toward
+const PROGRAM_SUBJECTS = ['special_education', 'english_learner'];
 
 class TranscriptAnalysisService {
   constructor() {
@@ -34,14 +47,22 @@ class TranscriptAnalysisService {
     const parsedCourses = await this._parseTranscript(documentText);
     console.log(`Step 1 complete: Found ${parsedCourses.courses.length} courses`);
 
-    // STEP 2: Analyze the parsed data programmatically
-    console.log('Step 2: Analyzing course data...');
+    // STEP 2: Match courses to the catalog and analyze the parsed data programmatically
+    console.log('Step 2: Matching courses to the catalog and analyzing course data...');
+    const catalog = await CourseCatalogService.getCourses();
+    const courseMatches = this._matchCourses(parsedCourses, catalog);
     const courseAnalysis = this._analyzeCourses(parsedCourses);
-    console.log(`Step 2 complete: ${courseAnalysis.completedCourseNames.length} completed courses identified`);
+    const ruleSet = await RequirementsService.getRuleSetForGrade(parsedCourses.student?.gradeLevel);
+    const creditLines = this._creditLines(parsedCourses.courses, catalog, ruleSet);
+    const gpa = GpaService.calculate(creditLines, {
+      gradeLevel: parsedCourses.student?.gradeLevel,
+      reported: parsedCourses.student?.gpa,
+    });
+    console.log(`Step 2 complete: ${courseAnalysis.completedCourseNames.length} completed courses identified, ${courseMatches.unmatched.length} not in the catalog`);
 
     // STEP 3: Graduation requirement gap analysis
     console.log('Step 3: Running graduation requirement gap analysis...');
-    const gapAnalysis = this._analyzeGraduationGaps(parsedCourses, courseAnalysis);
+    const gapAnalysis = this._analyzeGraduationGaps(parsedCourses, ruleSet, creditLines);
     console.log(`Step 3 complete: ${gapAnalysis.missingRequirements.length} gaps found`);
 
     // STEP 4: Build the structured analysis summary
@@ -49,9 +70,11 @@ class TranscriptAnalysisService {
     const analysis = {
       student: parsedCourses.student,
       courses: parsedCourses.courses,
+      courseMatches,
       courseAnalysis,
+      gpa,
       gapAnalysis,
-      summary: this._buildSummary(parsedCourses, courseAnalysis, gapAnalysis),
+      summary: this._buildSummary(parsedCourses, courseAnalysis, gapAnalysis, gpa),
       documentFilename,
       analyzedAt: new Date().toISOString(),
       processingTimeMs: Date.now() - startTime,
@@ -64,23 +87,157 @@ class TranscriptAnalysisService {
     return analysis;
   }
 
+  /**
+   * "What if" projection: add hypothetical courses with expected grades to an analysis and
+   * recompute GPA, credits and graduation/A-G progress
+   * @param {Object} analysis - Output of /api/document/analyze ({ student, courses })
+   * @param {Object[]} plannedCourses - [{ code or name, expectedGrade, gradeLevel?, year?, semester? }].
+   *   A planned course matching an in-progress course completes it with the expected grade.
+   * @returns {Promise<Object>} - { plannedCourses, unmatched, gpa, gapAnalysis, terms, baseline, change }
+   */
+  async projectAnalysis(analysis, plannedCourses) {
+    const student = analysis.student || {};
+    const catalog = await CourseCatalogService.getCourses();
+    const ruleSet = await RequirementsService.getRuleSetForGrade(student.gradeLevel);
+    const baseCourses = analysis.courses.map(course => ({ ...course }));
+
+    const planned = [];
+    const unmatched = [];
+    const added = [];
+    for (const entry of plannedCourses) {
+      const match = entry.code
+        ? catalog.find(c => c.code === entry.code || (c.codes || []).includes(entry.code)) || null
+        : CourseMatchingService.matchCourse({ name: entry.name }, catalog);
+      const course = entry.code ? match : match.matched ? catalog.find(c => c.code === match.code) : null;
+      if (!course) {
+        unmatched.push({ name: entry.name || entry.code, suggestion: match && match.candidate ? match.candidate : null });
+        continue;
+      }
+
+      // Finishing a course the student is taking now, rather than adding another one
+      const current = baseCourses.find(c => c.status === 'in_progress' && c.code === course.code);
+      if (current) {
+        current.status = 'completed';
+        current.grade = entry.expectedGrade;
+        current.planned = true;
+        planned.push({ code: course.code, title: course.title, expectedGrade: entry.expectedGrade, year: current.year, completesInProgress: true });
+        continue;
+      }
+
+      const year = entry.year || this._schoolYearFor(entry.gradeLevel, student.gradeLevel);
+      added.push({
+        name: course.title,
+        code: course.code,
+        catalogTitle: course.title,
+        grade: entry.expectedGrade,
+        credits: null,
+        year,
+        semester: entry.semester || null,
+        status: 'completed',
+        subject: course.subject,
+        isHonors: course.isHonors,
+        isAP: course.isAP,
+        planned: true,
+      });
+      planned.push({ code: course.code, title: course.title, expectedGrade: entry.expectedGrade, year, completesInProgress: false });
+    }
+
+    const courses = [...baseCourses, ...added];
+    const parsed = { student, courses };
+    const lines = this._creditLines(courses, catalog, ruleSet);
+    const gpaOptions = { gradeLevel: student.gradeLevel, reported: student.gpa };
+    const gpa = GpaService.calculate(lines, gpaOptions);
+    const gapAnalysis = this._analyzeGraduationGaps(parsed, ruleSet, lines);
+
+    const baseLines = this._creditLines(analysis.courses, catalog, ruleSet);
+    const baseGpa = GpaService.calculate(baseLines, gpaOptions);
+    const baseGaps = this._analyzeGraduationGaps({ student, courses: analysis.courses }, ruleSet, baseLines);
+    const delta = (after, before) => (after !== null && before !== null ? Math.round((after - before) * 100) / 100 : null);
+
+    console.log(`Projected ${planned.length} planned courses (${unmatched.length} unmatched): GPA ${baseGpa.weighted} → ${gpa.weighted} weighted`);
+    return {
+      plannedCourses: planned,
+      unmatched,
+      gpa,
+      gapAnalysis,
+      terms: this._projectTerms(parsed, ruleSet, lines, gpa),
+      baseline: {
+        unweighted: baseGpa.unweighted,
+        weighted: baseGpa.weighted,
+        ucCappedWeighted: baseGpa.uc.cappedWeighted,
+        totalCreditsEarned: baseGaps.totalCreditsEarned,
+        agAreasMet: baseGaps.agStatus.filter(a => a.met).length,
+      },
+      change: {
+        unweighted: delta(gpa.unweighted, baseGpa.unweighted),
+        weighted: delta(gpa.weighted, baseGpa.weighted),
+        ucCappedWeighted: delta(gpa.uc.cappedWeighted, baseGpa.uc.cappedWeighted),
+        totalCreditsEarned: gapAnalysis.totalCreditsEarned - baseGaps.totalCreditsEarned,
+        agAreasMet: gapAnalysis.agStatus.filter(a => a.met).length - baseGaps.agStatus.filter(a => a.met).length,
+      },
+    };
+  }
+
+  /**
+   * Cumulative GPA, credits and requirement completion at the end of each term
+   */
+  _projectTerms(parsed, ruleSet, lines, gpa) {
+    const termLines = GpaService.splitByTerm(lines);
+    const gpaByTerm = new Map(gpa.semesters.map(term => [term.term, term]));
+    const terms = [];
+
+    termLines.forEach((line, index) => {
+      const next = termLines[index + 1];
+      if (next && next.termKey === line.termKey) return;
+
+      const sofar = termLines.slice(0, index + 1);
+      const gaps = this._analyzeGraduationGaps(parsed, ruleSet, sofar);
+      const termGpa = gpaByTerm.get(line.termLabel);
+      terms.push({
+        term: line.termLabel,
+        year: line.year || null,
+        planned: sofar.some(l => l.termKey === line.termKey && parsed.courses[l.index].planned),
+        cumulativeUnweighted: termGpa ? termGpa.cumulativeUnweighted : null,
+        cumulativeWeighted: termGpa ? termGpa.cumulativeWeighted : null,
+        creditsEarned: gaps.totalCreditsEarned,
+        graduationMet: gaps.completedRequirements.filter(r => r.status === 'met').length,
+        graduationTotal: ruleSet.graduation.length,
+        agMet: gaps.agStatus.filter(a => a.met).length,
+        agTotal: ruleSet.ag.length,
+        unmetGraduation: [...gaps.completedRequirements, ...gaps.missingRequirements]
+          .filter(r => r.status !== 'met')
+          .map(r => r.category),
+        unmetAG: gaps.agStatus.filter(a => !a.met).map(a => a.area),
+      });
+    });
+    return terms;
+  }
+
+  /**
+   * School year ("2027-2028") a student now in currentGrade will be in targetGrade; the next
+   * school year when no target grade is given
+   */
+  _schoolYearFor(targetGrade, currentGrade, date = new Date()) {
+    if (!currentGrade) return null;
+    const currentEnd = date.getMonth() >= 6 ? date.getFullYear() + 1 : date.getFullYear();
+    const end = currentEnd + ((targetGrade || currentGrade + 1) - currentGrade);
+    return `${end - 1}-${end}`;
+  }
+
   /**
    * STEP 1: Use AI to parse transcript text into structured JSON
    */
   async _parseTranscript(documentText) {
-    const apiKey = process.env.REACT_APP_OPENROUTER_API_KEY;
-    if (!apiKey) {
+    if (!LLMService.isConfigured()) {
       throw new Error('No API key available for transcript parsing');
     }
 
-    const response = await axios.post(
-      'https://openrouter.ai/api/v1/chat/completions',
-      {
-        model: 'anthropic/claude-sonnet-4',
-        messages: [
-          {
-            role: 'user',
-            content: `Parse this academic document and extract ALL course and student information into structured JSON format.
+    const response = await LLMService.complete(
+      'parse',
+      [
+        {
+          role: 'user',
+          content: `Parse this academic document and extract ALL course and student information into structured JSON format.
 
 DOCUMENT TEXT:
 ${documentText.substring(0, 6000)}
@@ -120,23 +277,12 @@ RULES:
 - Mark AP courses (isAP: true) and Honors courses (isHonors: true)
 - If currently taking a course (no grade yet), mark status as "in_progress"
 - Best effort for all fields - use null when truly unknown`
-          }
-        ],
-        max_tokens: 3000,
-        temperature: 0.1, // Low temperature for structured extraction
-      },
-      {
-        headers: {
-          'Content-Type': 'application/json',
-          'Authorization': `Bearer ${apiKey}`,
-          'HTTP-Referer': 'https://del-norte-course-selector.vercel.app',
-          'X-Title': 'Del Norte Course Selector - Transcript Parser',
-        },
-        timeout: 30000,
-      }
+        }
+      ],
+      { temperature: 0.1 } // Low temperature for structured extraction
     );
 
-    const content = response.data.choices?.[0]?.message?.content || '';
+    const content = response.content;
     
     // Parse the JSON response
     try {
@@ -181,7 +327,30 @@ RULES:
   }
 
   /**
-   * STEP 2: Programmatic course analysis
+   * STEP 2a: Map each transcript line to a catalog course. Matched lines get the catalog
+   * code, title and match confidence; the rest are listed as unmatched.
+   */
+  _matchCourses(parsedData, catalog) {
+    const matches = CourseMatchingService.matchCourses(parsedData.courses, catalog);
+    parsedData.courses.forEach((course, index) => {
+      const match = matches[index];
+      course.code = match.matched ? match.code : null;
+      course.catalogTitle = match.matched ? match.title : null;
+      course.matchConfidence = match.matched ? match.confidence : null;
+    });
+
+    return {
+      matchedCount: matches.filter(m => m.matched).length,
+      matches: matches.filter(m => m.matched).map(({ name, code, title, confidence, method }) => ({ name, code, title, confidence, method })),
+      unmatched: matches.filter(m => !m.matched).map(({ name, candidate }) => ({
+        name,
+        suggestion: candidate ? { code: candidate.code, title: candidate.title, confidence: candidate.confidence } : null,
+      })),
+    };
+  }
+
+  /**
+   * STEP 2b: Programmatic course analysis
    */
   _analyzeCourses(parsedData) {
     const courses = parsedData.courses;
@@ -194,6 +363,9 @@ RULES:
     const completedCourseNames = completed.map(c => c.name.toLowerCase().trim());
     const inProgressCourseNames = inProgress.map(c => c.name.toLowerCase().trim());
     const allTakenNames = [...completedCourseNames, ...inProgressCourseNames];
+    // Catalog codes of matched lines, so recommendations can exclude them exactly
+    const completedCodes = [...new Set(completed.filter(c => c.code).map(c => c.code))];
+    const inProgressCodes = [...new Set(inProgress.filter(c => c.code).map(c => c.code))];
     
     // Subject breakdown
     const bySubject = {};
@@ -231,6 +403,8 @@ RULES:
       completedCourseNames,
       inProgressCourseNames,
       allTakenNames,
+      completedCodes,
+      inProgressCodes,
       bySubject,
       strongSubjects,
       weakSubjects,
@@ -242,97 +416,195 @@ RULES:
 
   /**
    * STEP 3: Graduation requirement gap analysis
-   * Based on typical California high school graduation requirements
+   * Uses the requirement rule set for the student's graduating class and measures progress
+   * in credits, so term rows and year-long courses listed once per term count correctly
    */
-  _analyzeGraduationGaps(parsedData, courseAnalysis) {
-    const bySubject = courseAnalysis.bySubject;
+  _analyzeGraduationGaps(parsedData, ruleSet, lines) {
     const student = parsedData.student || {};
     const gradeLevel = student.gradeLevel || null;
-    
-    // Standard graduation requirements (Del Norte / California)
-    const requirements = [
-      { category: 'English', subject: 'english', yearsRequired: 4, creditsRequired: 40 },
-      { category: 'Math', subject: 'math', yearsRequired: 3, creditsRequired: 30 },
-      { category: 'Science', subject: 'science', yearsRequired: 2, creditsRequired: 20 },
-      { category: 'Social Studies', subject: 'social_studies', yearsRequired: 3, creditsRequired: 30 },
-      { category: 'World Language', subject: 'language', yearsRequired: 1, creditsRequired: 10 },
-      { category: 'PE', subject: 'pe', yearsRequired: 2, creditsRequired: 20 },
-      { category: 'Visual/Performing Arts', subject: 'arts', yearsRequired: 1, creditsRequired: 10 },
-      { category: 'CTE/Elective', subject: 'cte', yearsRequired: 0, creditsRequired: 0 },
-    ];
-
-    // UC/CSU A-G Requirements
-    const agRequirements = [
-      { category: 'A - History/Social Science', subject: 'social_studies', yearsRequired: 2 },
-      { category: 'B - English', subject: 'english', yearsRequired: 4 },
-      { category: 'C - Mathematics', subject: 'math', yearsRequired: 3 },
-      { category: 'D - Laboratory Science', subject: 'science', yearsRequired: 2 },
-      { category: 'E - Language Other Than English', subject: 'language', yearsRequired: 2 },
-      { category: 'F - Visual/Performing Arts', subject: 'arts', yearsRequired: 1 },
-      { category: 'G - College Prep Elective', subject: 'elective', yearsRequired: 1 },
-    ];
+    const linesIn = (subjects) => lines.filter(line => subjects.includes(line.subject));
 
     const missingRequirements = [];
     const completedRequirements = [];
     const agStatus = [];
 
-    for (const req of requirements) {
-      const subjectCourses = bySubject[req.subject] || [];
-      const completedInSubject = subjectCourses.filter(c => c.status === 'completed').length;
-      const totalInSubject = subjectCourses.length;
-      
-      if (completedInSubject >= req.yearsRequired) {
-        completedRequirements.push({
-          category: req.category,
-          completed: completedInSubject,
-          required: req.yearsRequired,
-          status: 'met',
-        });
-      } else if (totalInSubject >= req.yearsRequired) {
-        completedRequirements.push({
-          category: req.category,
-          completed: completedInSubject,
-          required: req.yearsRequired,
-          status: 'in_progress',
-        });
+    for (const req of ruleSet.graduation) {
+      const contributing = linesIn(req.subjects);
+      const earned = this._sumCredits(contributing.filter(line => line.status === 'completed' && line.earnsCredit));
+      const inProgress = this._sumCredits(contributing.filter(line => line.status === 'in_progress'));
+
+      let status = 'not_met';
+      if (earned >= req.creditsRequired) status = 'met';
+      else if (earned + inProgress >= req.creditsRequired) status = 'in_progress';
+      else if (earned + inProgress > 0) status = 'partial';
+
+      const entry = {
+        category: req.category,
+        creditsRequired: req.creditsRequired,
+        creditsEarned: earned,
+        creditsInProgress: inProgress,
+        remaining: Math.max(0, req.creditsRequired - earned - inProgress),
+        semestersEarned: earned / CREDITS_PER_TERM,
+        percentComplete: req.creditsRequired > 0 ? Math.min(100, Math.round(earned / req.creditsRequired * 100)) : 100,
+        status,
+        contributingCourses: contributing.map(line => this._describeLine(line)),
+      };
+      if (status === 'met' || status === 'in_progress') {
+        completedRequirements.push(entry);
       } else {
-        missingRequirements.push({
-          category: req.category,
-          completed: totalInSubject,
-          required: req.yearsRequired,
-          remaining: req.yearsRequired - totalInSubject,
-          status: 'not_met',
-        });
+        missingRequirements.push(entry);
       }
     }
 
-    // A-G analysis
-    for (const req of agRequirements) {
-      const subjectCourses = bySubject[req.subject] || [];
-      const total = subjectCourses.length;
+    // A-G analysis: only C- or better (or in-progress) terms count toward the years required
+    for (const req of ruleSet.ag) {
+      const contributing = lines.filter(line => line.agArea === req.area);
+      const counted = contributing.filter(line => line.status === 'completed' && line.satisfiesAG);
+      const inProgress = contributing.filter(line => line.status === 'in_progress');
+      const credits = this._sumCredits(counted);
+      const yearsCompleted = credits / CREDITS_PER_SUBJECT_YEAR;
+      const yearsInProgress = this._sumCredits(inProgress) / CREDITS_PER_SUBJECT_YEAR;
+
       agStatus.push({
         category: req.category,
-        completed: total,
-        required: req.yearsRequired,
-        met: total >= req.yearsRequired,
+        area: req.area,
+        yearsRequired: req.yearsRequired,
+        yearsCompleted,
+        yearsInProgress,
+        semestersCompleted: credits / CREDITS_PER_TERM,
+        creditsCounted: credits,
+        met: yearsCompleted >= req.yearsRequired,
+        status: yearsCompleted >= req.yearsRequired
+          ? 'met'
+          : yearsCompleted + yearsInProgress >= req.yearsRequired ? 'in_progress' : 'not_met',
+        contributingCourses: [...counted, ...inProgress].map(line => this._describeLine(line)),
+        excludedCourses: contributing
+          .filter(line => line.status === 'completed' && !line.satisfiesAG)
+          .map(line => ({ name: line.name, grade: line.grade, reason: line.flag })),
       });
     }
 
+    const earnedLines = lines.filter(line => line.status === 'completed' && line.earnsCredit);
     return {
       missingRequirements,
       completedRequirements,
       agStatus,
+      flaggedCourses: lines.filter(line => line.flag).map(line => ({
+        name: line.name,
+        grade: line.grade,
+        flag: line.flag,
+        earnsCredit: line.earnsCredit,
+      })),
       estimatedGradeLevel: gradeLevel,
-      totalCreditsNeeded: 220, // Typical requirement
-      totalCreditsEarned: courseAnalysis.totalCredits,
+      totalCreditsNeeded: ruleSet.totalCredits,
+      totalCreditsEarned: this._sumCredits(earnedLines),
+      totalCreditsInProgress: this._sumCredits(lines.filter(line => line.status === 'in_progress')),
       onTrack: missingRequirements.length === 0,
+      ruleSet: { id: ruleSet.id, name: ruleSet.name, classYear: ruleSet.classYear },
     };
   }
 
+  /**
+   * Work out the credits each transcript line is worth and whether it counts
+   * @param {Object[]} courses - Parsed transcript courses, with catalog codes from _matchCourses
+   * @param {Object[]} catalog - Catalog courses, for subjects, A-G areas and credits the transcript leaves out
+   * @param {Object} ruleSet - Requirement rule set, for the A-G area of lines not in the catalog
+   * @returns {Object[]} - One entry per transcript line (planned courses are left out)
+   */
+  _creditLines(courses, catalog, ruleSet) {
+    const catalogByCode = new Map(catalog.map(course => [course.code, course]));
+    const agBySubject = new Map();
+    ruleSet.ag.forEach(req => req.subjects.forEach(subject => {
+      if (!agBySubject.has(subject)) agBySubject.set(subject, req.area);
+    }));
+
+    const lines = courses
+      .map((course, index) => ({ course, index }))
+      .filter(({ course }) => course.status === 'completed' || course.status === 'in_progress')
+      .map(({ course, index }) => {
+        const match = course.code ? catalogByCode.get(course.code) : null;
+        const grade = course.grade ? course.grade.toUpperCase().trim() : null;
+        const failing = FAILING_GRADES.includes(grade);
+        const dGrade = D_GRADES.includes(grade);
+        const subject = match && !PROGRAM_SUBJECTS.includes(match.subject) ? match.subject : course.subject || 'elective';
+        return {
+          index,
+          name: course.name,
+          // The catalog's department is more reliable than the parser's guess
+          subject,
+          catalogCode: match ? match.code : null,
+          catalogCredits: match ? match.credits : null,
+          // A matched course counts toward its own A-G area, if it is approved for one;
+          // other lines toward the area their subject belongs to
+          agArea: match ? (match.agStatus === 'approved' ? match.agArea : null) : agBySubject.get(subject) || null,
+          isHonors: course.isHonors,
+          isAP: course.isAP,
+          isWeighted: match ? match.isWeighted : course.isHonors || course.isAP,
+          grade: course.grade,
+          status: course.status,
+          year: course.year,
+          semester: course.semester,
+          credits: null,
+          creditSource: null,
+          earnsCredit: !failing,
+          satisfiesAG: !failing && !dGrade,
+          flag: failing ? 'failing_grade' : dGrade ? 'd_grade_not_ag' : null,
+          transcriptCredits: course.credits,
+        };
+      });
+
+    // Without a credit value, a year-long course split into one row per term shares
+    // the catalog credits between its rows instead of counting a full year for each
+    const rowsPerCourse = new Map();
+    for (const line of lines) {
+      const key = `${line.name.toLowerCase().trim()}|${line.year || ''}`;
+      rowsPerCourse.set(key, (rowsPerCourse.get(key) || 0) + 1);
+    }
+
+    for (const line of lines) {
+      if (typeof line.transcriptCredits === 'number' && line.transcriptCredits > 0) {
+        // Transcripts from other schools give Carnegie units (0.5 per semester, 1.0 per year)
+        line.credits = line.transcriptCredits <= 2 ? line.transcriptCredits * CREDITS_PER_SUBJECT_YEAR : line.transcriptCredits;
+        line.creditSource = 'transcript';
+      } else if (line.semester) {
+        line.credits = CREDITS_PER_TERM;
+        line.creditSource = 'semester';
+      } else {
+        const rows = rowsPerCourse.get(`${line.name.toLowerCase().trim()}|${line.year || ''}`);
+        line.credits = Math.max(CREDITS_PER_TERM, (line.catalogCredits || CREDITS_PER_SUBJECT_YEAR) / rows);
+        line.creditSource = line.catalogCredits ? 'catalog' : 'default';
+      }
+      delete line.transcriptCredits;
+      delete line.catalogCredits;
+    }
+    return lines;
+  }
+
+  /**
+   * Transcript line as listed under a requirement
+   */
+  _describeLine(line) {
+    return {
+      name: line.name,
+      code: line.catalogCode,
+      grade: line.grade,
+      status: line.status,
+      year: line.year,
+      semester: line.semester,
+      credits: line.earnsCredit ? line.credits : 0,
+      creditSource: line.creditSource,
+      ...(line.flag ? { flag: line.flag } : {}),
+    };
+  }
+
+  _sumCredits(lines) {
+    return lines.reduce((sum, line) => sum + (line.earnsCredit ? line.credits : 0), 0);
+  }
+
   /**
    * STEP 4: Build a structured text summary for the recommendation AI
    */
-  _buildSummary(parsedData, courseAnalysis, gapAnalysis) {
+  _buildSummary(parsedData, courseAnalysis, gapAnalysis, gpa) {
     const student = parsedData.student || {};
     const lines = [];
 
@@ -342,13 +614,28 @@ RULES:
     // Student info
     if (student.name) lines.push(`Student: ${student.name}`);
     if (student.gradeLevel) lines.push(`Grade Level: ${student.gradeLevel}`);
-    if (student.gpa?.cumulative) lines.push(`Cumulative GPA: ${student.gpa.cumulative}`);
-    if (student.gpa?.weighted) lines.push(`Weighted GPA: ${student.gpa.weighted}`);
-    if (courseAnalysis.totalCredits) lines.push(`Credits Earned: ${courseAnalysis.totalCredits}`);
+    lines.push(`Credits Earned: ${gapAnalysis.totalCreditsEarned} of ${gapAnalysis.totalCreditsNeeded}`);
     lines.push(`AP Courses Taken: ${courseAnalysis.apCount}`);
     lines.push(`Honors Courses Taken: ${courseAnalysis.honorsCount}`);
     lines.push('');
 
+    // GPA computed from the course grades, not copied from the transcript
+    if (gpa && gpa.unweighted !== null) {
+      lines.push('=== COMPUTED GPA (quote these, not the GPA printed on the transcript) ===');
+      lines.push(`Unweighted GPA: ${gpa.unweighted}`);
+      lines.push(`Weighted GPA (honors/AP +1): ${gpa.weighted}`);
+      if (gpa.uc.cappedWeighted !== null) {
+        lines.push(`UC GPA (10th-11th grade A-G, capped): ${gpa.uc.cappedWeighted} — ${gpa.uc.honorsSemestersCounted} of ${gpa.uc.honorsSemestersAvailable} honors semesters counted; fully weighted ${gpa.uc.fullyWeighted}`);
+      }
+      if (gpa.reported?.unweighted || gpa.reported?.weighted) {
+        lines.push(`Transcript states: ${[gpa.reported.unweighted && `${gpa.reported.unweighted} unweighted`, gpa.reported.weighted && `${gpa.reported.weighted} weighted`].filter(Boolean).join(', ')}`);
+      }
+      for (const term of gpa.semesters) {
+        lines.push(`  ${term.term}${term.gradeLevel ? ` (grade ${term.gradeLevel})` : ''}: ${term.unweighted} unweighted / ${term.weighted} weighted`);
+      }
+      lines.push('');
+    }
+
     // Completed courses list (this is what the AI must NOT recommend again)
     lines.push('=== COURSES ALREADY COMPLETED (DO NOT RECOMMEND THESE) ===');
     const completed = parsedData.courses.filter(c => c.status === 'completed');
@@ -356,7 +643,7 @@ RULES:
       const grade = course.grade ? ` — Grade: ${course.grade}` : '';
       const ap = course.isAP ? ' [AP]' : '';
       const honors = course.isHonors ? ' [Honors]' : '';
-      lines.push(`  ✓ ${course.name}${ap}${honors}${grade}`);
+      lines.push(`  ✓ ${course.name}${ap}${honors}${grade}${this._catalogLabel(course)}`);
     }
     lines.push('');
 
@@ -367,7 +654,7 @@ RULES:
       for (const course of inProgress) {
         const ap = course.isAP ? ' [AP]' : '';
         const honors = course.isHonors ? ' [Honors]' : '';
-        lines.push(`  → ${course.name}${ap}${honors}`);
+        lines.push(`  → ${course.name}${ap}${honors}${this._catalogLabel(course)}`);
       }
       lines.push('');
     }
@@ -394,7 +681,7 @@ RULES:
     if (gapAnalysis.missingRequirements.length > 0) {
       lines.push('=== GRADUATION REQUIREMENT GAPS (prioritize these) ===');
       for (const gap of gapAnalysis.missingRequirements) {
-        lines.push(`  ✗ ${gap.category}: needs ${gap.remaining} more year(s) (${gap.completed}/${gap.required} completed)`);
+        lines.push(`  ✗ ${gap.category}: needs ${gap.remaining} more credits (${gap.creditsEarned}/${gap.creditsRequired} earned, ${gap.creditsInProgress} in progress)`);
       }
       lines.push('');
     }
@@ -404,7 +691,16 @@ RULES:
     if (unmetAG.length > 0) {
       lines.push('=== UC/CSU A-G REQUIREMENTS NOT YET MET ===');
       for (const ag of unmetAG) {
-        lines.push(`  ✗ ${ag.category}: ${ag.completed}/${ag.required} years completed`);
+        lines.push(`  ✗ ${ag.category}: ${ag.yearsCompleted}/${ag.yearsRequired} years completed with C- or better`);
+      }
+      lines.push('');
+    }
+
+    // D and F grades
+    if (gapAnalysis.flaggedCourses.length > 0) {
+      lines.push('=== LOW GRADES (do not count toward A-G; F earns no credit) ===');
+      for (const course of gapAnalysis.flaggedCourses) {
+        lines.push(`  ! ${course.name} — Grade: ${course.grade}`);
       }
       lines.push('');
     }
@@ -419,6 +715,13 @@ RULES:
     return lines.join('\n');
   }
 
+  /**
+   * " = CATALOG TITLE (code)" for transcript lines matched to the catalog
+   */
+  _catalogLabel(course) {
+    return course.code ? ` = ${course.catalogTitle} (${course.code})` : '';
+  }
+
   /**
    * Simple hash for caching
    */
@@ -1,16 +1,31 @@
-const axios = require('axios');
 const crypto = require('crypto');
 const DatabaseService = require('./DatabaseService');
+const EmbeddingService = require('./EmbeddingService');
+const HnswIndex = require('./HnswIndex');
+
+// Below this many vectors a linear scan is as fast as the ANN graph, and always exact
+const ANN_MIN_VECTORS = 1000;
+
+// Save the ANN graph this long after the last change, so a document's batches are saved once
+const INDEX_SAVE_DELAY_MS = 5000;
 
 /**
  * Service for handling vector search operations
  * Now backed by SQLite for persistent storage
+ *
+ * Vectors of the current embedding model are also kept in an HNSW graph (see HnswIndex),
+ * which answers queries once the store reaches ANN_MIN_VECTORS. The graph is updated as
+ * vectors are added and removed and saved to the database, so startup only rebuilds it
+ * when it no longer matches the stored vectors.
  */
 class VectorSearchService {
   constructor() {
     this.inMemoryVectors = [];
     this.vectorSearchAvailable = false;
     this.retryCount = 0;
+    this.staleVectorCount = 0;
+    this.index = new HnswIndex();
+    this._indexSaveTimer = null;
     
     // Load vectors from database into memory for fast search (async)
     this._loadPromise = this.loadFromDatabase();
@@ -23,9 +38,25 @@ class VectorSearchService {
     try {
       const vectors = await DatabaseService.getVectors();
       if (vectors.length > 0) {
-        this.inMemoryVectors = vectors;
-        this.vectorSearchAvailable = true;
-        console.log(`Loaded ${vectors.length} vectors from database`);
+        // Vectors from another model (or an older store without a model) are not comparable
+        const modelId = EmbeddingService.getModelId();
+        const dimension = EmbeddingService.getDimension();
+        const isCurrent = v => v.model === modelId && (!dimension || v.dimension === dimension);
+        const stale = vectors.filter(v => !isCurrent(v));
+
+        this.inMemoryVectors = vectors.filter(isCurrent);
+        this.vectorSearchAvailable = this.inMemoryVectors.length > 0;
+        console.log(`Loaded ${this.inMemoryVectors.length} vectors from database`);
+        await this._loadIndex();
+
+        if (stale.length > 0) {
+          const models = [...new Set(stale.map(v => v.model || 'unknown model'))].join(', ');
+          console.warn(`${stale.length} vectors were embedded with ${models}; re-embedding with ${modelId}`);
+          this.staleVectorCount = stale.length;
+          this._rebuildPromise = this.rebuildVectors(stale)
+            .catch(error => console.error('Error rebuilding vectors:', error.message))
+            .finally(() => { this.staleVectorCount = 0; });
+        }
       } else {
         console.log('No vectors found in database');
       }
@@ -45,25 +76,21 @@ class VectorSearchService {
   }
 
   /**
-   * Generate embeddings using Claude via OpenRouter's chat completions API
+   * Generate embeddings with the configured provider (see EmbeddingService), reusing
+   * cached embeddings from the same model
    */
   async generateEmbeddings(texts) {
     try {
       console.log('Generating embeddings for', texts.length, 'text chunks');
-      console.log('Using API key:', process.env.REACT_APP_OPENROUTER_API_KEY ? 'Available' : 'Not available');
       
       if (!texts || !Array.isArray(texts) || texts.length === 0) {
         console.error('Invalid input for embeddings generation');
         return [];
       }
-      
-      if (!process.env.REACT_APP_OPENROUTER_API_KEY) {
-        console.error('OpenRouter API key is missing');
-        return [];
-      }
 
-      // Check database cache for existing embeddings
-      const cacheKeys = texts.map(text => this.hashText(text));
+      // Cache keys include the model so a provider switch never returns another model's vectors
+      const modelId = EmbeddingService.getModelId();
+      const cacheKeys = texts.map(text => this.hashText(`${modelId}\n${text}`));
       const cachedResults = await Promise.all(cacheKeys.map(key => DatabaseService.getCachedEmbedding(key)));
       
       // If all texts are in cache, return cached embeddings
@@ -80,92 +107,17 @@ class VectorSearchService {
         console.log('Cache miss. Generating embeddings for all texts');
       }
       
-      if (textsToProcess.length === 0) {
-        return cachedResults;
-      }
-      
-      console.log('Making request to OpenRouter API...');
+      console.log(`Embedding with ${modelId}...`);
       const startTime = Date.now();
-      
-      const response = await axios.post(
-        'https://openrouter.ai/api/v1/chat/completions',
-        {
-          model: 'anthropic/claude-3-haiku',
-          messages: [
-            { 
-              role: 'system', 
-              content: 'You are a specialized AI that generates semantic vector embeddings for text. ' +
-                'For each input text, create a numerical vector representation that captures its semantic meaning. ' +
-                '\n\nIMPORTANT: Respond ONLY with a JSON array of embeddings. Each embedding should be an array of 100 floating point numbers between -1 and 1. ' +
-                'Format your response as valid JSON that can be parsed with JSON.parse().' +
-                '\n\nExample response format:\n```json\n[\n  [0.1, 0.2, 0.3, ...]\n]\n```\nDo not include any explanations or other text outside the JSON.'
-            },
-            { 
-              role: 'user', 
-              content: 'Generate semantic vector embeddings for the following text(s). Return ONLY a JSON array of embeddings:\n\n' +
-                textsToProcess.join('\n\n---\n\n')
-            }
-          ],
-          user: 'del-norte-course-selector'
-        },
-        {
-          headers: {
-            'Content-Type': 'application/json',
-            'Authorization': `Bearer ${process.env.REACT_APP_OPENROUTER_API_KEY}`,
-            'HTTP-Referer': 'https://del-norte-course-selector.vercel.app',
-            'X-Title': 'Del Norte Course Selector'
-          },
-          timeout: 30000
-        }
-      );
-      
-      const requestDuration = Date.now() - startTime;
-      console.log(`OpenRouter API request completed in ${requestDuration}ms`);
-      
-      if (!response.data?.choices?.[0]?.message?.content) {
-        console.error('Invalid response from OpenRouter API');
-        return [];
-      }
-      
-      const content = response.data.choices[0].message.content;
-      let generatedEmbeddings = [];
-      
-      try {
-        const jsonMatch = content.match(/```json\n([\s\S]*?)\n```/) || 
-                          content.match(/\{[\s\S]*"vectors"[\s\S]*\}/) ||
-                          content.match(/\[[\s\S]*\]/);
-                          
-        if (jsonMatch) {
-          const jsonContent = jsonMatch[1] || jsonMatch[0];
-          const parsed = JSON.parse(jsonContent);
-          
-          if (Array.isArray(parsed)) {
-            generatedEmbeddings = parsed;
-          } else if (parsed.vectors) {
-            generatedEmbeddings = parsed.vectors;
-          } else if (parsed.embeddings) {
-            generatedEmbeddings = parsed.embeddings;
-          }
-        }
-        
-        if (generatedEmbeddings.length > 0) {
-          console.log('Successfully parsed embeddings from Claude response');
-        } else {
-          throw new Error('Could not parse embeddings');
-        }
-      } catch (parseError) {
-        console.warn('Falling back to TF-IDF embedding generation');
-        generatedEmbeddings = this._generateFallbackEmbeddings(textsToProcess, content);
-      }
+      const { embeddings: generatedEmbeddings, dimension } = await EmbeddingService.embed(textsToProcess);
+      console.log(`Generated ${generatedEmbeddings.length} embeddings (dimension ${dimension}) in ${Date.now() - startTime}ms`);
       
       // Store new embeddings in database cache (fire-and-forget, don't block)
       textsToProcess.forEach((text, i) => {
-        if (i < generatedEmbeddings.length) {
-          const key = this.hashText(text);
-          DatabaseService.setCachedEmbedding(key, generatedEmbeddings[i]).catch(e =>
-            console.warn('Failed to cache embedding:', e.message)
-          );
-        }
+        const key = this.hashText(`${modelId}\n${text}`);
+        DatabaseService.setCachedEmbedding(key, generatedEmbeddings[i]).catch(e =>
+          console.warn('Failed to cache embedding:', e.message)
+        );
       });
       
       // Combine cached and newly generated embeddings
@@ -173,15 +125,9 @@ class VectorSearchService {
         if (cachedResults[i] !== null) {
           return cachedResults[i];
         }
-        const index = textsToProcess.indexOf(text);
-        return index < generatedEmbeddings.length ? generatedEmbeddings[index] : [];
+        return generatedEmbeddings[textsToProcess.indexOf(text)];
       });
       
-      console.log('Successfully generated', finalEmbeddings.length, 'embeddings');
-      if (finalEmbeddings.length > 0) {
-        console.log('Sample embedding length:', finalEmbeddings[0].length);
-      }
-      
       this.retryCount = 0;
       return finalEmbeddings;
     } catch (error) {
@@ -205,7 +151,7 @@ class VectorSearchService {
       if (error.response) {
         console.error('Response status:', error.response.status);
         if (error.response.status === 401 || error.response.status === 403) {
-          console.error('Authentication error. Check API key.');
+          console.error('Authentication error. Check EMBEDDING_API_KEY.');
         }
       }
       
@@ -215,31 +161,30 @@ class VectorSearchService {
   }
 
   /**
-   * Fallback embedding generation using TF-IDF approach
+   * Re-embed vectors that were stored by a different model, keeping their ids and
+   * document types, so one store never mixes models
    */
-  _generateFallbackEmbeddings(texts, content) {
-    const sentences = content.split(/[.!?]+/).filter(s => s.trim().length > 0);
-    const allWords = content.toLowerCase().split(/\W+/).filter(w => w.length > 2);
-    const wordFreq = {};
-    allWords.forEach(word => { wordFreq[word] = (wordFreq[word] || 0) + 1; });
-    
-    return texts.map(text => {
-      const textWords = text.toLowerCase().split(/\W+/).filter(w => w.length > 2);
-      const vector = [];
-      
-      Object.keys(wordFreq).slice(0, 100).forEach(word => {
-        const count = textWords.filter(w => w === word).length;
-        const tf = count / Math.max(1, textWords.length);
-        const idf = Math.log(sentences.length / Math.max(1, sentences.filter(s => s.includes(word)).length));
-        vector.push(tf * idf);
-      });
-      
-      vector.push(text.length / 1000);
-      vector.push(textWords.length / 100);
-      
-      while (vector.length < 100) vector.push(0);
-      return vector;
-    });
+  async rebuildVectors(staleVectors, batchSize = 16) {
+    const modelId = EmbeddingService.getModelId();
+    let rebuilt = 0;
+    for (let i = 0; i < staleVectors.length; i += batchSize) {
+      const batch = staleVectors.slice(i, i + batchSize);
+      const embeddings = await this.generateEmbeddings(batch.map(v => v.text));
+      if (embeddings.length !== batch.length) {
+        console.error(`Stopped rebuilding vectors at ${rebuilt}/${staleVectors.length}: embedding failed`);
+        return rebuilt;
+      }
+      const vectors = batch.map((v, j) => ({
+        id: v.id, text: v.text, embedding: embeddings[j], documentType: v.documentType, metadata: v.metadata, model: modelId,
+      }));
+      await DatabaseService.addVectors(vectors);
+      this.inMemoryVectors = [...this.inMemoryVectors, ...vectors];
+      this.vectorSearchAvailable = true;
+      this._indexVectors(vectors);
+      rebuilt += vectors.length;
+    }
+    console.log(`Rebuilt ${rebuilt} vectors with ${modelId}`);
+    return rebuilt;
   }
 
   /**
@@ -263,16 +208,21 @@ class VectorSearchService {
    * Add vectors to both in-memory store and database
    */
   async addVectors(vectors, documentType = 'unknown') {
-    const validVectors = vectors.filter(v => v.embedding && Array.isArray(v.embedding) && v.embedding.length > 0);
+    const modelId = EmbeddingService.getModelId();
+    const validVectors = vectors
+      .filter(v => v.embedding && Array.isArray(v.embedding) && v.embedding.length > 0)
+      .map(v => ({ ...v, documentType: v.documentType || documentType, model: v.model || modelId }));
     
     if (validVectors.length === 0) {
       console.warn('No valid vectors to add');
       return;
     }
     
-    // Add to in-memory store
-    this.inMemoryVectors = [...this.inMemoryVectors, ...validVectors];
+    // Add to in-memory store, replacing vectors with the same id
+    const ids = new Set(validVectors.map(v => v.id));
+    this.inMemoryVectors = [...this.inMemoryVectors.filter(v => !ids.has(v.id)), ...validVectors];
     this.vectorSearchAvailable = true;
+    this._indexVectors(validVectors);
     
     // Persist to database
     try {
@@ -285,13 +235,36 @@ class VectorSearchService {
 
   /**
    * Search the vector database for relevant content
+   * @param {string} query - Search query
+   * @param {number} [topK] - Number of results
+   * @param {Object} [filters] - See matchesFilters
+   * @returns {Promise<string[]>} - Texts of the closest chunks
    */
-  async search(query, topK = 5) {
+  async search(query, topK = 5, filters = null) {
+    const results = await this.searchWithScores(query, topK, filters);
+    return results.map(item => item.text);
+  }
+
+  /**
+   * Search the vector database, keeping each chunk's similarity, document and metadata
+   * @param {string} query - Search query
+   * @param {number} [topK] - Number of results
+   * @param {Object} [filters] - See matchesFilters
+   * @param {Object} [options]
+   * @param {boolean} [options.exact] - Scan every vector instead of using the ANN graph
+   * @returns {Promise<Object[]>} - [{ id, text, score, documentType, metadata }], closest first
+   */
+  async searchWithScores(query, topK = 5, filters = null, { exact = false } = {}) {
     try {
       if (!this.vectorSearchAvailable || this.inMemoryVectors.length === 0) {
         return [];
       }
       
+      if (filters && !this.inMemoryVectors.some(item => this.matchesFilters(item, filters))) {
+        console.log('No vectors match the search filters');
+        return [];
+      }
+      
       console.log(`Performing vector search for query: "${query}"`);
       
       const queryEmbeddings = await this.generateEmbeddings([query]);
@@ -303,15 +276,7 @@ class VectorSearchService {
       const queryEmbedding = queryEmbeddings[0];
       console.log('Query embedding generated, length:', queryEmbedding.length);
       
-      const scoredResults = this.inMemoryVectors.map(item => ({
-        text: item.text,
-        score: this.cosineSimilarity(queryEmbedding, item.embedding)
-      }));
-      
-      const topResults = scoredResults
-        .sort((a, b) => b.score - a.score)
-        .slice(0, topK)
-        .map(item => item.text);
+      const topResults = this.nearest(queryEmbedding, topK, { filters, exact });
       
       console.log(`Found ${topResults.length} results from vector search`);
       return topResults;
@@ -321,6 +286,68 @@ class VectorSearchService {
     }
   }
 
+  /**
+   * Closest stored vectors to an embedding. Uses the ANN graph once it holds ANN_MIN_VECTORS
+   * vectors; a linear scan below that, when `exact` is set, or when a filtered graph search
+   * finds fewer than topK matches
+   * @param {number[]} embedding - Query embedding from the current model
+   * @param {number} [topK] - Number of results
+   * @param {Object} [options]
+   * @param {Object} [options.filters] - See matchesFilters
+   * @param {boolean} [options.exact] - Always scan every vector
+   * @returns {Object[]} - [{ id, text, score, documentType, metadata }], closest first
+   */
+  nearest(embedding, topK = 5, { filters = null, exact = false } = {}) {
+    if (this.index.dimension !== null && embedding.length !== this.index.dimension) {
+      console.warn(`Query embedding has dimension ${embedding.length}, stored vectors have ${this.index.dimension}`);
+      return [];
+    }
+    const filter = filters ? item => this.matchesFilters(item, filters) : null;
+    const useIndex = !exact && this.index.size >= ANN_MIN_VECTORS;
+
+    let hits = useIndex ? this.index.search(embedding, topK, { filter }) : [];
+    if (!useIndex || (filter && hits.length < topK)) {
+      hits = this.index.exactSearch(embedding, topK, filter);
+    }
+    return hits.map(({ score, data: item }) => ({
+      id: item.id,
+      text: item.text,
+      score,
+      documentType: item.documentType || null,
+      metadata: item.metadata || {},
+    }));
+  }
+
+  /**
+   * Whether a chunk passes search filters. Every filter given must match:
+   *   documentType - document type, or a list of them (e.g. 'graduation_requirements')
+   *   department   - catalog department, case-insensitive prefix ('math' matches 'Mathematics')
+   *   courseCode   - any of the chunk's course codes
+   *   sourceFile   - file the chunk came from
+   *   pageFrom, pageTo - page range the chunk must overlap
+   * @param {Object} item - { documentType, metadata: { page, endPage, section, courseCode, codes, department, sourceFile } }
+   * @param {Object} filters
+   * @returns {boolean}
+   */
+  matchesFilters(item, filters = {}) {
+    const m = item.metadata || {};
+    const { documentType, department, courseCode, sourceFile, pageFrom, pageTo } = filters;
+
+    if (documentType) {
+      const types = Array.isArray(documentType) ? documentType : [documentType];
+      if (!types.includes(item.documentType)) return false;
+    }
+    if (department && !(m.department || '').toLowerCase().startsWith(department.toLowerCase())) return false;
+    if (courseCode && m.courseCode !== courseCode && !(m.codes || []).includes(courseCode)) return false;
+    if (sourceFile && m.sourceFile !== sourceFile) return false;
+    if (pageFrom || pageTo) {
+      if (!m.page) return false;
+      if (pageTo && m.page > pageTo) return false;
+      if (pageFrom && (m.endPage || m.page) < pageFrom) return false;
+    }
+    return true;
+  }
+
   isAvailable() { return this.vectorSearchAvailable; }
   getVectorCount() { return this.inMemoryVectors.length; }
 
@@ -329,6 +356,11 @@ class VectorSearchService {
       cacheSize: await DatabaseService.getCacheSize(),
       vectorCount: this.inMemoryVectors.length,
       databaseVectorCount: await DatabaseService.getVectorCount(),
+      embeddingModel: EmbeddingService.getModelId(),
+      embeddingDimension: EmbeddingService.getDimension(),
+      staleVectorCount: this.staleVectorCount,
+      indexedVectorCount: this.index.size,
+      annSearchActive: this.index.size >= ANN_MIN_VECTORS,
     };
   }
 
@@ -340,17 +372,109 @@ class VectorSearchService {
     const count = this.inMemoryVectors.length;
     this.inMemoryVectors = [];
     this.vectorSearchAvailable = false;
+    this.index = new HnswIndex();
+    clearTimeout(this._indexSaveTimer);
     await DatabaseService.clearVectors();
+    await DatabaseService.clearVectorIndex();
     console.log(`Cleared ${count} vectors from memory and database`);
     return count;
   }
 
+  /**
+   * Remove every vector of a document type, e.g. before re-chunking the document
+   */
+  async removeDocumentVectors(documentType) {
+    const before = this.inMemoryVectors.length;
+    for (const v of this.inMemoryVectors) {
+      if (v.documentType === documentType) this.index.remove(v.id);
+    }
+    this.inMemoryVectors = this.inMemoryVectors.filter(v => v.documentType !== documentType);
+    this.vectorSearchAvailable = this.inMemoryVectors.length > 0;
+    this._scheduleIndexSave();
+    await DatabaseService.deleteVectorsForDocument(documentType);
+    console.log(`Removed ${before - this.inMemoryVectors.length} ${documentType} vectors from memory and database`);
+  }
+
   /**
    * Check if vectors for a specific document type already exist in the database
    */
   hasVectorsForDocument(documentType) {
     return DatabaseService.hasVectorsForDocument(documentType);
   }
+
+  /**
+   * Restore the saved ANN graph, or rebuild it when it does not cover exactly the loaded vectors
+   * (vectors added or deleted since it was saved, or another embedding model)
+   */
+  async _loadIndex() {
+    const modelId = EmbeddingService.getModelId();
+    const byId = new Map(this.inMemoryVectors.map(v => [v.id, v]));
+    try {
+      const saved = await DatabaseService.getVectorIndex(modelId);
+      if (saved && saved.vectorCount === byId.size) {
+        const index = HnswIndex.fromJSON(saved.graph, id => {
+          const v = byId.get(id);
+          return v && { vector: v.embedding, data: v };
+        });
+        if (index && index.size === byId.size) {
+          this.index = index;
+          console.log(`Loaded vector index (${index.size} vectors) from database`);
+          return;
+        }
+      }
+      if (saved) {
+        console.warn('Saved vector index does not match the stored vectors; rebuilding it');
+      }
+    } catch (error) {
+      console.error('Error loading vector index:', error.message);
+    }
+
+    const startTime = Date.now();
+    this.index = new HnswIndex();
+    this._indexVectors(this.inMemoryVectors);
+    console.log(`Built vector index over ${this.index.size} vectors in ${Date.now() - startTime}ms`);
+  }
+
+  /**
+   * Insert vectors into the ANN graph (replacing same-id vectors) and schedule a save.
+   * Vectors whose dimension differs from the graph's cannot be compared and are left out.
+   */
+  _indexVectors(vectors) {
+    let skipped = 0;
+    for (const v of vectors) {
+      if (this.index.dimension !== null && v.embedding.length !== this.index.dimension) {
+        this.index.remove(v.id);
+        skipped++;
+        continue;
+      }
+      this.index.add(v.id, v.embedding, v);
+    }
+    if (skipped > 0) {
+      console.warn(`Left ${skipped} vectors with dimension other than ${this.index.dimension} out of the vector index`);
+    }
+    this._scheduleIndexSave();
+  }
+
+  _scheduleIndexSave() {
+    clearTimeout(this._indexSaveTimer);
+    this._indexSaveTimer = setTimeout(() => {
+      this._indexSaveTimer = null;
+      this.saveIndex().catch(error => console.error('Error saving vector index:', error.message));
+    }, INDEX_SAVE_DELAY_MS);
+  }
+
+  /**
+   * Write the ANN graph to the database, first compacting away removed vectors
+   */
+  async saveIndex() {
+    if (this.index.deletedCount > 0) {
+      const startTime = Date.now();
+      this.index.compact();
+      console.log(`Compacted vector index to ${this.index.size} vectors in ${Date.now() - startTime}ms`);
+    }
+    await DatabaseService.saveVectorIndex(EmbeddingService.getModelId(), this.index.dimension, this.index.size, this.index.toJSON());
+    console.log(`Saved vector index (${this.index.size} vectors) to database`);
+  }
 }
 
 module.exports = new VectorSearchService();
@@ -0,0 +1,41 @@
+const EmbeddingService = require('./EmbeddingService');
+const VectorSearchService = require('./VectorSearchService');
+
+// Three-dimensional stand-in for the embedding model; only the stored vectors are compared
+const PROVIDER = { name: 'test', model: 'three-dimensional', dimension: 3, embed: async texts => texts.map(() => [1, 0, 0]) };
+
+const chunk = (id, embedding, metadata) => ({ id, text: `${metadata.section} ...`, embedding, metadata: { kind: 'course', page: 3, endPage: 3, sourceFile: 'catalog.pdf', ...metadata } });
+
+beforeAll(async () => {
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+  EmbeddingService.setProvider(PROVIDER);
+  await VectorSearchService._loadPromise;
+  await VectorSearchService.addVectors([
+    chunk('world-history', [1, 0, 0], { section: 'WORLD HISTORY', courseCode: '001301', codes: ['001301', '001302'], department: 'Social Science' }),
+    chunk('english', [0.9, 0.1, 0], { section: 'HIGH SCHOOL ENGLISH 1-2', courseCode: '000301', codes: ['000301', '000302'], department: 'English' }),
+  ], 'catalog');
+});
+
+afterAll(async () => {
+  clearTimeout(VectorSearchService._indexSaveTimer);
+  await VectorSearchService.clearVectors();
+  jest.restoreAllMocks();
+});
+
+describe('VectorSearchService.nearest', () => {
+  const sections = results => results.map(result => result.metadata.section);
+
+  test('filters on any of a chunk\'s course codes', () => {
+    expect(sections(VectorSearchService.nearest([1, 0, 0], 5, { filters: { courseCode: '001302' } }))).toEqual(['WORLD HISTORY']);
+    expect(sections(VectorSearchService.nearest([1, 0, 0], 5, { filters: { department: 'eng' } }))).toEqual(['HIGH SCHOOL ENGLISH 1-2']);
+  });
+
+  test('keeps every course code of a chunk across a restart', async () => {
+    await VectorSearchService.loadFromDatabase();
+
+    const results = VectorSearchService.nearest([1, 0, 0], 5, { filters: { courseCode: '001302' } });
+
+    expect(sections(results)).toEqual(['WORLD HISTORY']);
+    expect(results[0].metadata).toMatchObject({ courseCode: '001301', codes: ['001301', '001302'], department: 'Social Science', page: 3 });
+  });
+});
@@ -0,0 +1,21 @@
+/**
+ * Del Norte's term model, shared by the catalog, planner, GPA and transcript services
+ *
+ * Del Norte runs on trimesters: every catalog course code is one trimester worth 5 credits,
+ * and a class period holds one course per trimester, three a year. A "1-2" course
+ * ("001012 – 001013") runs two trimesters for 10 credits, which is what the graduation and
+ * A-G requirements count as a year of a subject ("30 credits (3 years)"); the third trimester
+ * of its period can hold a seminar or another one-trimester course.
+ */
+
+// Trimesters in a school year, and so courses one period can hold in a year
+const TERMS_PER_YEAR = 3;
+
+// Credits earned for one trimester of a course
+const CREDITS_PER_TERM = 5;
+
+// Trimesters, and credits, in a year of a subject as the requirements count it
+const TERMS_PER_SUBJECT_YEAR = 2;
+const CREDITS_PER_SUBJECT_YEAR = TERMS_PER_SUBJECT_YEAR * CREDITS_PER_TERM;
+
+module.exports = { TERMS_PER_YEAR, CREDITS_PER_TERM, TERMS_PER_SUBJECT_YEAR, CREDITS_PER_SUBJECT_YEAR };
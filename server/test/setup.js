@@ -0,0 +1,2 @@
+// Every test file gets its own in-memory database instead of the local dev file
+process.env.TURSO_DATABASE_URL = ':memory:';
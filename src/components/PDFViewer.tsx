@@ -16,18 +16,31 @@ import {
 
 interface PDFViewerProps {
   pdfUrl: string;
+  /** Page to open at */
+  page?: number | null;
+  /** Modal title (defaults to the course catalog) */
+  title?: string;
+  /** When set, the parent controls the modal and no "View" button is rendered */
+  isOpen?: boolean;
+  onClose?: () => void;
 }
 
-const PDFViewer: React.FC<PDFViewerProps> = ({ pdfUrl }) => {
-  const { isOpen, onOpen, onClose } = useDisclosure();
+const PDFViewer: React.FC<PDFViewerProps> = ({ pdfUrl, page, title, isOpen: controlledIsOpen, onClose: controlledOnClose }) => {
+  const disclosure = useDisclosure();
+  const isControlled = controlledIsOpen !== undefined;
+  const isOpen = isControlled ? controlledIsOpen : disclosure.isOpen;
+  const onClose = isControlled ? (controlledOnClose || (() => {})) : disclosure.onClose;
   const buttonBg = useColorModeValue('brand.600', 'brand.500');
   const buttonHoverBg = useColorModeValue('brand.700', 'brand.600');
 
+  // Browser PDF viewers open at #page=N
+  const src = page ? `${pdfUrl}#page=${page}` : pdfUrl;
+
   const downloadPDF = () => {
     // Create a link element
     const link = document.createElement('a');
     link.href = pdfUrl;
-    link.download = 'del-norte-course-catalog.pdf';
+    link.download = title ? `${title}.pdf` : 'del-norte-course-catalog.pdf';
     document.body.appendChild(link);
     link.click();
     document.body.removeChild(link);
@@ -35,19 +48,21 @@ const PDFViewer: React.FC<PDFViewerProps> = ({ pdfUrl }) => {
 
   return (
     <>
-      <Button 
-        onClick={onOpen} 
-        colorScheme="brand" 
-        size="sm"
-        boxShadow="sm"
-        _hover={{
-          bg: buttonHoverBg,
-          transform: 'translateY(-1px)',
-          boxShadow: 'md',
-        }}
-      >
-        View Course Catalog
-      </Button>
+      {!isControlled && (
+        <Button 
+          onClick={disclosure.onOpen} 
+          colorScheme="brand" 
+          size="sm"
+          boxShadow="sm"
+          _hover={{
+            bg: buttonHoverBg,
+            transform: 'translateY(-1px)',
+            boxShadow: 'md',
+          }}
+        >
+          View Course Catalog
+        </Button>
+      )}
 
       <Modal 
         isOpen={isOpen} 
@@ -65,13 +80,14 @@ const PDFViewer: React.FC<PDFViewerProps> = ({ pdfUrl }) => {
             borderTopRadius="xl"
             py={4}
           >
-            Del Norte High School Course Catalog (2026-2027)
+            {title || 'Del Norte High School Course Catalog (2026-2027)'}
           </ModalHeader>
           <ModalCloseButton color="white" />
           <ModalBody p={0}>
             <Box height="100%" overflowY="auto">
               <embed
-                src={pdfUrl}
+                key={src}
+                src={src}
                 type="application/pdf"
                 width="100%"
                 height="100%"
@@ -81,7 +97,7 @@ const PDFViewer: React.FC<PDFViewerProps> = ({ pdfUrl }) => {
           </ModalBody>
           <ModalFooter borderTopWidth="1px" justifyContent="space-between">
             <Text fontSize="sm" color="gray.500">
-              Use this catalog to explore available courses and requirements
+              {page ? `Showing page ${page}` : 'Use this catalog to explore available courses and requirements'}
             </Text>
             <Button 
               colorScheme="brand" 
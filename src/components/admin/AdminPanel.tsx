@@ -29,6 +29,7 @@ import { useAuth } from '../../contexts/AuthContext';
 import { useNavigate } from 'react-router-dom';
 import axios from 'axios';
 import AnalyticsDashboard from './AnalyticsDashboard';
+import RequirementRulesEditor from './RequirementRulesEditor';
 
 interface UploadStatus {
   uploading: boolean;
@@ -407,6 +408,11 @@ const AdminPanel: React.FC = () => {
 
         <Divider />
 
+        {/* Graduation & A-G Requirement Rules */}
+        <RequirementRulesEditor />
+
+        <Divider />
+
         {/* Usage Analytics Dashboard */}
         <AnalyticsDashboard />
       </VStack>
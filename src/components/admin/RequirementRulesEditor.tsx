@@ -0,0 +1,365 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import {
+  Box,
+  Button,
+  Card,
+  CardBody,
+  CardHeader,
+  Heading,
+  Text,
+  VStack,
+  HStack,
+  Input,
+  FormControl,
+  FormLabel,
+  FormHelperText,
+  Select,
+  SimpleGrid,
+  Table,
+  Thead,
+  Tbody,
+  Tr,
+  Th,
+  Td,
+  Spinner,
+  Center,
+  Alert,
+  AlertIcon,
+  IconButton,
+  useToast,
+} from '@chakra-ui/react';
+import { FiSave, FiCopy, FiTrash2, FiPlus, FiX } from 'react-icons/fi';
+import axios from 'axios';
+
+interface GraduationRule {
+  category: string;
+  subjects: string[];
+  creditsRequired: number;
+}
+
+interface AGRule {
+  category: string;
+  area: string;
+  subjects: string[];
+  yearsRequired: number;
+}
+
+interface RuleSet {
+  id: number;
+  name: string;
+  classYearFrom: number | null;
+  classYearTo: number | null;
+  totalCredits: number;
+  graduation: GraduationRule[];
+  ag: AGRule[];
+  source: string | null;
+  updatedAt?: string;
+}
+
+const parseYear = (value: string): number | null => (value.trim() ? parseInt(value, 10) : null);
+
+const parseSubjects = (value: string): string[] =>
+  value.split(',').map(s => s.trim()).filter(Boolean);
+
+const classYearLabel = (ruleSet: RuleSet): string => {
+  if (ruleSet.classYearFrom && ruleSet.classYearTo) return `Class of ${ruleSet.classYearFrom}–${ruleSet.classYearTo}`;
+  if (ruleSet.classYearTo) return `Class of ${ruleSet.classYearTo} and earlier`;
+  if (ruleSet.classYearFrom) return `Class of ${ruleSet.classYearFrom} and later`;
+  return 'All classes';
+};
+
+/**
+ * Admin editor for graduation and A-G requirement rule sets. Each rule set covers a range
+ * of graduating classes; the gap analysis and planner pick one from the student's grade level.
+ */
+const RequirementRulesEditor: React.FC = () => {
+  const toast = useToast();
+  const [ruleSets, setRuleSets] = useState<RuleSet[]>([]);
+  const [selectedId, setSelectedId] = useState<number | null>(null);
+  const [draft, setDraft] = useState<RuleSet | null>(null);
+  const [loading, setLoading] = useState(true);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState<string | null>(null);
+
+  const fetchRuleSets = useCallback(async (selectId?: number) => {
+    try {
+      setLoading(true);
+      setError(null);
+      const response = await axios.get('/api/admin/requirements');
+      const sets: RuleSet[] = response.data.ruleSets;
+      setRuleSets(sets);
+      const selected = sets.find(s => s.id === selectId) || sets[sets.length - 1] || null;
+      setSelectedId(selected ? selected.id : null);
+      setDraft(selected ? JSON.parse(JSON.stringify(selected)) : null);
+    } catch (err: any) {
+      console.error('Error fetching requirement rule sets:', err);
+      setError(err.response?.data?.details || err.message || 'Failed to load requirement rules');
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    fetchRuleSets();
+  }, [fetchRuleSets]);
+
+  const handleSelect = (id: number) => {
+    const selected = ruleSets.find(s => s.id === id) || null;
+    setSelectedId(id);
+    setDraft(selected ? JSON.parse(JSON.stringify(selected)) : null);
+  };
+
+  const updateGraduation = (index: number, changes: Partial<GraduationRule>) => {
+    if (!draft) return;
+    const graduation = draft.graduation.map((rule, i) => (i === index ? { ...rule, ...changes } : rule));
+    setDraft({ ...draft, graduation });
+  };
+
+  const updateAG = (index: number, changes: Partial<AGRule>) => {
+    if (!draft) return;
+    const ag = draft.ag.map((rule, i) => (i === index ? { ...rule, ...changes } : rule));
+    setDraft({ ...draft, ag });
+  };
+
+  const showError = (title: string, err: any) => {
+    toast({
+      title,
+      description: err.response?.data?.error || err.message || 'An error occurred',
+      status: 'error',
+      duration: 5000,
+      isClosable: true,
+    });
+  };
+
+  const handleSave = async () => {
+    if (!draft) return;
+    setSaving(true);
+    try {
+      const response = await axios.put(`/api/admin/requirements/${draft.id}`, draft);
+      toast({ title: 'Rules Saved', description: `${response.data.ruleSet.name} updated.`, status: 'success', duration: 3000, isClosable: true });
+      await fetchRuleSets(draft.id);
+    } catch (err: any) {
+      showError('Save Failed', err);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleSaveAsNew = async () => {
+    if (!draft) return;
+    setSaving(true);
+    try {
+      const response = await axios.post('/api/admin/requirements', draft);
+      toast({ title: 'Version Created', description: `${response.data.ruleSet.name} added.`, status: 'success', duration: 3000, isClosable: true });
+      await fetchRuleSets(response.data.ruleSet.id);
+    } catch (err: any) {
+      showError('Create Failed', err);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleDelete = async () => {
+    if (!draft || !window.confirm(`Delete "${draft.name}"?`)) return;
+    setSaving(true);
+    try {
+      await axios.delete(`/api/admin/requirements/${draft.id}`);
+      toast({ title: 'Rule Set Deleted', status: 'success', duration: 3000, isClosable: true });
+      await fetchRuleSets();
+    } catch (err: any) {
+      showError('Delete Failed', err);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <Card>
+      <CardHeader>
+        <Heading size="md">Graduation &amp; A-G Requirements</Heading>
+        <Text fontSize="sm" color="gray.600" mt={1}>
+          Rule sets by graduating class. Students are matched to a rule set from their grade level.
+        </Text>
+      </CardHeader>
+      <CardBody>
+        {loading && !draft ? (
+          <Center py={8}>
+            <Spinner />
+          </Center>
+        ) : error ? (
+          <Alert status="error" borderRadius="md">
+            <AlertIcon />
+            <Text>{error}</Text>
+            <Button ml={4} size="sm" onClick={() => fetchRuleSets()}>Retry</Button>
+          </Alert>
+        ) : draft ? (
+          <VStack spacing={5} align="stretch">
+            <FormControl>
+              <FormLabel>Rule Set</FormLabel>
+              <Select value={selectedId ?? ''} onChange={(e) => handleSelect(parseInt(e.target.value, 10))}>
+                {ruleSets.map(set => (
+                  <option key={set.id} value={set.id}>
+                    {set.name} ({classYearLabel(set)})
+                  </option>
+                ))}
+              </Select>
+            </FormControl>
+
+            <SimpleGrid columns={{ base: 1, md: 4 }} spacing={4}>
+              <FormControl>
+                <FormLabel>Name</FormLabel>
+                <Input value={draft.name} onChange={(e) => setDraft({ ...draft, name: e.target.value })} />
+              </FormControl>
+              <FormControl>
+                <FormLabel>Class Year From</FormLabel>
+                <Input
+                  type="number"
+                  value={draft.classYearFrom ?? ''}
+                  onChange={(e) => setDraft({ ...draft, classYearFrom: parseYear(e.target.value) })}
+                />
+                <FormHelperText>Blank for no lower bound</FormHelperText>
+              </FormControl>
+              <FormControl>
+                <FormLabel>Class Year To</FormLabel>
+                <Input
+                  type="number"
+                  value={draft.classYearTo ?? ''}
+                  onChange={(e) => setDraft({ ...draft, classYearTo: parseYear(e.target.value) })}
+                />
+                <FormHelperText>Blank for no upper bound</FormHelperText>
+              </FormControl>
+              <FormControl>
+                <FormLabel>Total Credits</FormLabel>
+                <Input
+                  type="number"
+                  value={draft.totalCredits}
+                  onChange={(e) => setDraft({ ...draft, totalCredits: Number(e.target.value) })}
+                />
+              </FormControl>
+            </SimpleGrid>
+
+            <Box>
+              <HStack justify="space-between" mb={2}>
+                <Heading size="sm">Graduation Requirements</Heading>
+                <Button
+                  size="xs"
+                  leftIcon={<FiPlus />}
+                  variant="outline"
+                  onClick={() => setDraft({ ...draft, graduation: [...draft.graduation, { category: '', subjects: [], creditsRequired: 10 }] })}
+                >
+                  Add
+                </Button>
+              </HStack>
+              <Table size="sm">
+                <Thead>
+                  <Tr>
+                    <Th>Category</Th>
+                    <Th>Subjects</Th>
+                    <Th isNumeric>Credits</Th>
+                    <Th />
+                  </Tr>
+                </Thead>
+                <Tbody>
+                  {draft.graduation.map((rule, index) => (
+                    <Tr key={index}>
+                      <Td><Input size="sm" value={rule.category} onChange={(e) => updateGraduation(index, { category: e.target.value })} /></Td>
+                      <Td>
+                        <Input
+                          size="sm"
+                          value={rule.subjects.join(', ')}
+                          onChange={(e) => updateGraduation(index, { subjects: parseSubjects(e.target.value) })}
+                        />
+                      </Td>
+                      <Td isNumeric>
+                        <Input
+                          size="sm"
+                          type="number"
+                          w="80px"
+                          value={rule.creditsRequired}
+                          onChange={(e) => updateGraduation(index, { creditsRequired: Number(e.target.value) })}
+                        />
+                      </Td>
+                      <Td>
+                        <IconButton
+                          size="xs"
+                          aria-label="Remove requirement"
+                          icon={<FiX />}
+                          variant="ghost"
+                          onClick={() => setDraft({ ...draft, graduation: draft.graduation.filter((_, i) => i !== index) })}
+                        />
+                      </Td>
+                    </Tr>
+                  ))}
+                </Tbody>
+              </Table>
+              <Text fontSize="xs" color="gray.500" mt={2}>
+                Subjects: social_studies, english, math, science, language, arts, cte, elective, pe. Electives are the
+                credits left over from the total.
+              </Text>
+            </Box>
+
+            <Box>
+              <Heading size="sm" mb={2}>UC/CSU A-G Requirements</Heading>
+              <Table size="sm">
+                <Thead>
+                  <Tr>
+                    <Th>Area</Th>
+                    <Th>Category</Th>
+                    <Th>Subjects</Th>
+                    <Th isNumeric>Years</Th>
+                  </Tr>
+                </Thead>
+                <Tbody>
+                  {draft.ag.map((rule, index) => (
+                    <Tr key={rule.area}>
+                      <Td fontWeight="bold">{rule.area}</Td>
+                      <Td><Input size="sm" value={rule.category} onChange={(e) => updateAG(index, { category: e.target.value })} /></Td>
+                      <Td>
+                        <Input
+                          size="sm"
+                          value={rule.subjects.join(', ')}
+                          onChange={(e) => updateAG(index, { subjects: parseSubjects(e.target.value) })}
+                        />
+                      </Td>
+                      <Td isNumeric>
+                        <Input
+                          size="sm"
+                          type="number"
+                          w="80px"
+                          value={rule.yearsRequired}
+                          onChange={(e) => updateAG(index, { yearsRequired: Number(e.target.value) })}
+                        />
+                      </Td>
+                    </Tr>
+                  ))}
+                </Tbody>
+              </Table>
+            </Box>
+
+            <HStack spacing={3}>
+              <Button leftIcon={<FiSave />} colorScheme="blue" onClick={handleSave} isLoading={saving}>
+                Save
+              </Button>
+              <Button leftIcon={<FiCopy />} variant="outline" onClick={handleSaveAsNew} isDisabled={saving}>
+                Save as New Version
+              </Button>
+              <Button
+                leftIcon={<FiTrash2 />}
+                colorScheme="red"
+                variant="ghost"
+                onClick={handleDelete}
+                isDisabled={saving || ruleSets.length <= 1}
+              >
+                Delete
+              </Button>
+            </HStack>
+          </VStack>
+        ) : (
+          <Text color="gray.500">No rule sets found.</Text>
+        )}
+      </CardBody>
+    </Card>
+  );
+};
+
+export default RequirementRulesEditor;
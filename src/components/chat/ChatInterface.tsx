@@ -27,12 +27,16 @@ import {
   DrawerBody,
   useDisclosure,
   Badge,
+  Tag,
+  Wrap,
+  WrapItem,
 } from '@chakra-ui/react';
 import axios from 'axios';
 import ReactMarkdown from 'react-markdown';
 import './ChatInterface.css';
 import { PDFService } from '../../services/PDFService';
-import { ChatService } from '../../services/ChatService';
+import { ChatService, Citation, Grounding } from '../../services/ChatService';
+import PDFViewer from '../PDFViewer';
 import { AnalyticsService } from '../../services/AnalyticsService';
 
 interface FeedbackState {
@@ -48,6 +52,9 @@ interface Message {
   sender: 'user' | 'bot';
   timestamp: Date;
   queryText?: string;
+  retrievalQuery?: string;
+  citations?: Citation[];
+  grounding?: Grounding;
   feedback?: FeedbackState;
 }
 
@@ -63,6 +70,7 @@ const ChatInterface: React.FC = () => {
   const [messages, setMessages] = useState<Message[]>([]);
   const [inputMessage, setInputMessage] = useState('');
   const [isLoading, setIsLoading] = useState(false);
+  const [streamingMessageId, setStreamingMessageId] = useState<string | null>(null);
   const [isInitialized, setIsInitialized] = useState(false);
   const [chatSessions, setChatSessions] = useState<ChatSession[]>([]);
   const [activeSessionId, setActiveSessionId] = useState<string | null>(null);
@@ -75,6 +83,7 @@ const ChatInterface: React.FC = () => {
     vectorSearchAvailable: false
   });
   const messagesEndRef = useRef<HTMLDivElement>(null);
+  const abortControllerRef = useRef<AbortController | null>(null);
   const toast = useToast();
   const { isOpen, onOpen, onClose } = useDisclosure();
 
@@ -94,6 +103,7 @@ const ChatInterface: React.FC = () => {
   const [chatService] = useState(() => ChatService.getInstance());
   const [uploadedDoc, setUploadedDoc] = useState<{ filename: string; type: string; label: string } | null>(null);
   const [isUploadingDoc, setIsUploadingDoc] = useState(false);
+  const [openCitation, setOpenCitation] = useState<Citation | null>(null);
   const docInputRef = useRef<HTMLInputElement>(null);
 
   const scrollToBottom = () => {
@@ -112,25 +122,16 @@ const ChatInterface: React.FC = () => {
     }
   }, []);
 
-  // Save a message to the API
-  const saveMessageToAPI = useCallback(async (sessionId: string, message: Message) => {
-    try {
-      await axios.post(`/api/chat-sessions/${sessionId}/messages`, {
-        id: message.id,
-        text: message.text,
-        sender: message.sender,
-        queryText: message.queryText || null,
-        timestamp: message.timestamp.toISOString(),
-      });
-    } catch (error) {
-      console.error('Error saving message to API:', error);
-    }
-  }, []);
-
-  // Load messages for a session from API
+  // Load messages for a session from API, and show the document uploaded to it
   const loadSessionMessages = useCallback(async (sessionId: string): Promise<Message[]> => {
     try {
       const response = await axios.get(`/api/chat-sessions/${sessionId}`);
+      const sessionDocument = response.data.session?.document;
+      setUploadedDoc(sessionDocument ? {
+        filename: sessionDocument.filename,
+        type: sessionDocument.type?.type || 'unknown',
+        label: sessionDocument.type?.label || 'Document',
+      } : null);
       const dbMessages = response.data.messages || [];
       return dbMessages.map((msg: any) => ({
         id: msg.id,
@@ -138,6 +139,9 @@ const ChatInterface: React.FC = () => {
         sender: msg.sender,
         timestamp: new Date(msg.timestamp),
         queryText: msg.query_text || undefined,
+        retrievalQuery: msg.retrieval_query || undefined,
+        citations: msg.citations || undefined,
+        grounding: msg.grounding || undefined,
         feedback: msg.sender === 'bot' && msg.id !== 'welcome' ? {
           rating: msg.feedback_rating || null,
           comment: msg.feedback_comment || '',
@@ -167,6 +171,7 @@ const ChatInterface: React.FC = () => {
     const newSessionId = `session_${Date.now()}`;
     setActiveSessionId(newSessionId);
     setMessages([createWelcomeMessage()]);
+    setUploadedDoc(null);
     onClose();
   }, [onClose]);
 
@@ -323,7 +328,7 @@ const ChatInterface: React.FC = () => {
   // Handle document upload (PDF, images, etc.)
   const handleDocUpload = async (e: React.ChangeEvent<HTMLInputElement>) => {
     const file = e.target.files?.[0];
-    if (!file) return;
+    if (!file || !activeSessionId) return;
 
     const allowedTypes = ['application/pdf', 'image/jpeg', 'image/png', 'image/webp', 'image/tiff', 'image/bmp', 'image/gif'];
     if (!allowedTypes.includes(file.type)) {
@@ -339,6 +344,8 @@ const ChatInterface: React.FC = () => {
 
     try {
       const formData = new FormData();
+      // The server keeps the document with the session; answers in it are written with it
+      formData.append('sessionId', activeSessionId);
       formData.append('document', file);
       const response = await axios.post('/api/document/upload', formData, {
         headers: { 'Content-Type': 'multipart/form-data' },
@@ -346,9 +353,9 @@ const ChatInterface: React.FC = () => {
       });
 
       if (response.data.success) {
-        const { text, filename, charCount, documentType, extractionMethod, ocrConfidence } = response.data;
-        chatService.setTranscript(text, filename);
+        const { filename, charCount, documentType, extractionMethod, ocrConfidence } = response.data;
         setUploadedDoc({ filename, type: documentType.type, label: documentType.label });
+        loadSessions();
 
         let desc = `Detected as "${documentType.label}". ${charCount} characters extracted.`;
         if (extractionMethod.includes('ocr')) {
@@ -365,13 +372,14 @@ const ChatInterface: React.FC = () => {
 
         // Run the agentic analysis pipeline in the background
         try {
-          const analysis = await chatService.runAnalysis();
+          const analysis = await chatService.runAnalysis(activeSessionId);
           if (analysis) {
             const coursesFound = analysis.courses?.length || 0;
             const gaps = analysis.gapAnalysis?.missingRequirements?.length || 0;
+            const unmatched = analysis.courseMatches?.unmatched?.length || 0;
             toast({
               title: '📊 Analysis Complete!',
-              description: `Found ${coursesFound} courses. ${gaps > 0 ? `${gaps} graduation requirement gaps identified.` : 'On track for graduation!'} Ask me for personalized recommendations.`,
+              description: `Found ${coursesFound} courses${unmatched > 0 ? ` (${unmatched} not found in the catalog)` : ''}. ${gaps > 0 ? `${gaps} graduation requirement gaps identified.` : 'On track for graduation!'} Ask me for personalized recommendations.`,
               status: 'info',
               duration: 8000,
               isClosable: true,
@@ -397,10 +405,16 @@ const ChatInterface: React.FC = () => {
     }
   };
 
-  const removeDocument = () => {
-    chatService.clearTranscript();
-    setUploadedDoc(null);
-    toast({ title: 'Document removed', status: 'info', duration: 2000, isClosable: true });
+  const removeDocument = async () => {
+    if (!activeSessionId) return;
+    try {
+      await chatService.removeDocument(activeSessionId);
+      setUploadedDoc(null);
+      toast({ title: 'Document removed', status: 'info', duration: 2000, isClosable: true });
+    } catch (error) {
+      console.error('Error removing document:', error);
+      toast({ title: 'Error', description: 'Failed to remove document', status: 'error', duration: 3000, isClosable: true });
+    }
   };
 
   const handleSendMessage = async (e: React.FormEvent) => {
@@ -419,41 +433,71 @@ const ChatInterface: React.FC = () => {
     setInputMessage('');
     setIsLoading(true);
 
-    // Save user message to DB
-    await saveMessageToAPI(activeSessionId, userMessage);
-
     // Track question asked
     AnalyticsService.trackQuestionAsked(userQueryText, activeSessionId);
 
-    // Refresh sessions list (in case this created a new session)
-    loadSessions();
+    // The answer is shown as it streams in, then replaced by the final message (which may carry
+    // grounding annotations) once the server is done
+    const botMessageId = (Date.now() + 1).toString();
+    const controller = new AbortController();
+    abortControllerRef.current = controller;
 
     try {
-      const response = await chatService.processQuery(userMessage.text);
+      const response = await chatService.streamQuery(activeSessionId, userMessage.text, {
+        onDelta: (_delta, text) => {
+          setStreamingMessageId(botMessageId);
+          setMessages(prev => prev.some(m => m.id === botMessageId)
+            ? prev.map(m => (m.id === botMessageId ? { ...m, text } : m))
+            : [...prev, { id: botMessageId, text, sender: 'bot', timestamp: new Date(), queryText: userQueryText }]);
+        },
+      }, controller.signal);
+
+      // Stopped before the first word: nothing to keep
+      if (!response) {
+        setMessages(prev => prev.filter(m => m.id !== botMessageId));
+        return;
+      }
+
+      // The server saved both turns; use its IDs so feedback refers to the saved answer
+      const messageIds = chatService.getLastMessageIds();
       const botMessage: Message = {
-        id: (Date.now() + 1).toString(),
+        id: messageIds?.assistantMessageId || botMessageId,
         text: response,
         sender: 'bot',
         timestamp: new Date(),
         queryText: userQueryText,
+        retrievalQuery: chatService.getLastRetrievalQuery()?.query,
+        citations: chatService.getLastCitations(),
+        grounding: chatService.getLastGrounding() || undefined,
         feedback: { rating: null, comment: '', submitted: false, showCommentBox: false },
       };
-      setMessages(prev => [...prev, botMessage]);
-
-      // Save bot message to DB
-      await saveMessageToAPI(activeSessionId, botMessage);
+      setMessages(prev => {
+        const updated = prev.map(m => (messageIds && m.id === userMessage.id ? { ...m, id: messageIds.userMessageId } : m));
+        return updated.some(m => m.id === botMessageId)
+          ? updated.map(m => (m.id === botMessageId ? botMessage : m))
+          : [...updated, botMessage];
+      });
 
       // Track answer received
       AnalyticsService.trackAnswerReceived(response.length, activeSessionId);
       
       loadSessions();
     } catch (error) {
-      toast({ title: 'Error', description: 'Failed to get response from the chatbot', status: 'error', duration: 3000, isClosable: true });
+      setMessages(prev => prev.filter(m => m.id !== botMessageId));
+      const description = error instanceof Error ? error.message : 'Failed to get response from the chatbot';
+      toast({ title: 'Error', description, status: 'error', duration: 5000, isClosable: true });
     } finally {
+      abortControllerRef.current = null;
+      setStreamingMessageId(null);
       setIsLoading(false);
     }
   };
 
+  // Stop the answer being streamed; the part already received is kept
+  const stopGenerating = () => {
+    abortControllerRef.current?.abort();
+  };
+
   // Feedback section component
   const FeedbackSection: React.FC<{ message: Message }> = ({ message }) => {
     if (!message.feedback) return null;
@@ -567,6 +611,11 @@ const ChatInterface: React.FC = () => {
         </DrawerContent>
       </Drawer>
 
+      {/* Cited document, opened at the cited page */}
+      {openCitation?.url && (
+        <PDFViewer pdfUrl={openCitation.url} page={openCitation.page} title={openCitation.document} isOpen onClose={() => setOpenCitation(null)} />
+      )}
+
       {/* Messages Area */}
       {!isInitialized ? (
         <Center flex={1} bg={chatBg}><VStack spacing={4}><Spinner size="xl" color="brand.500" thickness="4px" /><Text color="gray.500">Loading course catalog...</Text></VStack></Center>
@@ -590,6 +639,19 @@ const ChatInterface: React.FC = () => {
                 ) : (
                   <Box className="markdown-content"><ReactMarkdown>{message.text}</ReactMarkdown></Box>
                 )}
+                {message.citations && message.citations.length > 0 && (
+                  <Wrap mt={2} spacing={1}>
+                    {message.citations.map(citation => (
+                      <WrapItem key={citation.id}>
+                        <Tooltip label={citation.excerpt} placement="top" hasArrow openDelay={300}>
+                          <Tag size="sm" variant="subtle" colorScheme="brand" cursor={citation.url ? 'pointer' : 'default'} onClick={() => citation.url && setOpenCitation(citation)}>
+                            [{citation.id}] {citation.document}{citation.page ? `, p. ${citation.page}` : ''}
+                          </Tag>
+                        </Tooltip>
+                      </WrapItem>
+                    ))}
+                  </Wrap>
+                )}
                 <Text fontSize="xs" color={message.sender === 'user' ? 'whiteAlpha.700' : 'gray.400'} mt={1} textAlign="right">
                   {message.timestamp.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })}
                 </Text>
@@ -597,7 +659,7 @@ const ChatInterface: React.FC = () => {
               </Box>
             </Flex>
           ))}
-          {isLoading && (
+          {isLoading && !streamingMessageId && (
             <Flex justify="flex-start">
               <Box bg={botBubbleBg} px={3} py={2} borderRadius="lg" boxShadow="sm" borderWidth={1} borderColor={botBubbleBorder}>
                 <HStack spacing={2}>
@@ -652,7 +714,11 @@ const ChatInterface: React.FC = () => {
             <InputGroup size="md" flex={1}>
               <Input value={inputMessage} onChange={(e) => setInputMessage(e.target.value)} fontSize="sm" placeholder={uploadedDoc ? "Ask about your courses, what to take next..." : "Ask about courses, requirements, or recommendations..."} disabled={isLoading || !isInitialized} pr="4rem" focusBorderColor="brand.500" borderRadius="md" _hover={{ borderColor: 'brand.300' }} />
               <InputRightElement width="4rem">
-                <Button h="1.5rem" size="sm" type="submit" colorScheme="brand" disabled={isLoading || !isInitialized || !inputMessage.trim()} borderRadius="md" fontSize="sm">Send</Button>
+                {isLoading && isInitialized ? (
+                  <Button h="1.5rem" size="sm" type="button" colorScheme="red" variant="outline" onClick={stopGenerating} borderRadius="md" fontSize="sm">Stop</Button>
+                ) : (
+                  <Button h="1.5rem" size="sm" type="submit" colorScheme="brand" disabled={!isInitialized || !inputMessage.trim()} borderRadius="md" fontSize="sm">Send</Button>
+                )}
               </InputRightElement>
             </InputGroup>
           </HStack>
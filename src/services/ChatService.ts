@@ -1,5 +1,9 @@
  import axios from 'axios';
-import { PDFService } from './PDFService';
+
+// Shown when a question fails, and when the server reports that every LLM model is down
+// or cooling down after repeated failures (503 with code LLM_UNAVAILABLE)
+const QUERY_FAILED_MESSAGE = 'Failed to process your question. Please try again.';
+const LLM_UNAVAILABLE_MESSAGE = 'The assistant is temporarily unavailable. Please try again in a minute.';
 
 interface EmbeddingsStatus {
   inProgress: boolean;
@@ -10,25 +14,84 @@ interface EmbeddingsStatus {
   vectorSearchAvailable: boolean;
 }
 
-interface ChatMessage {
-  role: 'user' | 'assistant' | 'system';
-  content: string;
+/**
+ * How the server turned the latest question into a catalog search query
+ */
+export interface RetrievalQuery {
+  original: string;
+  condensed: string;
+  query: string;
+  expansions: string[];
+  method: 'llm' | 'fallback' | 'none';
+}
+
+/**
+ * A retrieved excerpt the answer cites as [S1], [S2], ...
+ */
+export interface Citation {
+  id: string;
+  document: string;
+  sourceFile: string | null;
+  page: number | null;
+  endPage: number | null;
+  section: string | null;
+  courseCode: string | null;
+  excerpt: string;
+  url: string | null;
+}
+
+/**
+ * A course code, course title, credit count or GPA value found in an answer, and where it was verified
+ */
+export interface GroundingClaim {
+  type: 'course_code' | 'course_title' | 'credits' | 'gpa';
+  text: string;
+  value: string | number;
+  status: 'source' | 'catalog' | 'mismatch' | 'unsupported';
+  expected?: string;
+}
+
+/**
+ * The server's check of an answer against the excerpts and catalog it was written from
+ */
+export interface Grounding {
+  grounded: boolean;
+  claims: GroundingClaim[];
+  unsupported: GroundingClaim[];
+  regenerated: boolean;
+  action: 'none' | 'regenerated' | 'annotated';
+}
+
+/**
+ * The IDs the server saved a question and its answer under
+ */
+export interface MessageIds {
+  userMessageId: string;
+  assistantMessageId: string;
 }
 
+/**
+ * Callbacks for an answer streamed from /api/chat/stream
+ */
+export interface StreamHandlers {
+  // The search query and every retrieved excerpt, before the answer starts
+  onMetadata?: (metadata: { retrievalQuery: RetrievalQuery | null; citations: Citation[] }) => void;
+  // A new piece of the answer, and the answer so far
+  onDelta?: (delta: string, text: string) => void;
+}
+
+/**
+ * Client for the chat API. The server keeps each session's conversation and uploaded
+ * document, so a question is sent as just the session ID and the new message.
+ */
 export class ChatService {
   private static instance: ChatService | null = null;
-  private readonly pdfService: PDFService;
-  private conversationHistory: ChatMessage[] = [];
-  private readonly MAX_HISTORY_LENGTH = 20; // Maximum number of messages to keep in history
-  private readonly SUMMARIZATION_THRESHOLD = 15; // Threshold to trigger summarization
-  private summarizationInProgress = false;
-  private transcriptText: string | null = null;
-  private transcriptFilename: string | null = null;
-  private transcriptAnalysisSummary: string | null = null;
+  private lastRetrievalQuery: RetrievalQuery | null = null;
+  private lastCitations: Citation[] = [];
+  private lastGrounding: Grounding | null = null;
+  private lastMessageIds: MessageIds | null = null;
 
-  private constructor() {
-    this.pdfService = PDFService.getInstance();
-  }
+  private constructor() {}
 
   public static getInstance(): ChatService {
     if (!ChatService.instance) {
@@ -38,30 +101,15 @@ export class ChatService {
   }
 
   /**
-   * Set transcript text from an uploaded PDF and run agentic analysis
-   */
-  public setTranscript(text: string, filename: string): void {
-    this.transcriptText = text;
-    this.transcriptFilename = filename;
-    this.transcriptAnalysisSummary = null; // Will be populated by runAnalysis
-  }
-
-  /**
-   * Run the agentic analysis pipeline on the uploaded document
+   * Run the agentic analysis pipeline on the document uploaded to a session. Later answers
+   * in the session use the analysis summary instead of the raw text.
    * Returns the analysis result for UI display
    */
-  public async runAnalysis(): Promise<any> {
-    if (!this.transcriptText || !this.transcriptFilename) {
-      throw new Error('No document loaded to analyze');
-    }
+  public async runAnalysis(sessionId: string): Promise<any> {
     try {
       console.log('Running agentic analysis pipeline...');
-      const response = await axios.post('/api/document/analyze', {
-        text: this.transcriptText,
-        filename: this.transcriptFilename,
-      });
+      const response = await axios.post('/api/document/analyze', { sessionId });
       if (response.data.success && response.data.analysis?.summary) {
-        this.transcriptAnalysisSummary = response.data.analysis.summary;
         console.log(`Agentic analysis complete in ${response.data.analysis.processingTimeMs}ms`);
         return response.data.analysis;
       }
@@ -72,23 +120,10 @@ export class ChatService {
   }
 
   /**
-   * Clear uploaded transcript
+   * Remove the document uploaded to a session
    */
-  public clearTranscript(): void {
-    this.transcriptText = null;
-    this.transcriptFilename = null;
-    this.transcriptAnalysisSummary = null;
-  }
-
-  /**
-   * Check if a transcript is loaded
-   */
-  public hasTranscript(): boolean {
-    return !!this.transcriptText;
-  }
-
-  public getTranscriptFilename(): string | null {
-    return this.transcriptFilename;
+  public async removeDocument(sessionId: string): Promise<void> {
+    await axios.delete(`/api/chat-sessions/${sessionId}/document`);
   }
 
   /**
@@ -113,213 +148,144 @@ export class ChatService {
   }
 
   /**
-   * Process a user query and get a response
+   * Process a user query and get a response. The server answers it with the session's
+   * conversation so far and saves both turns.
    */
-  public async processQuery(query: string): Promise<string> {
+  public async processQuery(sessionId: string, query: string): Promise<string> {
     try {
-      // First try vector search
-      let relevantInfo = '';
-      let vectorSearchAttempted = false;
-      
-      try {
-        // Check embeddings status first
-        const embeddingsStatus = await this.checkEmbeddingsStatus();
-        
-        // If embeddings are still being generated, we can either:
-        // 1. Wait for them to complete (if they're close to done)
-        // 2. Fall back to traditional search immediately
-        if (embeddingsStatus.inProgress) {
-          // If progress is over 90%, wait a bit for it to complete
-          if (embeddingsStatus.progress > 90) {
-            console.log('Embeddings almost complete, waiting briefly...');
-            await new Promise(resolve => setTimeout(resolve, 2000)); // Wait 2 seconds
-            
-            // Check status again
-            const updatedStatus = await this.checkEmbeddingsStatus();
-            if (!updatedStatus.inProgress && updatedStatus.vectorSearchAvailable) {
-              // Now we can use vector search
-              const vectorResponse = await axios.get('/api/vector-search', {
-                params: { query }
-              });
-              
-              if (vectorResponse.data.results && vectorResponse.data.results.length > 0) {
-                console.log('Using vector search results');
-                relevantInfo = vectorResponse.data.results.join('\n\n');
-                vectorSearchAttempted = true;
-              }
-            } else {
-              console.log('Embeddings still not ready, falling back to traditional search');
-            }
-          } else {
-            console.log('Embeddings still being generated, falling back to traditional search');
-          }
-        } else if (!embeddingsStatus.error) {
-          // Embeddings are ready, use vector search
-          const vectorResponse = await axios.get('/api/vector-search', {
-            params: { query }
-          });
-          
-          if (vectorResponse.data.results && vectorResponse.data.results.length > 0) {
-            console.log('Using vector search results');
-            relevantInfo = vectorResponse.data.results.join('\n\n');
-            vectorSearchAttempted = true;
-          }
-        }
-      } catch (vectorError) {
-        console.warn('Vector search failed, falling back to traditional search:', vectorError);
-        vectorSearchAttempted = true;
-      }
-      
-      // If vector search didn't return results or wasn't attempted, fall back to traditional search
-      if (!relevantInfo) {
-        if (vectorSearchAttempted) {
-          console.log('Falling back to traditional search');
-        } else {
-          console.log('Using traditional search');
-        }
-        relevantInfo = await this.pdfService.searchCourses(query);
-      }
-
-      // Add the new user message to conversation history
-      this.conversationHistory.push({
-        role: 'user',
-        content: query
-      });
-      
-      // Check if we need to summarize the conversation
-      await this.manageConversationHistory();
-
-      // Call Claude API through our proxy server with the full conversation history
-      // Prefer structured analysis summary over raw text for better recommendations
-      const transcriptData = this.transcriptAnalysisSummary
-        ? this.transcriptAnalysisSummary  // Use structured analysis (agentic pipeline output)
-        : (this.transcriptText || undefined);  // Fallback to raw text
-      
-      const response = await axios.post(
-        '/api/chat',
-        {
-          model: 'anthropic/claude-3-opus:20240229',
-          messages: this.conversationHistory,
-          relevantInfo: relevantInfo, // Pass the relevant info separately
-          transcriptText: transcriptData,
-          transcriptFilename: this.transcriptFilename || undefined,
-        }
-      );
+      const response = await axios.post('/api/chat', this.buildChatRequest(sessionId, query));
 
       const assistantResponse = response.data.choices[0].message.content;
-      
-      // Add the assistant's response to conversation history
-      this.conversationHistory.push({
-        role: 'assistant',
-        content: assistantResponse
-      });
-      
-      // Check again after adding assistant response
-      await this.manageConversationHistory();
+      this.lastRetrievalQuery = response.data.retrievalQuery || null;
+      this.lastCitations = response.data.citations || [];
+      this.lastGrounding = response.data.grounding || null;
+      this.lastMessageIds = response.data.messageIds || null;
 
       return assistantResponse;
     } catch (error) {
       console.error('Error processing query:', error);
-      throw new Error('Failed to process your question. Please try again.');
+      const unavailable = axios.isAxiosError(error) && error.response?.data?.code === 'LLM_UNAVAILABLE';
+      throw new Error(unavailable ? LLM_UNAVAILABLE_MESSAGE : QUERY_FAILED_MESSAGE);
     }
   }
 
   /**
-   * Manages conversation history length using sliding window and summarization
+   * Process a user query, receiving the answer as it is written.
+   * Aborting the signal stops generation; the partial answer is kept (the server saves it too)
+   * and returned. A stream that ends before the server finishes the answer is an error.
    */
-  private async manageConversationHistory(): Promise<void> {
-    // If summarization is already in progress, use sliding window approach
-    if (this.summarizationInProgress || this.conversationHistory.length <= this.SUMMARIZATION_THRESHOLD) {
-      if (this.conversationHistory.length > this.MAX_HISTORY_LENGTH) {
-        // Keep the first message (often contains important context)
-        const firstMessages = this.conversationHistory.slice(0, 2);
-        // Keep the most recent messages
-        const recentMessages = this.conversationHistory.slice(-(this.MAX_HISTORY_LENGTH - 2));
-        // Combine them to form the new history
-        this.conversationHistory = [...firstMessages, ...recentMessages];
+  public async streamQuery(sessionId: string, query: string, handlers: StreamHandlers = {}, signal?: AbortSignal): Promise<string> {
+    this.lastRetrievalQuery = null;
+    this.lastCitations = [];
+    this.lastGrounding = null;
+    this.lastMessageIds = null;
+    let answer = '';
+    let unavailable = false;
+    // Only a 'done' event means the server finished (and saved) the answer
+    let finished = false;
+
+    try {
+      const response = await fetch('/api/chat/stream', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(this.buildChatRequest(sessionId, query)),
+        signal,
+      });
+      if (!response.ok || !response.body) {
+        const body = await response.json().catch(() => null);
+        unavailable = body?.code === 'LLM_UNAVAILABLE';
+        throw new Error(body?.details || body?.error || `HTTP ${response.status}`);
       }
-      return;
-    }
 
-    // If conversation exceeds threshold but not yet at max, try to summarize
-    if (this.conversationHistory.length >= this.SUMMARIZATION_THRESHOLD && 
-        this.conversationHistory.length <= this.MAX_HISTORY_LENGTH) {
-      try {
-        this.summarizationInProgress = true;
-        
-        // Select messages to summarize (exclude first 2 and last 5 messages)
-        const messagesToSummarize = this.conversationHistory.slice(2, -5);
-        
-        if (messagesToSummarize.length >= 4) { // Only summarize if we have enough messages
-          const summary = await this.summarizeMessages(messagesToSummarize);
-          
-          // Replace the summarized messages with the summary
-          const firstMessages = this.conversationHistory.slice(0, 2);
-          const lastMessages = this.conversationHistory.slice(-5);
-          
-          // Create a system message with the summary
-          const summaryMessage: ChatMessage = {
-            role: 'system',
-            content: `Previous conversation summary: ${summary}`
-          };
-          
-          // Update conversation history
-          this.conversationHistory = [...firstMessages, summaryMessage, ...lastMessages];
-          console.log('Conversation history summarized');
-        }
-      } catch (error) {
-        console.error('Error summarizing messages:', error);
-        // Fall back to sliding window if summarization fails
-        if (this.conversationHistory.length > this.MAX_HISTORY_LENGTH) {
-          const firstMessages = this.conversationHistory.slice(0, 2);
-          const recentMessages = this.conversationHistory.slice(-(this.MAX_HISTORY_LENGTH - 2));
-          this.conversationHistory = [...firstMessages, ...recentMessages];
+      const reader = response.body.getReader();
+      const decoder = new TextDecoder();
+      let buffer = '';
+      for (;;) {
+        const { done, value } = await reader.read();
+        if (done) break;
+        buffer += decoder.decode(value, { stream: true });
+
+        // Events are separated by a blank line; the last piece may be incomplete
+        const events = buffer.split('\n\n');
+        buffer = events.pop() || '';
+        for (const raw of events) {
+          const event = raw.match(/^event: (.*)$/m)?.[1];
+          const data = raw.match(/^data: (.*)$/m)?.[1];
+          if (!event || !data) continue;
+          const payload = JSON.parse(data);
+
+          if (event === 'metadata') {
+            this.lastRetrievalQuery = payload.retrievalQuery || null;
+            handlers.onMetadata?.({ retrievalQuery: this.lastRetrievalQuery, citations: payload.citations || [] });
+          } else if (event === 'delta') {
+            answer += payload.content;
+            handlers.onDelta?.(payload.content, answer);
+          } else if (event === 'done') {
+            // The final text may carry grounding annotations the deltas did not
+            answer = payload.content;
+            this.lastCitations = payload.citations || [];
+            this.lastGrounding = payload.grounding || null;
+            this.lastMessageIds = payload.messageIds || null;
+            finished = true;
+          } else if (event === 'error') {
+            unavailable = payload.code === 'LLM_UNAVAILABLE';
+            throw new Error(payload.details || payload.error);
+          }
         }
-      } finally {
-        this.summarizationInProgress = false;
       }
+      // A proxy timeout or server crash ends the stream without 'done'; the partial text is not an answer
+      if (!finished) {
+        throw new Error('The answer stream ended before the answer was finished');
+      }
+    } catch (error) {
+      if (!signal?.aborted) {
+        console.error('Error streaming query:', error);
+        throw new Error(unavailable ? LLM_UNAVAILABLE_MESSAGE : QUERY_FAILED_MESSAGE);
+      }
+      console.log('Answer stopped by the user');
     }
+
+    return answer;
   }
 
   /**
-   * Summarizes a set of messages using the Claude API
+   * Request body for /api/chat and /api/chat/stream
    */
-  private async summarizeMessages(messages: ChatMessage[]): Promise<string> {
-    try {
-      // Format messages for summarization
-      const formattedMessages = messages.map(msg => 
-        `${msg.role.toUpperCase()}: ${msg.content}`
-      ).join('\n\n');
-      
-      // Create a summarization prompt
-      const summarizationPrompt = `
-        Please summarize the following conversation exchange concisely, capturing the key points, 
-        questions asked, and information provided. Focus on course-related information and recommendations.
-        
-        CONVERSATION TO SUMMARIZE:
-        ${formattedMessages}
-        
-        SUMMARY:
-      `;
-      
-      // Call the API to summarize
-      const response = await axios.post(
-        '/api/summarize',
-        {
-          messages: [
-            {
-              role: 'user',
-              content: summarizationPrompt
-            }
-          ]
-        }
-      );
-      
-      return response.data.choices[0].message.content;
-    } catch (error) {
-      console.error('Error summarizing messages:', error);
-      throw error;
-    }
+  private buildChatRequest(sessionId: string, query: string) {
+    // The server adds the conversation so far, the uploaded document and the retrieved excerpts
+    return {
+      sessionId,
+      message: query,
+    };
+  }
+
+  /**
+   * The search query the server used for the last answer, if it searched
+   */
+  public getLastRetrievalQuery(): RetrievalQuery | null {
+    return this.lastRetrievalQuery;
+  }
+
+  /**
+   * The excerpts the last answer cited
+   */
+  public getLastCitations(): Citation[] {
+    return this.lastCitations;
+  }
+
+  /**
+   * The grounding check of the last answer, if the server ran one
+   */
+  public getLastGrounding(): Grounding | null {
+    return this.lastGrounding;
+  }
+
+  /**
+   * The IDs the last question and answer were saved under; null if the answer was stopped
+   * before it finished or could not be saved
+   */
+  public getLastMessageIds(): MessageIds | null {
+    return this.lastMessageIds;
   }
 }
 
@@ -2,6 +2,13 @@ import axios from 'axios';
 
 declare const pdfjsLib: any;
 
+// One passage from GET /api/pdf/search, scored with BM25
+export interface SearchResult {
+  text: string;
+  score: number;
+  source: string;
+}
+
 export class PDFService {
   private static instance: PDFService | null = null;
   private courseData: string | null = null;
@@ -146,7 +153,7 @@ export class PDFService {
         enhancedQuery += ' prerequisite requirements recommended pathway grade level';
       }
       
-      const response = await axios.get('/api/pdf/search', {
+      const response = await axios.get<{ results: SearchResult[] }>('/api/pdf/search', {
         params: { query: enhancedQuery }
       });
       
@@ -154,7 +161,7 @@ export class PDFService {
         return "I couldn't find any specific information about that in the course catalog. Could you try rephrasing your question?";
       }
 
-      return response.data.results.join('\n\n');
+      return response.data.results.map(result => result.text).join('\n\n');
     } catch (error) {
       console.error('Error searching courses:', error);
       throw new Error('Failed to search course catalog');